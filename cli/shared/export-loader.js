@@ -50,6 +50,46 @@ export async function loadExportFile (filePath) {
   }
 }
 
+/**
+ * Read a SnapSpot export file as raw export JSON
+ *
+ * Unlike loadExportFile(), images stay embedded as data URIs, so the
+ * export can be modified and written back with writeExportFile().
+ *
+ * @param {string} filePath - Path to export JSON file
+ * @returns {Promise<Object>} Export object as stored in the file
+ * @throws {Error} If file not found, invalid JSON, or validation fails
+ *
+ * @example
+ * const exportData = await readExportJson('./data.json')
+ * console.log(`${exportData.photos.length} embedded photos`)
+ */
+export async function readExportJson (filePath) {
+  let jsonString
+  try {
+    jsonString = await fs.readFile(filePath, 'utf-8')
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`File not found: ${filePath}`)
+    }
+    throw err
+  }
+
+  let exportData
+  try {
+    exportData = JSON.parse(jsonString)
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${filePath}: ${err.message}`)
+  }
+
+  const validation = validateExportFile(exportData)
+  if (!validation.isValid) {
+    throw new Error(`Invalid export file ${filePath}:\n  - ${validation.errors.join('\n  - ')}`)
+  }
+
+  return exportData
+}
+
 /**
  * Load multiple export files with progress tracking
  *
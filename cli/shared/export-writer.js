@@ -9,23 +9,23 @@
 
 import fs from 'fs/promises'
 import path from 'path'
-import { buildExport } from '../../lib/snapspot-data/writer.js'
 import { validateExportFile } from '../../lib/snapspot-data/validator.js'
 
 /**
  * Write export data to JSON file
  *
- * @param {Object} exportData - Export data (map, markers, photos)
+ * @param {Object} exportData - Complete export object (from buildExport())
  * @param {string} filePath - Output file path
  * @param {Object} options - Write options
  * @param {boolean} [options.backup=false] - Create backup of existing file
  * @param {boolean} [options.prettyPrint=true] - Format JSON with indentation
  * @param {boolean} [options.validate=true] - Validate before writing
- * @returns {Promise<void>}
+ * @returns {Promise<string|null>} Backup path, if a backup was created
  * @throws {Error} If validation fails or write error occurs
  *
  * @example
- * await writeExportFile({ map, markers, photos }, './output.json', {
+ * const exportData = await buildExport(map, mapImage, markers, photos)
+ * await writeExportFile(exportData, './output.json', {
  *   backup: true,
  *   prettyPrint: true
  * })
@@ -37,36 +37,31 @@ export async function writeExportFile (exportData, filePath, options = {}) {
     validate = true
   } = options
 
-  // Build export using shared library
-  const jsonString = await buildExport(
-    exportData.map,
-    exportData.markers,
-    exportData.photos
-  )
-
   // Validate using shared library
   if (validate) {
-    const isValid = await validateExportFile(jsonString)
-    if (!isValid) {
-      throw new Error('Generated export failed validation')
+    const validation = validateExportFile(exportData)
+    if (!validation.isValid) {
+      throw new Error(`Generated export failed validation:\n  - ${validation.errors.join('\n  - ')}`)
     }
   }
 
   // Create backup if requested and file exists
+  let backupPath = null
   if (backup) {
     try {
       await fs.access(filePath)
-      const backupPath = `${filePath}.backup.${Date.now()}`
+      backupPath = getBackupPath(filePath)
       await fs.copyFile(filePath, backupPath)
     } catch (err) {
       // File doesn't exist, no backup needed
+      backupPath = null
     }
   }
 
   // Format JSON
   const formatted = prettyPrint
-    ? JSON.stringify(JSON.parse(jsonString), null, 2)
-    : jsonString
+    ? JSON.stringify(exportData, null, 2)
+    : JSON.stringify(exportData)
 
   // Ensure directory exists
   const directory = path.dirname(filePath)
@@ -77,6 +72,7 @@ export async function writeExportFile (exportData, filePath, options = {}) {
   try {
     await fs.writeFile(tempPath, formatted, 'utf-8')
     await fs.rename(tempPath, filePath)
+    return backupPath
   } catch (err) {
     // Clean up temp file on error
     try {
@@ -98,6 +94,7 @@ export async function writeExportFile (exportData, filePath, options = {}) {
  * @example
  * const modified = modifyExport(data, {
  *   removePhotos: true,
+ *   removePhotoData: true,
  *   renameMap: 'New Map Name',
  *   updateMarkerDescriptions: (desc) => desc.toUpperCase()
  * })
@@ -112,6 +109,10 @@ export function modifyExport (exportData, modifications) {
     modified.markers.forEach(m => { m.photoIds = [] })
   }
 
+  if (modifications.removePhotoData) {
+    (modified.photos || []).forEach(p => { delete p.imageData })
+  }
+
   if (modifications.renameMap) {
     modified.map.name = modifications.renameMap
   }
@@ -132,15 +133,24 @@ export function modifyExport (exportData, modifications) {
 /**
  * Remove all photos from export
  *
+ * With keepMetadata, only the embedded image data is removed: photo
+ * objects (id, fileName, markerId, ...) stay, so SnapSpot can serve the
+ * photos from a local directory.
+ *
  * @param {Object} exportData - Export data
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.keepMetadata=false] - Strip imageData only, keep photo objects
  * @returns {Object} Modified export data (new object)
  *
  * @example
  * const withoutPhotos = removePhotos(data)
  * // Photos array is empty, photoIds arrays are empty
+ *
+ * const metadataOnly = removePhotos(data, { keepMetadata: true })
+ * // Photo objects remain without imageData
  */
-export function removePhotos (exportData) {
-  return modifyExport(exportData, { removePhotos: true })
+export function removePhotos (exportData, options = {}) {
+  return modifyExport(exportData, options.keepMetadata ? { removePhotoData: true } : { removePhotos: true })
 }
 
 /**
@@ -192,7 +202,7 @@ export function setCustomMetadata (exportData, metadata) {
  * Extract photo data from export (for saving to separate files)
  *
  * @param {Object} exportData - Export data
- * @returns {Array} Array of {filename, imageData, imageHash, markerId}
+ * @returns {Array} Array of {id, filename, fileType, imageData, imageHash, markerId, createdDate}
  *
  * @example
  * const photoData = extractPhotoData(data)
@@ -201,8 +211,10 @@ export function setCustomMetadata (exportData, metadata) {
  * }
  */
 export function extractPhotoData (exportData) {
-  return exportData.photos.map(photo => ({
-    filename: photo.filename || 'unnamed.jpg',
+  return (exportData.photos || []).map(photo => ({
+    id: photo.id,
+    filename: photo.fileName || photo.filename || 'unnamed.jpg',
+    fileType: photo.fileType,
     imageData: photo.imageData,
     imageHash: photo.imageHash,
     markerId: photo.markerId,
@@ -210,6 +222,30 @@ export function extractPhotoData (exportData) {
   }))
 }
 
+/**
+ * Make a name safe for use as a file or directory name
+ *
+ * Shared by the tools that write files named after maps, markers or
+ * photos, so they name the same map or marker alike.
+ *
+ * @param {string} name - Name
+ * @param {string} fallback - Name to use if nothing is left
+ * @returns {string}
+ *
+ * @example
+ * sanitizeName('Floor 1: East', 'map') // 'Floor-1-East'
+ */
+export function sanitizeName (name, fallback) {
+  const safe = String(name || '')
+    .replace(/[<>:"/\\|?*\x00-\x1F]/g, ' ') // eslint-disable-line no-control-regex
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/^\.+/, '')
+    .slice(0, 60)
+
+  return safe || fallback
+}
+
 /**
  * Create directory structure for organized exports
  *
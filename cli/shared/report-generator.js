@@ -9,6 +9,7 @@
 
 import fs from 'fs/promises'
 import chalk from 'chalk'
+import { describeMarkerChange } from '../../lib/snapspot-data/diff.js'
 
 /**
  * Generate text report
@@ -350,6 +351,226 @@ export function generateTransformReport (results, format = 'text') {
   }
 }
 
+/**
+ * Generate archive organization report
+ *
+ * @param {Object} results - Organizer results
+ * @param {string} format - Report format (text/json/html)
+ * @returns {string} Formatted report
+ */
+export function generateOrganizeReport (results, format = 'text') {
+  const data = {
+    title: 'Archive Organization Results',
+    subtitle: `Export: ${results.exportFile || 'Unknown'}`,
+    summary: {
+      mapName: results.mapName || 'N/A',
+      scheme: results.scheme || 'N/A',
+      outputDirectory: results.outputDir || 'N/A',
+      totalPhotos: results.totalPhotos || 0,
+      archived: results.files?.length || 0,
+      missing: results.missing?.length || 0,
+      status: results.completed ? (results.dryRun ? 'Dry run' : 'Archive created') : 'Not created (photos missing)',
+      duration: results.duration || 'N/A'
+    },
+    detailHeaders: ['Filename', 'Status', 'Archive Path'],
+    details: [
+      ...(results.files || []).map(f => [f.filename, f.existing ? 'In archive ✓' : 'Copied ✓', f.target]),
+      ...(results.missing || []).map(p => [p.filename, 'Missing ✗', 'Not found'])
+    ],
+    footer: 'Generated by SnapSpot CLI Tools'
+  }
+
+  if (format === 'json') {
+    return generateJsonReport(data)
+  } else if (format === 'html') {
+    return generateHtmlReport(data)
+  } else {
+    return generateTextReport(data)
+  }
+}
+
+/**
+ * Generate export comparison report
+ *
+ * JSON reports also contain the structured changes (marker ids, numbers,
+ * positions), for use in scripts.
+ *
+ * @param {Object} results - Result of diffExports(), plus oldFile, newFile and duration
+ * @param {string} format - Report format (text/json/html)
+ * @returns {string} Formatted report
+ *
+ * @example
+ * const diff = diffExports(oldExport, newExport)
+ * const report = generateDiffReport({ ...diff, oldFile: 'a.json', newFile: 'b.json' }, 'html')
+ */
+export function generateDiffReport (results, format = 'text') {
+  const label = (marker, number) => {
+    const firstLine = (marker.description || '').split(/\r?\n/)[0].trim()
+    return firstLine ? `#${number} ${firstLine}` : `#${number}`
+  }
+  const position = marker => `(${Math.round(marker.x)}, ${Math.round(marker.y)})`
+  const changeTypes = change => [
+    change.moved && 'Moved',
+    change.description && 'Re-described',
+    change.photos && 'Photos changed'
+  ].filter(Boolean).join(', ')
+
+  const { summary } = results
+  const data = {
+    title: 'Export Comparison',
+    subtitle: `${results.oldFile || 'Old export'} → ${results.newFile || 'New export'}`,
+    summary: {
+      oldMarkers: summary.oldMarkers,
+      newMarkers: summary.newMarkers,
+      added: summary.added,
+      removed: summary.removed,
+      moved: summary.moved,
+      redescribed: summary.redescribed,
+      photosChanged: summary.photosChanged,
+      unchanged: summary.unchanged,
+      sameMap: results.sameMap ? 'Yes' : 'No (different map image)',
+      duration: results.duration || 'N/A'
+    },
+    detailHeaders: ['Marker', 'Change', 'Details'],
+    details: [
+      ...results.added.map(({ marker, number }) => [label(marker, number), 'Added', position(marker)]),
+      ...results.removed.map(({ marker, number }) => [label(marker, number), 'Removed', position(marker)]),
+      ...results.changed.map(change => [
+        label(change.newMarker, change.newNumber),
+        changeTypes(change),
+        describeMarkerChange(change) + (change.matchedBy !== 'id' ? ` (matched by ${change.matchedBy})` : '')
+      ])
+    ],
+    footer: 'Generated by SnapSpot CLI Tools'
+  }
+
+  if (format === 'json') {
+    const compact = (marker, number) => ({ id: marker.id, number, x: marker.x, y: marker.y, description: marker.description || '' })
+
+    return generateJsonReport({
+      ...data,
+      added: results.added.map(({ marker, number }) => compact(marker, number)),
+      removed: results.removed.map(({ marker, number }) => compact(marker, number)),
+      changed: results.changed.map(change => ({
+        oldMarker: compact(change.oldMarker, change.oldNumber),
+        newMarker: compact(change.newMarker, change.newNumber),
+        matchedBy: change.matchedBy,
+        moved: change.moved,
+        description: change.description,
+        photos: change.photos
+      }))
+    })
+  } else if (format === 'html') {
+    return generateHtmlReport(data)
+  } else {
+    return generateTextReport(data)
+  }
+}
+
+/**
+ * Generate printable map report
+ *
+ * The first page shows the map image with numbered markers (an SVG
+ * overlay, so numbers stay sharp when printed), followed by a table of
+ * the markers with description, date and photo thumbnails. Print CSS
+ * starts the table on a new page, repeats the table header on every page
+ * and keeps rows from breaking across pages. Print to PDF from the
+ * browser for a PDF.
+ *
+ * @param {Object} data - Report data
+ * @param {string} data.title - Report title
+ * @param {string} [data.subtitle] - Subtitle (e.g. export file)
+ * @param {string} data.mapImage - Map image as data URI or URL
+ * @param {number} data.width - Map width in pixels
+ * @param {number} data.height - Map height in pixels
+ * @param {Array<Object>} data.markers - Markers in number order:
+ *   { number, x, y, description, createdDate, photos: [{ fileName, src }] }
+ * @param {string} [data.footer] - Footer text
+ * @returns {string} HTML report
+ *
+ * @example
+ * const html = generateMapReport({
+ *   title: 'Floor 1',
+ *   mapImage: exportData.map.imageData,
+ *   width: 1000,
+ *   height: 800,
+ *   markers: [{ number: 1, x: 100, y: 200, description: 'Gate', createdDate: '...', photos: [] }]
+ * })
+ * await writeReportToFile(html, './floor-1-report.html')
+ */
+export function generateMapReport (data) {
+  const { width, height, markers } = data
+  const title = data.title || 'Map Report'
+
+  // Marker size relative to the map, so markers look the same on any map
+  const radius = Math.max(width, height) * 0.012
+  const fontSize = radius * 1.1
+
+  const overlay = markers.map(marker => `        <g>
+          <circle cx="${marker.x}" cy="${marker.y}" r="${radius}" fill="#d32f2f" stroke="#fff" stroke-width="${radius * 0.2}"/>
+          <text x="${marker.x}" y="${marker.y}" font-size="${marker.number > 99 ? fontSize * 0.75 : fontSize}" fill="#fff" font-weight="bold" text-anchor="middle" dominant-baseline="central">${marker.number}</text>
+        </g>`).join('\n')
+
+  const rows = markers.map(marker => {
+    const date = new Date(marker.createdDate)
+    const photos = marker.photos.map(photo =>
+      `<figure><img src="${escapeHtml(photo.src)}" alt="${escapeHtml(photo.fileName || '')}"><figcaption>${escapeHtml(photo.fileName || '')}</figcaption></figure>`
+    ).join('')
+
+    return `          <tr>
+            <td class="number">${marker.number}</td>
+            <td class="description">${escapeHtml(marker.description || '')}</td>
+            <td class="date">${Number.isNaN(date.getTime()) ? '' : escapeHtml(date.toLocaleString())}</td>
+            <td class="photos">${photos}</td>
+          </tr>`
+  }).join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${getMapReportStyles()}</style>
+</head>
+<body>
+  <section class="map-page">
+    <header>
+      <h1>${escapeHtml(title)}</h1>
+      ${data.subtitle ? `<p class="subtitle">${escapeHtml(data.subtitle)}</p>` : ''}
+      <p class="subtitle">${markers.length} markers, ${markers.reduce((sum, marker) => sum + marker.photos.length, 0)} photos</p>
+    </header>
+    <div class="map">
+      <svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" font-family="sans-serif">
+        <image href="${escapeHtml(data.mapImage)}" x="0" y="0" width="${width}" height="${height}"/>
+${overlay}
+      </svg>
+    </div>
+  </section>
+  <section class="marker-table">
+    <h2>Markers</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Description</th>
+          <th>Date</th>
+          <th>Photos</th>
+        </tr>
+      </thead>
+      <tbody>
+${rows}
+      </tbody>
+    </table>
+  </section>
+  <footer>
+    ${data.footer ? `<p>${escapeHtml(data.footer)}</p>` : ''}
+    <p class="timestamp">Generated: ${new Date().toLocaleString()}</p>
+  </footer>
+</body>
+</html>`
+}
+
 /**
  * Helper: Format label (camelCase to Title Case)
  */
@@ -527,3 +748,126 @@ function getHtmlStyles (theme) {
     }
   `
 }
+
+/**
+ * Helper: Get printable map report styles
+ */
+function getMapReportStyles () {
+  return `
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      line-height: 1.4;
+      color: #333;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h1 {
+      color: #2196f3;
+      font-size: 1.8em;
+    }
+    h2 {
+      color: #4caf50;
+      margin: 20px 0 10px 0;
+      font-size: 1.4em;
+    }
+    .subtitle {
+      color: #666;
+    }
+    .map {
+      margin-top: 15px;
+      border: 1px solid #e0e0e0;
+    }
+    .map svg {
+      display: block;
+      width: 100%;
+      height: auto;
+      max-height: 85vh;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    thead {
+      display: table-header-group;
+    }
+    th, td {
+      padding: 8px;
+      text-align: left;
+      vertical-align: top;
+      border-bottom: 1px solid #e0e0e0;
+    }
+    th {
+      background: #f8f9fa;
+      color: #2196f3;
+    }
+    tr {
+      page-break-inside: avoid;
+      break-inside: avoid;
+    }
+    td.number {
+      width: 3em;
+      font-weight: bold;
+    }
+    td.description {
+      white-space: pre-wrap;
+    }
+    td.date {
+      width: 11em;
+      color: #666;
+    }
+    td.photos {
+      width: 45%;
+    }
+    figure {
+      display: inline-block;
+      width: 120px;
+      margin: 0 6px 6px 0;
+      vertical-align: top;
+    }
+    figure img {
+      display: block;
+      max-width: 120px;
+      max-height: 120px;
+    }
+    figcaption {
+      font-size: 0.75em;
+      color: #666;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    footer {
+      margin-top: 20px;
+      padding-top: 10px;
+      border-top: 1px solid #e0e0e0;
+      color: #666;
+      font-size: 0.85em;
+    }
+    @page {
+      margin: 15mm;
+    }
+    @media print {
+      body {
+        max-width: none;
+        padding: 0;
+      }
+      .map-page {
+        page-break-after: always;
+        break-after: page;
+      }
+      .map svg {
+        max-height: 240mm;
+      }
+      th {
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+    }
+  `
+}
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Export Diff - Compare two SnapSpot exports of the same map
+ *
+ * Shows what changed between two exports, for example when a field team
+ * sends a second export: added and removed markers, moved markers (with
+ * distance), changed descriptions and changed photos. The comparison
+ * itself is diffExports() from lib/snapspot-data/diff.js.
+ *
+ * Features:
+ * - Markers matched by id, then by photos, description and coordinates
+ * - Text output in the terminal, reports as text, JSON or HTML
+ * - Warning when the exports are of different map images
+ *
+ * Usage:
+ *   export-diff --old first.json --new second.json [--report diff.html]
+ *
+ * @module cli/tools/export-diff
+ */
+
+import path from 'path'
+import { readExportJson } from '../../shared/export-loader.js'
+import {
+  displaySuccess,
+  displayError,
+  displayInfo,
+  displayWarning,
+  displayHeader
+} from '../../shared/prompt-helpers.js'
+import { formatDuration } from '../../shared/progress-bar.js'
+import { generateDiffReport, writeReportToFile, writeReportToStdout } from '../../shared/report-generator.js'
+import { diffExports } from '../../../lib/snapspot-data/diff.js'
+import { DUPLICATE_STRATEGIES } from '../../../lib/snapspot-data/session.js'
+
+/**
+ * Compare two export files
+ *
+ * @param {string} oldPath - Path to the earlier export
+ * @param {string} newPath - Path to the later export
+ * @param {Object} [options={}] - Options for diffExports() (matchStrategy,
+ *   coordinateTolerance, photoMatchThreshold, moveTolerance)
+ * @returns {Promise<Object>} Result of diffExports() plus oldFile, newFile and duration
+ * @throws {Error} If an export cannot be read or is invalid
+ *
+ * @example
+ * const result = await compareExportFiles('./monday.json', './tuesday.json')
+ * console.log(`${result.summary.added} added, ${result.summary.moved} moved`)
+ */
+export async function compareExportFiles (oldPath, newPath, options = {}) {
+  const startTime = Date.now()
+
+  const oldExport = await readExportJson(oldPath)
+  const newExport = await readExportJson(newPath)
+  const diff = diffExports(oldExport, newExport, options)
+
+  return {
+    ...diff,
+    oldFile: path.basename(oldPath),
+    newFile: path.basename(newPath),
+    duration: formatDuration(Date.now() - startTime)
+  }
+}
+
+/**
+ * Run the CLI with parsed arguments
+ * @param {Object} args - Parsed arguments
+ */
+async function runCli (args) {
+  const { quiet } = args
+
+  if (!quiet) {
+    displayHeader('SnapSpot Export Diff')
+    displayInfo(`Old: ${args.old}`)
+    displayInfo(`New: ${args.new}`)
+    console.log('')
+  }
+
+  const result = await compareExportFiles(args.old, args.new, {
+    matchStrategy: args.strategy,
+    coordinateTolerance: args.tolerance,
+    moveTolerance: args.moveTolerance
+  })
+
+  if (!quiet) {
+    if (!result.sameMap) {
+      displayWarning('The exports are of different map images; positions may not be comparable')
+    }
+
+    writeReportToStdout(generateDiffReport(result, 'text'))
+
+    const { added, removed, moved, redescribed, photosChanged } = result.summary
+    if (added + removed + moved + redescribed + photosChanged === 0) {
+      displaySuccess('No differences')
+    }
+  }
+
+  if (args.report !== undefined) {
+    const format = args.format || 'html'
+    const reportPath = typeof args.report === 'string'
+      ? args.report
+      : path.join(path.dirname(path.resolve(args.new)), `export_diff.${format}`)
+
+    await writeReportToFile(generateDiffReport(result, format), reportPath)
+    if (!quiet) displaySuccess(`Report saved to: ${reportPath}`)
+  }
+}
+
+/**
+ * Display help message
+ */
+function displayHelp () {
+  console.log(`
+SnapSpot Export Diff - Compare two exports of the same map
+
+USAGE:
+  export-diff --old <path> --new <path> [options]
+
+OPTIONS:
+  --old <path>            Earlier export
+  --new <path>            Later export
+  --strategy <name>       Matching of markers whose id changed:
+                          ${DUPLICATE_STRATEGIES.join(', ')} (default: smart)
+  --tolerance <px>        Coordinate tolerance for matching (default: 5)
+  --move-tolerance <px>   Minimum distance to report a marker as moved (default: 0)
+  --report [path]         Save comparison report (auto-generates filename, or specify custom path)
+  --format <type>         Report format: json, text, html (default: html)
+  --quiet                 Minimal output
+  --help                  Show this help message
+
+EXAMPLES:
+  # Show the changes in the terminal
+  export-diff --old monday.json --new tuesday.json
+
+  # Ignore small position corrections, save an HTML report
+  export-diff --old monday.json --new tuesday.json --move-tolerance 3 --report
+
+  # Match markers by id only, JSON report for scripts
+  export-diff --old a.json --new b.json --strategy none --report diff.json --format json
+
+NOTES:
+  - Markers are matched by id first; markers with new ids are matched by
+    photo file names, then description, then coordinates ('smart')
+  - Markers are shown with their chronological number (createdDate)
+  - Photos are compared by file name
+
+For more information, see: cli/tools/export-diff/README.md
+`)
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs () {
+  const args = process.argv.slice(2)
+  const parsed = {}
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true
+    } else if (arg === '--old') {
+      parsed.old = args[++i]
+    } else if (arg === '--new') {
+      parsed.new = args[++i]
+    } else if (arg === '--strategy') {
+      parsed.strategy = args[++i]
+    } else if (arg === '--tolerance') {
+      parsed.tolerance = parseFloat(args[++i])
+    } else if (arg === '--move-tolerance') {
+      parsed.moveTolerance = parseFloat(args[++i])
+    } else if (arg === '--report') {
+      // Check if next arg is a value or another flag
+      const nextArg = args[i + 1]
+      if (nextArg && !nextArg.startsWith('--')) {
+        parsed.report = args[++i] // Path provided
+      } else {
+        parsed.report = true // Boolean flag
+      }
+    } else if (arg === '--format') {
+      parsed.format = args[++i]
+    } else if (arg === '--quiet') {
+      parsed.quiet = true
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Main entry point
+ */
+async function main () {
+  const args = parseArgs()
+
+  if (args.help) {
+    displayHelp()
+    return
+  }
+
+  if (!args.old || !args.new) {
+    displayError('Missing --old or --new. Use --help for usage information.')
+    process.exit(1)
+  }
+
+  for (const [option, value] of [['--tolerance', args.tolerance], ['--move-tolerance', args.moveTolerance]]) {
+    if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+      displayError(`${option} must be a non-negative number of pixels. Use --help for usage information.`)
+      process.exit(1)
+    }
+  }
+
+  await runCli(args)
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}` || process.argv[1].endsWith('export-diff.js')) {
+  main().catch(err => {
+    displayError(`Fatal error: ${err.message}`)
+    console.error(err.stack)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,508 @@
+#!/usr/bin/env node
+
+/**
+ * Export Transformer - Batch modify SnapSpot export files
+ *
+ * Applies transformations to one or many export files (glob patterns)
+ * and writes the modified exports back, with automatic backups.
+ *
+ * Features:
+ * - Split markers with multiple photos into one marker per photo
+ * - Extract embedded base64 photos to image files (four directory layouts)
+ * - Strip embedded photo data while keeping photo objects (smaller exports)
+ * - Dry-run mode: show what would change without writing anything
+ * - Automatic backups before an export is overwritten
+ * - Glob patterns for batch input ("exports/*.json")
+ * - Transformation report (text, JSON or HTML)
+ *
+ * Usage:
+ *   export-transformer --export "exports/*.json" --remove-photos
+ *   export-transformer --export data.json --extract-photos ./photos --extract-scheme by-map
+ *
+ * @module cli/tools/export-transformer
+ */
+
+import path from 'path'
+import { readExportJson } from '../../shared/export-loader.js'
+import { writeExportFile, getBackupPath } from '../../shared/export-writer.js'
+import { findFilesByPattern } from '../../shared/file-finder.js'
+import {
+  displaySuccess,
+  displayError,
+  displayInfo,
+  displayWarning,
+  displayHeader
+} from '../../shared/prompt-helpers.js'
+import { createMultiBar, formatDuration } from '../../shared/progress-bar.js'
+import { generateTransformReport, writeReportToFile } from '../../shared/report-generator.js'
+import { splitMarkersWithMultiplePhotos, DEFAULT_SPLIT_DESCRIPTION_TEMPLATE } from '../../../lib/snapspot-data/splitter.js'
+import {
+  TRANSFORMATIONS,
+  EXTRACT_SCHEMES,
+  extractPhotosToFiles,
+  removePhotoData
+} from './transformations.js'
+
+/**
+ * Format a byte count for display
+ * @private
+ */
+function formatBytes (bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * Find the export files matching glob patterns (or plain paths)
+ *
+ * @param {string|string[]} patterns - File paths or glob patterns
+ * @returns {Promise<string[]>} Sorted absolute paths of .json files
+ * @throws {Error} If no file matches
+ *
+ * @example
+ * const files = await resolveExportFiles('exports/*.json')
+ */
+export async function resolveExportFiles (patterns) {
+  // glob expects forward slashes, also on Windows
+  const patternArray = (Array.isArray(patterns) ? patterns : [patterns]).map(p => p.replace(/\\/g, '/'))
+  const files = (await findFilesByPattern(process.cwd(), patternArray))
+    .filter(filePath => filePath.toLowerCase().endsWith('.json'))
+    .map(filePath => path.resolve(filePath))
+    .sort()
+
+  if (files.length === 0) {
+    throw new Error(`No export files match ${patternArray.join(', ')}`)
+  }
+  return files
+}
+
+/**
+ * Apply transformations to one export file
+ *
+ * Transformations run in the order of TRANSFORMATIONS, so markers are
+ * split before photos are extracted (by-marker layouts then get one folder
+ * per photo marker) and photos are extracted before their data is removed. The export is only written if
+ * it changed; overwriting an existing file backs it up first (unless
+ * backup is false).
+ *
+ * @param {string} exportPath - Path to export JSON file
+ * @param {Object} options - Transformation options
+ * @param {string[]} options.transformations - Names from TRANSFORMATIONS
+ * @param {string} [options.descriptionTemplate] - Description template for splitMarkers
+ * @param {string} [options.extractDir] - Output directory for extractPhotos
+ * @param {string} [options.scheme='by-map'] - Directory layout for extracted photos
+ * @param {string} [options.outputDir] - Write modified exports here instead of in place
+ * @param {boolean} [options.backup=true] - Back up files before overwriting them
+ * @param {boolean} [options.dryRun=false] - Report changes without writing anything
+ * @param {Set<string>} [options.usedPaths] - Extracted photo paths shared across a batch
+ * @returns {Promise<Object>} File result with the steps performed
+ * @throws {Error} If the export cannot be read or written
+ *
+ * @example
+ * const result = await transformExport('./data.json', {
+ *   transformations: ['extractPhotos', 'removePhotoData'],
+ *   extractDir: './photos'
+ * })
+ * result.steps.forEach(step => console.log(step))
+ */
+export async function transformExport (exportPath, options = {}) {
+  const {
+    transformations = [],
+    descriptionTemplate = DEFAULT_SPLIT_DESCRIPTION_TEMPLATE,
+    extractDir = null,
+    scheme = 'by-map',
+    outputDir = null,
+    backup = true,
+    dryRun = false,
+    usedPaths = new Set()
+  } = options
+
+  let exportData = await readExportJson(exportPath)
+  const steps = []
+  let modified = false
+  let extracted = []
+
+  if (transformations.includes('splitMarkers')) {
+    const result = splitMarkersWithMultiplePhotos(exportData, { descriptionTemplate })
+    exportData = result.exportData
+    modified = result.createdCount > 0
+
+    steps.push(modified
+      ? `${dryRun ? 'Would split' : 'Split'} ${result.splits.length} marker(s) into ${result.createdCount} new marker(s)`
+      : 'No markers with multiple photos to split')
+  }
+
+  if (transformations.includes('extractPhotos')) {
+    const result = await extractPhotosToFiles(exportData, extractDir, { scheme, dryRun, usedPaths })
+    extracted = result.extracted
+
+    steps.push(`${dryRun ? 'Would extract' : 'Extracted'} ${extracted.length} photo(s) to ${extractDir}`)
+    for (const skip of result.skipped) {
+      steps.push(`Skipped ${skip.filename}: ${skip.reason}`)
+    }
+  }
+
+  if (transformations.includes('removePhotoData')) {
+    const result = removePhotoData(exportData)
+    exportData = result.exportData
+    modified = modified || result.strippedCount > 0
+
+    steps.push(result.strippedCount > 0
+      ? `${dryRun ? 'Would remove' : 'Removed'} image data of ${result.strippedCount} photo(s) (${formatBytes(result.bytesRemoved)})`
+      : 'No embedded photo data to remove')
+  }
+
+  let outputPath = null
+  let backupPath = null
+
+  if (modified) {
+    outputPath = outputDir ? path.join(outputDir, path.basename(exportPath)) : exportPath
+
+    if (dryRun) {
+      steps.push(`Would write ${outputPath}${backup && outputPath === exportPath ? ` (backup ${path.basename(getBackupPath(outputPath))})` : ''}`)
+    } else {
+      backupPath = await writeExportFile(exportData, outputPath, { backup })
+      if (backupPath) steps.push(`Backup saved to ${backupPath}`)
+    }
+  }
+
+  return {
+    exportFile: path.basename(exportPath),
+    exportPath,
+    success: true,
+    mapName: exportData.map.name,
+    photoCount: (exportData.photos || []).length,
+    extracted,
+    outputPath,
+    backupPath,
+    steps
+  }
+}
+
+/**
+ * Apply transformations to every export matching the input patterns
+ *
+ * A failing export is recorded and the batch continues. Extracted photos
+ * of all exports share one set of planned paths, so file names from
+ * different exports never overwrite each other.
+ *
+ * @param {string|string[]} patterns - Export paths or glob patterns
+ * @param {Object} options - Options of transformExport() plus:
+ * @param {Function} [options.onProgress] - Called with each file result
+ *   (plus index and totalFiles)
+ * @returns {Promise<Object>} Batch results with per-file results
+ * @throws {Error} If no transformation is selected, an option is invalid,
+ *   or no export matches
+ *
+ * @example
+ * const results = await transformExports('exports/*.json', {
+ *   transformations: ['removePhotoData'],
+ *   dryRun: true
+ * })
+ * console.log(`${results.successful}/${results.totalFiles} exports transformed`)
+ */
+export async function transformExports (patterns, options = {}) {
+  const { transformations = [], extractDir = null, scheme = 'by-map', onProgress = null } = options
+  const startTime = Date.now()
+
+  const known = TRANSFORMATIONS.map(t => t.name)
+  const unknown = transformations.filter(name => !known.includes(name))
+  if (transformations.length === 0) {
+    throw new Error(`No transformation selected (available: ${known.join(', ')})`)
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Unknown transformation: ${unknown.join(', ')} (available: ${known.join(', ')})`)
+  }
+  if (transformations.includes('extractPhotos') && !extractDir) {
+    throw new Error('extractPhotos needs an output directory (--extract-photos <dir>)')
+  }
+  if (!EXTRACT_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown extract scheme: ${scheme} (expected ${EXTRACT_SCHEMES.join(', ')})`)
+  }
+
+  const files = await resolveExportFiles(patterns)
+  const usedPaths = new Set()
+  const fileResults = []
+
+  for (const filePath of files) {
+    let result
+
+    try {
+      result = await transformExport(filePath, { ...options, usedPaths })
+    } catch (err) {
+      result = {
+        exportFile: path.basename(filePath),
+        exportPath: filePath,
+        success: false,
+        error: err.message
+      }
+    }
+
+    fileResults.push(result)
+    if (onProgress) onProgress({ ...result, index: fileResults.length, totalFiles: files.length })
+  }
+
+  const duration = Date.now() - startTime
+  const successful = fileResults.filter(r => r.success).length
+
+  return {
+    transformations: known.filter(name => transformations.includes(name)),
+    dryRun: options.dryRun || false,
+    totalFiles: files.length,
+    successful,
+    failed: files.length - successful,
+    extractedPhotos: fileResults.reduce((sum, r) => sum + (r.extracted?.length || 0), 0),
+    modifiedFiles: fileResults.filter(r => r.outputPath).length,
+    files: fileResults,
+    duration: formatDuration(duration),
+    durationMs: duration
+  }
+}
+
+/**
+ * Generate the report of a transformation run
+ *
+ * @param {Object} results - Results from transformExports()
+ * @param {string} format - Report format (text/json/html)
+ * @returns {string} Formatted report
+ */
+export function generateTransformerReport (results, format = 'html') {
+  return generateTransformReport({
+    totalFiles: results.totalFiles,
+    successful: results.successful,
+    failed: results.failed,
+    transformations: results.dryRun ? [...results.transformations, 'dry run'] : results.transformations,
+    duration: results.duration,
+    files: results.files.map(f => ({
+      filename: f.exportFile,
+      success: f.success,
+      transformations: f.success ? f.steps : [f.error]
+    }))
+  }, format)
+}
+
+/**
+ * Run Export Transformer in CLI mode
+ */
+async function runCli (args) {
+  const quiet = args.quiet || false
+  const dryRun = args.dryRun || false
+
+  if (!quiet) displayHeader(`SnapSpot Export Transformer${dryRun ? ' - Dry Run' : ''}`)
+
+  let multi = null
+  let doneBar = null
+  let failedBar = null
+
+  const results = await transformExports(args.exports, {
+    transformations: args.transformations,
+    descriptionTemplate: args.splitDescriptionTemplate,
+    extractDir: args.extractPhotos,
+    scheme: args.extractScheme,
+    outputDir: args.outputDir,
+    backup: !args.noBackup,
+    dryRun,
+    // Progress bars only render on a terminal, and only help for batches
+    onProgress: quiet || !process.stdout.isTTY
+      ? null
+      : (result) => {
+          if (!multi && result.totalFiles > 1) {
+            const total = result.totalFiles
+            multi = createMultiBar()
+            doneBar = multi.create(total, 'Transformed')
+            failedBar = multi.create(total, 'Failed     ')
+          }
+          if (multi) (result.success ? doneBar : failedBar).increment()
+        }
+  })
+
+  if (multi) multi.stop()
+
+  if (!quiet) {
+    console.log('')
+    displayInfo(`Transformations: ${results.transformations.join(', ')}`)
+    for (const file of results.files) {
+      if (file.success) {
+        console.log(`${file.exportFile}:`)
+        file.steps.forEach(step => console.log(`  ${step}`))
+      } else {
+        displayWarning(`${file.exportFile}: ${file.error}`)
+      }
+    }
+    console.log('')
+    console.log(`Exports: ${results.totalFiles}`)
+    console.log(`Duration: ${results.duration}`)
+    if (dryRun) {
+      displayInfo('Dry run - no files were written')
+    } else {
+      displaySuccess(`${results.modifiedFiles} export(s) written, ${results.extractedPhotos} photo(s) extracted`)
+    }
+  }
+
+  if (args.report !== undefined) {
+    const format = args.format || 'html'
+    const reportPath = typeof args.report === 'string'
+      ? args.report
+      : path.join(args.outputDir || path.dirname(results.files[0].exportPath), `export_transformer_report.${format}`)
+
+    await writeReportToFile(generateTransformerReport(results, format), reportPath)
+    if (!quiet) displaySuccess(`Report saved to: ${reportPath}`)
+  }
+
+  if (results.failed > 0) {
+    if (!quiet) displayWarning('Some exports could not be transformed (exit code 1)')
+    process.exit(1)
+  }
+}
+
+/**
+ * Display help message
+ */
+function displayHelp () {
+  console.log(`
+SnapSpot Export Transformer - Batch modify export files
+
+USAGE:
+  export-transformer --export <path|glob> --transform <name> [options]
+
+TRANSFORMATIONS (applied in this order):
+${TRANSFORMATIONS.map(t => `  ${t.name.padEnd(22)}${t.description}`).join('\n')}
+
+OPTIONS:
+  --export <path|glob>      Export file(s) to transform; quote globs ("exports/*.json").
+                            Can be repeated
+  --transform <name>        Transformation to apply (can be repeated)
+  --split-markers           Same as --transform splitMarkers
+  --split-description-template <template>
+                            Descriptions of split markers; {original}, {number} and
+                            {total} are replaced (default: "${DEFAULT_SPLIT_DESCRIPTION_TEMPLATE}")
+  --extract-photos <dir>    Directory for extracted photos (implies extractPhotos)
+  --extract-scheme <type>   Photo layout: ${EXTRACT_SCHEMES.join(', ')} (default: by-map)
+  --remove-photos           Same as --transform removePhotoData
+  --output-dir <dir>        Write modified exports here instead of overwriting them
+  --dry-run                 Show what would change without writing any file
+  --no-backup               Do not back up files before overwriting them
+  --backup                  Back up files before overwriting them (default)
+  --report [path]           Save transformation report (auto-generates filename, or specify custom path)
+  --format <type>           Report format: json, text, html (default: html)
+  --quiet                   Minimal output
+  --help                    Show this help message
+
+EXAMPLES:
+  # Remove embedded photo data from all exports (backups are automatic)
+  export-transformer --export "exports/*.json" --remove-photos
+
+  # Extract embedded photos, one folder per map
+  export-transformer --export data.json --extract-photos ./photos --extract-scheme by-map
+
+  # Extract photos into one folder per marker, then strip the photo data
+  export-transformer --export data.json --extract-photos ./photos \\
+    --extract-scheme by-marker-number --transform removePhotoData
+
+  # One marker per photo, then extract the photos into one folder per marker
+  export-transformer --export data.json --split-markers \\
+    --split-description-template "{original} ({number}/{total})" \\
+    --extract-photos ./photos --extract-scheme by-marker-number
+
+  # Preview a batch without writing anything
+  export-transformer --export "exports/**/*.json" --remove-photos --dry-run
+
+NOTES:
+  - Split markers stay at the position of the original marker; the original
+    keeps its id and first photo, new markers get new ids
+  - Photo objects (id, fileName, markerId, ...) are kept when photo data is
+    removed, so SnapSpot can serve the photos from a local directory
+  - Extracted photos keep their file names; existing files are never
+    overwritten (a -2, -3, ... suffix is added)
+  - Backups are saved next to the file as <name>.json.backup.<timestamp>
+  - Exit code 1 if any export failed
+
+For more information, see: cli/tools/export-transformer/README.md
+`)
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs () {
+  const args = process.argv.slice(2)
+  const parsed = { exports: [], transformations: [] }
+
+  const addTransformation = (name) => {
+    if (!parsed.transformations.includes(name)) parsed.transformations.push(name)
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true
+    } else if (arg === '--export') {
+      parsed.exports.push(args[++i])
+    } else if (arg === '--transform') {
+      addTransformation(args[++i])
+    } else if (arg === '--split-markers') {
+      addTransformation('splitMarkers')
+    } else if (arg === '--split-description-template') {
+      parsed.splitDescriptionTemplate = args[++i]
+    } else if (arg === '--extract-photos') {
+      parsed.extractPhotos = args[++i]
+      addTransformation('extractPhotos')
+    } else if (arg === '--extract-scheme') {
+      parsed.extractScheme = args[++i]
+    } else if (arg === '--remove-photos' || arg === '--remove-photo-data') {
+      addTransformation('removePhotoData')
+    } else if (arg === '--output-dir') {
+      parsed.outputDir = args[++i]
+    } else if (arg === '--dry-run') {
+      parsed.dryRun = true
+    } else if (arg === '--no-backup') {
+      parsed.noBackup = true
+    } else if (arg === '--backup') {
+      parsed.noBackup = false
+    } else if (arg === '--report') {
+      // Check if next arg is a value or another flag
+      const nextArg = args[i + 1]
+      if (nextArg && !nextArg.startsWith('--')) {
+        parsed.report = args[++i] // Path provided
+      } else {
+        parsed.report = true // Boolean flag
+      }
+    } else if (arg === '--format') {
+      parsed.format = args[++i]
+    } else if (arg === '--quiet') {
+      parsed.quiet = true
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Main entry point
+ */
+async function main () {
+  const args = parseArgs()
+
+  if (args.help) {
+    displayHelp()
+    return
+  }
+
+  if (args.exports.length === 0 || args.transformations.length === 0) {
+    displayError('Missing arguments. Use --help for usage information.')
+    process.exit(1)
+  }
+
+  await runCli(args)
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}` || process.argv[1].endsWith('export-transformer.js')) {
+  main().catch(err => {
+    displayError(`Fatal error: ${err.message}`)
+    console.error(err.stack)
+    process.exit(1)
+  })
+}
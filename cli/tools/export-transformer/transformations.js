@@ -0,0 +1,183 @@
+/**
+ * Export Transformations - Operations of the Export Transformer
+ *
+ * Photo extraction and photo data removal for raw SnapSpot export JSON
+ * (images embedded as data URIs). Export handling comes from
+ * cli/shared/export-writer.js, image conversion from lib/snapspot-image.
+ * Marker splitting is splitMarkersWithMultiplePhotos() from
+ * lib/snapspot-data/splitter.js.
+ *
+ * @module cli/tools/export-transformer/transformations
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { extractPhotoData, removePhotos, sanitizeName } from '../../shared/export-writer.js'
+import { base64ToBlob } from '../../../lib/snapspot-image/converter.js'
+import { getMarkerNumbers } from '../../../lib/snapspot-data/parser.js'
+
+/**
+ * Available transformations, in the order they are applied
+ * @constant {Array<{name: string, description: string}>}
+ */
+export const TRANSFORMATIONS = [
+  { name: 'splitMarkers', description: 'Split markers with multiple photos into one marker per photo' },
+  { name: 'extractPhotos', description: 'Save embedded photos as image files' },
+  { name: 'removePhotoData', description: 'Strip embedded imageData, keep photo objects' }
+]
+
+/**
+ * Directory layouts for extracted photos
+ * @constant {string[]}
+ */
+export const EXTRACT_SCHEMES = ['flat', 'by-map', 'by-marker-description', 'by-marker-number']
+
+// File extensions for photo MIME types (photos are JPEG unless stated otherwise)
+const PHOTO_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+}
+
+/**
+ * Get the directory of an extracted photo, relative to the output directory
+ *
+ * @param {Object} exportData - Export data
+ * @param {Object|undefined} marker - Marker of the photo
+ * @param {Map<string, number>} markerNumbers - From getMarkerNumbers() (lib/snapspot-data/parser.js)
+ * @param {string} scheme - One of EXTRACT_SCHEMES
+ * @returns {string} Relative directory ('' for flat)
+ */
+export function getPhotoDirectory (exportData, marker, markerNumbers, scheme) {
+  if (scheme === 'flat') return ''
+
+  const mapDir = sanitizeName(exportData.map.name, 'map')
+  if (scheme === 'by-map') return mapDir
+
+  const number = marker ? markerNumbers.get(marker.id) : null
+  const numberDir = number ? `marker-${String(number).padStart(3, '0')}` : 'unassigned'
+
+  if (scheme === 'by-marker-number' || !marker) {
+    return path.join(mapDir, numberDir)
+  }
+  return path.join(mapDir, sanitizeName(marker.description, numberDir))
+}
+
+/**
+ * Pick a file name that is not used yet in the directory
+ * @private
+ * @param {string} directory - Absolute directory
+ * @param {string} fileName - Wanted file name
+ * @param {Set<string>} usedPaths - Paths already planned (updated)
+ * @returns {Promise<string>} Absolute file path
+ */
+async function getFreePath (directory, fileName, usedPaths) {
+  const extension = path.extname(fileName)
+  const base = path.basename(fileName, extension)
+
+  for (let counter = 1; ; counter++) {
+    const candidate = path.join(directory, counter === 1 ? fileName : `${base}-${counter}${extension}`)
+    const key = candidate.toLowerCase()
+
+    if (usedPaths.has(key)) continue
+    try {
+      await fs.access(candidate)
+      continue // Never overwrite existing files
+    } catch {
+      usedPaths.add(key)
+      return candidate
+    }
+  }
+}
+
+/**
+ * Extract embedded photos of an export to image files
+ *
+ * Photos keep their original file name (with an extension matching their
+ * type); names that are already taken get a -2, -3, ... suffix, existing
+ * files are never overwritten. Photos without imageData are skipped.
+ *
+ * @param {Object} exportData - Raw export data (images as data URIs)
+ * @param {string} outputDir - Directory for the extracted photos
+ * @param {Object} [options={}] - Extraction options
+ * @param {string} [options.scheme='by-map'] - Directory layout (see EXTRACT_SCHEMES)
+ * @param {boolean} [options.dryRun=false] - Plan the files without writing them
+ * @param {Set<string>} [options.usedPaths] - Paths planned by earlier calls
+ *   (share one set across a batch so files from different exports never collide)
+ * @returns {Promise<Object>} { extracted: [{photoId, markerId, filename, path, size}], skipped: [{photoId, filename, reason}] }
+ * @throws {Error} If the scheme is unknown or a file cannot be written
+ *
+ * @example
+ * const { extracted } = await extractPhotosToFiles(exportData, './photos', {
+ *   scheme: 'by-marker-number'
+ * })
+ * console.log(`${extracted.length} photos saved`)
+ */
+export async function extractPhotosToFiles (exportData, outputDir, options = {}) {
+  const { scheme = 'by-map', dryRun = false, usedPaths = new Set() } = options
+
+  if (!EXTRACT_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown extract scheme: ${scheme} (expected ${EXTRACT_SCHEMES.join(', ')})`)
+  }
+
+  const markersById = new Map(exportData.markers.map(marker => [marker.id, marker]))
+  const markerNumbers = getMarkerNumbers(exportData.markers)
+  const extracted = []
+  const skipped = []
+
+  for (const photo of extractPhotoData(exportData)) {
+    if (!photo.imageData) {
+      skipped.push({ photoId: photo.id, filename: photo.filename, reason: 'No embedded image data' })
+      continue
+    }
+
+    let blob
+    try {
+      blob = base64ToBlob(photo.imageData)
+    } catch (err) {
+      skipped.push({ photoId: photo.id, filename: photo.filename, reason: err.message })
+      continue
+    }
+
+    const extension = PHOTO_EXTENSIONS[blob.type] || '.jpg'
+    const name = sanitizeName(path.basename(photo.filename, path.extname(photo.filename)), photo.id || 'photo')
+    const directory = path.resolve(outputDir, getPhotoDirectory(exportData, markersById.get(photo.markerId), markerNumbers, scheme))
+    const filePath = await getFreePath(directory, name + extension, usedPaths)
+
+    if (!dryRun) {
+      await fs.mkdir(directory, { recursive: true })
+      await fs.writeFile(filePath, Buffer.from(await blob.arrayBuffer()))
+    }
+
+    extracted.push({
+      photoId: photo.id,
+      markerId: photo.markerId,
+      filename: photo.filename,
+      path: filePath,
+      size: blob.size
+    })
+  }
+
+  return { extracted, skipped }
+}
+
+/**
+ * Strip embedded image data from all photos, keeping the photo objects
+ *
+ * @param {Object} exportData - Raw export data
+ * @returns {{exportData: Object, strippedCount: number, bytesRemoved: number}}
+ *   New export data, photos stripped and characters of image data removed
+ *
+ * @example
+ * const { exportData: smaller, strippedCount } = removePhotoData(exportData)
+ */
+export function removePhotoData (exportData) {
+  const withData = (exportData.photos || []).filter(photo => photo.imageData)
+
+  return {
+    exportData: removePhotos(exportData, { keepMetadata: true }),
+    strippedCount: withData.length,
+    bytesRemoved: withData.reduce((sum, photo) => sum + photo.imageData.length, 0)
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * CLI Tests for Map Migrator
+ *
+ * Runs the map-migrator command and checks how it rejects invalid options
+ * before reading any files.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'child_process'
+import os from 'os'
+import { fileURLToPath } from 'url'
+
+const CLI = fileURLToPath(new URL('../map-migrator.js', import.meta.url))
+
+/**
+ * Run the CLI with arguments
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {{status: number, stderr: string}}
+ */
+function runCli (args) {
+  const { status, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: os.tmpdir(), // Nothing is written next to the sources
+    encoding: 'utf8',
+    timeout: 30000
+  })
+  return { status, stderr }
+}
+
+const MIGRATION_ARGS = [
+  '--export', 'old.json',
+  '--target', 'current.json',
+  '--pairs', 'pairs.csv',
+  '--output', 'merged.json',
+  '--duplicates', 'coordinates'
+]
+
+test('rejects a non-numeric --tolerance', () => {
+  const { status, stderr } = runCli([...MIGRATION_ARGS, '--tolerance', 'abc'])
+
+  assert.equal(status, 1)
+  assert.match(stderr, /--tolerance must be a non-negative number of pixels/)
+})
+
+test('rejects a negative or missing --tolerance', () => {
+  for (const value of [['-1'], ['Infinity'], []]) {
+    const { status, stderr } = runCli([...MIGRATION_ARGS, '--tolerance', ...value])
+
+    assert.equal(status, 1, `--tolerance ${value.join(' ')} should fail`)
+    assert.match(stderr, /--tolerance must be a non-negative number of pixels/)
+  }
+})
+
+test('accepts a valid --tolerance', () => {
+  const { stderr } = runCli([...MIGRATION_ARGS, '--tolerance', '2.5'])
+
+  assert.doesNotMatch(stderr, /--tolerance must be/)
+})
@@ -0,0 +1,617 @@
+#!/usr/bin/env node
+
+/**
+ * Map Migrator CLI - Move SnapSpot exports onto a new map image
+ *
+ * Headless counterpart of the browser Map Migrator. Transforms every
+ * marker of an export with reference pairs or a saved transform profile
+ * and writes the migrated export.
+ *
+ * Features:
+ * - Affine fit of reference pairs from JSON, CSV or a saved session
+ * - Picks the best profile by source/target map image hash automatically
+ * - Replace mode (target is an image) or merge mode (target is an export)
+ * - Same duplicate detection strategies as the browser merge
+ * - Batch migration of a directory, optionally merged into one export
+ * - Transformation report (text, JSON or HTML)
+ *
+ * Usage:
+ *   map-migrator --export old.json --target new-plan.png --pairs pairs.csv --output migrated.json
+ *   map-migrator --export old.json --target new-plan.png --profiles profiles.json --output migrated.json
+ *
+ * @module cli/tools/map-migrator
+ */
+
+import path from 'path'
+import { writeExportFile } from '../../shared/export-writer.js'
+import { findFilesByPattern } from '../../shared/file-finder.js'
+import {
+  displaySuccess,
+  displayError,
+  displayInfo,
+  displayWarning,
+  displayHeader
+} from '../../shared/prompt-helpers.js'
+import { createMultiBar, formatDuration } from '../../shared/progress-bar.js'
+import { generateTransformReport, writeReportToFile } from '../../shared/report-generator.js'
+import { DUPLICATE_STRATEGIES } from '../../../lib/snapspot-data/session.js'
+import {
+  loadSourceExport,
+  loadMigrationTarget,
+  resolveTransform,
+  transformMarkers,
+  mergeMigratedMarkers,
+  buildTargetExport,
+  buildMigratedExport
+} from './migration.js'
+
+/**
+ * Migrate an export onto a target map
+ *
+ * The transformation comes from reference pairs (fitted with an affine
+ * transformation) or from a saved transform profile.
+ *
+ * @param {string} exportPath - Path to source export JSON file
+ * @param {string} targetPath - Path to target map image or export JSON file
+ * @param {string} outputPath - Path of the migrated export
+ * @param {Object} options - Migration options
+ * @param {string} [options.pairs] - Reference pair file (.json, .csv or session file)
+ * @param {string} [options.profiles] - Transform profile file (used if no pairs are given)
+ * @param {string} [options.profile] - Profile name or id (default: best match)
+ * @param {string} [options.mapName] - Name of the migrated map
+ * @param {string} [options.duplicateStrategy='none'] - Merge mode duplicate detection
+ * @param {number} [options.coordinateTolerance=5] - Merge mode coordinate tolerance (px)
+ * @param {boolean} [options.backup=false] - Back up an existing output file
+ * @returns {Promise<Object>} Migration results
+ * @throws {Error} If neither pairs nor profiles are given, or the migration fails
+ *
+ * @example
+ * const results = await migrateExport('./old.json', './new.png', './migrated.json', {
+ *   pairs: './pairs.csv'
+ * })
+ * console.log(`${results.markerCount} markers, RMSE ${results.transform.rmse}px`)
+ */
+export async function migrateExport (exportPath, targetPath, outputPath, options = {}) {
+  const startTime = Date.now()
+
+  const source = await loadSourceExport(exportPath)
+  const target = await loadMigrationTarget(targetPath)
+  const { transform, transformPoints } = await resolveTransform(source, target, options)
+
+  const { markers, outOfBounds } = transformMarkers(source, target, transformPoints)
+  const { exportData, stats } = await buildMigratedExport(source, target, markers, options)
+
+  await writeExportFile(exportData, outputPath, { backup: options.backup })
+
+  const duration = Date.now() - startTime
+
+  return {
+    exportFile: path.basename(exportPath),
+    outputPath,
+    mapName: exportData.map.name,
+    mode: target.export ? 'merge' : 'replace',
+    transform,
+    markerCount: markers.length,
+    photoCount: source.photos.length,
+    outOfBounds,
+    mergeStats: stats,
+    duration: formatDuration(duration),
+    durationMs: duration
+  }
+}
+
+/**
+ * Migrate every export in a directory through one transformation
+ *
+ * The transformation is resolved for the first export and reused for the
+ * others, which must all belong to the same source map. Each export is
+ * written to outputDir, or all are merged into one export at output.
+ * A failing export is recorded and the batch continues.
+ *
+ * @param {string} exportDir - Directory with source exports
+ * @param {string} targetPath - Path to target map image or export JSON file
+ * @param {Object} options - Migration options (see migrateExport) plus:
+ * @param {string} [options.pattern='*.json'] - Glob pattern for exports in exportDir
+ * @param {string} [options.outputDir] - Output directory (one export per file)
+ * @param {boolean} [options.merge=false] - Merge all exports into one export
+ * @param {string} [options.output] - Output path when merging
+ * @param {Array<string>} [options.exclude=[]] - Absolute paths to skip (e.g. the target)
+ * @param {Function} [options.onProgress] - Called with each file result
+ *   (plus index and totalFiles)
+ * @returns {Promise<Object>} Batch results with per-file results
+ * @throws {Error} If no exports are found or the output is missing
+ *
+ * @example
+ * const results = await migrateBatch('./daily', './new-plan.png', {
+ *   pairs: './pairs.csv',
+ *   merge: true,
+ *   output: './all-teams.json',
+ *   duplicateStrategy: 'smart'
+ * })
+ * console.log(`${results.successful}/${results.totalFiles} exports migrated`)
+ */
+export async function migrateBatch (exportDir, targetPath, options = {}) {
+  const {
+    pattern = '*.json',
+    outputDir = null,
+    merge = false,
+    output = null,
+    exclude = [],
+    onProgress = null
+  } = options
+
+  const startTime = Date.now()
+
+  if (merge ? !output : !outputDir) {
+    throw new Error(merge ? 'Output file is required when merging' : 'Output directory is required')
+  }
+
+  if (!merge && path.resolve(outputDir) === path.resolve(exportDir)) {
+    throw new Error('Output directory must differ from the export directory')
+  }
+
+  const excluded = new Set(exclude.map(p => path.resolve(p)))
+  const files = (await findFilesByPattern(exportDir, pattern))
+    .filter(filePath => !excluded.has(path.resolve(filePath)))
+    .sort()
+
+  if (files.length === 0) {
+    throw new Error(`No exports matching ${pattern} found in ${exportDir}`)
+  }
+
+  const target = await loadMigrationTarget(targetPath)
+
+  let resolved = null
+  let firstSource = null
+  let mergedExport = merge ? (target.export || { map: {}, markers: [], photos: [] }) : null
+  const fileResults = []
+
+  for (const filePath of files) {
+    let result
+
+    try {
+      const source = await loadSourceExport(filePath)
+
+      if (!resolved) {
+        resolved = await resolveTransform(source, target, options)
+        firstSource = { ...source, exportFile: path.basename(filePath) }
+      } else if (source.imageHash !== firstSource.imageHash) {
+        throw new Error(`Export belongs to a different map than ${firstSource.exportFile}`)
+      }
+
+      const { markers, outOfBounds } = transformMarkers(source, target, resolved.transformPoints)
+      let stats = null
+      let outputPath = output
+
+      if (merge) {
+        const mergeResult = mergeMigratedMarkers(mergedExport, source, markers, options)
+        mergedExport = mergeResult.merged
+        stats = mergeResult.stats
+      } else {
+        const built = await buildMigratedExport(source, target, markers, options)
+        outputPath = path.join(outputDir, path.basename(filePath))
+        await writeExportFile(built.exportData, outputPath, { backup: options.backup })
+        stats = built.stats
+      }
+
+      result = {
+        exportFile: path.basename(filePath),
+        success: true,
+        outputPath,
+        mode: merge || target.export ? 'merge' : 'replace',
+        markerCount: markers.length,
+        photoCount: source.photos.length,
+        outOfBounds,
+        mergeStats: stats
+      }
+    } catch (err) {
+      result = {
+        exportFile: path.basename(filePath),
+        success: false,
+        error: err.message
+      }
+    }
+
+    fileResults.push(result)
+    if (onProgress) onProgress({ ...result, index: fileResults.length, totalFiles: files.length })
+  }
+
+  if (merge && firstSource) {
+    const mapName = options.mapName || target.export?.map.name || firstSource.map.name
+    const exportData = await buildTargetExport(target, mergedExport.markers, mergedExport.photos, mapName)
+    await writeExportFile(exportData, output, { backup: options.backup })
+  }
+
+  const duration = Date.now() - startTime
+  const successful = fileResults.filter(r => r.success).length
+
+  return {
+    exportDir,
+    pattern,
+    outputPath: merge ? output : outputDir,
+    merge,
+    mapName: options.mapName || target.export?.map.name || firstSource?.map.name || target.name,
+    transform: resolved?.transform || null,
+    totalFiles: files.length,
+    successful,
+    failed: files.length - successful,
+    files: fileResults,
+    duration: formatDuration(duration),
+    durationMs: duration
+  }
+}
+
+/**
+ * Describe a transformation for reports
+ *
+ * @param {Object} transform - Transformation summary from migrateExport()/migrateBatch()
+ * @returns {string} One-line description
+ */
+export function describeTransform (transform) {
+  const formatPx = (value) => value !== null && value !== undefined ? `${value.toFixed(2)}px` : 'n/a'
+
+  return `${transform.name} (${transform.modelId}, ${transform.pointCount} pairs, RMSE ${formatPx(transform.rmse)}, ` +
+    `cross-validated ${formatPx(transform.crossValidatedRmse)})`
+}
+
+/**
+ * Describe what happened to one export for reports
+ *
+ * @param {Object} result - Results from migrateExport() or a migrateBatch() file result
+ * @returns {Array<string>} Migration steps
+ */
+export function describeMigration (result) {
+  const { mergeStats } = result
+
+  const steps = [
+    `${result.markerCount} markers, ${result.photoCount} photos`,
+    result.mode === 'merge'
+      ? `Merged (${mergeStats.newMarkers} new, ${mergeStats.duplicateMarkers} duplicate markers)`
+      : 'New map image'
+  ]
+
+  if (result.outOfBounds > 0) {
+    steps.push(`${result.outOfBounds} marker(s) clamped to map edge`)
+  }
+
+  return steps
+}
+
+/**
+ * Generate the transformation report of a migration or batch migration
+ *
+ * @param {Object} results - Results from migrateExport() or migrateBatch()
+ * @param {string} format - Report format (text/json/html)
+ * @returns {string} Formatted report
+ */
+export function generateMigrationReport (results, format = 'html') {
+  const files = results.files || [{ ...results, success: true }]
+
+  return generateTransformReport({
+    totalFiles: files.length,
+    successful: files.filter(f => f.success).length,
+    failed: files.filter(f => !f.success).length,
+    transformations: results.transform ? [describeTransform(results.transform)] : [],
+    duration: results.duration,
+    files: files.map(f => ({
+      filename: f.exportFile,
+      success: f.success,
+      transformations: f.success ? describeMigration(f) : [f.error]
+    }))
+  }, format)
+}
+
+/**
+ * Sanitize map name for use in filenames
+ */
+function sanitizeFilename (name) {
+  return name
+    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filename chars
+    .replace(/\s+/g, '_') // Replace spaces with underscores
+    .trim()
+}
+
+/**
+ * Display transformation warnings
+ */
+function displayTransformWarnings (transform) {
+  for (const warning of transform.warnings) {
+    displayWarning(warning)
+  }
+}
+
+/**
+ * Save the report if requested
+ */
+async function saveReport (args, results, defaultDir) {
+  if (args.report === undefined) return
+
+  const format = args.format || 'html'
+  const reportPath = typeof args.report === 'string'
+    ? args.report
+    : path.join(defaultDir, `${sanitizeFilename(results.mapName)}_migration_report.${format}`)
+
+  await writeReportToFile(generateMigrationReport(results, format), reportPath)
+  if (!args.quiet) displaySuccess(`Report saved to: ${reportPath}`)
+}
+
+/**
+ * Run Map Migrator in CLI mode for one export
+ */
+async function runCli (args, options) {
+  const quiet = args.quiet || false
+
+  if (!quiet) displayHeader('SnapSpot Map Migrator')
+
+  const results = await migrateExport(args.export, args.target, args.output, options)
+
+  if (!quiet) {
+    const [, mergeStep] = describeMigration(results)
+
+    displayInfo(`Transformation: ${describeTransform(results.transform)}`)
+    displayInfo(`Mode: ${results.mode}`)
+    console.log(`Markers: ${results.markerCount}`)
+    console.log(`Photos: ${results.photoCount}`)
+    if (results.mergeStats) {
+      console.log(mergeStep)
+    }
+    displayTransformWarnings(results.transform)
+    if (results.outOfBounds > 0) {
+      displayWarning(`${results.outOfBounds} marker(s) fell outside the target map and were clamped to its edge`)
+    }
+    console.log(`Duration: ${results.duration}`)
+    console.log('')
+    displaySuccess(`Migrated export saved to: ${results.outputPath}`)
+  }
+
+  await saveReport(args, results, path.dirname(args.output))
+}
+
+/**
+ * Run Map Migrator in batch mode for a directory of exports
+ */
+async function runBatch (args, options) {
+  const quiet = args.quiet || false
+
+  if (!quiet) displayHeader('SnapSpot Map Migrator - Batch Mode')
+
+  let multi = null
+  let migratedBar = null
+  let failedBar = null
+
+  const results = await migrateBatch(args.exportDir, args.target, {
+    ...options,
+    pattern: args.pattern,
+    outputDir: args.outputDir,
+    merge: args.merge || false,
+    output: args.output,
+    exclude: [args.target, args.output, args.pairs, args.profiles].filter(Boolean),
+    // Progress bars only render on a terminal (not when output is piped or logged)
+    onProgress: quiet || !process.stdout.isTTY
+      ? null
+      : (result) => {
+          if (!multi) {
+            // Created on the first result, once the file count is known
+            const total = result.totalFiles
+            multi = createMultiBar()
+            migratedBar = multi.create(total, 'Migrated')
+            failedBar = multi.create(total, 'Failed  ')
+          }
+          (result.success ? migratedBar : failedBar).increment()
+        }
+  })
+
+  if (multi) multi.stop()
+
+  if (!quiet) {
+    console.log('')
+    if (results.transform) {
+      displayInfo(`Transformation: ${describeTransform(results.transform)}`)
+      displayTransformWarnings(results.transform)
+    }
+    console.log(`Exports: ${results.totalFiles}`)
+    displaySuccess(`Migrated: ${results.successful}`)
+    for (const file of results.files.filter(f => !f.success)) {
+      displayWarning(`${file.exportFile}: ${file.error}`)
+    }
+    const clamped = results.files.reduce((sum, f) => sum + (f.outOfBounds || 0), 0)
+    if (clamped > 0) {
+      displayWarning(`${clamped} marker(s) fell outside the target map and were clamped to its edge`)
+    }
+    console.log(`Duration: ${results.duration}`)
+    console.log('')
+    if (results.successful > 0) {
+      displaySuccess(results.merge
+        ? `Merged export saved to: ${results.outputPath}`
+        : `Migrated exports saved to: ${results.outputPath}`)
+    }
+  }
+
+  await saveReport(args, results, results.merge ? path.dirname(args.output) : args.outputDir)
+
+  if (results.failed > 0) {
+    if (!quiet) displayWarning('Some exports could not be migrated (exit code 1)')
+    process.exit(1)
+  }
+}
+
+/**
+ * Display help message
+ */
+function displayHelp () {
+  console.log(`
+SnapSpot Map Migrator - Move exports onto a new map image
+
+USAGE:
+  map-migrator --export <path> --target <path> --pairs <path> --output <path> [options]
+  map-migrator --export <path> --target <path> --profiles <path> --output <path> [options]
+
+  Batch mode:
+    map-migrator --export-dir <dir> --target <path> --pairs <path> --output-dir <dir> [options]
+    map-migrator --export-dir <dir> --target <path> --pairs <path> --merge --output <path> [options]
+
+OPTIONS:
+  --export <path>         Path to SnapSpot export JSON file (old map)
+  --export-dir <dir>      Batch mode: migrate every export in a directory
+  --pattern <glob>        Batch mode: exports to include (default: *.json)
+  --output-dir <dir>      Batch mode: directory for the migrated exports
+  --merge                 Batch mode: merge all exports into one export (--output)
+  --target <path>         New map image (PNG, JPEG, GIF, WebP) or export JSON to merge into
+  --pairs <path>          Reference pairs: CSV (source_x,source_y,target_x,target_y),
+                          JSON or a session file saved by the browser Map Migrator
+  --profiles <path>       Transform profile file (exported from the browser Map Migrator)
+  --output <path>         Path of the migrated export JSON file
+  --profile <name|id>     Use this profile instead of the best match
+  --name <name>           Name of the migrated map (default: source map name)
+  --duplicates <type>     Merge mode duplicate detection: ${DUPLICATE_STRATEGIES.join(', ')} (default: none)
+  --tolerance <px>        Merge mode coordinate tolerance in pixels (default: 5)
+  --report [path]         Save transformation report (auto-generates filename, or specify custom path)
+  --format <type>         Report format: json, text, html (default: html)
+  --backup                Back up an existing output file
+  --quiet                 Minimal output
+  --help                  Show this help message
+
+EXAMPLES:
+  # Migrate with reference pairs and save an HTML report
+  map-migrator --export old.json --target new-plan.png --pairs pairs.csv --output migrated.json --report
+
+  # Re-run a migration saved as a session in the browser
+  map-migrator --export old.json --target new-plan.png --pairs session.json --output migrated.json
+
+  # Migrate onto a new floor plan with the best matching profile
+  map-migrator --export old.json --target new-plan.png --profiles profiles.json --output migrated.json
+
+  # Merge into an existing export, combining markers that share photos
+  map-migrator --export old.json --target current.json --profiles profiles.json --output merged.json --duplicates photos
+
+  # Migrate all daily exports and merge them into one export
+  map-migrator --export-dir ./daily --target new-plan.png --pairs pairs.csv --merge --output all.json --duplicates smart --report
+
+  # Use a specific profile
+  map-migrator --export old.json --target new-plan.png --profiles profiles.json --output migrated.json --profile "Warehouse 2019 → 2024"
+
+NOTES:
+  - Reference pairs are in image pixels. CSV and JSON pairs are fitted with
+    an affine transformation (3+ pairs); session files are fitted with the
+    session's model and robust fit settings (rigid and similarity 2+ pairs,
+    affine 3+, homography and thin-plate spline 4+)
+  - Profiles and sessions match by map image hash: the maps must be the
+    maps they were saved for
+  - Markers outside the target map are clamped to its edge and reported
+  - Batch mode resolves the transformation once; all exports must belong to
+    the same source map. Exit code 1 if any export failed
+
+For more information, see: cli/tools/map-migrator/README.md
+`)
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs () {
+  const args = process.argv.slice(2)
+  const parsed = {}
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true
+    } else if (arg === '--export') {
+      parsed.export = args[++i]
+    } else if (arg === '--export-dir') {
+      parsed.exportDir = args[++i]
+    } else if (arg === '--pattern') {
+      parsed.pattern = args[++i]
+    } else if (arg === '--output-dir') {
+      parsed.outputDir = args[++i]
+    } else if (arg === '--merge') {
+      parsed.merge = true
+    } else if (arg === '--target') {
+      parsed.target = args[++i]
+    } else if (arg === '--pairs') {
+      parsed.pairs = args[++i]
+    } else if (arg === '--profiles') {
+      parsed.profiles = args[++i]
+    } else if (arg === '--output') {
+      parsed.output = args[++i]
+    } else if (arg === '--profile') {
+      parsed.profile = args[++i]
+    } else if (arg === '--name') {
+      parsed.name = args[++i]
+    } else if (arg === '--duplicates') {
+      parsed.duplicates = args[++i]
+    } else if (arg === '--tolerance') {
+      parsed.tolerance = parseFloat(args[++i])
+    } else if (arg === '--report') {
+      // Check if next arg is a value or another flag
+      const nextArg = args[i + 1]
+      if (nextArg && !nextArg.startsWith('--')) {
+        parsed.report = args[++i] // Path provided
+      } else {
+        parsed.report = true // Boolean flag
+      }
+    } else if (arg === '--format') {
+      parsed.format = args[++i]
+    } else if (arg === '--backup') {
+      parsed.backup = true
+    } else if (arg === '--quiet') {
+      parsed.quiet = true
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Main entry point
+ */
+async function main () {
+  const args = parseArgs()
+
+  if (args.help) {
+    displayHelp()
+    return
+  }
+
+  const duplicateStrategy = args.duplicates || 'none'
+  if (!DUPLICATE_STRATEGIES.includes(duplicateStrategy)) {
+    displayError(`Unknown duplicate strategy: ${duplicateStrategy} (expected ${DUPLICATE_STRATEGIES.join(', ')})`)
+    process.exit(1)
+  }
+
+  if (args.tolerance !== undefined && !(Number.isFinite(args.tolerance) && args.tolerance >= 0)) {
+    displayError('--tolerance must be a non-negative number of pixels. Use --help for usage information.')
+    process.exit(1)
+  }
+
+  const options = {
+    pairs: args.pairs,
+    profiles: args.profiles,
+    profile: args.profile,
+    mapName: args.name,
+    duplicateStrategy,
+    coordinateTolerance: args.tolerance,
+    backup: args.backup || false
+  }
+
+  const hasTransform = args.target && (args.pairs || args.profiles)
+
+  if (hasTransform && args.export && args.output) {
+    await runCli(args, options)
+  } else if (hasTransform && args.exportDir && (args.merge ? args.output : args.outputDir)) {
+    await runBatch(args, options)
+  } else {
+    displayError('Missing arguments. Use --help for usage information.')
+    process.exit(1)
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}` || process.argv[1].endsWith('map-migrator.js')) {
+  main().catch(err => {
+    displayError(`Fatal error: ${err.message}`)
+    console.error(err.stack)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,561 @@
+/**
+ * Map Migration Logic - Move SnapSpot exports onto a new map image
+ *
+ * Node counterpart of the browser Map Migrator's export generation.
+ * Transformation math comes from core/transformation, export handling
+ * from lib/snapspot-data.
+ *
+ * @module cli/tools/map-migrator/migration
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { loadExportFile } from '../../shared/export-loader.js'
+import { buildExport } from '../../../lib/snapspot-data/writer.js'
+import { mergeExports, getMergeStatistics } from '../../../lib/snapspot-data/merger.js'
+import { generateImageHash } from '../../../lib/snapspot-image/hasher.js'
+import { getImageInfo } from '../../../lib/snapspot-image/image-info.js'
+import { SESSION_TYPE, parseSession, compareSessionMaps } from '../../../lib/snapspot-data/session.js'
+import {
+  TRANSFORM_MODELS,
+  AUTO_TRANSFORM_MODEL,
+  DEFAULT_TRANSFORM_MODEL,
+  getTransformModel,
+  getMinimumPoints,
+  recommendTransformModel
+} from '../../../core/transformation/transform-models.js'
+import { ransacFit } from '../../../core/transformation/robust-fit.js'
+import {
+  calculateRMSE,
+  calculateLeaveOneOut,
+  detectAnomalies
+} from '../../../core/transformation/transform-validator.js'
+import {
+  findMatchingProfiles,
+  applyTransformProfile,
+  parseTransformProfiles
+} from '../../../core/transformation/transform-profile.js'
+
+/**
+ * Get the pixel size of a map image, falling back to the stored size for
+ * formats without a readable header (e.g. SVG)
+ * @private
+ * @param {Blob} blob - Map image
+ * @param {{width: number, height: number}} fallback - Size from export metadata
+ * @returns {Promise<{width: number, height: number}>}
+ */
+async function getMapImageSize (blob, fallback) {
+  try {
+    const { width, height } = getImageInfo(await blob.arrayBuffer())
+    return { width, height }
+  } catch {
+    return { width: fallback.width, height: fallback.height }
+  }
+}
+
+/**
+ * Load the source export of a migration
+ *
+ * @param {string} filePath - Path to SnapSpot export JSON
+ * @returns {Promise<Object>} Parsed export plus imageSize and imageHash
+ */
+export async function loadSourceExport (filePath) {
+  const exportData = await loadExportFile(filePath)
+
+  return {
+    ...exportData,
+    imageSize: await getMapImageSize(exportData.mapImage, exportData.map),
+    imageHash: exportData.map.hash || await generateImageHash(exportData.mapImage)
+  }
+}
+
+/**
+ * Load the migration target: a map image or a SnapSpot export to merge into
+ *
+ * @param {string} filePath - Path to image or export JSON
+ * @returns {Promise<Object>} { blob, width, height, name, imageHash, export }
+ *   where export is the parsed target export or null for images
+ * @throws {Error} If the file is not a supported image or a valid export
+ *
+ * @example
+ * const target = await loadMigrationTarget('./new-floor-plan.png')
+ * console.log(`${target.width} × ${target.height}px`)
+ */
+export async function loadMigrationTarget (filePath) {
+  if (filePath.toLowerCase().endsWith('.json')) {
+    const targetExport = await loadExportFile(filePath)
+    const size = await getMapImageSize(targetExport.mapImage, targetExport.map)
+
+    return {
+      blob: targetExport.mapImage,
+      ...size,
+      name: targetExport.map.name,
+      imageHash: targetExport.map.hash || await generateImageHash(targetExport.mapImage),
+      export: targetExport
+    }
+  }
+
+  let buffer
+  try {
+    buffer = await fs.readFile(filePath)
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`File not found: ${filePath}`)
+    }
+    throw err
+  }
+
+  const info = getImageInfo(buffer)
+  const blob = new Blob([buffer], { type: info.type })
+
+  return {
+    blob,
+    width: info.width,
+    height: info.height,
+    name: path.basename(filePath),
+    imageHash: await generateImageHash(blob),
+    export: null
+  }
+}
+
+/**
+ * Load profiles from a profile file (exported from the browser Map Migrator)
+ *
+ * @param {string} filePath - Path to profile JSON file
+ * @returns {Promise<Array<Object>>} Profiles
+ * @throws {Error} If file not found or not a valid profile file
+ */
+export async function loadProfiles (filePath) {
+  try {
+    return parseTransformProfiles(await fs.readFile(filePath, 'utf-8'))
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`File not found: ${filePath}`)
+    }
+    throw new Error(`Invalid profile file ${filePath}: ${err.message}`)
+  }
+}
+
+/**
+ * Pick the profile to migrate a source export onto a target with
+ *
+ * @param {Array<Object>} profiles - Available profiles
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Object} target - Target from loadMigrationTarget()
+ * @param {string} [nameOrId] - Use this profile instead of the best match
+ * @returns {Object} Profile
+ * @throws {Error} If no profile matches both maps
+ */
+export function selectProfile (profiles, source, target, nameOrId = null) {
+  const matches = findMatchingProfiles(profiles, {
+    sourceHash: source.imageHash,
+    targetHash: target.imageHash
+  })
+
+  if (nameOrId) {
+    const profile = profiles.find(p => p.id === nameOrId || p.name === nameOrId)
+    if (!profile) {
+      throw new Error(`Profile not found: ${nameOrId}`)
+    }
+    if (!matches.includes(profile)) {
+      throw new Error(`Profile "${profile.name}" was saved for different maps (source or target image hash differs)`)
+    }
+    return profile
+  }
+
+  if (matches.length === 0) {
+    throw new Error(`No transform profile matches source map "${source.map.name}" (hash ${source.imageHash.slice(0, 12)}…) and this target`)
+  }
+
+  return matches[0]
+}
+
+/**
+ * Parse reference pairs from CSV
+ *
+ * One pair per line as source_x,source_y,target_x,target_y (comma,
+ * semicolon or tab separated). A header line is skipped.
+ *
+ * @private
+ * @param {string} text - CSV content
+ * @returns {Array<{source: {x: number, y: number}, target: {x: number, y: number}}>}
+ * @throws {Error} If a line does not hold four numbers
+ */
+function parsePairsCsv (text) {
+  const pairs = []
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return
+
+    const values = line.split(/[,;\t]/).map(v => v.trim())
+    if (index === 0 && Number.isNaN(parseFloat(values[0]))) return // header
+
+    const numbers = values.map(Number)
+    if (numbers.length < 4 || numbers.slice(0, 4).some(n => !Number.isFinite(n))) {
+      throw new Error(`Line ${index + 1}: expected source_x,source_y,target_x,target_y`)
+    }
+
+    pairs.push({
+      source: { x: numbers[0], y: numbers[1] },
+      target: { x: numbers[2], y: numbers[3] }
+    })
+  })
+
+  return pairs
+}
+
+/**
+ * Load reference pairs from a JSON or CSV file
+ *
+ * JSON files hold an array of pairs, an object with a referencePairs array,
+ * or a session saved by the browser Map Migrator. Coordinates are in source
+ * and target map image pixels.
+ *
+ * @param {string} filePath - Path to .json or .csv file
+ * @returns {Promise<{pairs: Array<Object>, session: Object|null}>} Pairs and
+ *   the session they came from (null for plain pair files)
+ * @throws {Error} If file not found or pairs are invalid
+ *
+ * @example
+ * const { pairs } = await loadReferencePairs('./pairs.csv')
+ * console.log(`${pairs.length} reference pairs`)
+ */
+export async function loadReferencePairs (filePath) {
+  let text
+  try {
+    text = await fs.readFile(filePath, 'utf-8')
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`File not found: ${filePath}`)
+    }
+    throw err
+  }
+
+  try {
+    if (filePath.toLowerCase().endsWith('.csv')) {
+      return { pairs: parsePairsCsv(text), session: null }
+    }
+
+    const data = JSON.parse(text)
+
+    if (data?.type === SESSION_TYPE) {
+      const session = parseSession(text)
+      return { pairs: session.referencePairs, session }
+    }
+
+    const pairs = Array.isArray(data) ? data : data?.referencePairs
+    if (!Array.isArray(pairs)) {
+      throw new Error('Expected an array of pairs or a referencePairs array')
+    }
+
+    pairs.forEach((pair, index) => {
+      const isPoint = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y)
+      if (!isPoint(pair?.source) || !isPoint(pair?.target)) {
+        throw new Error(`Pair ${index + 1} must have numeric source and target x/y`)
+      }
+    })
+
+    return { pairs, session: null }
+  } catch (err) {
+    throw new Error(`Invalid reference pair file ${filePath}: ${err.message}`)
+  }
+}
+
+/**
+ * Check that a session was saved for the loaded maps
+ *
+ * @param {Object} session - Session from loadReferencePairs()
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Object} target - Target from loadMigrationTarget()
+ * @throws {Error} If a map image differs from the session's map
+ */
+export function checkSessionMaps (session, source, target) {
+  const match = compareSessionMaps(session, {
+    sourceHash: source.imageHash,
+    targetHash: target.imageHash
+  })
+
+  if (!match.isMatch) {
+    const maps = [match.source === false && 'source', match.target === false && 'target'].filter(Boolean)
+    throw new Error(`Session was saved for a different ${maps.join(' and ')} map`)
+  }
+}
+
+/**
+ * Fit a transformation to reference pairs
+ *
+ * Fits like the browser Map Migrator: 'auto' uses the recommended model,
+ * robust fit excludes outlier pairs (RANSAC) and the metrics are computed
+ * on the pairs used for the fit. Sessions pass their transform settings.
+ *
+ * @param {Array<Object>} pairs - Reference pairs in image pixels
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Object} [options={}] - Fit options
+ * @param {string} [options.model='affine'] - Model id (see TRANSFORM_MODELS) or 'auto'
+ * @param {boolean} [options.robustFit=false] - Exclude outlier pairs
+ * @param {number} [options.outlierThreshold=10] - Max residual (target pixels) of an inlier
+ * @returns {Object} { modelId, matrix, rmse, crossValidatedRmse, pointCount, outlierCount, warnings, transformPoints }
+ * @throws {Error} If the model is unknown, there are too few pairs or they are collinear
+ */
+export function fitReferencePairs (pairs, source, options = {}) {
+  const {
+    model: modelId = DEFAULT_TRANSFORM_MODEL,
+    robustFit = false,
+    outlierThreshold = 10
+  } = options
+
+  const isAuto = modelId === AUTO_TRANSFORM_MODEL
+  if (!isAuto && !TRANSFORM_MODELS[modelId]) {
+    throw new Error(`Unknown transformation model: ${modelId}`)
+  }
+
+  const minPoints = getMinimumPoints(modelId)
+  if (pairs.length < minPoints) {
+    throw new Error(`At least ${minPoints} reference pairs are required for the ${isAuto ? 'auto' : modelId} model`)
+  }
+
+  const sourcePoints = pairs.map(p => p.source)
+  const targetPoints = pairs.map(p => p.target)
+  const model = getTransformModel(isAuto
+    ? (recommendTransformModel(sourcePoints, targetPoints).recommended || DEFAULT_TRANSFORM_MODEL)
+    : modelId)
+
+  const result = robustFit
+    ? ransacFit(sourcePoints, targetPoints, { modelId: model.id, threshold: outlierThreshold })
+    : model.calculate(sourcePoints, targetPoints)
+
+  if (result.isDegenerate) {
+    throw new Error('Reference points are collinear or too close together')
+  }
+
+  const { matrix } = result
+  const inlierPairs = result.inliers ? pairs.filter((pair, i) => result.inliers[i]) : pairs
+
+  const anomalies = detectAnomalies(matrix, source.imageSize)
+  const warnings = []
+  if (anomalies.hasNegativeDeterminant) warnings.push('Transformation mirrors the map')
+  if (anomalies.hasExtremeScale) warnings.push('Transformation has an extreme scale factor')
+  if (anomalies.hasExtremeShear) warnings.push('Transformation has extreme shear')
+  if (inlierPairs.length < pairs.length) {
+    warnings.push(`Robust fit excluded ${pairs.length - inlierPairs.length} outlier pair(s)`)
+  }
+
+  const crossValidation = calculateLeaveOneOut(inlierPairs, model.calculate, model.apply)
+
+  return {
+    modelId: model.id,
+    matrix,
+    rmse: calculateRMSE(inlierPairs, matrix, model.apply),
+    crossValidatedRmse: Number.isFinite(crossValidation.rmse) ? crossValidation.rmse : null,
+    pointCount: inlierPairs.length,
+    outlierCount: pairs.length - inlierPairs.length,
+    warnings,
+    transformPoints: points => model.batch(points, matrix)
+  }
+}
+
+/**
+ * Check that a profile was saved for maps of the loaded size
+ *
+ * @param {Object} profile - Transform profile
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Object} target - Target from loadMigrationTarget()
+ * @throws {Error} If the map sizes differ
+ */
+export function checkProfileSize (profile, source, target) {
+  const same = (a, b) => a.width === b.width && a.height === b.height
+
+  if (!same(profile.sourceSize, source.imageSize) || !same(profile.targetSize, target)) {
+    throw new Error(
+      `Profile "${profile.name}" was saved for a ${profile.sourceSize.width}×${profile.sourceSize.height}px source and ` +
+      `${profile.targetSize.width}×${profile.targetSize.height}px target map`
+    )
+  }
+}
+
+/**
+ * Transform all markers of a source export onto the target map
+ *
+ * Coordinates are clamped to the target bounds and rounded, like the
+ * browser Map Migrator does.
+ *
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Object} target - Target from loadMigrationTarget()
+ * @param {Function} transformPoints - (points) => points in target pixels
+ * @returns {{markers: Array<Object>, outOfBounds: number}}
+ */
+export function transformMarkers (source, target, transformPoints) {
+  const transformed = transformPoints(source.markers.map(m => ({ x: m.x, y: m.y })))
+  const now = new Date().toISOString()
+  let outOfBounds = 0
+
+  const markers = source.markers.map((marker, i) => {
+    const { x, y } = transformed[i]
+    if (x < 0 || x > target.width || y < 0 || y > target.height) {
+      outOfBounds++
+    }
+
+    return {
+      ...marker,
+      x: Math.round(Math.max(0, Math.min(target.width, x))),
+      y: Math.round(Math.max(0, Math.min(target.height, y))),
+      photoIds: marker.photoIds || [],
+      lastModified: now
+    }
+  })
+
+  return { markers, outOfBounds }
+}
+
+/**
+ * Resolve the transformation of a migration
+ *
+ * Fits reference pairs when options.pairs is given, otherwise picks a
+ * transform profile from options.profiles.
+ *
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Object} target - Target from loadMigrationTarget()
+ * @param {Object} options - Migration options
+ * @param {string} [options.pairs] - Reference pair file (.json, .csv or session file)
+ * @param {string} [options.profiles] - Transform profile file
+ * @param {string} [options.profile] - Profile name or id (default: best match)
+ * @returns {Promise<{transform: Object, transformPoints: Function}>} Transformation
+ *   summary ({ name, modelId, matrix, rmse, crossValidatedRmse, pointCount, warnings })
+ *   and (points) => points in target pixels
+ * @throws {Error} If neither pairs nor profiles are given, or they do not fit the maps
+ */
+export async function resolveTransform (source, target, options = {}) {
+  if (options.pairs) {
+    const { pairs, session } = await loadReferencePairs(options.pairs)
+    if (session) {
+      checkSessionMaps(session, source, target)
+    }
+
+    // Sessions are re-fitted with the model and robust fit they were saved with
+    const { transformPoints, ...fit } = fitReferencePairs(pairs, source, session ? session.transform : {})
+    return {
+      transform: { name: path.basename(options.pairs), ...fit },
+      transformPoints
+    }
+  }
+
+  if (options.profiles) {
+    const profiles = await loadProfiles(options.profiles)
+    const profile = selectProfile(profiles, source, target, options.profile)
+    checkProfileSize(profile, source, target)
+
+    return {
+      transform: {
+        name: profile.name,
+        modelId: profile.modelId,
+        matrix: profile.matrix,
+        ...profile.metrics,
+        warnings: []
+      },
+      transformPoints: points => applyTransformProfile(profile, points)
+    }
+  }
+
+  throw new Error('Reference pairs or a transform profile file are required')
+}
+
+/**
+ * Merge transformed markers of a source export into an export
+ *
+ * @param {Object} baseExport - Export to merge into ({ map, markers, photos })
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Array<Object>} markers - Markers from transformMarkers()
+ * @param {Object} [options] - Migration options
+ * @param {string} [options.duplicateStrategy='none'] - Duplicate detection
+ * @param {number} [options.coordinateTolerance=5] - Coordinate tolerance (px)
+ * @returns {{merged: Object, stats: Object}} Merged export and merge statistics
+ */
+export function mergeMigratedMarkers (baseExport, source, markers, options = {}) {
+  const {
+    duplicateStrategy = 'none',
+    coordinateTolerance = 5
+  } = options
+
+  // Source metadata makes merged markers record the source export as origin
+  const transformedExport = { map: source.map, markers, photos: source.photos, metadata: source.metadata }
+  const mergeOptions = { duplicateStrategy, coordinateTolerance }
+
+  return {
+    stats: getMergeStatistics(baseExport, transformedExport, mergeOptions),
+    merged: mergeExports(baseExport, transformedExport, {
+      ...mergeOptions,
+      duplicatePhotoStrategy: 'skip',
+      preserveTimestamps: true
+    })
+  }
+}
+
+/**
+ * Build an export on the target map
+ *
+ * Keeps the map id and creation date of a target export.
+ *
+ * @param {Object} target - Target from loadMigrationTarget()
+ * @param {Array<Object>} markers - Markers in target pixels
+ * @param {Array<Object>} photos - Photos of the markers
+ * @param {string} mapName - Name of the map
+ * @returns {Promise<Object>} Complete export object
+ */
+export async function buildTargetExport (target, markers, photos, mapName) {
+  const sourceApp = 'SnapSpot Map Migrator CLI'
+
+  if (target.export) {
+    return buildExport(
+      {
+        id: target.export.map.id,
+        name: mapName,
+        width: target.width,
+        height: target.height,
+        created: target.export.map.created
+      },
+      target.blob,
+      markers,
+      photos,
+      { sourceApp, preserveMapId: true }
+    )
+  }
+
+  const exportData = await buildExport(
+    { name: mapName, width: target.width, height: target.height },
+    target.blob,
+    markers,
+    photos,
+    { sourceApp }
+  )
+  exportData.map.fileName = target.name
+  exportData.map.fileType = target.blob.type
+
+  return exportData
+}
+
+/**
+ * Build the migrated export
+ *
+ * Replace mode (target is an image) creates a new export on the target
+ * image; merge mode (target is an export) merges the markers into it.
+ *
+ * @param {Object} source - Source from loadSourceExport()
+ * @param {Object} target - Target from loadMigrationTarget()
+ * @param {Array<Object>} markers - Markers from transformMarkers()
+ * @param {Object} [options] - Migration options
+ * @param {string} [options.mapName] - Name of the migrated map
+ * @param {string} [options.duplicateStrategy='none'] - Merge mode duplicate detection
+ * @param {number} [options.coordinateTolerance=5] - Merge mode coordinate tolerance (px)
+ * @returns {Promise<{exportData: Object, stats: Object|null}>} Export and merge statistics
+ */
+export async function buildMigratedExport (source, target, markers, options = {}) {
+  if (!target.export) {
+    const exportData = await buildTargetExport(target, markers, source.photos, options.mapName || source.map.name)
+    return { exportData, stats: null }
+  }
+
+  const { merged, stats } = mergeMigratedMarkers(target.export, source, markers, options)
+  const exportData = await buildTargetExport(target, merged.markers, merged.photos, options.mapName || target.export.map.name)
+
+  return { exportData, stats }
+}
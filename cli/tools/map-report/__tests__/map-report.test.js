@@ -0,0 +1,35 @@
+/**
+ * CLI Tests for Map Report
+ *
+ * Writes the interactive viewer of the full test export into a temporary
+ * directory.
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createMapViewer } from '../map-report.js'
+
+const FIXTURE = fileURLToPath(new URL('../../../../core/formats/snapspot/__tests__/fixtures/full-export.json', import.meta.url))
+
+test('createMapViewer writes the viewer next to the export', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'map-report-'))
+
+  try {
+    const exportPath = path.join(dir, 'site.json')
+    await fs.copyFile(FIXTURE, exportPath)
+
+    const result = await createMapViewer(exportPath, { title: 'Site <A>' })
+    const html = await fs.readFile(result.outputPath, 'utf-8')
+
+    assert.equal(result.outputPath, path.join(dir, 'site_viewer.html'))
+    assert.equal(result.markerCount, 3)
+    assert.match(html, /<title>Site &lt;A&gt;<\/title>/)
+    assert.match(html, /data:image\/png;base64,/, 'Map image should be embedded')
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
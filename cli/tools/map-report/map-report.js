@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * Map Report - Printable report of a SnapSpot map and its markers
+ *
+ * Writes an HTML page for site walk-throughs: the map image with numbered
+ * markers on the first page, followed by a table of all markers with
+ * description, date and photo thumbnails. The page is laid out for
+ * printing; use the browser's "Print to PDF" for a PDF.
+ *
+ * Features:
+ * - Markers numbered chronologically by createdDate (same numbers as
+ *   Photo Finder and the Organizer)
+ * - Embedded thumbnails of the export's photos (or none with --no-photos)
+ * - Self-contained file: map and photos are embedded as data URIs
+ * - --viewer writes an interactive viewer instead (pan/zoom, clickable
+ *   markers with description and photos) for people without SnapSpot
+ *
+ * Usage:
+ *   map-report --export data.json [--output report.html] [--viewer]
+ *
+ * @module cli/tools/map-report
+ */
+
+import path from 'path'
+import { loadExportFile, readExportJson } from '../../shared/export-loader.js'
+import {
+  displaySuccess,
+  displayError,
+  displayInfo,
+  displayHeader
+} from '../../shared/prompt-helpers.js'
+import { formatDuration } from '../../shared/progress-bar.js'
+import { generateMapReport, writeReportToFile } from '../../shared/report-generator.js'
+import { getMarkerNumbers, getMarkerPhotos } from '../../../lib/snapspot-data/parser.js'
+import { buildHtmlViewer } from '../../../lib/snapspot-data/html-viewer.js'
+
+/**
+ * Build the data of a map report from raw export JSON
+ *
+ * @param {Object} exportData - Raw export JSON (from readExportJson())
+ * @param {Object} [options={}] - Report options
+ * @param {string} [options.title] - Report title (default: map name)
+ * @param {string} [options.subtitle] - Report subtitle
+ * @param {boolean} [options.includePhotos=true] - Embed photo thumbnails
+ * @returns {Object} Data for generateMapReport()
+ *
+ * @example
+ * const data = buildMapReportData(await readExportJson('./data.json'))
+ * console.log(`${data.markers.length} markers`)
+ */
+export function buildMapReportData (exportData, options = {}) {
+  const { map } = exportData
+  const { title = map.name, subtitle, includePhotos = true } = options
+  const photos = includePhotos ? exportData.photos || [] : []
+
+  const numbers = getMarkerNumbers(exportData.markers)
+  const markers = [...exportData.markers]
+    .sort((a, b) => numbers.get(a.id) - numbers.get(b.id))
+    .map(marker => ({
+      number: numbers.get(marker.id),
+      x: marker.x,
+      y: marker.y,
+      description: marker.description || '',
+      createdDate: marker.createdDate,
+      // Thumbnails keep the report small; the full image is the fallback
+      photos: getMarkerPhotos(marker, photos)
+        .filter(photo => photo.thumbnailData || photo.imageData)
+        .map(photo => ({ fileName: photo.fileName, src: photo.thumbnailData || photo.imageData }))
+    }))
+
+  return {
+    title,
+    subtitle,
+    mapImage: map.imageData,
+    width: map.width,
+    height: map.height,
+    markers,
+    footer: 'Generated by SnapSpot CLI Tools'
+  }
+}
+
+/**
+ * Write a printable map report of an export
+ *
+ * @param {string} exportPath - Path to export JSON file
+ * @param {Object} [options={}] - Report options
+ * @param {string} [options.output] - Report path (default: <export>_report.html next to the export)
+ * @param {string} [options.title] - Report title (default: map name)
+ * @param {boolean} [options.includePhotos=true] - Embed photo thumbnails
+ * @returns {Promise<Object>} Result: { outputPath, mapName, markerCount, photoCount, duration }
+ * @throws {Error} If the export cannot be read or is invalid
+ *
+ * @example
+ * const result = await createMapReport('./data.json', { output: './walkthrough.html' })
+ * console.log(`Report of ${result.markerCount} markers: ${result.outputPath}`)
+ */
+export async function createMapReport (exportPath, options = {}) {
+  const { output, title, includePhotos = true } = options
+  const startTime = Date.now()
+
+  const exportData = await readExportJson(exportPath)
+  const data = buildMapReportData(exportData, {
+    title,
+    subtitle: `Export: ${path.basename(exportPath)}`,
+    includePhotos
+  })
+
+  const outputPath = output || path.join(
+    path.dirname(exportPath),
+    `${path.basename(exportPath, path.extname(exportPath))}_report.html`
+  )
+  await writeReportToFile(generateMapReport(data), outputPath)
+
+  return {
+    outputPath,
+    mapName: exportData.map.name,
+    markerCount: data.markers.length,
+    photoCount: data.markers.reduce((sum, marker) => sum + marker.photos.length, 0),
+    duration: formatDuration(Date.now() - startTime)
+  }
+}
+
+/**
+ * Create the interactive HTML viewer of an export file
+ *
+ * @param {string} exportPath - Path to the export JSON file
+ * @param {Object} [options={}] - Viewer options
+ * @param {string} [options.output] - Viewer path (default: <export>_viewer.html next to the export)
+ * @param {string} [options.title] - Page title (default: map name)
+ * @param {boolean} [options.includePhotos=true] - Embed photo thumbnails
+ * @returns {Promise<Object>} Result: { outputPath, mapName, markerCount, photoCount, duration }
+ * @throws {Error} If the export cannot be read, is invalid or has no map image
+ *
+ * @example
+ * const result = await createMapViewer('./data.json', { title: 'Floor 1' })
+ * console.log(`Viewer of ${result.markerCount} markers: ${result.outputPath}`)
+ */
+export async function createMapViewer (exportPath, options = {}) {
+  const { output, title, includePhotos = true } = options
+  const startTime = Date.now()
+
+  const exportData = await loadExportFile(exportPath)
+  const html = await buildHtmlViewer(exportData, { title, includePhotos })
+
+  const outputPath = output || path.join(
+    path.dirname(exportPath),
+    `${path.basename(exportPath, path.extname(exportPath))}_viewer.html`
+  )
+  await writeReportToFile(html, outputPath)
+
+  return {
+    outputPath,
+    mapName: exportData.map.name,
+    markerCount: exportData.markers.length,
+    photoCount: includePhotos ? exportData.photos.length : 0,
+    duration: formatDuration(Date.now() - startTime)
+  }
+}
+
+/**
+ * Run the CLI with parsed arguments
+ * @param {Object} args - Parsed arguments
+ */
+async function runCli (args) {
+  const { quiet } = args
+
+  if (!quiet) {
+    displayHeader(args.viewer ? 'SnapSpot Map Viewer' : 'SnapSpot Map Report')
+    displayInfo(`Export: ${args.export}`)
+  }
+
+  const create = args.viewer ? createMapViewer : createMapReport
+  const result = await create(args.export, {
+    output: args.output,
+    title: args.title,
+    includePhotos: args.includePhotos
+  })
+
+  if (!quiet) {
+    console.log('')
+    console.log(`Map: ${result.mapName}`)
+    console.log(`Markers: ${result.markerCount}`)
+    console.log(`Photos: ${args.includePhotos ? result.photoCount : 'not included'}`)
+    console.log(`Duration: ${result.duration}`)
+    if (args.viewer) {
+      displaySuccess(`Viewer saved to: ${result.outputPath}`)
+      displayInfo('Open the viewer in a browser, or send it to people without SnapSpot')
+    } else {
+      displaySuccess(`Report saved to: ${result.outputPath}`)
+      displayInfo('Open the report in a browser and print it (or "Print to PDF")')
+    }
+  }
+}
+
+/**
+ * Display help message
+ */
+function displayHelp () {
+  console.log(`
+SnapSpot Map Report - Printable report of a map and its markers
+
+USAGE:
+  map-report --export <path> [options]
+
+OPTIONS:
+  --export <path>         SnapSpot export file
+  --output <path>         Report file (default: <export>_report.html next to the export,
+                          <export>_viewer.html with --viewer)
+  --title <text>          Report title (default: map name)
+  --no-photos             Leave photo thumbnails out
+  --viewer                Write an interactive viewer instead of the printable report
+  --quiet                 Minimal output
+  --help                  Show this help message
+
+EXAMPLES:
+  # Report next to the export (data_report.html)
+  map-report --export data.json
+
+  # Custom title and output, without photos
+  map-report --export data.json --output walkthrough.html \\
+    --title "Site walk-through 2026-03-01" --no-photos
+
+  # Interactive viewer for stakeholders without SnapSpot (data_viewer.html)
+  map-report --export data.json --viewer
+
+NOTES:
+  - Page 1 is the map with numbered markers, followed by the marker table
+  - Markers are numbered chronologically by createdDate, starting at 1
+    (the same numbers as photo-finder and organizer)
+  - The report is one HTML file; print it from a browser, or "Print to PDF"
+  - The viewer is one HTML file too: pan and zoom the map, click a marker
+    for its description and photos. It needs no SnapSpot or server
+
+For more information, see: cli/tools/map-report/README.md
+`)
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs () {
+  const args = process.argv.slice(2)
+  const parsed = { includePhotos: true }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true
+    } else if (arg === '--export') {
+      parsed.export = args[++i]
+    } else if (arg === '--output') {
+      parsed.output = args[++i]
+    } else if (arg === '--title') {
+      parsed.title = args[++i]
+    } else if (arg === '--no-photos') {
+      parsed.includePhotos = false
+    } else if (arg === '--viewer') {
+      parsed.viewer = true
+    } else if (arg === '--quiet') {
+      parsed.quiet = true
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Main entry point
+ */
+async function main () {
+  const args = parseArgs()
+
+  if (args.help) {
+    displayHelp()
+    return
+  }
+
+  if (!args.export) {
+    displayError('Missing --export. Use --help for usage information.')
+    process.exit(1)
+  }
+
+  await runCli(args)
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}` || process.argv[1].endsWith('map-report.js')) {
+  main().catch(err => {
+    displayError(`Fatal error: ${err.message}`)
+    console.error(err.stack)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,729 @@
+#!/usr/bin/env node
+
+/**
+ * Organizer - Build archive folders of SnapSpot exports and original photos
+ *
+ * Searches the original photos of an export with Photo Finder (imported as
+ * a module, no duplicate search logic) and copies them into an archive
+ * organized by map, by marker or by date, together with the export, a
+ * README.txt and a browsable index.html.
+ *
+ * Features:
+ * - Three organization schemes (by-map, by-marker, by-date)
+ * - Missing photos are reported; organizing stops unless --missing-ok
+ * - Never overwrites files: name collisions get a -1, -2, ... suffix
+ * - Several exports can share an archive: README.txt and index.html list
+ *   every export recorded in the archive catalog (archive.json)
+ * - Dry-run mode: show the archive layout without copying anything
+ * - Organization report (text, JSON or HTML)
+ *
+ * Usage:
+ *   organizer --export data.json --search /photos --output /archive --scheme by-marker
+ *
+ * @module cli/tools/organizer
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { findPhotosForExport, generateInternalManifest } from '../photo-finder/photo-finder.js'
+import { createDirectoryStructure } from '../../shared/export-writer.js'
+import {
+  displaySuccess,
+  displayError,
+  displayInfo,
+  displayWarning,
+  displayHeader
+} from '../../shared/prompt-helpers.js'
+import { createProgressBar, formatDuration } from '../../shared/progress-bar.js'
+import { generateOrganizeReport, writeReportToFile } from '../../shared/report-generator.js'
+import { SCHEMES, planArchive } from './schemes.js'
+
+/**
+ * Catalog of the exports in an archive, at the archive root
+ * @constant {string}
+ */
+export const ARCHIVE_CATALOG_FILE = 'archive.json'
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function escapeHtml (text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Convert a relative archive path to a URL for index.html
+ * @private
+ */
+function toUrl (relativePath) {
+  return relativePath.split(path.sep).map(encodeURIComponent).join('/')
+}
+
+/**
+ * Group planned photos by archive directory
+ * @private
+ * @returns {Array<[string, Array<Object>]>} Directory → files, in plan order
+ */
+function groupByDirectory (files) {
+  const groups = new Map()
+  for (const file of files) {
+    const directory = path.dirname(file.target)
+    if (!groups.has(directory)) groups.set(directory, [])
+    groups.get(directory).push(file)
+  }
+  return [...groups]
+}
+
+/**
+ * Generate the README.txt of an archive
+ *
+ * @param {Object|Array<Object>} results - Result from organizeExport(), or
+ *   all exports of the archive (see readArchiveCatalog)
+ * @returns {string} README text
+ */
+export function generateArchiveReadme (results) {
+  const exports = [].concat(results)
+  const lines = [
+    'SnapSpot Archive',
+    `Created: ${new Date().toLocaleString()}`
+  ]
+
+  if (exports.length > 1) {
+    lines.push(`Exports: ${exports.length}`)
+  }
+
+  for (const result of exports) {
+    if (exports.length > 1) {
+      lines.push('', `=== ${result.mapName} (${result.exportFile}) ===`)
+    }
+    lines.push(...generateReadmeSection(result))
+  }
+
+  const hasIndex = exports.some(result => result.indexFile)
+  const hasExport = exports.some(result => result.archivedExport)
+
+  lines.push('')
+  lines.push('To view this archive:')
+  lines.push(hasIndex ? '1. Open index.html in a web browser' : '1. Navigate the directories above')
+  if (hasExport) {
+    lines.push(`2. Import the export file${exports.length > 1 ? 's' : ''} into SnapSpot to see the markers on the map`)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Generate the README.txt lines of one export
+ * @private
+ * @param {Object} result - Result from organizeExport() or archive catalog entry
+ * @returns {string[]}
+ */
+function generateReadmeSection (result) {
+  const lines = [
+    `Organization Scheme: ${result.scheme}`,
+    '',
+    'This archive contains:'
+  ]
+
+  if (result.archivedExport) {
+    lines.push(`- SnapSpot export file: ${result.archivedExport.target.split(path.sep).join('/')}`)
+  }
+  lines.push(`- Original photos: ${SCHEMES.find(s => s.name === result.scheme).description}`)
+  if (result.indexFile) {
+    lines.push('- HTML index for browsing: index.html')
+  }
+  lines.push('')
+
+  lines.push('Directory Structure:')
+  for (const [directory, files] of groupByDirectory(result.files)) {
+    const first = files[0]
+    const label = result.scheme === 'by-marker' && first.markerNumber
+      ? ` (marker ${first.markerNumber}${first.markerDescription ? `: ${first.markerDescription}` : ''})`
+      : ''
+    lines.push(`/${directory.split(path.sep).join('/')}/${label}`)
+    lines.push(`  - ${files.length} photo file(s)`)
+  }
+  lines.push('')
+
+  lines.push(`Map: ${result.mapName}`)
+  lines.push(`Total Markers: ${result.totalMarkers}`)
+  lines.push(`Total Photos: ${result.totalPhotos}`)
+  lines.push(`Photos in Archive: ${result.files.length}`)
+  lines.push(`Missing Photos: ${result.missing.length}`)
+
+  if (result.missing.length > 0) {
+    lines.push('')
+    lines.push('Missing Photos (not found when the archive was created):')
+    for (const photo of result.missing) {
+      lines.push(`- ${photo.filename} (marker ${photo.markerNumber}${photo.markerDescription ? `: ${photo.markerDescription}` : ''})`)
+    }
+  }
+
+  return lines
+}
+
+/**
+ * Generate the browsable index.html sections of one export
+ * @private
+ * @param {Object} result - Result from organizeExport() or archive catalog entry
+ * @param {number} level - Heading level of the folder sections
+ * @returns {string} HTML
+ */
+function generateIndexSections (result, level) {
+  const sections = groupByDirectory(result.files).map(([directory, files]) => {
+    const items = files.map(file => {
+      const url = toUrl(file.target)
+      const caption = file.markerNumber
+        ? `#${file.markerNumber}${file.markerDescription ? ` ${file.markerDescription}` : ''}`
+        : ''
+      return `      <figure>
+        <a href="${url}"><img src="${url}" alt="${escapeHtml(file.filename)}" loading="lazy"></a>
+        <figcaption>${escapeHtml(path.basename(file.target))}<br><span>${escapeHtml(caption)}</span></figcaption>
+      </figure>`
+    })
+
+    return `    <section>
+      <h${level}>${escapeHtml(directory.split(path.sep).join(' / '))} <small>(${files.length})</small></h${level}>
+      <div class="grid">
+${items.join('\n')}
+      </div>
+    </section>`
+  })
+
+  const missing = result.missing.length === 0
+    ? ''
+    : `    <section class="missing">
+      <h${level}>Missing Photos <small>(${result.missing.length})</small></h${level}>
+      <ul>
+${result.missing.map(photo => `        <li>${escapeHtml(photo.filename)} - marker ${escapeHtml(photo.markerNumber)}${photo.markerDescription ? `: ${escapeHtml(photo.markerDescription)}` : ''}</li>`).join('\n')}
+      </ul>
+    </section>`
+
+  return `${sections.join('\n')}
+${missing}`
+}
+
+/**
+ * Summary line of one export in index.html
+ * @private
+ */
+function generateIndexSummary (result) {
+  const exportLink = result.archivedExport
+    ? ` | Export: <a href="${toUrl(result.archivedExport.target)}">${escapeHtml(path.basename(result.archivedExport.target))}</a>`
+    : ''
+
+  return `Scheme: ${escapeHtml(result.scheme)} | Markers: ${result.totalMarkers} | Photos: ${result.files.length} of ${result.totalPhotos}${exportLink}`
+}
+
+/**
+ * Generate the browsable index.html of an archive
+ *
+ * A single static page with thumbnails of all photos grouped by archive
+ * folder (links open the full photo) and a list of missing photos. An
+ * archive with several exports gets one part per export.
+ *
+ * @param {Object|Array<Object>} results - Result from organizeExport(), or
+ *   all exports of the archive (see readArchiveCatalog)
+ * @returns {string} HTML page
+ */
+export function generateArchiveIndex (results) {
+  const exports = [].concat(results)
+  const single = exports.length === 1
+  const title = single ? exports[0].mapName : 'SnapSpot Archive'
+
+  const header = single
+    ? `    <h1>${escapeHtml(title)}</h1>
+    <div>${generateIndexSummary(exports[0])}</div>`
+    : `    <h1>${escapeHtml(title)}</h1>
+    <div>Exports: ${exports.length}</div>`
+
+  const main = single
+    ? generateIndexSections(exports[0], 2)
+    : exports.map(result => `    <section class="export">
+    <h2>${escapeHtml(result.mapName)}</h2>
+    <div>${generateIndexSummary(result)}</div>
+${generateIndexSections(result, 3)}
+    </section>`).join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - SnapSpot Archive</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #333; background: #f5f5f5; }
+    header { margin-bottom: 2rem; }
+    h1 { color: #2196f3; margin-bottom: 0.25rem; }
+    h2, h3 { border-bottom: 2px solid #ddd; padding-bottom: 0.25rem; }
+    h2 small, h3 small { color: #888; font-weight: normal; }
+    .export { margin-bottom: 3rem; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 1rem; }
+    figure { margin: 0; background: #fff; border-radius: 6px; padding: 0.5rem; box-shadow: 0 1px 3px rgba(0,0,0,0.15); }
+    img { width: 100%; height: 140px; object-fit: cover; border-radius: 4px; background: #eee; }
+    figcaption { font-size: 0.8rem; margin-top: 0.25rem; word-break: break-all; }
+    figcaption span { color: #666; }
+    .missing li { color: #c62828; }
+  </style>
+</head>
+<body>
+  <header>
+${header}
+  </header>
+  <main>
+${main}
+  </main>
+  <footer><p>Generated by SnapSpot Organizer on ${escapeHtml(new Date().toLocaleString())}</p></footer>
+</body>
+</html>
+`
+}
+
+// ============================================================================
+// Archive Catalog
+// ============================================================================
+
+/**
+ * Convert a relative archive path to the catalog's '/' form
+ * @private
+ */
+function toCatalogPath (relativePath) {
+  return relativePath.split(path.sep).join('/')
+}
+
+/**
+ * Convert a catalog path back to a relative archive path
+ * @private
+ */
+function fromCatalogPath (catalogPath) {
+  return catalogPath.split('/').join(path.sep)
+}
+
+/**
+ * Create the archive catalog entry of an organizer result
+ *
+ * Keeps what README.txt and index.html need, with '/' separated paths.
+ *
+ * @param {Object} result - Result from organizeExport()
+ * @returns {Object} Catalog entry
+ */
+export function createCatalogEntry (result) {
+  const markerInfo = ({ filename, markerNumber, markerDescription }) => ({ filename, markerNumber, markerDescription })
+
+  return {
+    exportFile: result.exportFile,
+    mapName: result.mapName,
+    scheme: result.scheme,
+    archived: result.archived || new Date().toISOString(),
+    totalMarkers: result.totalMarkers,
+    totalPhotos: result.totalPhotos,
+    files: result.files.map(file => ({ target: toCatalogPath(file.target), ...markerInfo(file) })),
+    missing: result.missing.map(markerInfo),
+    archivedExport: result.archivedExport ? { target: toCatalogPath(result.archivedExport.target) } : null
+  }
+}
+
+/**
+ * Read the exports recorded in an archive
+ *
+ * @param {string} outputDir - Archive directory
+ * @returns {Promise<Array<Object>>} Catalog entries with archive paths,
+ *   empty for a new archive or an unreadable catalog
+ */
+export async function readArchiveCatalog (outputDir) {
+  let catalog
+  try {
+    catalog = JSON.parse(await fs.readFile(path.join(outputDir, ARCHIVE_CATALOG_FILE), 'utf-8'))
+  } catch {
+    return []
+  }
+
+  if (!Array.isArray(catalog?.exports)) {
+    return []
+  }
+
+  return catalog.exports.map(entry => ({
+    ...entry,
+    files: (entry.files || []).map(file => ({ ...file, target: fromCatalogPath(file.target) })),
+    missing: entry.missing || [],
+    archivedExport: entry.archivedExport ? { target: fromCatalogPath(entry.archivedExport.target) } : null
+  }))
+}
+
+/**
+ * Record an organizer result in the archive catalog
+ *
+ * An earlier entry of the same export (file name and map) is replaced.
+ *
+ * @param {string} outputDir - Archive directory
+ * @param {Object} result - Result from organizeExport()
+ * @returns {Promise<Array<Object>>} All catalog entries with archive paths
+ */
+export async function updateArchiveCatalog (outputDir, result) {
+  const entry = createCatalogEntry(result)
+  const entries = (await readArchiveCatalog(outputDir))
+    .filter(other => other.exportFile !== entry.exportFile || other.mapName !== entry.mapName)
+    .map(createCatalogEntry)
+
+  entries.push(entry)
+
+  await fs.writeFile(
+    path.join(outputDir, ARCHIVE_CATALOG_FILE),
+    JSON.stringify({ type: 'SnapSpotArchive', exports: entries }, null, 2),
+    'utf-8'
+  )
+
+  return readArchiveCatalog(outputDir)
+}
+
+/**
+ * Organize an export and its original photos into an archive
+ *
+ * Runs Photo Finder to locate the photos, plans the archive with the
+ * chosen scheme and copies the photos and the export. If photos are
+ * missing, nothing is written unless missingOk is set; the result then has
+ * completed: false and lists the missing photos.
+ *
+ * @param {string} exportPath - Path to export JSON file
+ * @param {string|string[]} searchPaths - Directory(ies) to search for photos
+ * @param {Object} options - Organizer options
+ * @param {string} options.outputDir - Archive directory
+ * @param {string} [options.scheme='by-marker'] - One of SCHEMES
+ * @param {boolean} [options.copyExport=true] - Include the export file
+ * @param {boolean} [options.createIndex=true] - Write index.html
+ * @param {boolean} [options.missingOk=false] - Organize the found photos even if some are missing
+ * @param {boolean} [options.dryRun=false] - Plan the archive without writing anything
+ * @param {boolean} [options.caseSensitive=false] - Case-sensitive file name matching
+ * @param {number} [options.maxDepth=Infinity] - Maximum search depth
+ * @param {Function} [options.onProgress] - Called with (copied, total) while copying
+ * @returns {Promise<Object>} Organizer result
+ * @throws {Error} If the options are invalid, the photo search fails or a file cannot be copied
+ *
+ * @example
+ * const result = await organizeExport('./data.json', ['/photos'], {
+ *   outputDir: '/archive',
+ *   scheme: 'by-date',
+ *   missingOk: true
+ * })
+ * console.log(`${result.files.length} photos archived, ${result.missing.length} missing`)
+ */
+export async function organizeExport (exportPath, searchPaths, options = {}) {
+  const {
+    outputDir,
+    scheme = 'by-marker',
+    copyExport = true,
+    createIndex = true,
+    missingOk = false,
+    dryRun = false,
+    caseSensitive = false,
+    maxDepth = Infinity,
+    onProgress = null
+  } = options
+
+  if (!outputDir) {
+    throw new Error('Output directory is required (--output <dir>)')
+  }
+  if (!SCHEMES.some(s => s.name === scheme)) {
+    throw new Error(`Unknown scheme: ${scheme} (expected ${SCHEMES.map(s => s.name).join(', ')})`)
+  }
+
+  const startTime = Date.now()
+
+  let search
+  try {
+    search = await findPhotosForExport(exportPath, searchPaths, { caseSensitive, maxDepth, quiet: true })
+  } catch (err) {
+    throw new Error(`Photo search failed: ${err.message}`)
+  }
+  const manifest = generateInternalManifest(search)
+
+  const result = {
+    exportFile: path.basename(exportPath),
+    exportPath,
+    mapName: search.mapName,
+    scheme,
+    outputDir,
+    dryRun,
+    completed: false,
+    totalMarkers: search.exportData.markers.length,
+    totalPhotos: search.totalPhotos,
+    files: [],
+    missing: search.missing,
+    duplicates: search.duplicates,
+    archivedExport: null,
+    readmeFile: null,
+    indexFile: null
+  }
+
+  if (search.missing.length === 0 || missingOk) {
+    const plan = await planArchive(manifest, outputDir, {
+      scheme,
+      mapName: search.mapName,
+      exportPath: copyExport ? exportPath : null
+    })
+
+    result.files = plan.files
+    result.archivedExport = plan.exportFile
+    result.readmeFile = 'README.txt'
+    result.indexFile = createIndex ? 'index.html' : null
+    result.completed = true
+
+    if (!dryRun) {
+      await createDirectoryStructure(outputDir, plan.directories)
+
+      let copied = 0
+      for (const file of plan.files) {
+        if (!file.existing) {
+          await fs.copyFile(file.source, path.join(outputDir, file.target))
+        }
+        if (onProgress) onProgress(++copied, plan.files.length)
+      }
+
+      if (plan.exportFile && !plan.exportFile.existing) {
+        await fs.copyFile(exportPath, path.join(outputDir, plan.exportFile.target))
+      }
+
+      // README and index list every export archived here, not only this one
+      const archiveExports = (await updateArchiveCatalog(outputDir, result))
+        .map(entry => ({ ...entry, indexFile: result.indexFile }))
+      result.archiveExports = archiveExports.length
+
+      await fs.writeFile(path.join(outputDir, result.readmeFile), generateArchiveReadme(archiveExports), 'utf-8')
+      if (result.indexFile) {
+        await fs.writeFile(path.join(outputDir, result.indexFile), generateArchiveIndex(archiveExports), 'utf-8')
+      }
+    }
+  }
+
+  const duration = Date.now() - startTime
+  result.duration = formatDuration(duration)
+  result.durationMs = duration
+
+  return result
+}
+
+/**
+ * Run Organizer in CLI mode
+ */
+async function runCli (args) {
+  const quiet = args.quiet || false
+  const dryRun = args.dryRun || false
+
+  if (!quiet) {
+    displayHeader(`SnapSpot Organizer${dryRun ? ' - Dry Run' : ''}`)
+    displayInfo(`Searching photos in: ${args.search.join(', ')}`)
+  }
+
+  let bar = null
+  const result = await organizeExport(args.export, args.search, {
+    outputDir: args.output,
+    scheme: args.scheme,
+    copyExport: args.copyExport,
+    createIndex: args.createIndex,
+    missingOk: args.missingOk,
+    dryRun,
+    caseSensitive: args.caseSensitive,
+    maxDepth: args.maxDepth,
+    // Progress bar only renders on a terminal
+    onProgress: quiet || !process.stdout.isTTY
+      ? null
+      : (copied, total) => {
+          if (!bar) {
+            bar = createProgressBar(total, { format: 'Copying {bar} {percentage}% | {value}/{total} photos' })
+            bar.start()
+          }
+          bar.update(copied)
+        }
+  })
+
+  if (bar) bar.stop()
+
+  if (!quiet) {
+    console.log('')
+    console.log(`Map: ${result.mapName}`)
+    console.log(`Photos: ${result.totalPhotos} (found ${result.totalPhotos - result.missing.length}, missing ${result.missing.length})`)
+
+    if (result.missing.length > 0) {
+      displayWarning(`${result.missing.length} photo(s) not found:`)
+      result.missing.forEach(photo => console.log(`  ✗ ${photo.filename} (marker ${photo.markerNumber})`))
+    }
+    if (result.duplicates.length > 0) {
+      displayWarning(`${result.duplicates.length} photo(s) found more than once - the first match is used`)
+    }
+
+    if (result.completed) {
+      const reused = result.files.filter(file => file.existing).length
+      console.log('')
+      console.log(`Archive: ${result.outputDir} (${result.scheme})`)
+      for (const file of result.files) {
+        console.log(`  ${file.target}${file.existing ? ' (already in archive)' : ''}`)
+      }
+      if (result.archivedExport) console.log(`  ${result.archivedExport.target}`)
+      console.log(`  ${result.readmeFile}`)
+      if (result.indexFile) console.log(`  ${result.indexFile}`)
+      console.log('')
+      console.log(`Duration: ${result.duration}`)
+
+      if (dryRun) {
+        displayInfo('Dry run - no files were written')
+      } else {
+        displaySuccess(`${result.files.length - reused} photo(s) copied${reused ? `, ${reused} already in archive` : ''}`)
+      }
+    }
+  }
+
+  if (args.report !== undefined) {
+    const format = args.format || 'html'
+    const reportDir = result.completed && !dryRun ? result.outputDir : path.dirname(path.resolve(args.export))
+    const reportPath = typeof args.report === 'string'
+      ? args.report
+      : path.join(reportDir, `organizer_report.${format}`)
+
+    await writeReportToFile(generateOrganizeReport(result, format), reportPath)
+    if (!quiet) displaySuccess(`Report saved to: ${reportPath}`)
+  }
+
+  if (!result.completed) {
+    if (!quiet) displayError('Archive not created: photos are missing (use --missing-ok to organize the photos that were found)')
+    process.exit(1)
+  }
+}
+
+/**
+ * Display help message
+ */
+function displayHelp () {
+  console.log(`
+SnapSpot Organizer - Build archive folders of exports and original photos
+
+USAGE:
+  organizer --export <path> --search <paths> --output <dir> [options]
+
+SCHEMES:
+${SCHEMES.map(s => `  ${s.name.padEnd(12)}${s.description}`).join('\n')}
+
+OPTIONS:
+  --export <path>         SnapSpot export file
+  --search <paths>        Comma-separated photo search directories (can be repeated)
+  --output <dir>          Archive directory
+  --scheme <name>         Organization scheme (default: by-marker)
+  --no-export             Do not copy the export file into the archive
+  --no-index              Do not create index.html
+  --missing-ok            Organize the photos that were found even if some are missing
+  --dry-run               Show the archive layout without copying anything
+  --max-depth <n>         Maximum search depth (default: unlimited)
+  --case-sensitive        Case-sensitive file name matching
+  --report [path]         Save organization report (auto-generates filename, or specify custom path)
+  --format <type>         Report format: json, text, html (default: html)
+  --quiet                 Minimal output
+  --help                  Show this help message
+
+EXAMPLES:
+  # One folder per marker, with README.txt and index.html
+  organizer --export data.json --search /photos --output /archive --scheme by-marker
+
+  # Photos by date from several directories, even if some are missing
+  organizer --export data.json --search "/photos,/backup" --output /archive \\
+    --scheme by-date --missing-ok
+
+  # Preview the archive layout
+  organizer --export data.json --search /photos --output /archive --dry-run
+
+NOTES:
+  - Photos are searched with Photo Finder; run photo-finder first for a
+    detailed validation report
+  - Markers are numbered chronologically by createdDate, starting at 1
+  - Files are copied, never moved; existing files are never overwritten
+    (a -1, -2, ... suffix is added, identical files are reused)
+  - Exit code 1 if photos are missing without --missing-ok, or on errors
+
+For more information, see: cli/tools/organizer/README.md
+`)
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs () {
+  const args = process.argv.slice(2)
+  const parsed = { search: [], copyExport: true, createIndex: true }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (arg === '--help' || arg === '-h') {
+      parsed.help = true
+    } else if (arg === '--export') {
+      parsed.export = args[++i]
+    } else if (arg === '--search') {
+      parsed.search.push(...args[++i].split(',').map(s => s.trim()).filter(Boolean))
+    } else if (arg === '--output') {
+      parsed.output = args[++i]
+    } else if (arg === '--scheme') {
+      parsed.scheme = args[++i]
+    } else if (arg === '--no-export') {
+      parsed.copyExport = false
+    } else if (arg === '--copy-export') {
+      parsed.copyExport = true
+    } else if (arg === '--no-index') {
+      parsed.createIndex = false
+    } else if (arg === '--create-index') {
+      parsed.createIndex = true
+    } else if (arg === '--missing-ok') {
+      parsed.missingOk = true
+    } else if (arg === '--dry-run') {
+      parsed.dryRun = true
+    } else if (arg === '--max-depth') {
+      parsed.maxDepth = parseInt(args[++i], 10)
+    } else if (arg === '--case-sensitive') {
+      parsed.caseSensitive = true
+    } else if (arg === '--report') {
+      // Check if next arg is a value or another flag
+      const nextArg = args[i + 1]
+      if (nextArg && !nextArg.startsWith('--')) {
+        parsed.report = args[++i] // Path provided
+      } else {
+        parsed.report = true // Boolean flag
+      }
+    } else if (arg === '--format') {
+      parsed.format = args[++i]
+    } else if (arg === '--quiet') {
+      parsed.quiet = true
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Main entry point
+ */
+async function main () {
+  const args = parseArgs()
+
+  if (args.help) {
+    displayHelp()
+    return
+  }
+
+  if (!args.export || args.search.length === 0 || !args.output) {
+    displayError('Missing arguments. Use --help for usage information.')
+    process.exit(1)
+  }
+
+  await runCli(args)
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}` || process.argv[1].endsWith('organizer.js')) {
+  main().catch(err => {
+    displayError(`Fatal error: ${err.message}`)
+    console.error(err.stack)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,190 @@
+/**
+ * Organization Schemes - Archive layouts of the Organizer
+ *
+ * Plans where the original photos found by Photo Finder (and the export
+ * itself) go in an archive. Planning does not write anything; the
+ * Organizer creates the directories with createDirectoryStructure() and
+ * copies the files.
+ *
+ * @module cli/tools/organizer/schemes
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { sanitizeName } from '../../shared/export-writer.js'
+
+/**
+ * Available organization schemes
+ * @constant {Array<{name: string, description: string}>}
+ */
+export const SCHEMES = [
+  { name: 'by-map', description: 'One folder per map with the export and its photos' },
+  { name: 'by-marker', description: 'Map folder with one folder per marker (marker-001-Description)' },
+  { name: 'by-date', description: 'One folder per photo date (YYYY-MM-DD)' }
+]
+
+/**
+ * Get the archive directory of a photo, relative to the output directory
+ *
+ * @param {Object} photo - Photo entry from generateInternalManifest()
+ * @param {string} scheme - One of SCHEMES
+ * @returns {string} Relative directory
+ * @throws {Error} If the scheme is unknown
+ */
+export function getPhotoDirectory (photo, scheme) {
+  const mapDir = sanitizeName(photo.mapName, 'map')
+
+  if (scheme === 'by-map') {
+    return mapDir
+  }
+
+  if (scheme === 'by-marker') {
+    const number = photo.markerNumber ? String(photo.markerNumber).padStart(3, '0') : '000'
+    const description = sanitizeName(photo.markerDescription, '')
+    return path.join(mapDir, description ? `marker-${number}-${description}` : `marker-${number}`)
+  }
+
+  if (scheme === 'by-date') {
+    const date = new Date(photo.createdDate)
+    return Number.isNaN(date.getTime()) ? 'undated' : date.toISOString().slice(0, 10)
+  }
+
+  throw new Error(`Unknown scheme: ${scheme} (expected ${SCHEMES.map(s => s.name).join(', ')})`)
+}
+
+/**
+ * Get the archive directory of the export file, relative to the output directory
+ *
+ * @param {string} mapName - Map name
+ * @param {string} scheme - One of SCHEMES
+ * @returns {string} Relative directory ('' for the archive root)
+ */
+export function getExportDirectory (mapName, scheme) {
+  return scheme === 'by-map' ? sanitizeName(mapName, 'map') : ''
+}
+
+/**
+ * Check whether two files have the same content
+ * @private
+ * @param {string} pathA - First file
+ * @param {string} pathB - Second file
+ * @returns {Promise<boolean>}
+ */
+async function hasSameContent (pathA, pathB) {
+  const [a, b] = await Promise.all([fs.readFile(pathA), fs.readFile(pathB)])
+  return a.equals(b)
+}
+
+/**
+ * Pick an archive path for a file that does not overwrite other files
+ *
+ * A file with the same content already at the wanted path is treated as
+ * the same file (an earlier run into the same archive) and reused.
+ * Otherwise a -1, -2, ... suffix is added.
+ *
+ * @private
+ * @param {string} outputDir - Archive directory
+ * @param {string} directory - Relative directory
+ * @param {string} source - Source file
+ * @param {Set<string>} usedPaths - Relative paths planned so far (updated)
+ * @returns {Promise<{target: string, existing: boolean}>} Relative path and whether it is already in the archive
+ */
+async function getArchivePath (outputDir, directory, source, usedPaths) {
+  const fileName = path.basename(source)
+  const { size } = await fs.stat(source)
+  const extension = path.extname(fileName)
+  const base = path.basename(fileName, extension)
+
+  for (let counter = 0; ; counter++) {
+    const target = path.join(directory, counter === 0 ? fileName : `${base}-${counter}${extension}`)
+    const key = target.toLowerCase()
+
+    if (usedPaths.has(key)) continue
+
+    const existingPath = path.join(outputDir, target)
+    let stat = null
+    try {
+      stat = await fs.stat(existingPath)
+    } catch {
+      // Path is free
+    }
+
+    if (stat && (stat.size !== size || !await hasSameContent(source, existingPath))) continue
+
+    usedPaths.add(key)
+    return { target, existing: stat !== null }
+  }
+}
+
+/**
+ * Plan an archive from a Photo Finder manifest
+ *
+ * Photos that were not found are left out. Name collisions within a
+ * directory get a -1, -2, ... suffix; files already in the archive (same
+ * name and content) are reused, so running the Organizer again into the same
+ * archive does not copy them twice.
+ *
+ * @param {Object} manifest - Manifest from generateInternalManifest()
+ * @param {string} outputDir - Archive directory
+ * @param {Object} [options={}] - Plan options
+ * @param {string} [options.scheme='by-marker'] - One of SCHEMES
+ * @param {string} [options.mapName] - Map name (for the export directory)
+ * @param {string|null} [options.exportPath=null] - Export file to include, null to leave it out
+ * @returns {Promise<Object>} Plan
+ * @returns {string[]} return.directories - Relative directories to create
+ * @returns {Array<Object>} return.files - Photos to copy: { source, target, existing, filename, markerId, markerNumber, markerDescription }
+ * @returns {Object|null} return.exportFile - { source, target, existing } or null
+ * @throws {Error} If the scheme is unknown or a source file cannot be read
+ *
+ * @example
+ * const plan = await planArchive(manifest, '/archive', { scheme: 'by-date' })
+ * plan.files.forEach(file => console.log(`${file.source} -> ${file.target}`))
+ */
+export async function planArchive (manifest, outputDir, options = {}) {
+  const { scheme = 'by-marker', mapName = '', exportPath = null } = options
+
+  if (!SCHEMES.some(s => s.name === scheme)) {
+    throw new Error(`Unknown scheme: ${scheme} (expected ${SCHEMES.map(s => s.name).join(', ')})`)
+  }
+
+  const usedPaths = new Set()
+  const directories = new Set()
+  const files = []
+
+  // Chronological marker order keeps marker folders and listings in sequence
+  const photos = manifest.photos
+    .filter(photo => photo.status === 'found')
+    .sort((a, b) => (a.markerNumber || 0) - (b.markerNumber || 0))
+
+  for (const photo of photos) {
+    const directory = getPhotoDirectory(photo, scheme)
+    const { target, existing } = await getArchivePath(outputDir, directory, photo.foundPath, usedPaths)
+
+    directories.add(directory)
+    files.push({
+      source: photo.foundPath,
+      target,
+      existing,
+      filename: photo.filename,
+      markerId: photo.markerId,
+      markerNumber: photo.markerNumber,
+      markerDescription: photo.markerDescription
+    })
+  }
+
+  let exportFile = null
+  if (exportPath) {
+    const directory = getExportDirectory(mapName, scheme)
+    const { target, existing } = await getArchivePath(outputDir, directory, exportPath, usedPaths)
+
+    if (directory) directories.add(directory)
+    exportFile = { source: exportPath, target, existing }
+  }
+
+  return {
+    scheme,
+    directories: [...directories].sort(),
+    files,
+    exportFile
+  }
+}
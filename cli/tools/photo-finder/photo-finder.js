@@ -42,6 +42,7 @@ import {
   generateHtmlReport,
   writeReportToFile
 } from '../../shared/report-generator.js'
+import { getMarkerNumbers } from '../../../lib/snapspot-data/parser.js'
 
 /**
  * Find photos for a SnapSpot export file
@@ -76,13 +77,7 @@ export async function findPhotosForExport (exportPath, searchPaths, options = {}
   const exportData = await loadExportFile(exportPath)
 
   // Calculate marker numbers by creation date (earliest = #1)
-  const sortedMarkers = [...exportData.markers].sort((a, b) => {
-    return new Date(a.createdDate) - new Date(b.createdDate)
-  })
-  const markerNumbers = new Map()
-  sortedMarkers.forEach((marker, index) => {
-    markerNumbers.set(marker.id, index + 1) // 1-based numbering
-  })
+  const markerNumbers = getMarkerNumbers(exportData.markers)
 
   // Extract photo filenames from photos array
   const photoFilenames = exportData.photos.map(p => p.fileName)
@@ -188,6 +183,7 @@ export async function findPhotosForExport (exportPath, searchPaths, options = {}
     found,
     missing,
     duplicates,
+    markerNumbers,
     duration: formatDuration(duration),
     durationMs: duration,
     exportData
@@ -304,6 +300,10 @@ export async function generateLogFile (results, logPath) {
  * INTERNAL USE ONLY - for programmatic invocation by Organizer.
  * Returns in-memory data structure, not saved to disk.
  *
+ * Each photo entry carries its marker context: chronological marker number
+ * (markers are not numbered in exports) and the photo's createdDate, falling
+ * back to the marker's.
+ *
  * @param {Object} results - Search results from findPhotosForExport
  * @returns {Object} Internal manifest
  */
@@ -338,8 +338,10 @@ export function generateInternalManifest (results) {
     if (status && marker) {
       photos.push({
         ...status,
+        photoId: photo.id,
+        createdDate: photo.createdDate || marker.createdDate,
         markerId: marker.id,
-        markerNumber: marker.number,
+        markerNumber: results.markerNumbers?.get(marker.id) ?? null,
         markerDescription: marker.description,
         mapName: exportData.map.name
       })
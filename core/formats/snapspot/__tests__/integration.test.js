@@ -10,10 +10,30 @@
 
 import { assert } from '../../../../shared/test-framework.js'
 import { validateExportFile, isSupportedVersion } from '../../../../lib/snapspot-data/validator.js'
-import { parseExport, parseExportMetadata, validateMarkerCoordinates, clampMarkerToBounds } from '../../../../lib/snapspot-data/parser.js'
+import { parseExport, parseExportMetadata, validateMarkerCoordinates, clampMarkerToBounds, getMarkerNumbers } from '../../../../lib/snapspot-data/parser.js'
 import { buildExport, generateId, createMinimalExport } from '../../../../lib/snapspot-data/writer.js'
 import { base64ToBlob, blobToBase64 } from '../../../../lib/snapspot-image/converter.js'
 import { generateImageHash } from '../../../../lib/snapspot-image/hasher.js'
+import {
+  createSession,
+  validateSession,
+  parseSession,
+  serializeSession,
+  compareSessionMaps,
+  SESSION_TYPE
+} from '../../../../lib/snapspot-data/session.js'
+import { getImageInfo } from '../../../../lib/snapspot-image/image-info.js'
+import { validateGeoreference, pixelToWorld, worldToPixel } from '../../../../lib/snapspot-data/georeference.js'
+import { buildGeoJSON } from '../../../../lib/snapspot-data/geojson.js'
+import { buildMarkersCsv, applyMarkersCsv, CSV_COLUMNS } from '../../../../lib/snapspot-data/csv.js'
+import { buildKML, buildKMZ } from '../../../../lib/snapspot-data/kml.js'
+import { parsePointFile, buildExportFromPoints } from '../../../../lib/snapspot-data/point-import.js'
+import { splitMarkersWithMultiplePhotos } from '../../../../lib/snapspot-data/splitter.js'
+import { buildHtmlViewer } from '../../../../lib/snapspot-data/html-viewer.js'
+import { diffExports, describeMarkerChange } from '../../../../lib/snapspot-data/diff.js'
+import { mergeExportsThreeWay, resolveMergeConflicts } from '../../../../lib/snapspot-data/three-way-merge.js'
+import { findMergeCandidates, mergeExports, getMergeStatistics } from '../../../../lib/snapspot-data/merger.js'
+import { findMarkersByOrigin, groupMarkersByOrigin, getProvenance } from '../../../../lib/snapspot-data/provenance.js'
 
 /**
  * Test utilities
@@ -155,6 +175,19 @@ const validatorTests = {
           'Should have height error'
         )
       }
+    },
+
+    {
+      name: 'validateExportFile - photos without imageData pass',
+      async run () {
+        const photo = { id: 'photo_1', markerId: 'marker_1', fileName: 'IMG_1.jpg', fileType: 'image/jpeg', fileSize: 1, createdDate: new Date().toISOString() }
+        const data = createMinimalExport({ photos: [photo] })
+
+        assert.ok(validateExportFile(data).isValid, 'Metadata-only photo should be valid')
+
+        data.photos[0].imageData = 'not a data URI'
+        assert.ok(!validateExportFile(data).isValid, 'Present imageData must be a data URI')
+      }
     }
   ]
 }
@@ -269,6 +302,21 @@ const parserTests = {
         assert.equal(clamped.x, 0, 'X should be clamped to 0')
         assert.equal(clamped.y, 100, 'Y should be clamped to 100')
       }
+    },
+
+    {
+      name: 'getMarkerNumbers - numbers markers by createdDate',
+      async run () {
+        const numbers = getMarkerNumbers([
+          { id: 'c', createdDate: '2026-01-17T10:00:00.000Z' },
+          { id: 'undated' },
+          { id: 'a', createdDate: '2026-01-15T10:00:00.000Z' },
+          { id: 'b', createdDate: '2026-01-16T10:00:00.000Z' }
+        ])
+
+        assert.deepEqual(['a', 'b', 'c'].map(id => numbers.get(id)), [1, 2, 3], 'Earliest marker should be 1')
+        assert.equal(numbers.get('undated'), 4, 'Markers without date should come last')
+      }
     }
   ]
 }
@@ -481,6 +529,1005 @@ const integrationTests = {
   ]
 }
 
+/**
+ * Test Suite: Migration Sessions
+ */
+const sessionTests = {
+  name: 'Session',
+  tests: [
+    {
+      name: 'createSession - fills defaults',
+      async run () {
+        const session = createSession({
+          source: { imageHash: 'aaa', name: 'Old plan', width: 800, height: 600 },
+          target: { imageHash: 'bbb', name: 'new.png', width: 1600, height: 1200 }
+        })
+
+        assert.equal(session.type, SESSION_TYPE, 'Should set session type')
+        assert.equal(session.referencePairs.length, 0, 'Should start without pairs')
+        assert.equal(session.transform.model, 'affine', 'Should default to affine')
+        assert.equal(session.mergeOptions.duplicateStrategy, 'none', 'Should default to no duplicate detection')
+        assert.equal(session.mergeOptions.coordinateTolerance, null, 'Tolerance should default to RMSE-based')
+        assert.ok(validateSession(session).isValid, 'Session should be valid')
+      }
+    },
+
+    {
+      name: 'Round-trip - serialize and parse session',
+      async run () {
+        const session = createSession({
+          source: { imageHash: 'aaa', name: 'Old plan', width: 800, height: 600 },
+          target: { imageHash: null, name: 'new.png', width: 1600, height: 1200, isExport: false },
+          referencePairs: [
+            { source: { x: 10.5, y: 20 }, target: { x: 21, y: 40.25 } },
+            { source: { x: 700, y: 500 }, target: { x: 1400, y: 1000 } }
+          ],
+          transform: { model: 'auto', robustFit: true, outlierThreshold: 6 },
+          mergeOptions: { duplicateStrategy: 'coordinates', coordinateTolerance: 12 },
+          targetMetadata: { name: 'Floor 1', description: 'Rebuilt' }
+        })
+
+        const parsed = parseSession(serializeSession(session))
+
+        assert.deepEqual(parsed, session, 'Session should survive a round-trip')
+      }
+    },
+
+    {
+      name: 'validateSession - rejects invalid pairs and options',
+      async run () {
+        const session = createSession({
+          source: { imageHash: 'aaa', width: 800, height: 600 },
+          target: { imageHash: 'bbb', width: 800, height: 600 }
+        })
+        session.referencePairs.push({ source: { x: 1, y: 2 }, target: { x: 'a', y: 2 } })
+        session.mergeOptions.duplicateStrategy = 'guess'
+
+        const result = validateSession(session)
+
+        assert.ok(!result.isValid, 'Session should be invalid')
+        assert.equal(result.errors.length, 2, 'Should report pair and strategy errors')
+      }
+    },
+
+    {
+      name: 'parseSession - rejects other files',
+      async run () {
+        assert.throws(() => parseSession('not json'), 'Should reject invalid JSON')
+        assert.throws(
+          () => parseSession(JSON.stringify(createMinimalExport())),
+          'Should reject an export file'
+        )
+      }
+    },
+
+    {
+      name: 'compareSessionMaps - detects different maps',
+      async run () {
+        const session = createSession({
+          source: { imageHash: 'aaa', width: 800, height: 600 },
+          target: { imageHash: 'bbb', width: 800, height: 600 }
+        })
+
+        assert.ok(compareSessionMaps(session, { sourceHash: 'aaa', targetHash: 'bbb' }).isMatch, 'Same maps should match')
+
+        const changed = compareSessionMaps(session, { sourceHash: 'aaa', targetHash: 'ccc' })
+        assert.ok(!changed.isMatch, 'Different target should not match')
+        assert.equal(changed.source, true, 'Source should match')
+        assert.equal(changed.target, false, 'Target should differ')
+      }
+    },
+
+    {
+      name: 'compareSessionMaps - unknown hashes do not fail',
+      async run () {
+        const session = createSession({
+          source: { imageHash: 'aaa', width: 800, height: 600 },
+          target: { imageHash: null, width: 800, height: 600 }
+        })
+
+        const match = compareSessionMaps(session, { sourceHash: 'aaa', targetHash: 'bbb' })
+
+        assert.equal(match.target, null, 'Target match should be unknown')
+        assert.ok(match.isMatch, 'Unknown hashes should not block the session')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: Image Info
+ */
+const imageInfoTests = {
+  name: 'Image Info',
+  tests: [
+    {
+      name: 'getImageInfo - reads PNG size',
+      run: async () => {
+        const blob = base64ToBlob('data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==')
+        const info = getImageInfo(await blob.arrayBuffer())
+
+        assert.deepEqual(info, { type: 'image/png', width: 1, height: 1 }, 'Should read 1×1 PNG')
+      }
+    },
+    {
+      name: 'getImageInfo - reads GIF size',
+      run: () => {
+        // GIF89a header with a 320×200 logical screen
+        const header = new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x40, 0x01, 0xC8, 0x00])
+        const info = getImageInfo(header)
+
+        assert.deepEqual(info, { type: 'image/gif', width: 320, height: 200 }, 'Should read GIF screen size')
+      }
+    },
+    {
+      name: 'getImageInfo - rejects unknown and truncated images',
+      run: () => {
+        assert.throws(() => getImageInfo(new TextEncoder().encode('<svg></svg>')), 'Should reject SVG')
+        assert.throws(() => getImageInfo(new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])), 'Should reject truncated PNG')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: GeoJSON
+ */
+const GEOREFERENCE = {
+  crs: 'EPSG:4326',
+  // 0.001° per pixel, north-up, top-left corner at (10°E, 50°N)
+  transform: { a: 0.001, b: 0, c: 0, d: -0.001, e: 10, f: 50 }
+}
+
+const PARSED_EXPORT = {
+  map: { id: 'map_1', name: 'Site', width: 1000, height: 800 },
+  markers: [
+    { id: 'marker_1', x: 100, y: 200, description: 'Gate', createdDate: '2026-01-15T10:00:00.000Z', photoIds: ['photo_1'] },
+    { id: 'marker_2', x: 500, y: 400, description: 'Tank', createdDate: '2026-01-16T10:00:00.000Z' }
+  ],
+  photos: [
+    { id: 'photo_1', markerId: 'marker_1', fileName: 'gate.jpg' },
+    { id: 'photo_2', markerId: 'marker_2', fileName: 'tank.jpg' }
+  ]
+}
+
+const geojsonTests = {
+  name: 'GeoJSON',
+  tests: [
+    {
+      name: 'buildGeoJSON - pixel coordinates by default',
+      run: () => {
+        const geojson = buildGeoJSON(PARSED_EXPORT)
+
+        assert.equal(geojson.type, 'FeatureCollection', 'Should be a FeatureCollection')
+        assert.equal(geojson.snapspot.coordinateSpace, 'pixel', 'Unreferenced map should use pixels')
+        assert.equal(geojson.features.length, 2, 'Should have one feature per marker')
+
+        const feature = geojson.features[0]
+        assert.equal(feature.id, 'marker_1', 'Feature id should be marker id')
+        assert.deepEqual(feature.geometry, { type: 'Point', coordinates: [100, 200] }, 'Should use pixel position')
+        assert.equal(feature.properties.description, 'Gate', 'Should include description')
+        assert.equal(feature.properties.createdDate, '2026-01-15T10:00:00.000Z', 'Should include createdDate')
+        assert.deepEqual(feature.properties.photos, ['gate.jpg'], 'Should list photo file names')
+        assert.deepEqual(geojson.features[1].properties.photos, ['tank.jpg'], 'Should match photos by markerId')
+      }
+    },
+    {
+      name: 'buildGeoJSON - world coordinates for georeferenced map',
+      run: () => {
+        const parsed = { ...PARSED_EXPORT, map: { ...PARSED_EXPORT.map, georeference: GEOREFERENCE } }
+        const geojson = buildGeoJSON(parsed)
+        const [lon, lat] = geojson.features[0].geometry.coordinates
+
+        assert.equal(geojson.snapspot.coordinateSpace, 'world', 'Georeferenced map should use world coordinates')
+        assert.equal(geojson.snapspot.crs, 'EPSG:4326', 'Should report CRS')
+        assert.ok(Math.abs(lon - 10.1) < 1e-9 && Math.abs(lat - 49.8) < 1e-9, 'Should convert pixels to lon/lat')
+        assert.deepEqual(geojson.features[0].properties.pixel, { x: 100, y: 200 }, 'Should keep pixel position')
+
+        const pixel = buildGeoJSON(parsed, { coordinates: 'pixel' })
+        assert.deepEqual(pixel.features[0].geometry.coordinates, [100, 200], 'Should honour pixel option')
+      }
+    },
+    {
+      name: 'buildGeoJSON - world coordinates require a georeference',
+      run: () => {
+        assert.throws(() => buildGeoJSON(PARSED_EXPORT, { coordinates: 'world' }), 'Should reject world without georeference')
+        assert.throws(() => buildGeoJSON(PARSED_EXPORT, { coordinates: 'latlon' }), 'Should reject unknown coordinate space')
+      }
+    },
+    {
+      name: 'validateGeoreference - checks transform and control points',
+      run: () => {
+        assert.ok(validateGeoreference(GEOREFERENCE).isValid, 'Valid georeference should pass')
+        assert.deepEqual(pixelToWorld({ x: 0, y: 0 }, GEOREFERENCE), { x: 10, y: 50 }, 'Origin should map to e/f')
+
+        const degenerate = { ...GEOREFERENCE, transform: { a: 1, b: 2, c: 2, d: 4, e: 0, f: 0 } }
+        assert.ok(!validateGeoreference(degenerate).isValid, 'Degenerate transform should fail')
+
+        const badPoints = { ...GEOREFERENCE, controlPoints: [{ pixel: { x: 0, y: 0 } }] }
+        assert.ok(!validateGeoreference(badPoints).isValid, 'Control point without world position should fail')
+      }
+    },
+    {
+      name: 'Round-trip - georeference survives build and parse',
+      async run () {
+        const mapImage = base64ToBlob('data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==')
+        const built = await buildExport(
+          { id: 'map_1', name: 'Site', width: 1000, height: 800, georeference: GEOREFERENCE },
+          mapImage,
+          []
+        )
+
+        assert.ok(validateExportFile(built).isValid, 'Georeferenced export should be valid')
+
+        const parsed = await parseExport(JSON.stringify(built))
+        assert.deepEqual(parsed.map.georeference, GEOREFERENCE, 'Georeference should be preserved')
+
+        built.map.georeference = { crs: 'EPSG:4326' }
+        assert.ok(!validateExportFile(built).isValid, 'Invalid georeference should fail validation')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: CSV
+ */
+async function parseCsvTestExport () {
+  return parseExport(JSON.stringify(createMinimalExport({
+    markers: [
+      { id: 'marker_1', x: 10, y: 20, description: 'Gate, north', photoIds: ['photo_1'], createdDate: '2026-01-15T10:00:00.000Z' },
+      { id: 'marker_2', x: 50, y: 60, description: 'Tank', photoIds: [], createdDate: '2026-01-16T10:00:00.000Z' }
+    ],
+    photos: [
+      { id: 'photo_1', markerId: 'marker_1', imageData: 'data:image/jpeg;base64,AA==', fileName: 'gate.jpg', fileType: 'image/jpeg', fileSize: 1, createdDate: '2026-01-15T10:00:00.000Z' },
+      { id: 'photo_2', markerId: 'marker_1', imageData: 'data:image/jpeg;base64,AA==', fileName: 'gate-2.jpg', fileType: 'image/jpeg', fileSize: 1, createdDate: '2026-01-15T10:00:00.000Z' }
+    ]
+  })))
+}
+
+const csvTests = {
+  name: 'CSV',
+  tests: [
+    {
+      name: 'buildMarkersCsv - flattens markers with photo file names',
+      async run () {
+        const csv = buildMarkersCsv(await parseCsvTestExport())
+        const lines = csv.trim().split('\r\n')
+
+        assert.equal(lines[0], CSV_COLUMNS.join(','), 'Should start with header')
+        assert.equal(lines.length, 3, 'Should have one row per marker')
+        assert.equal(lines[1], 'marker_1,10,20,"Gate, north",2026-01-15T10:00:00.000Z,,2,gate.jpg; gate-2.jpg', 'Should quote values containing the delimiter')
+        assert.ok(lines[2].endsWith(',0,'), 'Marker without photos should have count 0')
+      }
+    },
+    {
+      name: 'applyMarkersCsv - applies edited rows by id',
+      async run () {
+        const parsed = await parseCsvTestExport()
+        const csv = buildMarkersCsv(parsed)
+          .replace('"Gate, north"', '"Main gate, ""north"""')
+          .replace('marker_2,50,60', 'marker_2,55.5,60')
+
+        const { exportData, updated, unchanged, errors } = await applyMarkersCsv(parsed, csv)
+        const [gate, tank] = exportData.markers
+
+        assert.equal(errors.length, 0, 'Should have no errors')
+        assert.equal(updated, 2, 'Should update both markers')
+        assert.equal(unchanged, 0, 'Should have no unchanged rows')
+        assert.equal(gate.description, 'Main gate, "north"', 'Should unescape quoted description')
+        assert.equal(tank.x, 55.5, 'Should update coordinates')
+        assert.ok(tank.lastModified, 'Should set lastModified on changed markers')
+        assert.equal(exportData.photos.length, 2, 'Should keep photos')
+        assert.ok(validateExportFile(exportData).isValid, 'Result should be a valid export')
+      }
+    },
+    {
+      name: 'applyMarkersCsv - reports validation errors per row',
+      async run () {
+        const parsed = await parseCsvTestExport()
+        const csv = [
+          'id;x;y;description',
+          'marker_1;12,5;20;Gate',
+          'marker_9;10;10;Unknown',
+          'marker_2;abc;500;Tank',
+          'marker_1;10;20;Twice',
+          ';1;1;No id'
+        ].join('\n')
+
+        const { exportData, updated, errors } = await applyMarkersCsv(parsed, csv)
+        const rowsWithErrors = [...new Set(errors.map(error => error.row))]
+
+        assert.equal(updated, 1, 'Valid row should still be applied')
+        assert.equal(exportData.markers[0].x, 12.5, 'Should accept decimal comma in ; separated files')
+        assert.deepEqual(rowsWithErrors, [3, 4, 5, 6], 'Should report spreadsheet row numbers')
+        assert.equal(errors.filter(error => error.row === 4).length, 2, 'Should report every error of a row')
+        assert.equal(exportData.markers[1].description, 'Tank', 'Invalid row should not be applied')
+      }
+    },
+    {
+      name: 'applyMarkersCsv - keeps markers without rows and rejects files without id',
+      async run () {
+        const parsed = await parseCsvTestExport()
+
+        const { exportData, updated, unchanged } = await applyMarkersCsv(parsed, '\uFEFFid,description\r\nmarker_2,Tank\r\n')
+        assert.equal(updated, 0, 'Same description should not count as update')
+        assert.equal(unchanged, 1, 'Should count unchanged row')
+        assert.equal(exportData.markers.length, 2, 'Markers without rows should be kept')
+
+        let threw = false
+        try {
+          await applyMarkersCsv(parsed, 'x,y\n1,2')
+        } catch (error) {
+          threw = true
+        }
+        assert.ok(threw, 'Should reject CSV without id column')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: KML
+ */
+async function parseKmlTestExport () {
+  const exportData = createMinimalExport({
+    markers: [
+      { id: 'marker_1', x: 100, y: 200, description: 'Gate & fence\nnorth side', photoIds: ['photo_1'], createdDate: '2026-01-15T10:00:00.000Z' },
+      { id: 'marker_2', x: 500, y: 400, description: '', photoIds: [], createdDate: '2026-01-16T10:00:00.000Z' }
+    ],
+    photos: [
+      { id: 'photo_1', markerId: 'marker_1', imageData: 'data:image/jpeg;base64,AAEC', thumbnailData: 'data:image/jpeg;base64,AA==', fileName: 'gate.jpg', fileType: 'image/jpeg', fileSize: 3, createdDate: '2026-01-15T10:00:00.000Z' }
+    ]
+  })
+  exportData.map = { ...exportData.map, width: 1000, height: 800, georeference: GEOREFERENCE }
+  return parseExport(JSON.stringify(exportData))
+}
+
+/**
+ * Read the entries of a stored (uncompressed) zip archive
+ */
+function readStoredZip (bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const entries = {}
+  let offset = 0
+
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true)
+    const nameLength = view.getUint16(offset + 26, true)
+    const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength))
+    const start = offset + 30 + nameLength
+    entries[name] = bytes.subarray(start, start + size)
+    offset = start + size
+  }
+  return entries
+}
+
+const kmlTests = {
+  name: 'KML',
+  tests: [
+    {
+      name: 'buildKML - placemarks with lon/lat and embedded thumbnails',
+      async run () {
+        const kml = await buildKML(await parseKmlTestExport())
+
+        assert.ok(kml.startsWith('<?xml'), 'Should be an XML document')
+        assert.equal((kml.match(/<Placemark /g) || []).length, 2, 'Should have one placemark per marker')
+        assert.ok(kml.includes('<coordinates>10.1,49.8,0</coordinates>'), 'Should use lon,lat coordinates')
+        assert.ok(kml.includes('<name>Gate &amp; fence</name>'), 'Should name placemark after first description line')
+        assert.ok(kml.includes('<name>Marker 2</name>'), 'Should name markers without description')
+        assert.ok(kml.includes('<img src="data:image/jpeg;base64,AA=="'), 'Should embed thumbnail as data URI')
+        assert.ok(!kml.includes('GroundOverlay'), 'KML should not reference a map image')
+      }
+    },
+    {
+      name: 'buildKML - requires a WGS 84 georeference',
+      async run () {
+        const parsed = await parseKmlTestExport()
+        const rejects = async (exportData) => {
+          try {
+            await buildKML(exportData)
+            return false
+          } catch (error) {
+            return true
+          }
+        }
+
+        assert.ok(await rejects({ ...parsed, map: { ...parsed.map, georeference: undefined } }), 'Should reject map without georeference')
+        assert.ok(await rejects({ ...parsed, map: { ...parsed.map, georeference: { ...GEOREFERENCE, crs: 'EPSG:3857' } } }), 'Should reject other CRS')
+      }
+    },
+    {
+      name: 'buildKMZ - packages KML, map overlay and photos',
+      async run () {
+        const kmz = await buildKMZ(await parseKmlTestExport())
+        const entries = readStoredZip(new Uint8Array(await kmz.arrayBuffer()))
+        const names = Object.keys(entries)
+        const kml = new TextDecoder().decode(entries['doc.kml'])
+
+        assert.equal(kmz.type, 'application/vnd.google-earth.kmz', 'Should be a KMZ blob')
+        assert.deepEqual(names, ['doc.kml', 'files/map.png', 'photos/gate.jpg'], 'Should start with doc.kml and contain map and photos')
+        assert.deepEqual([...entries['photos/gate.jpg']], [0, 1, 2], 'Should contain full-size photo bytes')
+        assert.ok(kml.includes('<href>files/map.png</href>'), 'Should reference map image in GroundOverlay')
+        assert.ok(kml.includes('<coordinates>10,49.2,0 11,49.2,0 11,50,0 10,50,0</coordinates>'), 'Should place overlay corners')
+        assert.ok(kml.includes('<img src="photos/gate.jpg"'), 'Balloon should show packaged photo')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: Point Import
+ */
+const TINY_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+
+const pointImportTests = {
+  name: 'Point Import',
+  tests: [
+    {
+      name: 'worldToPixel - inverts pixelToWorld',
+      run: () => {
+        const skewed = { crs: 'EPSG:4326', transform: { a: 0.001, b: 0.0002, c: -0.0001, d: -0.001, e: 10, f: 50 } }
+        const pixel = worldToPixel(pixelToWorld({ x: 120, y: 340 }, skewed), skewed)
+
+        assert.ok(Math.abs(pixel.x - 120) < 1e-6 && Math.abs(pixel.y - 340) < 1e-6, 'Should return original pixel')
+        const gate = worldToPixel({ x: 10.1, y: 49.8 }, GEOREFERENCE)
+        assert.ok(Math.abs(gate.x - 100) < 1e-6 && Math.abs(gate.y - 200) < 1e-6, 'Should convert lon/lat to pixels')
+      }
+    },
+    {
+      name: 'buildExportFromPoints - GeoJSON points in pixels',
+      async run () {
+        const geojson = JSON.stringify(buildGeoJSON(PARSED_EXPORT))
+        const { points, fields, coordinateSpace } = parsePointFile(geojson, 'points.geojson')
+
+        assert.equal(points.length, 2, 'Should read Point features')
+        assert.equal(coordinateSpace, 'pixel', 'Should report coordinate space of SnapSpot GeoJSON')
+        assert.deepEqual(fields, ['description', 'createdDate', 'photos'], 'Should list property names')
+
+        const { exportData, imported, errors } = await buildExportFromPoints(points, base64ToBlob(TINY_PNG), { name: 'Legacy', width: 1000, height: 800 })
+
+        assert.equal(imported, 2, 'Should import both points')
+        assert.equal(errors.length, 0, 'Should have no errors')
+        assert.equal(exportData.version, '1.1', 'Should create a v1.1 export')
+        assert.ok(validateExportFile(exportData).isValid, 'Should create a valid export')
+        assert.equal(exportData.markers[0].description, 'Gate', 'Should map description')
+        assert.equal(exportData.markers[0].createdDate, '2026-01-15T10:00:00.000Z', 'Should map createdDate')
+        assert.equal(exportData.markers[1].x, 500, 'Should keep pixel position')
+      }
+    },
+    {
+      name: 'buildExportFromPoints - CSV in world coordinates with field mapping',
+      async run () {
+        const csv = [
+          'name;lat;lon;surveyed',
+          'Well;49,8;10,1;2019-05-02',
+          'Far away;48;9;2019-05-02',
+          'Bad date;49,7;10,2;someday',
+          'No position;;;2019-05-02'
+        ].join('\n')
+        const { points, errors: readErrors } = parsePointFile(csv, 'survey.csv')
+
+        assert.deepEqual(readErrors.map(error => error.row), [5], 'Should report rows without coordinates')
+
+        const { exportData, imported, errors } = await buildExportFromPoints(points, base64ToBlob(TINY_PNG), {
+          name: 'Survey',
+          width: 1000,
+          height: 800,
+          fields: { description: 'name', createdDate: 'surveyed' },
+          coordinates: 'world',
+          georeference: GEOREFERENCE
+        })
+        const [well] = exportData.markers
+
+        assert.equal(imported, 1, 'Should import valid point')
+        assert.deepEqual(errors.map(error => error.row), [3, 4], 'Should report points outside the map and invalid dates')
+        assert.ok(Math.abs(well.x - 100) < 1e-6 && Math.abs(well.y - 200) < 1e-6, 'Should convert lon/lat to pixels')
+        assert.equal(well.description, 'Well', 'Should map description field')
+        assert.equal(well.createdDate, '2019-05-02T00:00:00.000Z', 'Should map date field')
+        assert.deepEqual(exportData.map.georeference, GEOREFERENCE, 'Should keep georeference in export')
+      }
+    },
+    {
+      name: 'buildExportFromPoints - reads map size and rejects invalid input',
+      async run () {
+        const points = [{ row: 2, x: 1, y: 1, properties: {} }]
+        const { exportData } = await buildExportFromPoints(points, base64ToBlob(TINY_PNG), { name: 'Tiny' })
+        assert.equal(exportData.map.width, 1, 'Should read map width from image')
+
+        let worldRejected = false
+        try {
+          await buildExportFromPoints(points, base64ToBlob(TINY_PNG), { name: 'Tiny', coordinates: 'world' })
+        } catch (error) {
+          worldRejected = true
+        }
+        assert.ok(worldRejected, 'Should reject world coordinates without georeference')
+        assert.throws(() => parsePointFile('a,b\n1,2', 'points.csv'), 'Should reject CSV without coordinate columns')
+        assert.throws(() => parsePointFile('', 'points.kml'), 'Should reject unsupported file type')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: Marker Splitting
+ */
+function createMultiPhotoExport () {
+  const photo = (id, markerId) => ({ id, markerId, fileName: `${id}.jpg`, fileType: 'image/jpeg', fileSize: 3, imageData: 'data:image/jpeg;base64,AAEC', createdDate: '2026-01-15T10:00:00.000Z' })
+
+  return createMinimalExport({
+    markers: [
+      { id: 'm1', x: 10, y: 20, description: 'Gate', photoIds: ['p2', 'p1', 'p3'], createdDate: '2026-01-15T10:00:00.000Z', lastModified: '2026-01-15T10:00:00.000Z' },
+      { id: 'm2', x: 30, y: 40, description: '', photoIds: ['p4', 'p5'], createdDate: '2026-01-16T10:00:00.000Z', lastModified: '2026-01-16T10:00:00.000Z' },
+      { id: 'm3', x: 50, y: 60, description: 'Single', photoIds: ['p6'], createdDate: '2026-01-17T10:00:00.000Z', lastModified: '2026-01-17T10:00:00.000Z' }
+    ],
+    photos: [photo('p1', 'm1'), photo('p2', 'm1'), photo('p3', 'm1'), photo('p4', 'm2'), photo('p5', 'm2'), photo('p6', 'm3')]
+  })
+}
+
+const markerSplittingTests = {
+  name: 'Marker Splitting',
+  tests: [
+    {
+      name: 'splitMarkersWithMultiplePhotos - one marker per photo',
+      run: () => {
+        const original = createMultiPhotoExport()
+        const { exportData, splits, createdCount } = splitMarkersWithMultiplePhotos(original)
+        const [gate1, gate2, gate3, photo1, photo2, single] = exportData.markers
+
+        assert.equal(createdCount, 3, 'Should create one marker per extra photo')
+        assert.equal(exportData.markers.length, 6, 'Should have one marker per photo')
+        assert.deepEqual(splits.map(split => split.photoCount), [3, 2], 'Should report split markers')
+        assert.equal(gate1.id, 'm1', 'Original marker should keep its id')
+        assert.deepEqual(gate1.photoIds, ['p2'], 'Original marker should keep first photo')
+        assert.deepEqual([gate2.photoIds, gate3.photoIds], [['p1'], ['p3']], 'Should follow photoIds order')
+        assert.deepEqual([gate1.description, gate3.description], ['Gate - Photo 1', 'Gate - Photo 3'], 'Should apply description template')
+        assert.deepEqual([photo1.description, photo2.description], ['Photo 1', 'Photo 2'], 'Should number markers without description')
+        assert.ok(gate2.x === 10 && gate2.y === 20, 'New markers should keep position')
+        assert.equal(gate2.createdDate, '2026-01-15T10:00:00.001Z', 'New markers should follow original chronologically')
+        assert.equal(single.description, 'Single', 'Should leave single-photo markers alone')
+        assert.equal(original.markers.length, 3, 'Should not modify input export')
+      }
+    },
+    {
+      name: 'splitMarkersWithMultiplePhotos - remaps photos and keeps export valid',
+      run: () => {
+        const { exportData, splits } = splitMarkersWithMultiplePhotos(createMultiPhotoExport(), {
+          descriptionTemplate: '{original} ({number}/{total})'
+        })
+        const markerIds = exportData.markers.map(marker => marker.id)
+        const photoMarker = (photoId) => exportData.markers.find(marker => marker.id === exportData.photos.find(p => p.id === photoId).markerId)
+
+        assert.equal(new Set(markerIds).size, markerIds.length, 'Marker ids should be unique')
+        assert.deepEqual(splits[0].newMarkerIds, markerIds.slice(1, 3), 'Should report new marker ids')
+        exportData.photos.forEach(photo => {
+          assert.deepEqual(photoMarker(photo.id).photoIds, [photo.id], `Photo ${photo.id} should point to its own marker`)
+        })
+        assert.equal(exportData.markers[1].description, 'Gate (2/3)', 'Should fill {total}')
+        assert.ok(validateExportFile(exportData).isValid, 'Split export should be valid')
+      }
+    },
+    {
+      name: 'splitMarkersWithMultiplePhotos - nothing to split',
+      run: () => {
+        const original = createMinimalExport({
+          markers: [{ id: 'm1', x: 1, y: 1, description: 'A', photoIds: [], createdDate: '2026-01-15T10:00:00.000Z', lastModified: '2026-01-15T10:00:00.000Z' }]
+        })
+        const result = splitMarkersWithMultiplePhotos(original)
+
+        assert.equal(result.createdCount, 0, 'Should create no markers')
+        assert.equal(result.exportData, original, 'Should return export unchanged')
+        assert.throws(() => splitMarkersWithMultiplePhotos({}), 'Should reject invalid export')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: HTML Viewer
+ */
+function readViewerData (html) {
+  const match = html.match(/<script type="application\/json" id="viewer-data">(.*?)<\/script>/)
+  return JSON.parse(match[1])
+}
+
+const htmlViewerTests = {
+  name: 'HTML Viewer',
+  tests: [
+    {
+      name: 'buildHtmlViewer - embeds map, numbered markers and thumbnails',
+      async run () {
+        const parsed = await parseExport(JSON.stringify(createMinimalExport({
+          markers: [
+            { id: 'late', x: 500, y: 400, description: 'Later', photoIds: [], createdDate: '2026-01-16T10:00:00.000Z' },
+            { id: 'early', x: 100, y: 200, description: 'Gate </script> & fence', photoIds: ['photo_1'], createdDate: '2026-01-15T10:00:00.000Z' }
+          ],
+          photos: [
+            { id: 'photo_1', markerId: 'early', imageData: 'data:image/jpeg;base64,AAEC', thumbnailData: 'data:image/jpeg;base64,AA==', fileName: 'gate.jpg', fileType: 'image/jpeg', fileSize: 3, createdDate: '2026-01-15T10:00:00.000Z' }
+          ]
+        })))
+        const html = await buildHtmlViewer(parsed, { title: 'Site <survey>' })
+        const data = readViewerData(html)
+
+        assert.ok(html.startsWith('<!DOCTYPE html>'), 'Should be an HTML document')
+        assert.ok(html.includes('<title>Site &lt;survey&gt;</title>'), 'Should escape title')
+        assert.equal((html.match(/<\/script>/g) || []).length, 2, 'Descriptions should not end the data script')
+        assert.ok(data.image.startsWith('data:image/png;base64,'), 'Should embed map image as data URI')
+        assert.deepEqual(data.markers.map(marker => marker.number), [1, 2], 'Should number markers')
+        assert.equal(data.markers[0].description, 'Gate </script> & fence', 'Should number markers by createdDate')
+        assert.deepEqual(data.markers[0].photos, [{ name: 'gate.jpg', src: 'data:image/jpeg;base64,AA==' }], 'Should embed thumbnail')
+        assert.ok(!html.includes('https://') && !html.includes('src="http'), 'Should not load external resources')
+      }
+    },
+    {
+      name: 'buildHtmlViewer - photo names and image data cannot inject markup',
+      async run () {
+        const fileName = 'x" onerror="alert(1)\'.jpg'
+        const imageData = 'data:image/jpeg;base64,AA==" onerror="alert(2)'
+        const html = await buildHtmlViewer(await parseExport(JSON.stringify(createMinimalExport({
+          markers: [{ id: 'm1', x: 10, y: 10, description: 'Gate', photoIds: ['p1'], createdDate: '2026-01-15T10:00:00.000Z' }],
+          photos: [{ id: 'p1', markerId: 'm1', imageData, fileName, fileType: 'image/jpeg', fileSize: 3, createdDate: '2026-01-15T10:00:00.000Z' }]
+        }))))
+        const data = readViewerData(html)
+
+        assert.deepEqual(data.markers[0].photos, [{ name: fileName, src: imageData }], 'Should embed name and image data as data')
+        assert.ok(!html.includes('onerror="alert'), 'Should not write photo fields into markup')
+        assert.ok(!/<img src="\$\{|alt="\$\{/.test(html), 'Viewer should set photo attributes as properties')
+      }
+    },
+    {
+      name: 'buildHtmlViewer - without photos, requires map image',
+      async run () {
+        const parsed = await parseExport(JSON.stringify(createMultiPhotoExport()))
+        const data = readViewerData(await buildHtmlViewer(parsed, { includePhotos: false }))
+
+        assert.equal(data.markers.length, 3, 'Should include all markers')
+        assert.ok(data.markers.every(marker => marker.photos.length === 0), 'Should leave photos out')
+
+        let threw = false
+        try {
+          await buildHtmlViewer({ ...parsed, mapImage: null })
+        } catch (error) {
+          threw = true
+        }
+        assert.ok(threw, 'Should reject export without map image')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: Export Diff
+ */
+function createDiffExports () {
+  const photo = (id, markerId, fileName) => ({ id, markerId, fileName, fileType: 'image/jpeg', fileSize: 3, createdDate: '2026-01-15T10:00:00.000Z' })
+  const marker = (id, x, y, description, photoIds, day) => ({ id, x, y, description, photoIds, createdDate: `2026-01-1${day}T10:00:00.000Z` })
+
+  const oldExport = createMinimalExport({
+    markers: [
+      marker('gate', 10, 10, 'Gate', ['p1'], 1),
+      marker('shed', 50, 50, 'Shed', [], 2),
+      marker('old-id', 80, 20, 'Pump', ['p2'], 3),
+      marker('gone', 90, 90, 'Removed', [], 4)
+    ],
+    photos: [photo('p1', 'gate', 'IMG_1.jpg'), photo('p2', 'old-id', 'IMG_2.jpg')]
+  })
+  const newExport = createMinimalExport({
+    markers: [
+      marker('gate', 13, 14, 'Main gate', ['p1', 'p3'], 1),
+      marker('shed', 50, 50, 'Shed', [], 2),
+      marker('new-id', 80, 20, 'Pump', ['p9'], 3),
+      marker('fresh', 30, 70, 'New', [], 5)
+    ],
+    photos: [photo('p1', 'gate', 'IMG_1.jpg'), photo('p3', 'gate', 'IMG_3.jpg'), photo('p9', 'new-id', 'img_2.JPG')]
+  })
+  return { oldExport, newExport }
+}
+
+const exportDiffTests = {
+  name: 'Export Diff',
+  tests: [
+    {
+      name: 'diffExports - added, removed, moved, re-described and photo changes',
+      run: () => {
+        const { oldExport, newExport } = createDiffExports()
+        const diff = diffExports(oldExport, newExport)
+        const [gate] = diff.changed
+
+        assert.equal(diff.summary.unchanged, 2, 'Shed and the pump with a new id should be unchanged')
+        assert.deepEqual(diff.added.map(entry => entry.marker.id), ['fresh'], 'Should report added marker')
+        assert.deepEqual(diff.removed.map(entry => [entry.marker.id, entry.number]), [['gone', 4]], 'Should report removed marker with old number')
+        assert.equal(diff.changed.length, 1, 'Only the gate should have changed')
+        assert.deepEqual(gate.moved, { dx: 3, dy: 4, distance: 5 }, 'Should report move distance')
+        assert.deepEqual(gate.description, { from: 'Gate', to: 'Main gate' }, 'Should report new description')
+        assert.deepEqual(gate.photos, { added: ['IMG_3.jpg'], removed: [] }, 'Should report added photo')
+        assert.equal(describeMarkerChange(gate), 'moved 5.0 px; description "Gate" → "Main gate"; photos +IMG_3.jpg', 'Should describe change')
+        assert.ok(diff.sameMap, 'Same map image')
+      }
+    },
+    {
+      name: 'diffExports - matches markers with new ids by merger heuristics',
+      run: () => {
+        const { oldExport, newExport } = createDiffExports()
+
+        const smart = diffExports(oldExport, newExport)
+        assert.equal(smart.summary.matchedByHeuristics, 1, 'Pump should be matched despite new id')
+        assert.equal(smart.summary.matchedById, 2, 'Gate and shed matched by id')
+        assert.ok(smart.unchanged.some(pair => pair.oldMarker.id === 'old-id' && pair.newMarker.id === 'new-id'), 'Pump should be listed as unchanged pair')
+
+        const idsOnly = diffExports(oldExport, newExport, { matchStrategy: 'none' })
+        assert.deepEqual(idsOnly.added.map(entry => entry.marker.id), ['new-id', 'fresh'], 'Without heuristics the pump is added')
+        assert.deepEqual(idsOnly.removed.map(entry => entry.marker.id), ['old-id', 'gone'], 'Without heuristics the pump is removed')
+
+        const byLabel = diffExports(oldExport, newExport, { matchStrategy: 'label' })
+        assert.equal(byLabel.summary.matchedByHeuristics, 1, 'Label strategy should match the pump')
+      }
+    },
+    {
+      name: 'diffExports - move tolerance and invalid input',
+      run: () => {
+        const { oldExport, newExport } = createDiffExports()
+        const diff = diffExports(oldExport, newExport, { moveTolerance: 5 })
+
+        assert.equal(diff.summary.moved, 0, 'Moves up to the tolerance should be ignored')
+        assert.equal(diff.summary.redescribed, 1, 'Other changes are still reported')
+        assert.ok(!diffExports(oldExport, { ...newExport, map: { ...newExport.map, imageHash: 'other' } }).sameMap, 'Should flag different maps')
+        assert.throws(() => diffExports(oldExport, {}), 'Should reject export without markers')
+        assert.throws(() => diffExports(oldExport, newExport, { matchStrategy: 'fuzzy' }), 'Should reject unknown strategy')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: Three-Way Merge
+ */
+function createMergeBase () {
+  const photo = (id, markerId, fileName) => ({ id, markerId, fileName, fileType: 'image/jpeg', fileSize: 3, createdDate: '2026-01-15T10:00:00.000Z' })
+  const marker = (id, x, y, description, photoIds, day) => ({ id, x, y, description, photoIds, createdDate: `2026-01-1${day}T10:00:00.000Z` })
+
+  return createMinimalExport({
+    markers: [
+      marker('gate', 10, 10, 'Gate', ['p1'], 1),
+      marker('shed', 50, 50, 'Shed', [], 2),
+      marker('pump', 80, 20, 'Pump', ['p2'], 3),
+      marker('tank', 90, 90, 'Tank', [], 4)
+    ],
+    photos: [photo('p1', 'gate', 'IMG_1.jpg'), photo('p2', 'pump', 'IMG_2.jpg')]
+  })
+}
+
+/**
+ * Copy an export and edit its markers
+ */
+function editExport (exportData, edits, extra = {}) {
+  const copy = JSON.parse(JSON.stringify(exportData))
+  copy.markers = copy.markers
+    .filter(marker => edits[marker.id] !== null)
+    .map(marker => ({ ...marker, ...edits[marker.id] }))
+  copy.markers.push(...(extra.markers || []))
+  copy.photos = copy.photos.filter(photo => !(extra.removePhotos || []).includes(photo.id))
+  copy.photos.push(...(extra.photos || []))
+  return copy
+}
+
+const threeWayMergeTests = {
+  name: 'Three-Way Merge',
+  tests: [
+    {
+      name: 'mergeExportsThreeWay - applies non-conflicting changes of both sides',
+      run: () => {
+        const base = createMergeBase()
+        const ours = editExport(base, { gate: { description: 'Main gate' }, shed: { photoIds: ['p3'] } }, {
+          photos: [{ id: 'p3', markerId: 'shed', fileName: 'IMG_3.jpg', createdDate: '2026-01-15T10:00:00.000Z' }]
+        })
+        const theirs = editExport(base, { gate: { x: 13, y: 14 }, tank: null, pump: { photoIds: [] } }, {
+          markers: [{ id: 'well', x: 30, y: 70, description: 'Well', photoIds: ['p4'], createdDate: '2026-01-19T10:00:00.000Z' }],
+          photos: [{ id: 'p4', markerId: 'well', fileName: 'IMG_4.jpg', createdDate: '2026-01-19T10:00:00.000Z' }],
+          removePhotos: ['p2']
+        })
+        const baseJson = JSON.stringify(base)
+
+        const { exportData, conflicts, summary } = mergeExportsThreeWay(base, ours, theirs)
+        const byId = id => exportData.markers.find(marker => marker.id === id)
+
+        assert.equal(conflicts.length, 0, 'Should have no conflicts')
+        assert.deepEqual([byId('gate').x, byId('gate').y, byId('gate').description], [13, 14, 'Main gate'], 'Gate should get their move and our description')
+        assert.ok(!byId('tank'), 'Tank deleted by theirs should be deleted')
+        assert.equal(byId('well').description, 'Well', 'Marker added by theirs should be added')
+        assert.deepEqual(exportData.photos.map(photo => photo.id).sort(), ['p1', 'p3', 'p4'], 'Photos should merge as sets')
+        assert.deepEqual(byId('pump').photoIds, [], 'Removed photo should be unlinked')
+        assert.deepEqual(
+          [summary.added, summary.removed, summary.moved, summary.redescribed, summary.photosAdded, summary.photosRemoved],
+          [1, 1, 1, 0, 0, 1],
+          'Summary should count changes applied from theirs'
+        )
+        assert.equal(exportData.metadata.mergedFrom.length, 1, 'Should record the merge')
+        assert.equal(JSON.stringify(base), baseJson, 'Should not modify inputs')
+      }
+    },
+    {
+      name: 'mergeExportsThreeWay - reports conflicting edits',
+      run: () => {
+        const base = createMergeBase()
+        const ours = editExport(base, { gate: { description: 'Front gate' }, shed: { x: 55 }, pump: null, tank: { description: 'Water tank' } })
+        const theirs = editExport(base, { gate: { description: 'Main gate' }, shed: { x: 60 }, pump: { description: 'Old pump' }, tank: null })
+
+        const { exportData, conflicts, summary } = mergeExportsThreeWay(base, ours, theirs)
+        const byType = type => conflicts.filter(conflict => conflict.type === type)
+
+        assert.equal(summary.conflicts, 4, 'Should report four conflicts')
+        assert.deepEqual(byType('description').map(c => [c.base, c.ours, c.theirs]), [['Gate', 'Front gate', 'Main gate']], 'Description conflict')
+        assert.deepEqual(byType('move')[0].theirs, { x: 60, y: 50 }, 'Move conflict with their position')
+        assert.deepEqual(byType('delete').map(c => [c.baseMarker.id, c.ours === null, c.theirs === null]), [['pump', true, false], ['tank', false, true]], 'Delete conflicts on both sides')
+        assert.equal(exportData.markers.find(marker => marker.id === 'gate').description, 'Front gate', 'Unresolved conflicts keep our value')
+        assert.ok(exportData.markers.some(marker => marker.description === 'Old pump'), 'Marker edited by theirs should be kept until resolved')
+        assert.equal(byType('description')[0].baseNumber, 1, 'Conflicts carry the base marker number')
+      }
+    },
+    {
+      name: 'resolveMergeConflicts - applies chosen sides',
+      run: () => {
+        const base = createMergeBase()
+        const ours = editExport(base, { gate: { description: 'Front gate' }, shed: { x: 55 }, pump: null })
+        const theirs = editExport(base, { gate: { description: 'Main gate\nsouth side ' }, shed: { x: 60 }, pump: { description: 'Old pump' } })
+        const result = mergeExportsThreeWay(base, ours, theirs)
+        const shedModified = result.exportData.markers.find(marker => marker.id === 'shed').lastModified
+
+        const merged = resolveMergeConflicts(result, { 'description-gate': 'theirs', 'move-shed': 'ours', 'delete-pump': 'ours' })
+        const byId = id => merged.markers.find(marker => marker.id === id)
+
+        assert.equal(byId('gate').description, 'Main gate\nsouth side ', 'Should take their full description')
+        assert.ok(byId('gate').lastModified, 'Changed marker should get a modification date')
+        assert.equal(byId('shed').x, 55, 'Should keep our position')
+        assert.equal(byId('shed').lastModified, shedModified, 'Unchanged marker should keep its modification date')
+        assert.ok(!merged.markers.some(marker => marker.description === 'Old pump'), 'Our deletion should win')
+        assert.ok(!merged.photos.some(photo => photo.fileName === 'IMG_2.jpg'), 'Photos of the deleted marker should be removed')
+        assert.equal(result.exportData.markers.length, 4, 'Should not modify the merge result')
+        assert.throws(() => resolveMergeConflicts(result, { 'description-tank': 'ours' }), 'Should reject unknown conflict')
+        assert.throws(() => resolveMergeConflicts(result, { 'description-gate': 'base' }), 'Should reject unknown side')
+        assert.throws(() => mergeExportsThreeWay(base, ours, { markers: [] }), 'Should reject export without photos')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: Merge Review
+ */
+function createMergeSource () {
+  return createMinimalExport({
+    markers: [
+      { id: 'gate-2', x: 12, y: 11, description: 'Front gate', photoIds: ['q1'], createdDate: '2026-02-01T10:00:00.000Z' },
+      { id: 'shed-2', x: 53, y: 49, description: 'Shed', photoIds: [], createdDate: '2026-02-02T10:00:00.000Z' },
+      { id: 'well', x: 30, y: 70, description: 'Well', photoIds: [], createdDate: '2026-02-03T10:00:00.000Z' }
+    ],
+    photos: [{ id: 'q1', markerId: 'gate-2', fileName: 'IMG_1.jpg', createdDate: '2026-02-01T10:00:00.000Z' }]
+  })
+}
+
+const mergeReviewTests = {
+  name: 'Merge Review',
+  tests: [
+    {
+      name: 'findMergeCandidates - lists pairs found by the strategy',
+      run: () => {
+        const target = createMergeBase()
+        const source = createMergeSource()
+
+        const smart = findMergeCandidates(target, source, { duplicateStrategy: 'smart' })
+        assert.deepEqual(
+          smart.map(c => [c.sourceMarker.id, c.targetMarker.id, c.matchedBy]),
+          [['gate-2', 'gate', 'photos'], ['shed-2', 'shed', 'label']],
+          'Smart strategy should match by photos, then label'
+        )
+        assert.ok(Math.abs(smart[0].distance - Math.hypot(2, 1)) < 1e-9, 'Should report the distance of the pair')
+
+        const coordinates = findMergeCandidates(target, source, { duplicateStrategy: 'coordinates', coordinateTolerance: 2.5 })
+        assert.deepEqual(coordinates.map(c => c.sourceMarker.id), ['gate-2'], 'Coordinates strategy should respect the tolerance')
+        assert.equal(findMergeCandidates(target, source, { duplicateStrategy: 'none' }).length, 0, 'None should find no pairs')
+      }
+    },
+    {
+      name: 'mergeExports - applies review decisions',
+      run: () => {
+        const target = createMergeBase()
+        const source = createMergeSource()
+        const targetJson = JSON.stringify(target)
+        const options = {
+          duplicateStrategy: 'smart',
+          matchDecisions: {
+            'gate-2': { accept: true, description: 'source' },
+            'shed-2': { accept: false }
+          }
+        }
+
+        const merged = mergeExports(target, source, options)
+        const gate = merged.markers.find(marker => marker.id === 'gate')
+
+        assert.equal(gate.description, 'Front gate', 'Should use the migrated description')
+        assert.equal(merged.markers.filter(marker => marker.description === 'Shed').length, 2, 'Rejected pair should be added as new marker')
+        assert.equal(merged.markers.length, 6, 'Should add the rejected and the unmatched marker')
+        assert.equal(JSON.stringify(target), targetJson, 'Should not modify the target export')
+
+        const stats = getMergeStatistics(target, source, options)
+        assert.deepEqual([stats.newMarkers, stats.duplicateMarkers], [2, 1], 'Statistics should honor the decisions')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite: Merge Provenance
+ */
+const provenanceTests = {
+  name: 'Merge Provenance',
+  tests: [
+    {
+      name: 'mergeExports - stamps merged markers and photos with their origin',
+      async run () {
+        const target = createMergeBase()
+        const source = { ...createMergeSource(), sourceApp: 'Field App', timestamp: '2026-02-04T10:00:00.000Z' }
+        const fieldOrigin = { sourceApp: 'Field App', sourceTimestamp: '2026-02-04T10:00:00.000Z' }
+
+        const merged = mergeExports(target, source, { duplicateStrategy: 'label' })
+        const well = merged.markers.find(marker => marker.description === 'Well')
+        const gatePhoto = merged.photos.find(photo => photo.fileName === 'IMG_1.jpg' && photo.id !== 'p1')
+
+        assert.deepEqual(getProvenance(well), { ...fieldOrigin, originalId: 'well' }, 'New marker should record its origin')
+        assert.deepEqual(getProvenance(gatePhoto), { ...fieldOrigin, originalId: 'q1' }, 'Photo added to a new marker should record its origin')
+        assert.equal(getProvenance(merged.markers.find(marker => marker.id === 'shed')), null, 'Merged duplicate should keep its own origin')
+        assert.deepEqual(findMarkersByOrigin(merged, null).map(marker => marker.id), ['gate', 'shed', 'pump', 'tank'], 'Own markers have no provenance')
+        assert.deepEqual(findMarkersByOrigin(merged, { originalId: 'well' }), [well], 'Should find marker by original id')
+
+        // Merging again keeps the first origin
+        const office = { ...createMinimalExport({ markers: merged.markers, photos: merged.photos }), sourceApp: 'Office', timestamp: '2026-03-01T10:00:00.000Z' }
+        const remerged = mergeExports(createMinimalExport(), office, { duplicateStrategy: 'none' })
+        const groups = groupMarkersByOrigin(remerged)
+
+        assert.deepEqual(groups.map(group => [group.origin, group.markers.length]), [
+          [{ sourceApp: 'Office', sourceTimestamp: '2026-03-01T10:00:00.000Z' }, 4],
+          [fieldOrigin, 2]
+        ], 'Should group markers by first origin')
+        assert.deepEqual(groups.map(group => group.photos.length), [2, 1], 'Should group photos by origin')
+
+        const built = await buildExport({ name: 'Map', width: 100, height: 100 }, new Blob(['test'], { type: 'image/png' }), remerged.markers, remerged.photos)
+        assert.deepEqual(groupMarkersByOrigin(built).map(group => group.markers.length), [4, 2], 'buildExport should preserve provenance')
+      }
+    },
+    {
+      name: 'splitMarkersWithMultiplePhotos - stamps split markers and re-parented photos',
+      run: () => {
+        const original = createMinimalExport({
+          markers: [{ id: 'm1', x: 10, y: 10, description: 'Wall', photoIds: ['a', 'b'], createdDate: '2026-01-15T10:00:00.000Z' }],
+          photos: [
+            { id: 'a', markerId: 'm1', fileName: 'a.jpg', createdDate: '2026-01-15T10:00:00.000Z' },
+            { id: 'b', markerId: 'm1', fileName: 'b.jpg', createdDate: '2026-01-15T10:00:00.000Z' }
+          ],
+          timestamp: '2026-01-16T10:00:00.000Z'
+        })
+
+        const { exportData } = splitMarkersWithMultiplePhotos(original)
+
+        assert.equal(getProvenance(exportData.markers[0]), null, 'Original marker should keep its own origin')
+        assert.deepEqual(getProvenance(exportData.markers[1]), {
+          sourceApp: 'SnapSpot Test',
+          sourceTimestamp: '2026-01-16T10:00:00.000Z',
+          originalId: 'm1'
+        }, 'Split marker should record the original marker')
+        assert.equal(getProvenance(exportData.photos[0]), null, 'Photo kept by the original marker should keep its own origin')
+        assert.deepEqual(getProvenance(exportData.photos[1]), {
+          sourceApp: 'SnapSpot Test',
+          sourceTimestamp: '2026-01-16T10:00:00.000Z',
+          originalId: 'b'
+        }, 'Re-parented photo should record its origin')
+        assert.equal(exportData.photos[1].markerId, exportData.markers[1].id, 'Re-parented photo should belong to the split marker')
+        assert.throws(() => findMarkersByOrigin({}, null), 'Should reject export without markers')
+      }
+    }
+  ]
+}
+
 /**
  * All test suites
  */
@@ -488,5 +1535,17 @@ export const allTests = [
   validatorTests,
   parserTests,
   writerTests,
-  integrationTests
+  integrationTests,
+  sessionTests,
+  imageInfoTests,
+  geojsonTests,
+  csvTests,
+  kmlTests,
+  pointImportTests,
+  markerSplittingTests,
+  htmlViewerTests,
+  exportDiffTests,
+  threeWayMergeTests,
+  mergeReviewTests,
+  provenanceTests
 ]
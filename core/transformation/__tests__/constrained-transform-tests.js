@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for Constrained Transforms and Model Selection
+ *
+ * Tests similarity and rigid fitting from as few as 2 pairs and the
+ * automatic model recommendation.
+ */
+
+import { assert } from '../../../shared/test-framework.js'
+import {
+  calculateSimilarityMatrix,
+  calculateRigidMatrix,
+  applyTransform
+} from '../affine-transform.js'
+import { applyHomography } from '../projective-transform.js'
+import {
+  recommendTransformModel,
+  getMinimumPoints,
+  AUTO_TRANSFORM_MODEL
+} from '../transform-models.js'
+
+const SOURCE = [
+  { x: 0, y: 0 },
+  { x: 1000, y: 0 },
+  { x: 1000, y: 800 },
+  { x: 0, y: 800 },
+  { x: 500, y: 400 },
+  { x: 250, y: 650 }
+]
+
+// Scale 1.5, rotation 30°, translation (40, -25)
+const ANGLE = Math.PI / 6
+const SIMILARITY = {
+  a: 1.5 * Math.cos(ANGLE),
+  b: -1.5 * Math.sin(ANGLE),
+  c: 1.5 * Math.sin(ANGLE),
+  d: 1.5 * Math.cos(ANGLE),
+  e: 40,
+  f: -25
+}
+
+/**
+ * Add deterministic sub-pixel click noise
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number}>}
+ */
+function jitter (points) {
+  return points.map((p, i) => ({
+    x: p.x + 0.4 * Math.sin(i * 2.1),
+    y: p.y + 0.4 * Math.cos(i * 1.7)
+  }))
+}
+
+/**
+ * Test Suite 1: Constrained Fitting
+ */
+const fittingTests = {
+  name: 'Similarity and Rigid Fitting',
+  tests: [
+    {
+      name: 'Similarity recovers scale and rotation from 2 pairs',
+      run () {
+        const source = SOURCE.slice(0, 2)
+        const target = source.map(p => applyTransform(p, SIMILARITY))
+        const { matrix, determinant, isDegenerate } = calculateSimilarityMatrix(source, target)
+
+        assert.ok(!isDegenerate, 'Should not be degenerate')
+        for (const key of Object.keys(SIMILARITY)) {
+          assert.closeTo(matrix[key], SIMILARITY[key], 1e-9, `${key} should match`)
+        }
+        assert.closeTo(determinant, 2.25, 1e-9, 'Determinant should be scale squared')
+      }
+    },
+    {
+      name: 'Rigid keeps scale at 1',
+      run () {
+        const target = SOURCE.map(p => applyTransform(p, SIMILARITY))
+        const { matrix, determinant } = calculateRigidMatrix(SOURCE, target)
+
+        assert.closeTo(Math.hypot(matrix.a, matrix.c), 1, 1e-12, 'Scale should be 1')
+        assert.closeTo(determinant, 1, 1e-12, 'Determinant should be 1')
+        assert.closeTo(Math.atan2(matrix.c, matrix.a), ANGLE, 1e-9, 'Rotation should match')
+      }
+    },
+    {
+      name: 'Rigid fits pure rotation and translation exactly',
+      run () {
+        const rigid = { ...SIMILARITY, a: SIMILARITY.a / 1.5, b: SIMILARITY.b / 1.5, c: SIMILARITY.c / 1.5, d: SIMILARITY.d / 1.5 }
+        const target = SOURCE.map(p => applyTransform(p, rigid))
+        const { matrix } = calculateRigidMatrix(SOURCE, target)
+
+        SOURCE.forEach((p, i) => {
+          const mapped = applyTransform(p, matrix)
+          assert.closeTo(mapped.x, target[i].x, 1e-9, `x of point ${i} should match`)
+          assert.closeTo(mapped.y, target[i].y, 1e-9, `y of point ${i} should match`)
+        })
+      }
+    },
+    {
+      name: 'Marks coincident source points as degenerate',
+      run () {
+        const source = [{ x: 10, y: 10 }, { x: 10, y: 10 }]
+        const target = [{ x: 0, y: 0 }, { x: 5, y: 5 }]
+
+        assert.ok(calculateSimilarityMatrix(source, target).isDegenerate, 'Similarity should be degenerate')
+        assert.ok(calculateRigidMatrix(source, target).isDegenerate, 'Rigid should be degenerate')
+      }
+    },
+    {
+      name: 'Throws with fewer than 2 points',
+      run () {
+        assert.throws(
+          () => calculateSimilarityMatrix(SOURCE.slice(0, 1), SOURCE.slice(0, 1)),
+          'Should require 2 points'
+        )
+        assert.throws(
+          () => calculateRigidMatrix(SOURCE.slice(0, 2), SOURCE.slice(0, 1)),
+          'Should reject mismatched lengths'
+        )
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 2: Model Recommendation
+ */
+const recommendationTests = {
+  name: 'Model Recommendation',
+  tests: [
+    {
+      name: 'Auto mode needs only 2 pairs',
+      run () {
+        assert.equal(getMinimumPoints(AUTO_TRANSFORM_MODEL), 2, 'Auto should need 2 pairs')
+        assert.equal(getMinimumPoints('homography'), 4, 'Homography should need 4 pairs')
+      }
+    },
+    {
+      name: 'Only considers models the point count allows',
+      run () {
+        const target = SOURCE.slice(0, 2).map(p => applyTransform(p, SIMILARITY))
+        const { candidates } = recommendTransformModel(SOURCE.slice(0, 2), target)
+
+        assert.deepEqual(
+          candidates.map(c => c.modelId).sort(),
+          ['rigid', 'similarity'],
+          'Only 2-point models should be fitted'
+        )
+      }
+    },
+    {
+      name: 'Prefers similarity when extra parameters do not pay off',
+      run () {
+        const target = jitter(SOURCE.map(p => applyTransform(p, SIMILARITY)))
+        const { recommended, candidates } = recommendTransformModel(SOURCE, target)
+
+        assert.equal(recommended, 'similarity', 'Should recommend similarity')
+        assert.ok(candidates.every(c => c.modelId !== 'tps'), 'Local models are never candidates')
+      }
+    },
+    {
+      name: 'Prefers rigid for unscaled maps',
+      run () {
+        const target = jitter(SOURCE.map(p => ({ x: p.x + 12, y: p.y - 7 })))
+        const { recommended } = recommendTransformModel(SOURCE, target)
+
+        assert.equal(recommended, 'rigid', 'Should recommend rigid')
+      }
+    },
+    {
+      name: 'Picks affine for sheared maps',
+      run () {
+        const shear = { a: 1.2, b: 0.3, c: -0.1, d: 0.9, e: 30, f: -20 }
+        const target = jitter(SOURCE.map(p => applyTransform(p, shear)))
+        const { recommended } = recommendTransformModel(SOURCE, target)
+
+        assert.equal(recommended, 'affine', 'Should recommend affine')
+      }
+    },
+    {
+      name: 'Picks homography for perspective distortion',
+      run () {
+        const H = { a: 0.9, b: 0.1, c: -0.1, d: 1.1, e: 25, f: 40, g: 0.0003, h: -0.0002 }
+        const target = jitter(SOURCE.map(p => applyHomography(p, H)))
+        const { recommended, candidates } = recommendTransformModel(SOURCE, target)
+
+        assert.equal(recommended, 'homography', 'Should recommend homography')
+        assert.equal(candidates[0].modelId, 'homography', 'Best candidate should come first')
+      }
+    }
+  ]
+}
+
+/**
+ * Export all test suites
+ */
+export const allTests = [
+  fittingTests,
+  recommendationTests
+]
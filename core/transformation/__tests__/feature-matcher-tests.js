@@ -0,0 +1,260 @@
+/**
+ * Unit Tests for Feature Matcher Module
+ *
+ * Tests feature detection, descriptor matching and reference pair
+ * suggestions on synthetic map images.
+ */
+
+import { assert } from '../../../shared/test-framework.js'
+import {
+  detectFeatures,
+  matchFeatures,
+  suggestReferencePairs
+} from '../feature-matcher.js'
+import { applyTransform, inverseTransform } from '../affine-transform.js'
+
+// Source → target: rotate 12°, scale 1.15, shift
+const ANGLE = 12 * Math.PI / 180
+const MATRIX = {
+  a: 1.15 * Math.cos(ANGLE),
+  b: -1.15 * Math.sin(ANGLE),
+  c: 1.15 * Math.sin(ANGLE),
+  d: 1.15 * Math.cos(ANGLE),
+  e: 50,
+  f: -5
+}
+
+/**
+ * Seeded pseudo-random generator for reproducible images and sampling
+ * @param {number} seed
+ * @returns {Function}
+ */
+function seededRandom (seed) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296
+    return state / 4294967296
+  }
+}
+
+/**
+ * Build a synthetic floor plan: random rooms and symbols on a light background
+ * @param {number} seed
+ * @param {number} width
+ * @param {number} height
+ * @returns {Function} (x, y) => gray value
+ */
+function makeScene (seed, width, height) {
+  const random = seededRandom(seed)
+  const shapes = Array.from({ length: 30 }, () => ({
+    isRect: random() < 0.6,
+    x: random() * width,
+    y: random() * height,
+    w: 8 + random() * 35,
+    h: 8 + random() * 35,
+    value: Math.round(random() * 255)
+  }))
+
+  return (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return 230
+
+    let value = 230
+    for (const s of shapes) {
+      const inside = s.isRect
+        ? x >= s.x && x < s.x + s.w && y >= s.y && y < s.y + s.h
+        : (x - s.x) ** 2 + (y - s.y) ** 2 < (s.w / 2) ** 2
+      if (inside) value = s.value
+    }
+    return value
+  }
+}
+
+/**
+ * Render a scene to RGBA pixels (2×2 supersampled)
+ * @param {Function} scene
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [matrix] - Maps image pixels back to scene coordinates
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function render (scene, width, height, matrix = null) {
+  const data = new Uint8ClampedArray(width * height * 4)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0
+      for (const [dx, dy] of [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]]) {
+        const p = matrix ? applyTransform({ x: x + dx, y: y + dy }, matrix) : { x: x + dx, y: y + dy }
+        sum += scene(p.x, p.y)
+      }
+      const i = (y * width + x) * 4
+      data[i] = data[i + 1] = data[i + 2] = sum / 4
+      data[i + 3] = 255
+    }
+  }
+
+  return { width, height, data }
+}
+
+// Images are rendered once and shared by the tests
+let fixture = null
+function getFixture () {
+  if (!fixture) {
+    const scene = makeScene(7, 240, 180)
+    fixture = {
+      source: render(scene, 240, 180),
+      target: render(scene, 340, 300, inverseTransform(MATRIX)),
+      unrelated: render(makeScene(99, 340, 300), 340, 300)
+    }
+  }
+  return fixture
+}
+
+/**
+ * Test Suite 1: Feature Detection
+ */
+const detectionTests = {
+  name: 'Feature Detection',
+  tests: [
+    {
+      name: 'Detects features with normalized descriptors',
+      run () {
+        const { source } = getFixture()
+        const features = detectFeatures(source)
+
+        assert.ok(features.length > 30, 'Should find corners of the shapes')
+        for (const f of features) {
+          assert.ok(f.x >= 0 && f.x < source.width && f.y >= 0 && f.y < source.height, 'Feature should lie inside the image')
+          assert.equal(f.descriptor.length, 64, 'Descriptor should have 8×8 samples')
+          const mean = f.descriptor.reduce((sum, v) => sum + v, 0) / 64
+          assert.closeTo(mean, 0, 1e-4, 'Descriptor should have zero mean')
+        }
+      }
+    },
+    {
+      name: 'Finds nothing in a flat image',
+      run () {
+        const flat = render(() => 128, 120, 120)
+
+        assert.equal(detectFeatures(flat).length, 0, 'Flat image has no corners')
+      }
+    },
+    {
+      name: 'Descriptors ignore brightness and contrast changes',
+      run () {
+        const { source } = getFixture()
+        const faded = { ...source, data: Array.from(source.data, (v, i) => i % 4 === 3 ? v : v * 0.6 + 50) }
+        const original = detectFeatures(source)
+        const adjusted = detectFeatures(faded)
+        let compared = 0
+
+        // Weak corners may fall below the response threshold; the rest must be unchanged
+        for (const f of adjusted) {
+          const same = original.find(o => Math.hypot(o.x - f.x, o.y - f.y) < 1e-3 && o.scale === f.scale)
+          if (!same) continue
+
+          compared++
+          f.descriptor.forEach((v, i) => assert.closeTo(v, same.descriptor[i], 1e-3, 'Descriptor should not change'))
+        }
+        assert.ok(compared > adjusted.length / 2, 'Most features should be found again')
+      }
+    },
+    {
+      name: 'Throws for invalid image data',
+      run () {
+        assert.throws(() => detectFeatures(null), 'Should reject missing image')
+        assert.throws(
+          () => detectFeatures({ width: 10, height: 10, data: new Uint8ClampedArray(10) }),
+          'Should reject truncated pixel data'
+        )
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 2: Feature Matching
+ */
+const matchingTests = {
+  name: 'Feature Matching',
+  tests: [
+    {
+      name: 'Matches a feature set with itself one-to-one',
+      run () {
+        const features = detectFeatures(getFixture().source)
+        const matches = matchFeatures(features, features)
+
+        assert.ok(matches.length > 0, 'Should find matches')
+        matches.forEach(m => assert.equal(m.sourceIndex, m.targetIndex, 'Feature should match itself'))
+      }
+    },
+    {
+      name: 'Rejects ambiguous matches with the ratio test',
+      run () {
+        const descriptor = Float32Array.from({ length: 64 }, (_, i) => Math.sin(i))
+        const feature = (x, y) => ({ x, y, scale: 1, angle: 0, response: 1, descriptor })
+        const source = [feature(50, 50)]
+
+        // Two identical targets far apart: which one is right cannot be told
+        assert.equal(matchFeatures(source, [feature(10, 10), feature(200, 200)]).length, 0, 'Should reject')
+        assert.equal(matchFeatures(source, [feature(10, 10)]).length, 1, 'Unique target should match')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 3: Reference Pair Suggestions
+ */
+const suggestionTests = {
+  name: 'Reference Pair Suggestions',
+  tests: [
+    {
+      name: 'Suggests pairs consistent with the true transformation',
+      run () {
+        const { source, target } = getFixture()
+        const suggestions = suggestReferencePairs(source, target, { random: seededRandom(1) })
+
+        assert.ok(suggestions.length >= 6, 'Should suggest several pairs')
+        for (const s of suggestions) {
+          const expected = applyTransform(s.source, MATRIX)
+          const error = Math.hypot(expected.x - s.target.x, expected.y - s.target.y)
+          assert.ok(error < 2, `Suggestion should be within 2px (was ${error.toFixed(2)}px)`)
+        }
+      }
+    },
+    {
+      name: 'Sorts by confidence and spreads suggestions out',
+      run () {
+        const { source, target } = getFixture()
+        const suggestions = suggestReferencePairs(source, target, { maxPairs: 5, minSpacing: 30, random: seededRandom(1) })
+
+        assert.ok(suggestions.length <= 5, 'Should respect maxPairs')
+        suggestions.forEach((s, i) => {
+          assert.ok(s.confidence > 0 && s.confidence <= 1, 'Confidence should be in (0, 1]')
+          if (i > 0) assert.ok(s.confidence <= suggestions[i - 1].confidence, 'Should be sorted')
+          suggestions.slice(0, i).forEach(other => {
+            assert.ok(Math.hypot(s.source.x - other.source.x, s.source.y - other.source.y) >= 30, 'Should keep spacing')
+          })
+        })
+      }
+    },
+    {
+      name: 'Suggests nothing for unrelated maps',
+      run () {
+        const { source, unrelated } = getFixture()
+
+        assert.equal(suggestReferencePairs(source, unrelated, { random: seededRandom(1) }).length, 0, 'No consistent matches expected')
+      }
+    }
+  ]
+}
+
+/**
+ * Export all test suites
+ */
+export const allTests = [
+  detectionTests,
+  matchingTests,
+  suggestionTests
+]
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Geo Transform Module
+ *
+ * Tests coordinate input, geotransform fitting from ground control points
+ * and world file output.
+ */
+
+import { assert } from '../../../shared/test-framework.js'
+import {
+  parseLatLon,
+  parseControlPoints,
+  fitGeoTransform,
+  applyGeoTransform,
+  getPixelSize,
+  createWorldFile,
+  getWorldFileExtension
+} from '../geo-transform.js'
+
+// North-up map at ~1 m/px: 0.00001° per pixel, top-left corner at (4.88°E, 52.37°N)
+const TRANSFORM = { a: 0.00001, b: 0, c: 0, d: -0.00001, e: 4.88, f: 52.37 }
+
+const CONTROL_POINTS = [
+  { x: 0, y: 0 },
+  { x: 1000, y: 0 },
+  { x: 0, y: 800 },
+  { x: 1000, y: 800 },
+  { x: 420, y: 310 }
+].map(pixel => ({ pixel, world: applyGeoTransform(pixel, TRANSFORM) }))
+
+/**
+ * Test Suite 1: Coordinate Input
+ */
+const inputTests = {
+  name: 'Coordinate Input',
+  tests: [
+    {
+      name: 'Parses latitude/longitude in common pasted formats',
+      run () {
+        assert.deepEqual(parseLatLon('52.37403, 4.88969'), { lat: 52.37403, lon: 4.88969 }, 'Comma separated')
+        assert.deepEqual(parseLatLon('-33.8568\t151.2153'), { lat: -33.8568, lon: 151.2153 }, 'Tab separated')
+        assert.deepEqual(parseLatLon(' 40.7 -74.0 '), { lat: 40.7, lon: -74 }, 'Space separated')
+
+        assert.throws(() => parseLatLon('52.37403'), 'Should require two values')
+        assert.throws(() => parseLatLon('95, 4'), 'Should reject latitude out of range')
+        assert.throws(() => parseLatLon('52N, 4E'), 'Should require decimal degrees')
+      }
+    },
+    {
+      name: 'Parses pasted control points and reports bad lines',
+      run () {
+        const text = 'x,y,lat,lon\n120,80,52.37403,4.88969\n\n300;400;52.3701;4.8912\n10,20,abc,4\n1,2,3'
+        const { points, errors } = parseControlPoints(text)
+
+        assert.equal(points.length, 2, 'Should parse valid lines and skip header')
+        assert.deepEqual(points[0], { pixel: { x: 120, y: 80 }, world: { x: 4.88969, y: 52.37403 } }, 'World x should be longitude')
+        assert.equal(errors.length, 2, 'Should report invalid lines')
+        assert.ok(errors[0].startsWith('Line 5'), 'Errors should name the line')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 2: Geotransform Fitting
+ */
+const fittingTests = {
+  name: 'Geotransform Fitting',
+  tests: [
+    {
+      name: 'Recovers a geographic transform from control points',
+      run () {
+        const { georeference, residuals, isDegenerate } = fitGeoTransform(CONTROL_POINTS)
+
+        assert.ok(!isDegenerate, 'Degree-sized coefficients should not be degenerate')
+        assert.equal(georeference.crs, 'EPSG:4326', 'Should default to WGS 84')
+        assert.ok(Math.abs(georeference.transform.a - TRANSFORM.a) < 1e-12, 'Should recover x pixel size')
+        assert.ok(Math.abs(georeference.transform.d - TRANSFORM.d) < 1e-12, 'Should recover y pixel size')
+        assert.ok(Math.abs(georeference.transform.f - TRANSFORM.f) < 1e-9, 'Should recover origin latitude')
+        assert.ok(georeference.rmse < 0.001, 'Exact points should fit within a millimetre')
+        assert.equal(residuals.length, 5, 'Should return a residual per point')
+        assert.equal(georeference.controlPoints.length, 5, 'Should store control points')
+      }
+    },
+    {
+      name: 'Reports residuals in metres',
+      run () {
+        const points = CONTROL_POINTS.map(point => ({ ...point, world: { ...point.world } }))
+        points[4].world.y += 0.0001 // ~11 m north
+
+        const { residuals } = fitGeoTransform(points)
+        const worst = Math.max(...residuals)
+
+        assert.ok(worst > 5 && worst < 11.1, `Misplaced point residual should be metres, got ${worst}`)
+
+        const size = getPixelSize(TRANSFORM, { x: 0, y: 0 })
+        assert.ok(Math.abs(size.y - 1.106) < 0.01, 'Pixel height should be ~1.1 m')
+        assert.ok(Math.abs(size.x - 0.679) < 0.01, 'Pixel width should shrink with latitude')
+      }
+    },
+    {
+      name: 'Rejects too few or collinear control points',
+      run () {
+        assert.throws(() => fitGeoTransform(CONTROL_POINTS.slice(0, 2)), 'Should require 3 points')
+
+        const collinear = [0, 1, 2].map(i => ({
+          pixel: { x: i * 100, y: i * 100 },
+          world: { x: 4.88 + i * 0.001, y: 52.37 - i * 0.001 }
+        }))
+        assert.ok(fitGeoTransform(collinear).isDegenerate, 'Collinear points should be degenerate')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 3: World Files
+ */
+const worldFileTests = {
+  name: 'World Files',
+  tests: [
+    {
+      name: 'Writes world file lines with pixel-center origin',
+      run () {
+        const lines = createWorldFile({ a: 2, b: 0, c: 0, d: -2, e: 100, f: 500 }).trim().split('\n').map(Number)
+
+        assert.deepEqual(lines, [2, 0, 0, -2, 101, 499], 'Should write A, D, B, E, C, F')
+        assert.equal(getWorldFileExtension('image/png'), 'pgw', 'PNG world file')
+        assert.equal(getWorldFileExtension('image/jpeg'), 'jgw', 'JPEG world file')
+        assert.equal(getWorldFileExtension('image/webp'), 'wld', 'Generic world file')
+      }
+    }
+  ]
+}
+
+/**
+ * Export all test suites
+ */
+export const allTests = [
+  inputTests,
+  fittingTests,
+  worldFileTests
+]
@@ -0,0 +1,257 @@
+/**
+ * Unit Tests for Projective Transform Module
+ *
+ * Tests homography calculation, point transformation, inverse, the model
+ * registry and validator support for projective matrices.
+ */
+
+import { assert } from '../../../shared/test-framework.js'
+import {
+  calculateHomographyMatrix,
+  applyHomography,
+  batchHomography,
+  inverseHomography
+} from '../projective-transform.js'
+import { getTransformModel, TRANSFORM_MODELS } from '../transform-models.js'
+import { calculateRMSE, detectAnomalies } from '../transform-validator.js'
+
+// Known perspective transformation used to generate test data
+const KNOWN_MATRIX = {
+  a: 0.9,
+  b: 0.15,
+  c: -0.1,
+  d: 1.1,
+  e: 25,
+  f: 40,
+  g: 0.0004,
+  h: -0.0002
+}
+
+const SQUARE = [
+  { x: 0, y: 0 },
+  { x: 1000, y: 0 },
+  { x: 1000, y: 800 },
+  { x: 0, y: 800 }
+]
+
+/**
+ * Test Suite 1: Homography Calculation
+ */
+const calculationTests = {
+  name: 'Homography Calculation',
+  tests: [
+    {
+      name: 'Returns identity when source equals target',
+      run () {
+        const result = calculateHomographyMatrix(SQUARE, SQUARE)
+
+        assert.closeTo(result.matrix.a, 1, 1e-9, 'a should be 1')
+        assert.closeTo(result.matrix.b, 0, 1e-9, 'b should be 0')
+        assert.closeTo(result.matrix.d, 1, 1e-9, 'd should be 1')
+        assert.closeTo(result.matrix.g, 0, 1e-12, 'g should be 0')
+        assert.closeTo(result.matrix.h, 0, 1e-12, 'h should be 0')
+        assert.ok(!result.isDegenerate, 'Should not be degenerate')
+      }
+    },
+    {
+      name: 'Recovers known homography from 4 points exactly',
+      run () {
+        const target = SQUARE.map(p => applyHomography(p, KNOWN_MATRIX))
+        const { matrix } = calculateHomographyMatrix(SQUARE, target)
+
+        for (const key of Object.keys(KNOWN_MATRIX)) {
+          assert.closeTo(matrix[key], KNOWN_MATRIX[key], 1e-6, `${key} should match`)
+        }
+      }
+    },
+    {
+      name: 'Recovers known homography from overdetermined points',
+      run () {
+        const source = [
+          ...SQUARE,
+          { x: 500, y: 400 },
+          { x: 250, y: 600 },
+          { x: 800, y: 150 }
+        ]
+        const target = source.map(p => applyHomography(p, KNOWN_MATRIX))
+        const { matrix } = calculateHomographyMatrix(source, target)
+
+        const pairs = source.map((s, i) => ({ source: s, target: target[i] }))
+        assert.closeTo(calculateRMSE(pairs, matrix, applyHomography), 0, 1e-6, 'RMSE should be 0')
+      }
+    },
+    {
+      name: 'Reduces to affine for affine-related points',
+      run () {
+        const target = SQUARE.map(p => ({ x: 2 * p.x + 10, y: 2 * p.y - 5 }))
+        const { matrix } = calculateHomographyMatrix(SQUARE, target)
+
+        assert.closeTo(matrix.a, 2, 1e-9, 'a should be 2')
+        assert.closeTo(matrix.e, 10, 1e-6, 'e should be 10')
+        assert.closeTo(matrix.f, -5, 1e-6, 'f should be -5')
+        assert.closeTo(matrix.g, 0, 1e-12, 'g should be 0')
+        assert.closeTo(matrix.h, 0, 1e-12, 'h should be 0')
+      }
+    },
+    {
+      name: 'Throws with fewer than 4 points',
+      run () {
+        assert.throws(
+          () => calculateHomographyMatrix(SQUARE.slice(0, 3), SQUARE.slice(0, 3)),
+          'Should require 4 points'
+        )
+      }
+    },
+    {
+      name: 'Throws with mismatched array lengths',
+      run () {
+        assert.throws(
+          () => calculateHomographyMatrix(SQUARE, SQUARE.slice(0, 3)),
+          'Should reject mismatched arrays'
+        )
+      }
+    },
+    {
+      name: 'Marks collinear points as degenerate',
+      run () {
+        const line = [
+          { x: 0, y: 0 },
+          { x: 100, y: 100 },
+          { x: 200, y: 200 },
+          { x: 300, y: 300 }
+        ]
+        const result = calculateHomographyMatrix(line, line)
+
+        assert.ok(result.isDegenerate, 'Should detect collinear points')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 2: Point Transformation
+ */
+const applyTests = {
+  name: 'Homography Point Transformation',
+  tests: [
+    {
+      name: 'Applies perspective division',
+      run () {
+        const result = applyHomography({ x: 1000, y: 0 }, KNOWN_MATRIX)
+        const w = 1 + 0.4
+
+        assert.closeTo(result.x, (900 + 25) / w, 1e-9, 'x should be divided by w')
+        assert.closeTo(result.y, (-100 + 40) / w, 1e-9, 'y should be divided by w')
+      }
+    },
+    {
+      name: 'Batch transform matches single-point transform',
+      run () {
+        const batch = batchHomography(SQUARE, KNOWN_MATRIX)
+
+        SQUARE.forEach((p, i) => {
+          const single = applyHomography(p, KNOWN_MATRIX)
+          assert.closeTo(batch[i].x, single.x, 1e-9, 'x should match')
+          assert.closeTo(batch[i].y, single.y, 1e-9, 'y should match')
+        })
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 3: Inverse Homography
+ */
+const inverseTests = {
+  name: 'Inverse Homography',
+  tests: [
+    {
+      name: 'Inverse reverses the transformation',
+      run () {
+        const inverse = inverseHomography(KNOWN_MATRIX)
+        const point = { x: 420, y: 310 }
+        const roundTrip = applyHomography(applyHomography(point, KNOWN_MATRIX), inverse)
+
+        assert.closeTo(roundTrip.x, point.x, 1e-6, 'x should round-trip')
+        assert.closeTo(roundTrip.y, point.y, 1e-6, 'y should round-trip')
+      }
+    },
+    {
+      name: 'Throws for singular matrix',
+      run () {
+        const singular = { a: 1, b: 2, c: 2, d: 4, e: 0, f: 0, g: 0, h: 0 }
+        assert.throws(() => inverseHomography(singular), 'Should throw for singular matrix')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 4: Model Registry and Validation
+ */
+const modelTests = {
+  name: 'Projective Model Integration',
+  tests: [
+    {
+      name: 'Registry exposes affine and homography models',
+      run () {
+        assert.equal(getTransformModel('affine').minPoints, 3, 'Affine needs 3 points')
+        assert.equal(getTransformModel('homography').minPoints, 4, 'Homography needs 4 points')
+        assert.equal(TRANSFORM_MODELS.homography.apply, applyHomography, 'Should use applyHomography')
+      }
+    },
+    {
+      name: 'Registry throws for unknown model',
+      run () {
+        assert.throws(() => getTransformModel('bogus'), 'Should reject unknown model')
+      }
+    },
+    {
+      name: 'Homography fits perspective data better than affine',
+      run () {
+        const source = [...SQUARE, { x: 500, y: 400 }]
+        const target = source.map(p => applyHomography(p, KNOWN_MATRIX))
+        const pairs = source.map((s, i) => ({ source: s, target: target[i] }))
+
+        const affine = getTransformModel('affine')
+        const homography = getTransformModel('homography')
+        const affineRMSE = calculateRMSE(pairs, affine.calculate(source, target).matrix, affine.apply)
+        const homographyRMSE = calculateRMSE(pairs, homography.calculate(source, target).matrix, homography.apply)
+
+        assert.ok(affineRMSE > 10, 'Affine should leave large residuals')
+        assert.ok(homographyRMSE < 1e-6, 'Homography should fit exactly')
+      }
+    },
+    {
+      name: 'Reports perspective distortion across map bounds',
+      run () {
+        const anomalies = detectAnomalies(KNOWN_MATRIX, { width: 1000, height: 800 })
+
+        assert.closeTo(anomalies.perspectiveDistortion, 0.4, 1e-9, 'Max divisor deviation should be 0.4')
+        assert.ok(!anomalies.hasExtremePerspective, 'Moderate perspective is not extreme')
+
+        const extreme = detectAnomalies({ ...KNOWN_MATRIX, g: -0.002 }, { width: 1000, height: 800 })
+        assert.ok(extreme.hasExtremePerspective, 'Map crossing vanishing line is extreme')
+      }
+    },
+    {
+      name: 'Affine matrices report no perspective',
+      run () {
+        const anomalies = detectAnomalies({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }, { width: 100, height: 100 })
+
+        assert.equal(anomalies.perspectiveDistortion, 0, 'No perspective distortion')
+        assert.ok(!anomalies.hasExtremePerspective, 'Not extreme')
+      }
+    }
+  ]
+}
+
+/**
+ * Export all test suites
+ */
+export const allTests = [
+  calculationTests,
+  applyTests,
+  inverseTests,
+  modelTests
+]
@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for Robust Fit Module
+ *
+ * Tests RANSAC outlier rejection and per-pair residual reporting.
+ */
+
+import { assert } from '../../../shared/test-framework.js'
+import { ransacFit } from '../robust-fit.js'
+import { calculateAffineMatrix, applyTransform } from '../affine-transform.js'
+import { applyHomography } from '../projective-transform.js'
+import { calculateResiduals, calculateRMSE } from '../transform-validator.js'
+
+const SOURCE = [
+  { x: 0, y: 0 },
+  { x: 1000, y: 0 },
+  { x: 1000, y: 800 },
+  { x: 0, y: 800 },
+  { x: 500, y: 400 },
+  { x: 250, y: 650 },
+  { x: 800, y: 200 }
+]
+
+const MATRIX = { a: 1.2, b: 0.1, c: -0.1, d: 1.2, e: 30, f: -20 }
+const TARGET = SOURCE.map(p => applyTransform(p, MATRIX))
+
+// Same data with pair #5 clicked 150px off
+const BAD_TARGET = TARGET.map((p, i) => i === 4 ? { x: p.x + 150, y: p.y - 90 } : p)
+
+/**
+ * Seeded pseudo-random generator for reproducible sampling
+ * @param {number} seed
+ * @returns {Function}
+ */
+function seededRandom (seed) {
+  let state = seed
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296
+    return state / 4294967296
+  }
+}
+
+/**
+ * Test Suite 1: Per-pair Residuals
+ */
+const residualTests = {
+  name: 'Per-pair Residuals',
+  tests: [
+    {
+      name: 'Reports residual of each pair',
+      run () {
+        const pairs = [
+          { source: { x: 0, y: 0 }, target: { x: 3, y: 4 } },
+          { source: { x: 10, y: 10 }, target: { x: 10, y: 10 } }
+        ]
+        const identity = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }
+
+        assert.deepEqual(calculateResiduals(pairs, identity), [5, 0], 'Should report 5px and 0px')
+      }
+    },
+    {
+      name: 'Least squares spreads one bad pair over all residuals',
+      run () {
+        const { matrix } = calculateAffineMatrix(SOURCE, BAD_TARGET)
+        const pairs = SOURCE.map((s, i) => ({ source: s, target: BAD_TARGET[i] }))
+        const residuals = calculateResiduals(pairs, matrix)
+
+        assert.ok(residuals.filter(r => r > 5).length > 1, 'Good pairs should be pulled off too')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 2: RANSAC
+ */
+const ransacTests = {
+  name: 'RANSAC Robust Fitting',
+  tests: [
+    {
+      name: 'Identifies a single outlier pair',
+      run () {
+        const result = ransacFit(SOURCE, BAD_TARGET)
+
+        assert.deepEqual(result.outlierIndices, [4], 'Pair #5 should be the outlier')
+        assert.equal(result.inlierCount, 6, 'Six pairs should be inliers')
+        assert.ok(!result.inliers[4], 'Outlier flag should be false')
+        assert.ok(result.residuals[4] > 100, 'Outlier residual should be large')
+      }
+    },
+    {
+      name: 'Recovers the true matrix despite the outlier',
+      run () {
+        const { matrix } = ransacFit(SOURCE, BAD_TARGET)
+
+        for (const key of Object.keys(MATRIX)) {
+          assert.closeTo(matrix[key], MATRIX[key], 1e-6, `${key} should match`)
+        }
+      }
+    },
+    {
+      name: 'Keeps all pairs when data is clean',
+      run () {
+        const result = ransacFit(SOURCE, TARGET)
+
+        assert.equal(result.outlierIndices.length, 0, 'No outliers expected')
+        const pairs = SOURCE.map((s, i) => ({ source: s, target: TARGET[i] }))
+        assert.closeTo(calculateRMSE(pairs, result.matrix), 0, 1e-6, 'Fit should be exact')
+      }
+    },
+    {
+      name: 'Cannot reject anything with the minimum number of pairs',
+      run () {
+        const result = ransacFit(SOURCE.slice(0, 3), BAD_TARGET.slice(0, 3))
+
+        assert.equal(result.inlierCount, 3, 'All pairs are inliers')
+      }
+    },
+    {
+      name: 'Works with the homography model',
+      run () {
+        const H = { a: 0.9, b: 0.1, c: -0.1, d: 1.1, e: 25, f: 40, g: 0.0003, h: -0.0002 }
+        const target = SOURCE.map(p => applyHomography(p, H))
+        target[1] = { x: target[1].x - 200, y: target[1].y + 50 }
+
+        const result = ransacFit(SOURCE, target, { modelId: 'homography' })
+
+        assert.deepEqual(result.outlierIndices, [1], 'Pair #2 should be the outlier')
+        assert.closeTo(result.matrix.g, H.g, 1e-9, 'g should match')
+      }
+    },
+    {
+      name: 'Random sampling is reproducible with a seeded generator',
+      run () {
+        const options = { maxIterations: 10, random: seededRandom(42) }
+        const first = ransacFit(SOURCE, BAD_TARGET, options)
+        const second = ransacFit(SOURCE, BAD_TARGET, { ...options, random: seededRandom(42) })
+
+        assert.deepEqual(first.inliers, second.inliers, 'Same seed should give same result')
+      }
+    },
+    {
+      name: 'Throws with fewer pairs than the model needs',
+      run () {
+        assert.throws(
+          () => ransacFit(SOURCE.slice(0, 3), TARGET.slice(0, 3), { modelId: 'homography' }),
+          'Should require 4 pairs'
+        )
+      }
+    }
+  ]
+}
+
+/**
+ * Export all test suites
+ */
+export const allTests = [
+  residualTests,
+  ransacTests
+]
@@ -3,18 +3,39 @@
  *
  * Imports and combines all test suites for the transformation module:
  * - Affine transformation tests (23 tests across 9 suites)
- * - Transform validator tests (23 tests across 5 suites)
+ * - Transform validator tests (26 tests across 6 suites)
+ * - Projective transform tests (16 tests across 4 suites)
+ * - Warp transform tests (14 tests across 3 suites)
+ * - Robust fit tests (9 tests across 2 suites)
+ * - Constrained transform tests (11 tests across 2 suites)
+ * - Feature matcher tests (9 tests across 3 suites)
+ * - Transform profile tests (8 tests across 3 suites)
+ * - Geo transform tests (6 tests across 3 suites)
  *
- * Total: 46 tests
+ * Total: 122 tests
  */
 
 import { allTests as affineTests } from './affine-transform-tests.js'
 import { allTests as validatorTests } from './transform-validator-tests.js'
+import { allTests as projectiveTests } from './projective-transform-tests.js'
+import { allTests as warpTests } from './warp-transform-tests.js'
+import { allTests as robustTests } from './robust-fit-tests.js'
+import { allTests as constrainedTests } from './constrained-transform-tests.js'
+import { allTests as featureTests } from './feature-matcher-tests.js'
+import { allTests as profileTests } from './transform-profile-tests.js'
+import { allTests as geoTests } from './geo-transform-tests.js'
 
 /**
  * Export all test suites for Phase 1
  */
 export const allTests = [
   ...affineTests,
-  ...validatorTests
+  ...validatorTests,
+  ...projectiveTests,
+  ...warpTests,
+  ...robustTests,
+  ...constrainedTests,
+  ...featureTests,
+  ...profileTests,
+  ...geoTests
 ]
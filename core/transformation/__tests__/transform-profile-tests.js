@@ -0,0 +1,178 @@
+/**
+ * Unit Tests for Transform Profile Module
+ *
+ * Tests creating, matching, applying and serializing reusable transform
+ * profiles.
+ */
+
+import { assert } from '../../../shared/test-framework.js'
+import {
+  createTransformProfile,
+  validateTransformProfile,
+  findMatchingProfiles,
+  applyTransformProfile,
+  serializeTransformProfiles,
+  parseTransformProfiles
+} from '../transform-profile.js'
+import { calculateHomographyMatrix, applyHomography } from '../projective-transform.js'
+import { calculateThinPlateSpline } from '../warp-transform.js'
+
+const SIZE = { width: 1000, height: 800 }
+
+/**
+ * Build a profile with defaults for the fields a test doesn't care about
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+function makeProfile (overrides = {}) {
+  return createTransformProfile({
+    name: 'Old → new',
+    sourceHash: 'source-hash',
+    targetHash: 'target-hash',
+    modelId: 'affine',
+    matrix: { a: 2, b: 0, c: 0, d: 2, e: 10, f: -5 },
+    sourceSize: SIZE,
+    targetSize: { width: 2000, height: 1600 },
+    metrics: { rmse: 1.5, crossValidatedRmse: 2, pointCount: 5 },
+    ...overrides
+  })
+}
+
+/**
+ * Test Suite 1: Profile Creation
+ */
+const creationTests = {
+  name: 'Profile Creation',
+  tests: [
+    {
+      name: 'Creates a valid profile with id and date',
+      run () {
+        const profile = makeProfile()
+
+        assert.ok(profile.id.startsWith('profile_'), 'Should generate an id')
+        assert.ok(!Number.isNaN(Date.parse(profile.createdAt)), 'Should set creation date')
+        assert.ok(validateTransformProfile(profile).isValid, 'Profile should be valid')
+      }
+    },
+    {
+      name: 'Rejects unknown models and missing hashes',
+      run () {
+        assert.throws(() => makeProfile({ modelId: 'magic' }), 'Should reject unknown model')
+        assert.throws(() => makeProfile({ sourceHash: '' }), 'Should require source hash')
+        assert.throws(() => makeProfile({ name: '  ' }), 'Should require a name')
+      }
+    },
+    {
+      name: 'Rejects homography matrices without perspective coefficients',
+      run () {
+        const affineOnly = { a: 2, b: 0, c: 0, d: 2, e: 10, f: -5 }
+
+        assert.throws(() => makeProfile({ modelId: 'homography', matrix: affineOnly }), 'Should require g and h')
+        assert.throws(() => makeProfile({ modelId: 'homography', matrix: { ...affineOnly, g: 0.001, h: NaN } }),
+          'Should require numeric g and h')
+        assert.ok(makeProfile({ modelId: 'homography', matrix: { ...affineOnly, g: 0.001, h: 0 } }),
+          'Should accept a complete homography')
+      }
+    },
+    {
+      name: 'Rejects TPS matrices without control points, weights or normalization',
+      run () {
+        const source = [{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 0, y: 800 }, { x: 1000, y: 800 }, { x: 500, y: 400 }]
+        const target = source.map(p => ({ x: p.x * 2 + (p.x === 500 ? 15 : 0), y: p.y * 2 }))
+        const { matrix } = calculateThinPlateSpline(source, target)
+
+        assert.ok(makeProfile({ modelId: 'tps', matrix }), 'Should accept a fitted TPS')
+        assert.throws(() => makeProfile({ modelId: 'tps', matrix: { a: 2, b: 0, c: 0, d: 2, e: 0, f: 0 } }),
+          'Should require the warp data')
+        assert.throws(() => makeProfile({ modelId: 'tps', matrix: { ...matrix, controlPoints: matrix.controlPoints.slice(0, 2) } }),
+          'Should require enough control points')
+        assert.throws(() => makeProfile({ modelId: 'tps', matrix: { ...matrix, weights: matrix.weights.slice(1) } }),
+          'Should require one weight per control point')
+        assert.throws(() => makeProfile({ modelId: 'tps', matrix: { ...matrix, normalization: undefined } }),
+          'Should require the normalization')
+
+        const { errors } = validateTransformProfile({ ...makeProfile({ modelId: 'tps', matrix }), matrix: { ...matrix, normalization: { cx: 0, cy: 0, s: 0 } } })
+        assert.equal(errors.length, 1, 'Should report the invalid normalization')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 2: Matching and Applying
+ */
+const matchingTests = {
+  name: 'Profile Matching',
+  tests: [
+    {
+      name: 'Matches by source hash and known target hash',
+      run () {
+        const exact = makeProfile({ name: 'Exact', metrics: { rmse: 3 } })
+        const anyTarget = makeProfile({ name: 'Any target', targetHash: null, metrics: { rmse: 1 } })
+        const otherTarget = makeProfile({ name: 'Other target', targetHash: 'other' })
+        const otherSource = makeProfile({ name: 'Other source', sourceHash: 'other' })
+        const profiles = [anyTarget, otherTarget, otherSource, exact]
+
+        const matches = findMatchingProfiles(profiles, { sourceHash: 'source-hash', targetHash: 'target-hash' })
+        assert.deepEqual(matches.map(p => p.name), ['Exact', 'Any target'], 'Exact target match should come first')
+
+        const unknownTarget = findMatchingProfiles(profiles, { sourceHash: 'source-hash' })
+        assert.equal(unknownTarget.length, 3, 'Unknown target should match every target')
+        assert.equal(unknownTarget[0].name, 'Any target', 'Lowest RMSE should come first')
+      }
+    },
+    {
+      name: 'Applies the profile with its own model',
+      run () {
+        const source = [{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 1000, y: 800 }, { x: 0, y: 800 }]
+        const target = [{ x: 20, y: 10 }, { x: 1900, y: 60 }, { x: 1850, y: 1500 }, { x: 40, y: 1580 }]
+        const { matrix } = calculateHomographyMatrix(source, target)
+        const profile = makeProfile({ modelId: 'homography', matrix })
+
+        const point = { x: 300, y: 450 }
+        const [mapped] = applyTransformProfile(profile, [point])
+        const expected = applyHomography(point, matrix)
+
+        assert.closeTo(mapped.x, expected.x, 1e-9, 'x should use the homography')
+        assert.closeTo(mapped.y, expected.y, 1e-9, 'y should use the homography')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 3: Serialization
+ */
+const serializationTests = {
+  name: 'Profile Files',
+  tests: [
+    {
+      name: 'Round-trips a profile collection',
+      run () {
+        const profiles = [makeProfile(), makeProfile({ name: 'Second', targetHash: null })]
+
+        assert.deepEqual(parseTransformProfiles(serializeTransformProfiles(profiles)), profiles, 'Profiles should survive a round-trip')
+      }
+    },
+    {
+      name: 'Rejects other files and invalid profiles',
+      run () {
+        assert.throws(() => parseTransformProfiles('{'), 'Should reject invalid JSON')
+        assert.throws(() => parseTransformProfiles(JSON.stringify({ type: 'SnapSpotDataExport' })), 'Should reject other file types')
+
+        const broken = JSON.parse(serializeTransformProfiles([makeProfile()]))
+        delete broken.profiles[0].matrix.e
+        assert.throws(() => parseTransformProfiles(JSON.stringify(broken)), 'Should reject incomplete matrix')
+      }
+    }
+  ]
+}
+
+/**
+ * Export all test suites
+ */
+export const allTests = [
+  creationTests,
+  matchingTests,
+  serializationTests
+]
@@ -9,9 +9,11 @@ import {
   calculateRMSE,
   detectAnomalies,
   validatePointDistribution,
-  suggestAdditionalPoints
+  suggestAdditionalPoints,
+  calculateLeaveOneOut
 } from '../transform-validator.js'
-import { calculateAffineMatrix } from '../affine-transform.js'
+import { calculateAffineMatrix, calculateSimilarityMatrix, applyTransform } from '../affine-transform.js'
+import { calculateHomographyMatrix, applyHomography } from '../projective-transform.js'
 
 /**
  * Test Suite 1: RMSE Calculation
@@ -405,6 +407,77 @@ const integrationTests = {
   ]
 }
 
+/**
+ * Test Suite 6: Leave-One-Out Cross-Validation
+ */
+const crossValidationTests = {
+  name: 'Leave-One-Out Cross-Validation',
+  tests: [
+    {
+      name: 'Predicts held-out pairs exactly for exact data',
+      run () {
+        const matrix = { a: 1.1, b: 0.2, c: -0.1, d: 0.9, e: 15, f: -5 }
+        const pairs = [
+          { x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 80 }, { x: 0, y: 80 }, { x: 50, y: 30 }
+        ].map(source => ({ source, target: applyTransform(source, matrix) }))
+
+        const { errors, rmse } = calculateLeaveOneOut(pairs, calculateAffineMatrix)
+
+        assert.equal(errors.length, 5, 'Should report one error per pair')
+        errors.forEach((e, i) => assert.closeTo(e, 0, 1e-6, `Pair ${i} should be predicted exactly`))
+        assert.closeTo(rmse, 0, 1e-6, 'Cross-validated RMSE should be 0')
+      }
+    },
+    {
+      name: 'Exposes a misplaced pair that the fit RMSE hides',
+      run () {
+        const pairs = [
+          { source: { x: 0, y: 0 }, target: { x: 0, y: 0 } },
+          { source: { x: 100, y: 0 }, target: { x: 100, y: 0 } },
+          { source: { x: 100, y: 100 }, target: { x: 100, y: 100 } },
+          { source: { x: 0, y: 100 }, target: { x: 20, y: 110 } }
+        ]
+        const { matrix } = calculateAffineMatrix(pairs.map(p => p.source), pairs.map(p => p.target))
+        const fitRMSE = calculateRMSE(pairs, matrix)
+        const { rmse, maxError, errors } = calculateLeaveOneOut(pairs, calculateAffineMatrix)
+
+        assert.ok(rmse > fitRMSE * 1.5, 'Cross-validated RMSE should be more pessimistic')
+        assert.closeTo(maxError, Math.max(...errors), 1e-12, 'Max error should match errors')
+      }
+    },
+    {
+      name: 'Reports null when too few pairs remain to refit',
+      run () {
+        const pairs = [
+          { source: { x: 0, y: 0 }, target: { x: 0, y: 0 } },
+          { source: { x: 100, y: 0 }, target: { x: 100, y: 0 } },
+          { source: { x: 0, y: 100 }, target: { x: 0, y: 100 } }
+        ]
+        const result = calculateLeaveOneOut(pairs, calculateAffineMatrix)
+
+        assert.deepEqual(result.errors, [null, null, null], 'Affine needs 3 pairs after removal')
+        assert.equal(result.rmse, null, 'RMSE should be null')
+
+        const similarity = calculateLeaveOneOut(pairs, calculateSimilarityMatrix)
+        assert.ok(similarity.errors.every(e => e !== null), 'Similarity can refit from 2 pairs')
+      }
+    },
+    {
+      name: 'Works with the homography model',
+      run () {
+        const H = { a: 0.9, b: 0.1, c: -0.1, d: 1.1, e: 25, f: 40, g: 0.0003, h: -0.0002 }
+        const pairs = [
+          { x: 0, y: 0 }, { x: 500, y: 0 }, { x: 500, y: 400 }, { x: 0, y: 400 }, { x: 250, y: 150 }
+        ].map(source => ({ source, target: applyHomography(source, H) }))
+
+        const { rmse } = calculateLeaveOneOut(pairs, calculateHomographyMatrix, applyHomography)
+
+        assert.closeTo(rmse, 0, 1e-6, 'Homography should predict held-out pairs')
+      }
+    }
+  ]
+}
+
 /**
  * Export all test suites
  */
@@ -413,5 +486,6 @@ export const allTests = [
   anomalyTests,
   distributionTests,
   suggestionTests,
-  integrationTests
+  integrationTests,
+  crossValidationTests
 ]
@@ -0,0 +1,251 @@
+/**
+ * Unit Tests for Warp Transform Module
+ *
+ * Tests thin-plate spline fitting, warping, inverse, preview grid and
+ * regional residual reporting.
+ */
+
+import { assert } from '../../../shared/test-framework.js'
+import {
+  calculateThinPlateSpline,
+  applyThinPlateSpline,
+  batchThinPlateSpline,
+  inverseThinPlateSpline,
+  buildWarpGrid,
+  drawWarpGrid
+} from '../warp-transform.js'
+import { getTransformModel } from '../transform-models.js'
+import { calculateRegionalResiduals } from '../transform-validator.js'
+
+// Source points spread over a 1000×1000 map
+const SOURCE = [
+  { x: 100, y: 100 },
+  { x: 900, y: 120 },
+  { x: 880, y: 900 },
+  { x: 120, y: 880 },
+  { x: 500, y: 480 },
+  { x: 300, y: 650 }
+]
+
+// Non-uniform distortion: the center is pushed to the right
+const distort = p => ({
+  x: p.x + 40 * Math.sin(Math.PI * p.y / 1000),
+  y: p.y
+})
+
+const TARGET = SOURCE.map(distort)
+
+/**
+ * Test Suite 1: Thin-Plate Spline Fitting
+ */
+const fittingTests = {
+  name: 'Thin-Plate Spline Fitting',
+  tests: [
+    {
+      name: 'Interpolates every control point exactly',
+      run () {
+        const { matrix, isDegenerate } = calculateThinPlateSpline(SOURCE, TARGET)
+
+        assert.ok(!isDegenerate, 'Should not be degenerate')
+        SOURCE.forEach((p, i) => {
+          const warped = applyThinPlateSpline(p, matrix)
+          assert.closeTo(warped.x, TARGET[i].x, 1e-6, `x of point ${i} should match`)
+          assert.closeTo(warped.y, TARGET[i].y, 1e-6, `y of point ${i} should match`)
+        })
+      }
+    },
+    {
+      name: 'Reduces to affine for affine-related points',
+      run () {
+        const target = SOURCE.map(p => ({ x: 2 * p.x + 5, y: p.y - 10 }))
+        const { matrix } = calculateThinPlateSpline(SOURCE, target)
+
+        assert.closeTo(matrix.a, 2, 1e-6, 'a should be 2')
+        assert.closeTo(matrix.e, 5, 1e-4, 'e should be 5')
+        assert.closeTo(matrix.f, -10, 1e-4, 'f should be -10')
+        matrix.weights.forEach(w => {
+          assert.closeTo(w.x, 0, 1e-6, 'No bending in X')
+          assert.closeTo(w.y, 0, 1e-6, 'No bending in Y')
+        })
+      }
+    },
+    {
+      name: 'Smoothing trades exactness for a smoother warp',
+      run () {
+        const exact = calculateThinPlateSpline(SOURCE, TARGET).matrix
+        const smooth = calculateThinPlateSpline(SOURCE, TARGET, { smoothing: 1 }).matrix
+        const error = (matrix) => applyThinPlateSpline(SOURCE[4], matrix).x - TARGET[4].x
+
+        assert.closeTo(error(exact), 0, 1e-6, 'Exact fit has no residual')
+        assert.ok(Math.abs(error(smooth)) > 1e-3, 'Smoothed fit leaves a residual')
+      }
+    },
+    {
+      name: 'Throws with fewer than 4 points',
+      run () {
+        assert.throws(
+          () => calculateThinPlateSpline(SOURCE.slice(0, 3), TARGET.slice(0, 3)),
+          'Should require 4 points'
+        )
+      }
+    },
+    {
+      name: 'Marks collinear points as degenerate',
+      run () {
+        const line = [
+          { x: 0, y: 0 },
+          { x: 100, y: 100 },
+          { x: 200, y: 200 },
+          { x: 300, y: 300 }
+        ]
+        const result = calculateThinPlateSpline(line, line)
+
+        assert.ok(result.isDegenerate, 'Should detect collinear points')
+      }
+    },
+    {
+      name: 'Model is JSON serializable',
+      run () {
+        const { matrix } = calculateThinPlateSpline(SOURCE, TARGET)
+        const restored = JSON.parse(JSON.stringify(matrix))
+        const point = { x: 420, y: 310 }
+
+        assert.deepEqual(applyThinPlateSpline(point, restored), applyThinPlateSpline(point, matrix), 'Should warp identically')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 2: Warping and Inverse
+ */
+const warpTests = {
+  name: 'Thin-Plate Spline Warping',
+  tests: [
+    {
+      name: 'Batch warp matches single-point warp',
+      run () {
+        const { matrix } = calculateThinPlateSpline(SOURCE, TARGET)
+        const points = [{ x: 10, y: 20 }, { x: 640, y: 480 }]
+        const batch = batchThinPlateSpline(points, matrix)
+
+        points.forEach((p, i) => {
+          assert.deepEqual(batch[i], applyThinPlateSpline(p, matrix), 'Should match')
+        })
+      }
+    },
+    {
+      name: 'Inverse maps warped control points back',
+      run () {
+        const { matrix } = calculateThinPlateSpline(SOURCE, TARGET)
+        const inverse = inverseThinPlateSpline(matrix)
+
+        TARGET.forEach((p, i) => {
+          const back = applyThinPlateSpline(p, inverse)
+          assert.closeTo(back.x, SOURCE[i].x, 1e-6, 'x should round-trip')
+          assert.closeTo(back.y, SOURCE[i].y, 1e-6, 'y should round-trip')
+        })
+      }
+    },
+    {
+      name: 'Builds and draws warped preview grid',
+      run () {
+        const { matrix } = calculateThinPlateSpline(SOURCE, TARGET)
+        const lines = buildWarpGrid(applyThinPlateSpline, matrix, { width: 1000, height: 1000 }, 4)
+
+        assert.equal(lines.length, 10, 'Should have 5 rows and 5 columns')
+        assert.equal(lines[0].length, 17, 'Each line should be sampled 16 times')
+
+        const segments = []
+        drawWarpGrid({ drawLine: (...args) => segments.push(args) }, lines)
+        assert.equal(segments.length, 10 * 16, 'Should draw one segment per sample step')
+        assert.deepEqual(segments[0].slice(0, 2), [lines[0][0].x, lines[0][0].y], 'Segments should start at the first sample')
+      }
+    },
+    {
+      name: 'Registry exposes TPS as a local model',
+      run () {
+        const model = getTransformModel('tps')
+
+        assert.ok(model.isLocal, 'TPS should be local')
+        assert.ok(!getTransformModel('affine').isLocal, 'Affine should be global')
+        assert.equal(model.minPoints, 4, 'TPS needs 4 points')
+      }
+    }
+  ]
+}
+
+/**
+ * Test Suite 3: Regional Residuals
+ */
+const regionalTests = {
+  name: 'Regional Residuals',
+  tests: [
+    {
+      name: 'Assigns pairs to quadrants',
+      run () {
+        const pairs = SOURCE.map((s, i) => ({ source: s, target: TARGET[i] }))
+        const identity = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }
+        const regions = calculateRegionalResiduals(pairs, identity, { width: 1000, height: 1000 })
+
+        assert.equal(regions.length, 4, 'Should have 4 quadrants')
+        assert.deepEqual(
+          regions.map(r => r.name),
+          ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
+          'Should name quadrants'
+        )
+        assert.deepEqual(regions.map(r => r.pointCount), [1, 2, 2, 1], 'Should count points per quadrant')
+      }
+    },
+    {
+      name: 'Reports errors per region and null for empty regions',
+      run () {
+        const pairs = [
+          { source: { x: 10, y: 10 }, target: { x: 13, y: 14 } },
+          { source: { x: 20, y: 20 }, target: { x: 20, y: 20 } }
+        ]
+        const identity = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }
+        const [topLeft, topRight] = calculateRegionalResiduals(pairs, identity, { width: 100, height: 100 })
+
+        assert.closeTo(topLeft.rmse, Math.sqrt(12.5), 1e-9, 'RMSE of 5px and 0px errors')
+        assert.closeTo(topLeft.maxError, 5, 1e-9, 'Max error should be 5px')
+        assert.equal(topLeft.localWarp, 0, 'Affine has no local warp')
+        assert.equal(topRight.rmse, null, 'Empty region has no RMSE')
+      }
+    },
+    {
+      name: 'Measures local warp of thin-plate spline',
+      run () {
+        const pairs = SOURCE.map((s, i) => ({ source: s, target: TARGET[i] }))
+        const { matrix } = calculateThinPlateSpline(SOURCE, TARGET)
+        const regions = calculateRegionalResiduals(pairs, matrix, { width: 1000, height: 1000 }, {
+          transformFn: applyThinPlateSpline
+        })
+
+        regions.forEach(r => assert.closeTo(r.rmse, 0, 1e-6, `${r.name} should fit exactly`))
+        assert.ok(regions.some(r => r.localWarp > 1), 'Spline should bend somewhere')
+      }
+    },
+    {
+      name: 'Supports 3×3 grids',
+      run () {
+        const regions = calculateRegionalResiduals([], { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }, { width: 90, height: 90 }, {
+          rows: 3,
+          cols: 3
+        })
+
+        assert.equal(regions.length, 9, 'Should have 9 regions')
+        assert.equal(regions[4].name, 'center', 'Middle region should be center')
+      }
+    }
+  ]
+}
+
+/**
+ * Export all test suites
+ */
+export const allTests = [
+  fittingTests,
+  warpTests,
+  regionalTests
+]
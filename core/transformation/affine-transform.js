@@ -7,145 +7,7 @@
  * @module affine-transform
  */
 
-// ============================================================================
-// Linear Algebra Utilities
-// ============================================================================
-
-/**
- * Transpose a matrix
- * @param {Array<Array<number>>} matrix - Input matrix
- * @returns {Array<Array<number>>} Transposed matrix
- */
-function transpose (matrix) {
-  const rows = matrix.length
-  const cols = matrix[0].length
-  const result = []
-
-  for (let j = 0; j < cols; j++) {
-    result[j] = []
-    for (let i = 0; i < rows; i++) {
-      result[j][i] = matrix[i][j]
-    }
-  }
-
-  return result
-}
-
-/**
- * Multiply two matrices
- * @param {Array<Array<number>>} A - First matrix (m×n)
- * @param {Array<Array<number>>} B - Second matrix (n×p)
- * @returns {Array<Array<number>>} Result matrix (m×p)
- */
-function multiplyMatrices (A, B) {
-  const m = A.length
-  const n = A[0].length
-  const p = B[0].length
-  const result = []
-
-  for (let i = 0; i < m; i++) {
-    result[i] = []
-    for (let j = 0; j < p; j++) {
-      let sum = 0
-      for (let k = 0; k < n; k++) {
-        sum += A[i][k] * B[k][j]
-      }
-      result[i][j] = sum
-    }
-  }
-
-  return result
-}
-
-/**
- * Multiply matrix by vector
- * @param {Array<Array<number>>} matrix - Matrix (m×n)
- * @param {Array<number>} vector - Vector (n×1)
- * @returns {Array<number>} Result vector (m×1)
- */
-function multiplyMatrixVector (matrix, vector) {
-  const m = matrix.length
-  const n = matrix[0].length
-  const result = []
-
-  for (let i = 0; i < m; i++) {
-    let sum = 0
-    for (let j = 0; j < n; j++) {
-      sum += matrix[i][j] * vector[j]
-    }
-    result[i] = sum
-  }
-
-  return result
-}
-
-/**
- * Solve 3×3 linear system using Gaussian elimination
- * @param {Array<Array<number>>} A - Coefficient matrix (3×3)
- * @param {Array<number>} b - Right-hand side vector (3×1)
- * @returns {Array<number>} Solution vector [x, y, z]
- * @throws {Error} If matrix is singular
- */
-function solveLinearSystem (A, b) {
-  // Make copies to avoid modifying inputs
-  const matrix = A.map(row => [...row])
-  const vector = [...b]
-  const n = 3
-
-  // Forward elimination
-  for (let i = 0; i < n; i++) {
-    // Find pivot
-    let maxRow = i
-    for (let k = i + 1; k < n; k++) {
-      if (Math.abs(matrix[k][i]) > Math.abs(matrix[maxRow][i])) {
-        maxRow = k
-      }
-    }
-
-    // Swap rows
-    [matrix[i], matrix[maxRow]] = [matrix[maxRow], matrix[i]];
-    [vector[i], vector[maxRow]] = [vector[maxRow], vector[i]]
-
-    // Check for singular matrix
-    if (Math.abs(matrix[i][i]) < 1e-10) {
-      throw new Error('Matrix is singular or nearly singular')
-    }
-
-    // Eliminate column
-    for (let k = i + 1; k < n; k++) {
-      const factor = matrix[k][i] / matrix[i][i]
-      vector[k] -= factor * vector[i]
-      for (let j = i; j < n; j++) {
-        matrix[k][j] -= factor * matrix[i][j]
-      }
-    }
-  }
-
-  // Back substitution
-  const solution = new Array(n)
-  for (let i = n - 1; i >= 0; i--) {
-    let sum = vector[i]
-    for (let j = i + 1; j < n; j++) {
-      sum -= matrix[i][j] * solution[j]
-    }
-    solution[i] = sum / matrix[i][i]
-  }
-
-  return solution
-}
-
-/**
- * Solve normal equations: (A^T × A) × x = A^T × b
- * @param {Array<Array<number>>} A - Coefficient matrix (N×3)
- * @param {Array<number>} b - Target vector (N×1)
- * @returns {Array<number>} Solution parameters [param1, param2, param3]
- */
-function solveNormalEquations (A, b) {
-  const At = transpose(A)
-  const AtA = multiplyMatrices(At, A)
-  const Atb = multiplyMatrixVector(At, b)
-  return solveLinearSystem(AtA, Atb)
-}
+import { solveNormalEquations } from './linear-algebra.js'
 
 // ============================================================================
 // Affine Transformation Functions
@@ -228,6 +90,141 @@ export function calculateAffineMatrix (sourcePoints, targetPoints) {
   }
 }
 
+/**
+ * Fit rotation (and optionally uniform scale) plus translation
+ *
+ * Closed-form least-squares solution (Umeyama without reflection) shared by
+ * the similarity and rigid solvers.
+ *
+ * @private
+ * @param {Array<{x: number, y: number}>} sourcePoints
+ * @param {Array<{x: number, y: number}>} targetPoints
+ * @param {boolean} allowScale - Fit uniform scale (similarity) or fix it at 1 (rigid)
+ * @returns {{matrix: Object, determinant: number, isDegenerate: boolean}}
+ */
+function calculateConstrainedMatrix (sourcePoints, targetPoints, allowScale) {
+  const N = sourcePoints.length
+
+  // Centroids
+  let sx = 0
+  let sy = 0
+  let tx = 0
+  let ty = 0
+  for (let i = 0; i < N; i++) {
+    sx += sourcePoints[i].x
+    sy += sourcePoints[i].y
+    tx += targetPoints[i].x
+    ty += targetPoints[i].y
+  }
+  sx /= N
+  sy /= N
+  tx /= N
+  ty /= N
+
+  // Cross-covariance terms of the centered point sets
+  let dot = 0 // Σ (s · t)
+  let cross = 0 // Σ (s × t)
+  let sourceSpread = 0 // Σ |s|²
+  for (let i = 0; i < N; i++) {
+    const x = sourcePoints[i].x - sx
+    const y = sourcePoints[i].y - sy
+    const X = targetPoints[i].x - tx
+    const Y = targetPoints[i].y - ty
+    dot += x * X + y * Y
+    cross += x * Y - y * X
+    sourceSpread += x * x + y * y
+  }
+
+  if (sourceSpread < 1e-10) {
+    // All source points coincide - rotation and scale are undefined
+    return {
+      matrix: { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 },
+      determinant: 0,
+      isDegenerate: true
+    }
+  }
+
+  const angle = Math.atan2(cross, dot)
+  const scale = allowScale ? Math.sqrt(dot * dot + cross * cross) / sourceSpread : 1
+  const cos = scale * Math.cos(angle)
+  const sin = scale * Math.sin(angle)
+
+  const matrix = {
+    a: cos,
+    b: -sin,
+    c: sin,
+    d: cos,
+    e: tx - (cos * sx - sin * sy),
+    f: ty - (sin * sx + cos * sy)
+  }
+
+  const determinant = scale * scale
+
+  return {
+    matrix,
+    determinant,
+    isDegenerate: Math.abs(determinant) < 1e-10
+  }
+}
+
+/**
+ * Validate point arrays for the constrained solvers
+ * @private
+ * @param {Array} sourcePoints
+ * @param {Array} targetPoints
+ * @throws {Error} If points are missing, lengths differ or count < 2
+ */
+function validateConstrainedInput (sourcePoints, targetPoints) {
+  if (!sourcePoints || !targetPoints) {
+    throw new Error('Source and target points are required')
+  }
+
+  if (sourcePoints.length !== targetPoints.length) {
+    throw new Error('Source and target point arrays must have same length')
+  }
+
+  if (sourcePoints.length < 2) {
+    throw new Error('Minimum 2 point pairs required')
+  }
+}
+
+/**
+ * Calculate similarity transformation matrix from point correspondences
+ *
+ * Uniform scale + rotation + translation (4 parameters), so no shear or
+ * unequal scaling can creep in. Requires minimum 2 point pairs.
+ *
+ * Transformation equation: [x'] = s [cos θ  -sin θ] [x] + [e]
+ *                          [y']     [sin θ   cos θ] [y]   [f]
+ *
+ * @param {Array<{x: number, y: number}>} sourcePoints - Source coordinates (2+ points)
+ * @param {Array<{x: number, y: number}>} targetPoints - Target coordinates (same count)
+ * @returns {{matrix: Object, determinant: number, isDegenerate: boolean}}
+ *   matrix uses the affine form {a,b,c,d,e,f}
+ * @throws {Error} If point count < 2 or array lengths differ
+ */
+export function calculateSimilarityMatrix (sourcePoints, targetPoints) {
+  validateConstrainedInput(sourcePoints, targetPoints)
+  return calculateConstrainedMatrix(sourcePoints, targetPoints, true)
+}
+
+/**
+ * Calculate rigid transformation matrix from point correspondences
+ *
+ * Rotation + translation only (3 parameters); use when both maps share the
+ * same scale. Requires minimum 2 point pairs.
+ *
+ * @param {Array<{x: number, y: number}>} sourcePoints - Source coordinates (2+ points)
+ * @param {Array<{x: number, y: number}>} targetPoints - Target coordinates (same count)
+ * @returns {{matrix: Object, determinant: number, isDegenerate: boolean}}
+ *   matrix uses the affine form {a,b,c,d,e,f}
+ * @throws {Error} If point count < 2 or array lengths differ
+ */
+export function calculateRigidMatrix (sourcePoints, targetPoints) {
+  validateConstrainedInput(sourcePoints, targetPoints)
+  return calculateConstrainedMatrix(sourcePoints, targetPoints, false)
+}
+
 /**
  * Apply affine transformation to a single point
  *
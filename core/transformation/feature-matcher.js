@@ -0,0 +1,602 @@
+/**
+ * Feature Matcher Module
+ *
+ * Detects distinctive features (wall corners, symbols, lettering) in two map
+ * images and matches them to propose reference pairs automatically. Works on
+ * raw RGBA pixel data ({width, height, data} like ImageData), so it has no
+ * DOM dependency and runs in the browser and Node.js alike.
+ *
+ * Features follow the Multi-Scale Oriented Patches (MOPS) approach: Harris
+ * corners on an image pyramid, a dominant gradient orientation and a
+ * bias/gain normalized 8×8 patch descriptor. This tolerates the scale,
+ * rotation and contrast differences between two versions of a map.
+ * Matches are verified geometrically with RANSAC before being suggested.
+ *
+ * Cost grows with the pixel count; downscale large images (~1000px on the
+ * longest side is plenty) and scale the suggested coordinates back.
+ *
+ * @module feature-matcher
+ */
+
+import { ransacFit } from './robust-fit.js'
+import { getTransformModel, DEFAULT_TRANSFORM_MODEL } from './transform-models.js'
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const PATCH_SIZE = 8 // Descriptor samples per axis
+const PATCH_SPACING = 5 // Level pixels between descriptor samples (40×40 window)
+const PYRAMID_STEP = Math.SQRT2 // Downscale factor between pyramid levels
+const PYRAMID_SIGMA = 0.8 // Anti-alias blur before downscaling
+const DERIVATIVE_SIGMA = 1.0 // Blur before Harris gradients
+const INTEGRATION_SIGMA = 1.5 // Blur of the Harris structure tensor
+const ORIENTATION_SIGMA = 4.5 // Blur for the dominant orientation
+const DESCRIPTOR_SIGMA = 2.5 // Blur before sampling the sparse descriptor patch
+const SUPPRESSION_ROBUSTNESS = 0.9 // ANMS: neighbour must be 10% stronger to suppress
+
+// Keep the rotated descriptor window inside the image
+const BORDER = Math.ceil(PATCH_SPACING * PATCH_SIZE / 2 * Math.SQRT2) + 1
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Convert RGBA pixels to grayscale intensities in [0, 1]
+ * Transparent pixels are composited onto white (typical map background).
+ * @private
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image
+ * @returns {Float32Array}
+ */
+function toGrayscale (image) {
+  const { width, height, data } = image
+  const gray = new Float32Array(width * height)
+
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = data[i * 4 + 3] / 255
+    const luminance = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255
+    gray[i] = luminance * alpha + (1 - alpha)
+  }
+
+  return gray
+}
+
+/**
+ * Separable Gaussian blur with clamped edges
+ * @private
+ * @param {Float32Array} src
+ * @param {number} width
+ * @param {number} height
+ * @param {number} sigma
+ * @returns {Float32Array}
+ */
+function gaussianBlur (src, width, height, sigma) {
+  const radius = Math.ceil(3 * sigma)
+  const kernel = new Float32Array(2 * radius + 1)
+  let sum = 0
+
+  for (let i = -radius; i <= radius; i++) {
+    kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma))
+    sum += kernel[i + radius]
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= sum
+
+  const temp = new Float32Array(src.length)
+  const dst = new Float32Array(src.length)
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width
+    for (let x = 0; x < width; x++) {
+      let value = 0
+      for (let k = -radius; k <= radius; k++) {
+        const xx = Math.min(width - 1, Math.max(0, x + k))
+        value += src[row + xx] * kernel[k + radius]
+      }
+      temp[row + x] = value
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = 0
+      for (let k = -radius; k <= radius; k++) {
+        const yy = Math.min(height - 1, Math.max(0, y + k))
+        value += temp[yy * width + x] * kernel[k + radius]
+      }
+      dst[y * width + x] = value
+    }
+  }
+
+  return dst
+}
+
+/**
+ * Bilinear sample with clamped edges
+ * @private
+ * @param {Float32Array} src
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function sample (src, width, height, x, y) {
+  const cx = Math.min(width - 1, Math.max(0, x))
+  const cy = Math.min(height - 1, Math.max(0, y))
+  const x0 = Math.floor(cx)
+  const y0 = Math.floor(cy)
+  const x1 = Math.min(width - 1, x0 + 1)
+  const y1 = Math.min(height - 1, y0 + 1)
+  const fx = cx - x0
+  const fy = cy - y0
+
+  const top = src[y0 * width + x0] * (1 - fx) + src[y0 * width + x1] * fx
+  const bottom = src[y1 * width + x0] * (1 - fx) + src[y1 * width + x1] * fx
+
+  return top * (1 - fy) + bottom * fy
+}
+
+/**
+ * Build image pyramid, each level PYRAMID_STEP smaller than the previous
+ * @private
+ * @param {Float32Array} gray
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxLevels
+ * @returns {Array<{data: Float32Array, width: number, height: number, scaleX: number, scaleY: number}>}
+ *   scaleX/scaleY convert level pixels to original image pixels
+ */
+function buildPyramid (gray, width, height, maxLevels) {
+  const levels = [{ data: gray, width, height, scaleX: 1, scaleY: 1 }]
+
+  while (levels.length < maxLevels) {
+    const prev = levels[levels.length - 1]
+    const w = Math.floor(prev.width / PYRAMID_STEP)
+    const h = Math.floor(prev.height / PYRAMID_STEP)
+
+    if (Math.min(w, h) < 2 * BORDER + PATCH_SIZE) break
+
+    const blurred = gaussianBlur(prev.data, prev.width, prev.height, PYRAMID_SIGMA)
+    const sx = prev.width / w
+    const sy = prev.height / h
+    const data = new Float32Array(w * h)
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        data[y * w + x] = sample(blurred, prev.width, prev.height, (x + 0.5) * sx - 0.5, (y + 0.5) * sy - 0.5)
+      }
+    }
+
+    levels.push({ data, width: w, height: h, scaleX: width / w, scaleY: height / h })
+  }
+
+  return levels
+}
+
+/**
+ * Harris corner strength (harmonic mean of the structure tensor eigenvalues)
+ * @private
+ * @param {Float32Array} src
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array}
+ */
+function harrisResponse (src, width, height) {
+  const smooth = gaussianBlur(src, width, height, DERIVATIVE_SIGMA)
+  const ixx = new Float32Array(src.length)
+  const iyy = new Float32Array(src.length)
+  const ixy = new Float32Array(src.length)
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      const gx = (smooth[i + 1] - smooth[i - 1]) / 2
+      const gy = (smooth[i + width] - smooth[i - width]) / 2
+      ixx[i] = gx * gx
+      iyy[i] = gy * gy
+      ixy[i] = gx * gy
+    }
+  }
+
+  const sxx = gaussianBlur(ixx, width, height, INTEGRATION_SIGMA)
+  const syy = gaussianBlur(iyy, width, height, INTEGRATION_SIGMA)
+  const sxy = gaussianBlur(ixy, width, height, INTEGRATION_SIGMA)
+  const response = new Float32Array(src.length)
+
+  for (let i = 0; i < response.length; i++) {
+    const trace = sxx[i] + syy[i]
+    response[i] = trace > 1e-12 ? (sxx[i] * syy[i] - sxy[i] * sxy[i]) / trace : 0
+  }
+
+  return response
+}
+
+/**
+ * Find local maxima of the corner response with sub-pixel refinement
+ * @private
+ * @param {Float32Array} response
+ * @param {number} width
+ * @param {number} height
+ * @param {number} minResponse
+ * @returns {Array<{x: number, y: number, response: number}>}
+ */
+function findLocalMaxima (response, width, height, minResponse) {
+  const maxima = []
+
+  for (let y = BORDER; y < height - BORDER; y++) {
+    for (let x = BORDER; x < width - BORDER; x++) {
+      const i = y * width + x
+      const r = response[i]
+      if (r <= minResponse) continue
+
+      // Strict against later neighbours, non-strict against earlier ones,
+      // so a plateau yields exactly one maximum
+      if (r < response[i - width - 1] || r < response[i - width] || r < response[i - width + 1] ||
+        r < response[i - 1] || r <= response[i + 1] ||
+        r <= response[i + width - 1] || r <= response[i + width] || r <= response[i + width + 1]) {
+        continue
+      }
+
+      // Fit a parabola through the neighbours in each direction
+      const refine = (before, after) => {
+        const curvature = before - 2 * r + after
+        return curvature < 0 ? Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature))) : 0
+      }
+
+      maxima.push({
+        x: x + refine(response[i - 1], response[i + 1]),
+        y: y + refine(response[i - width], response[i + width]),
+        response: r
+      })
+    }
+  }
+
+  return maxima
+}
+
+/**
+ * Adaptive non-maximal suppression: keep strong corners that are also
+ * spread over the image instead of clustering in busy areas
+ * @private
+ * @param {Array<{x: number, y: number, response: number}>} corners
+ * @param {number} count - Number of corners to keep
+ * @returns {Array<{x: number, y: number, response: number}>}
+ */
+function selectSpreadCorners (corners, count) {
+  const candidates = [...corners]
+    .sort((a, b) => b.response - a.response)
+    .slice(0, count * 5)
+
+  // Suppression radius: distance to the nearest clearly stronger corner
+  const radii = candidates.map((corner, i) => {
+    let radius = Infinity
+    for (let j = 0; j < i; j++) {
+      if (corner.response < SUPPRESSION_ROBUSTNESS * candidates[j].response) {
+        const d = (corner.x - candidates[j].x) ** 2 + (corner.y - candidates[j].y) ** 2
+        if (d < radius) radius = d
+      }
+    }
+    return radius
+  })
+
+  return candidates
+    .map((corner, i) => ({ corner, radius: radii[i] }))
+    .sort((a, b) => b.radius - a.radius)
+    .slice(0, count)
+    .map(entry => entry.corner)
+}
+
+/**
+ * Sample the bias/gain normalized descriptor patch around a corner
+ * @private
+ * @param {Float32Array} src - Level image blurred with DESCRIPTOR_SIGMA
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @param {number} angle - Patch orientation in radians
+ * @returns {Float32Array|null} Descriptor, or null for a featureless patch
+ */
+function sampleDescriptor (src, width, height, x, y, angle) {
+  const descriptor = new Float32Array(PATCH_SIZE * PATCH_SIZE)
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const center = (PATCH_SIZE - 1) / 2
+  let mean = 0
+
+  for (let j = 0; j < PATCH_SIZE; j++) {
+    for (let i = 0; i < PATCH_SIZE; i++) {
+      const u = (i - center) * PATCH_SPACING
+      const v = (j - center) * PATCH_SPACING
+      const value = sample(src, width, height, x + u * cos - v * sin, y + u * sin + v * cos)
+      descriptor[j * PATCH_SIZE + i] = value
+      mean += value
+    }
+  }
+  mean /= descriptor.length
+
+  let variance = 0
+  for (let k = 0; k < descriptor.length; k++) {
+    descriptor[k] -= mean
+    variance += descriptor[k] * descriptor[k]
+  }
+
+  const std = Math.sqrt(variance / descriptor.length)
+  if (std < 1e-3) return null
+
+  for (let k = 0; k < descriptor.length; k++) {
+    descriptor[k] /= std
+  }
+
+  return descriptor
+}
+
+/**
+ * Validate an ImageData-like object
+ * @private
+ * @param {*} image
+ * @param {string} label - Name used in error messages
+ * @throws {Error} If the image has no valid pixel data
+ */
+function validateImage (image, label) {
+  if (!image || !(image.width > 0) || !(image.height > 0) || !image.data ||
+    image.data.length < image.width * image.height * 4) {
+    throw new Error(`${label} must be an ImageData-like object {width, height, data}`)
+  }
+}
+
+// ============================================================================
+// Feature Detection and Matching
+// ============================================================================
+
+/**
+ * Detect multi-scale oriented features in an image
+ *
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image - RGBA
+ *   pixels, e.g. ImageData from a canvas
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.maxFeatures=500] - Maximum number of features
+ * @param {number} [options.maxLevels=4] - Pyramid levels (each √2 smaller)
+ * @param {number} [options.minResponse=1e-4] - Minimum corner strength
+ * @returns {Array<{x: number, y: number, scale: number, angle: number,
+ *   response: number, descriptor: Float32Array}>} Features in image pixels
+ * @throws {Error} If the image is invalid
+ */
+export function detectFeatures (image, options = {}) {
+  const {
+    maxFeatures = 500,
+    maxLevels = 4,
+    minResponse = 1e-4
+  } = options
+
+  validateImage(image, 'Image')
+
+  const gray = toGrayscale(image)
+  const levels = buildPyramid(gray, image.width, image.height, maxLevels)
+  const totalArea = levels.reduce((sum, level) => sum + level.width * level.height, 0)
+  const features = []
+
+  for (const level of levels) {
+    const { data, width, height, scaleX, scaleY } = level
+
+    if (Math.min(width, height) < 2 * BORDER + PATCH_SIZE) continue
+
+    // Share the feature budget by level area
+    const count = Math.ceil(maxFeatures * width * height / totalArea)
+    const maxima = findLocalMaxima(harrisResponse(data, width, height), width, height, minResponse)
+    const corners = selectSpreadCorners(maxima, count)
+
+    if (corners.length === 0) continue
+
+    const orientation = gaussianBlur(data, width, height, ORIENTATION_SIGMA)
+    const patchSource = gaussianBlur(data, width, height, DESCRIPTOR_SIGMA)
+
+    for (const corner of corners) {
+      const gx = sample(orientation, width, height, corner.x + 1, corner.y) -
+        sample(orientation, width, height, corner.x - 1, corner.y)
+      const gy = sample(orientation, width, height, corner.x, corner.y + 1) -
+        sample(orientation, width, height, corner.x, corner.y - 1)
+      const angle = Math.atan2(gy, gx)
+
+      const descriptor = sampleDescriptor(patchSource, width, height, corner.x, corner.y, angle)
+      if (!descriptor) continue
+
+      features.push({
+        x: (corner.x + 0.5) * scaleX - 0.5,
+        y: (corner.y + 0.5) * scaleY - 0.5,
+        scale: (scaleX + scaleY) / 2,
+        angle,
+        response: corner.response,
+        descriptor
+      })
+    }
+  }
+
+  return features
+}
+
+/**
+ * Match features between two images
+ *
+ * Each source feature is paired with its nearest target descriptor if the
+ * match is distinctive (Lowe's ratio test against the second nearest
+ * descriptor elsewhere in the image) and, with crossCheck, if the source
+ * feature is also the target's nearest neighbour.
+ *
+ * @param {Array<Object>} sourceFeatures - Features from detectFeatures
+ * @param {Array<Object>} targetFeatures - Features from detectFeatures
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.ratio=0.8] - Max nearest/second-nearest distance ratio
+ * @param {boolean} [options.crossCheck=true] - Require mutual nearest neighbours
+ * @returns {Array<{sourceIndex: number, targetIndex: number,
+ *   source: {x: number, y: number}, target: {x: number, y: number},
+ *   distance: number, ratio: number}>} Matches, most distinctive first
+ */
+export function matchFeatures (sourceFeatures, targetFeatures, options = {}) {
+  const {
+    ratio: maxRatio = 0.8,
+    crossCheck = true
+  } = options
+
+  const n = sourceFeatures.length
+  const m = targetFeatures.length
+  if (n === 0 || m === 0) return []
+
+  // Squared descriptor distances, row per source feature
+  const distances = new Float64Array(n * m)
+  for (let i = 0; i < n; i++) {
+    const a = sourceFeatures[i].descriptor
+    for (let j = 0; j < m; j++) {
+      const b = targetFeatures[j].descriptor
+      let sum = 0
+      for (let k = 0; k < a.length; k++) {
+        const diff = a[k] - b[k]
+        sum += diff * diff
+      }
+      distances[i * m + j] = sum
+    }
+  }
+
+  const bestSource = new Int32Array(m).fill(-1)
+  for (let j = 0; j < m; j++) {
+    let best = Infinity
+    for (let i = 0; i < n; i++) {
+      if (distances[i * m + j] < best) {
+        best = distances[i * m + j]
+        bestSource[j] = i
+      }
+    }
+  }
+
+  const matches = []
+
+  for (let i = 0; i < n; i++) {
+    let bestIndex = -1
+    let best = Infinity
+    for (let j = 0; j < m; j++) {
+      if (distances[i * m + j] < best) {
+        best = distances[i * m + j]
+        bestIndex = j
+      }
+    }
+
+    if (crossCheck && bestSource[bestIndex] !== i) continue
+
+    // Second nearest must lie elsewhere: the same corner found on two
+    // pyramid levels is not an ambiguity
+    const match = targetFeatures[bestIndex]
+    const radius = PATCH_SPACING * match.scale
+    let second = Infinity
+    for (let j = 0; j < m; j++) {
+      if (j === bestIndex) continue
+      const other = targetFeatures[j]
+      if ((other.x - match.x) ** 2 + (other.y - match.y) ** 2 <= radius * radius) continue
+      if (distances[i * m + j] < second) second = distances[i * m + j]
+    }
+
+    // No other candidate means unambiguous; two perfect matches are ambiguous
+    let ratio = 0
+    if (Number.isFinite(second)) {
+      ratio = second > 0 ? Math.sqrt(best / second) : 1
+    }
+    if (ratio >= maxRatio) continue
+
+    matches.push({
+      sourceIndex: i,
+      targetIndex: bestIndex,
+      source: { x: sourceFeatures[i].x, y: sourceFeatures[i].y },
+      target: { x: match.x, y: match.y },
+      distance: Math.sqrt(best),
+      ratio
+    })
+  }
+
+  return matches.sort((a, b) => a.ratio - b.ratio)
+}
+
+/**
+ * Suggest reference pairs by matching features between two map images
+ *
+ * Matches are verified with RANSAC: only pairs consistent with a single
+ * transformation are kept. Confidence combines how distinctive the match is
+ * with how well it agrees with that transformation. Suggestions are spread
+ * over the source map so they constrain the fit well.
+ *
+ * @param {{width: number, height: number, data: ArrayLike<number>}} sourceImage - RGBA pixels
+ * @param {{width: number, height: number, data: ArrayLike<number>}} targetImage - RGBA pixels
+ * @param {Object} [options] - Suggestion options
+ * @param {number} [options.maxPairs=10] - Maximum number of suggestions
+ * @param {number} [options.maxFeatures=500] - Features detected per image
+ * @param {number} [options.ratio=0.8] - Ratio test threshold (see matchFeatures)
+ * @param {string} [options.modelId='affine'] - Model used for geometric verification
+ * @param {number} [options.threshold] - Max residual in target pixels
+ *   (default 1% of the target diagonal, at least 3px)
+ * @param {number} [options.minInliers=6] - Minimum consistent matches to trust the result
+ * @param {number} [options.minSpacing] - Min source distance between suggestions
+ *   (default 5% of the source diagonal)
+ * @param {Function} [options.random=Math.random] - Random generator for RANSAC
+ * @returns {Array<{source: {x: number, y: number}, target: {x: number, y: number},
+ *   confidence: number, residual: number}>} Suggestions in image pixels,
+ *   highest confidence first; empty if no consistent matches were found
+ * @throws {Error} If either image is invalid
+ */
+export function suggestReferencePairs (sourceImage, targetImage, options = {}) {
+  const {
+    maxPairs = 10,
+    maxFeatures = 500,
+    ratio = 0.8,
+    modelId = DEFAULT_TRANSFORM_MODEL,
+    threshold = Math.max(3, 0.01 * Math.hypot(targetImage?.width, targetImage?.height)),
+    minInliers = 6,
+    minSpacing = 0.05 * Math.hypot(sourceImage?.width, sourceImage?.height),
+    random = Math.random
+  } = options
+
+  validateImage(sourceImage, 'Source image')
+  validateImage(targetImage, 'Target image')
+
+  const matches = matchFeatures(
+    detectFeatures(sourceImage, { maxFeatures }),
+    detectFeatures(targetImage, { maxFeatures }),
+    { ratio }
+  )
+
+  const model = getTransformModel(modelId)
+  if (matches.length < Math.max(minInliers, model.minPoints + 1)) {
+    return []
+  }
+
+  const fit = ransacFit(
+    matches.map(match => match.source),
+    matches.map(match => match.target),
+    { modelId, threshold, maxIterations: 2000, random }
+  )
+
+  if (fit.isDegenerate || fit.inlierCount < minInliers) {
+    return []
+  }
+
+  const candidates = matches
+    .map((match, i) => ({
+      source: match.source,
+      target: match.target,
+      residual: fit.residuals[i],
+      confidence: (1 - match.ratio) * Math.exp(-((fit.residuals[i] / threshold) ** 2))
+    }))
+    .filter((candidate, i) => fit.inliers[i])
+    .sort((a, b) => b.confidence - a.confidence)
+
+  // Greedily keep the most confident suggestions that are not too close together
+  const suggestions = []
+  for (const candidate of candidates) {
+    if (suggestions.length >= maxPairs) break
+
+    const tooClose = suggestions.some(s =>
+      Math.hypot(s.source.x - candidate.source.x, s.source.y - candidate.source.y) < minSpacing
+    )
+    if (!tooClose) suggestions.push(candidate)
+  }
+
+  return suggestions
+}
@@ -0,0 +1,296 @@
+/**
+ * Geo Transform Module
+ *
+ * Georeferencing of map images with ground control points: each control
+ * point pairs a map pixel with its real-world position (longitude/latitude
+ * by default). The fitted geotransform uses the affine matrix layout
+ * (world = [a b; c d] · pixel + [e; f]) and can be written as a world file
+ * for GIS tools.
+ *
+ * World coordinates use x = east (longitude), y = north (latitude).
+ *
+ * @module geo-transform
+ */
+
+import { calculateAffineMatrix } from './affine-transform.js'
+
+/**
+ * Default coordinate reference system (WGS 84 longitude/latitude)
+ * @type {string}
+ */
+export const GEOGRAPHIC_CRS = 'EPSG:4326'
+
+/**
+ * World file extensions by image MIME type ('wld' for anything else)
+ * @type {Object<string, string>}
+ */
+export const WORLD_FILE_EXTENSIONS = {
+  'image/png': 'pgw',
+  'image/jpeg': 'jgw',
+  'image/gif': 'gfw',
+  'image/tiff': 'tfw'
+}
+
+// Approximate length of one degree on the WGS 84 ellipsoid, in metres
+const METERS_PER_DEGREE_LAT = 110574
+const METERS_PER_DEGREE_LON = 111320
+
+// ============================================================================
+// Coordinate Input
+// ============================================================================
+
+/**
+ * Parse a latitude/longitude pair as typed or pasted from a map application
+ *
+ * Accepts decimal degrees in "lat, lon" order separated by a comma,
+ * semicolon, tab or spaces (e.g. "52.37403, 4.88969").
+ *
+ * @param {string} text - Coordinate text
+ * @returns {{lat: number, lon: number}} Parsed coordinates
+ * @throws {Error} If the text is not a valid latitude/longitude pair
+ *
+ * @example
+ * parseLatLon('52.37403, 4.88969')
+ * // => { lat: 52.37403, lon: 4.88969 }
+ */
+export function parseLatLon (text) {
+  const parts = String(text).trim().split(/\s*[,;\t]\s*|\s+/)
+  if (parts.length !== 2) {
+    throw new Error(`Expected "latitude, longitude": ${text}`)
+  }
+
+  const lat = Number(parts[0])
+  const lon = Number(parts[1])
+
+  if (parts.some(part => part === '') || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error(`Coordinates must be decimal degrees: ${text}`)
+  }
+  if (Math.abs(lat) > 90) {
+    throw new Error(`Latitude must be between -90 and 90: ${lat}`)
+  }
+  if (Math.abs(lon) > 180) {
+    throw new Error(`Longitude must be between -180 and 180: ${lon}`)
+  }
+
+  return { lat, lon }
+}
+
+/**
+ * Parse pasted control points, one per line as "x, y, latitude, longitude"
+ *
+ * A header line and empty lines are skipped. Invalid lines are reported
+ * instead of aborting, so the valid points of a paste can still be used.
+ *
+ * @param {string} text - Pasted text (comma, semicolon or tab separated)
+ * @returns {{points: Array<{pixel: {x, y}, world: {x, y}}>, errors: string[]}}
+ *
+ * @example
+ * const { points, errors } = parseControlPoints('120,80,52.37403,4.88969')
+ */
+export function parseControlPoints (text) {
+  const points = []
+  const errors = []
+
+  String(text).split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return
+
+    const values = line.split(/[,;\t]/).map(value => value.trim())
+    const numbers = values.map(Number)
+
+    // Header line (any non-numeric column on the first line)
+    if (index === 0 && numbers.some(n => Number.isNaN(n))) return
+
+    if (values.length !== 4 || numbers.some(n => !Number.isFinite(n))) {
+      errors.push(`Line ${index + 1}: expected x, y, latitude, longitude`)
+      return
+    }
+
+    try {
+      const { lat, lon } = parseLatLon(`${values[2]}, ${values[3]}`)
+      points.push({
+        pixel: { x: numbers[0], y: numbers[1] },
+        world: { x: lon, y: lat }
+      })
+    } catch (error) {
+      errors.push(`Line ${index + 1}: ${error.message}`)
+    }
+  })
+
+  return { points, errors }
+}
+
+// ============================================================================
+// Geotransform Fitting
+// ============================================================================
+
+/**
+ * Distance between two world points in metres
+ *
+ * Geographic coordinates are converted with a local equirectangular
+ * approximation, which is accurate to well under 1% over map extents.
+ * Other CRSs are assumed to be projected in metres.
+ *
+ * @private
+ * @param {{x: number, y: number}} p1
+ * @param {{x: number, y: number}} p2
+ * @param {boolean} isGeographic - Coordinates are longitude/latitude
+ * @returns {number}
+ */
+function worldDistance (p1, p2, isGeographic) {
+  let dx = p2.x - p1.x
+  let dy = p2.y - p1.y
+
+  if (isGeographic) {
+    const latitude = ((p1.y + p2.y) / 2) * Math.PI / 180
+    dx *= METERS_PER_DEGREE_LON * Math.cos(latitude)
+    dy *= METERS_PER_DEGREE_LAT
+  }
+
+  return Math.sqrt(dx * dx + dy * dy)
+}
+
+/**
+ * Convert a pixel position with a geotransform
+ *
+ * @param {{x: number, y: number}} point - Map pixel
+ * @param {Object} transform - Geotransform {a, b, c, d, e, f}
+ * @returns {{x: number, y: number}} World position
+ */
+export function applyGeoTransform (point, transform) {
+  return {
+    x: transform.a * point.x + transform.b * point.y + transform.e,
+    y: transform.c * point.x + transform.d * point.y + transform.f
+  }
+}
+
+/**
+ * Fit a geotransform to ground control points
+ *
+ * Uses calculateAffineMatrix (least squares). World coordinates are
+ * centered and scaled to the pixel extent before fitting, so degree-sized
+ * coefficients are neither badly conditioned nor mistaken for a degenerate
+ * transform.
+ *
+ * @param {Array<{pixel: {x, y}, world: {x, y}}>} controlPoints - 3+ control points
+ * @param {Object} [options={}]
+ * @param {string} [options.crs='EPSG:4326'] - CRS of the world coordinates
+ * @returns {{georeference: Object, residuals: number[], isDegenerate: boolean}}
+ *   georeference is {crs, transform, controlPoints, rmse} with rmse and
+ *   residuals (per control point) in metres
+ * @throws {Error} If fewer than 3 control points are given
+ *
+ * @example
+ * const { georeference, isDegenerate } = fitGeoTransform(controlPoints)
+ * if (!isDegenerate) map.georeference = georeference
+ */
+export function fitGeoTransform (controlPoints, options = {}) {
+  const { crs = GEOGRAPHIC_CRS } = options
+
+  if (!Array.isArray(controlPoints) || controlPoints.length < 3) {
+    throw new Error('Minimum 3 control points required')
+  }
+
+  const pixels = controlPoints.map(point => point.pixel)
+  const worlds = controlPoints.map(point => point.world)
+
+  // Normalize world coordinates: centroid at the origin, pixel-sized extent
+  const centerX = worlds.reduce((sum, p) => sum + p.x, 0) / worlds.length
+  const centerY = worlds.reduce((sum, p) => sum + p.y, 0) / worlds.length
+  const extent = (points) => Math.max(
+    Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x)),
+    Math.max(...points.map(p => p.y)) - Math.min(...points.map(p => p.y))
+  )
+  const worldExtent = extent(worlds)
+  const scale = worldExtent > 0 ? extent(pixels) / worldExtent : 1
+
+  const normalized = worlds.map(p => ({
+    x: (p.x - centerX) * scale,
+    y: (p.y - centerY) * scale
+  }))
+
+  const { matrix, isDegenerate } = calculateAffineMatrix(pixels, normalized)
+
+  const transform = {
+    a: matrix.a / scale,
+    b: matrix.b / scale,
+    c: matrix.c / scale,
+    d: matrix.d / scale,
+    e: matrix.e / scale + centerX,
+    f: matrix.f / scale + centerY
+  }
+
+  const isGeographic = crs === GEOGRAPHIC_CRS
+  const residuals = controlPoints.map(point =>
+    worldDistance(applyGeoTransform(point.pixel, transform), point.world, isGeographic)
+  )
+  const rmse = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length)
+
+  return {
+    georeference: {
+      crs,
+      transform,
+      controlPoints: controlPoints.map(point => ({
+        pixel: { x: point.pixel.x, y: point.pixel.y },
+        world: { x: point.world.x, y: point.world.y }
+      })),
+      rmse
+    },
+    residuals,
+    isDegenerate: worldExtent === 0 || isDegenerate
+  }
+}
+
+/**
+ * Ground size of one map pixel in metres
+ *
+ * @param {Object} transform - Geotransform {a, b, c, d, e, f}
+ * @param {{x: number, y: number}} [at={x: 0, y: 0}] - Pixel to measure at
+ * @param {string} [crs='EPSG:4326'] - CRS of the world coordinates
+ * @returns {{x: number, y: number}} Metres per pixel along the image x and y axes
+ */
+export function getPixelSize (transform, at = { x: 0, y: 0 }, crs = GEOGRAPHIC_CRS) {
+  const isGeographic = crs === GEOGRAPHIC_CRS
+  const origin = applyGeoTransform(at, transform)
+
+  return {
+    x: worldDistance(origin, applyGeoTransform({ x: at.x + 1, y: at.y }, transform), isGeographic),
+    y: worldDistance(origin, applyGeoTransform({ x: at.x, y: at.y + 1 }, transform), isGeographic)
+  }
+}
+
+// ============================================================================
+// World Files
+// ============================================================================
+
+/**
+ * Create the contents of a world file (ESRI format) for a geotransform
+ *
+ * Lines: A (x pixel size), D, B (rotation terms), E (y pixel size, usually
+ * negative), C, F (world position of the center of the upper-left pixel).
+ * SnapSpot pixel coordinates start at the image corner, so C and F are
+ * shifted by half a pixel.
+ *
+ * @param {Object} transform - Geotransform {a, b, c, d, e, f}
+ * @returns {string} World file text
+ *
+ * @example
+ * const text = createWorldFile(map.georeference.transform)
+ * // Save next to map.png as map.pgw
+ */
+export function createWorldFile (transform) {
+  const center = applyGeoTransform({ x: 0.5, y: 0.5 }, transform)
+
+  return [transform.a, transform.c, transform.b, transform.d, center.x, center.y]
+    .map(value => String(value))
+    .join('\n') + '\n'
+}
+
+/**
+ * Get the world file extension for a map image type
+ *
+ * @param {string} mimeType - Image MIME type (e.g. 'image/png')
+ * @returns {string} Extension without dot (e.g. 'pgw')
+ */
+export function getWorldFileExtension (mimeType) {
+  return WORLD_FILE_EXTENSIONS[mimeType] || 'wld'
+}
@@ -0,0 +1,148 @@
+/**
+ * Linear Algebra Module
+ *
+ * Small dense matrix helpers shared by the transformation solvers.
+ * Matrices are plain arrays of rows; vectors are plain arrays.
+ *
+ * @module linear-algebra
+ */
+
+// ============================================================================
+// Matrix Operations
+// ============================================================================
+
+/**
+ * Transpose a matrix
+ * @param {Array<Array<number>>} matrix - Input matrix
+ * @returns {Array<Array<number>>} Transposed matrix
+ */
+export function transpose (matrix) {
+  const rows = matrix.length
+  const cols = matrix[0].length
+  const result = []
+
+  for (let j = 0; j < cols; j++) {
+    result[j] = []
+    for (let i = 0; i < rows; i++) {
+      result[j][i] = matrix[i][j]
+    }
+  }
+
+  return result
+}
+
+/**
+ * Multiply two matrices
+ * @param {Array<Array<number>>} A - First matrix (m×n)
+ * @param {Array<Array<number>>} B - Second matrix (n×p)
+ * @returns {Array<Array<number>>} Result matrix (m×p)
+ */
+export function multiplyMatrices (A, B) {
+  const m = A.length
+  const n = A[0].length
+  const p = B[0].length
+  const result = []
+
+  for (let i = 0; i < m; i++) {
+    result[i] = []
+    for (let j = 0; j < p; j++) {
+      let sum = 0
+      for (let k = 0; k < n; k++) {
+        sum += A[i][k] * B[k][j]
+      }
+      result[i][j] = sum
+    }
+  }
+
+  return result
+}
+
+/**
+ * Multiply matrix by vector
+ * @param {Array<Array<number>>} matrix - Matrix (m×n)
+ * @param {Array<number>} vector - Vector (n×1)
+ * @returns {Array<number>} Result vector (m×1)
+ */
+export function multiplyMatrixVector (matrix, vector) {
+  const m = matrix.length
+  const n = matrix[0].length
+  const result = []
+
+  for (let i = 0; i < m; i++) {
+    let sum = 0
+    for (let j = 0; j < n; j++) {
+      sum += matrix[i][j] * vector[j]
+    }
+    result[i] = sum
+  }
+
+  return result
+}
+
+/**
+ * Solve n×n linear system using Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} A - Coefficient matrix (n×n)
+ * @param {Array<number>} b - Right-hand side vector (n×1)
+ * @returns {Array<number>} Solution vector
+ * @throws {Error} If matrix is singular
+ */
+export function solveLinearSystem (A, b) {
+  // Make copies to avoid modifying inputs
+  const matrix = A.map(row => [...row])
+  const vector = [...b]
+  const n = vector.length
+
+  // Forward elimination
+  for (let i = 0; i < n; i++) {
+    // Find pivot
+    let maxRow = i
+    for (let k = i + 1; k < n; k++) {
+      if (Math.abs(matrix[k][i]) > Math.abs(matrix[maxRow][i])) {
+        maxRow = k
+      }
+    }
+
+    // Swap rows
+    [matrix[i], matrix[maxRow]] = [matrix[maxRow], matrix[i]];
+    [vector[i], vector[maxRow]] = [vector[maxRow], vector[i]]
+
+    // Check for singular matrix
+    if (Math.abs(matrix[i][i]) < 1e-10) {
+      throw new Error('Matrix is singular or nearly singular')
+    }
+
+    // Eliminate column
+    for (let k = i + 1; k < n; k++) {
+      const factor = matrix[k][i] / matrix[i][i]
+      vector[k] -= factor * vector[i]
+      for (let j = i; j < n; j++) {
+        matrix[k][j] -= factor * matrix[i][j]
+      }
+    }
+  }
+
+  // Back substitution
+  const solution = new Array(n)
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = vector[i]
+    for (let j = i + 1; j < n; j++) {
+      sum -= matrix[i][j] * solution[j]
+    }
+    solution[i] = sum / matrix[i][i]
+  }
+
+  return solution
+}
+
+/**
+ * Solve normal equations: (A^T × A) × x = A^T × b
+ * @param {Array<Array<number>>} A - Coefficient matrix (N×k)
+ * @param {Array<number>} b - Target vector (N×1)
+ * @returns {Array<number>} Solution parameters (k values)
+ */
+export function solveNormalEquations (A, b) {
+  const At = transpose(A)
+  const AtA = multiplyMatrices(At, A)
+  const Atb = multiplyMatrixVector(At, b)
+  return solveLinearSystem(AtA, Atb)
+}
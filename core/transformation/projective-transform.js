@@ -0,0 +1,248 @@
+/**
+ * Projective Transform Module
+ *
+ * 8-parameter projective transformation (homography) for maps that differ
+ * by perspective, e.g. a photo of a wall plan taken at an angle.
+ * Implements a normalized least-squares solution (Hartley normalization).
+ *
+ * @module projective-transform
+ */
+
+import { solveNormalEquations } from './linear-algebra.js'
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Build similarity transform that moves points' centroid to the origin and
+ * scales them so the mean distance from the origin is √2
+ * @private
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{cx: number, cy: number, s: number}} Normalization parameters
+ */
+function getNormalization (points) {
+  let cx = 0
+  let cy = 0
+
+  for (const p of points) {
+    cx += p.x
+    cy += p.y
+  }
+  cx /= points.length
+  cy /= points.length
+
+  let meanDistance = 0
+  for (const p of points) {
+    meanDistance += Math.sqrt((p.x - cx) ** 2 + (p.y - cy) ** 2)
+  }
+  meanDistance /= points.length
+
+  const s = meanDistance > 0 ? Math.SQRT2 / meanDistance : 1
+
+  return { cx, cy, s }
+}
+
+/**
+ * Calculate determinant of a homography matrix
+ * @private
+ * @param {Object} matrix - Homography matrix {a,b,c,d,e,f,g,h}
+ * @returns {number} Determinant of the full 3×3 matrix
+ */
+function homographyDeterminant (matrix) {
+  const { a, b, c, d, e, f, g, h } = matrix
+  return a * (d - f * h) - b * (c - f * g) + e * (c * h - d * g)
+}
+
+// ============================================================================
+// Projective Transformation Functions
+// ============================================================================
+
+/**
+ * Calculate homography matrix from point correspondences
+ *
+ * Uses least-squares solution to find the best-fit projective transformation
+ * that maps source points to target points. Requires minimum 4 point pairs,
+ * no three of which may be collinear.
+ *
+ * Transformation equation: x' = (a*x + b*y + e) / (g*x + h*y + 1)
+ *                          y' = (c*x + d*y + f) / (g*x + h*y + 1)
+ *
+ * An affine transformation is the special case g = h = 0.
+ *
+ * @param {Array<{x: number, y: number}>} sourcePoints - Source coordinates (4+ points)
+ * @param {Array<{x: number, y: number}>} targetPoints - Target coordinates (same count)
+ * @returns {{matrix: Object, determinant: number, isDegenerate: boolean}}
+ * @throws {Error} If point count < 4 or array lengths differ
+ */
+export function calculateHomographyMatrix (sourcePoints, targetPoints) {
+  // Validate inputs
+  if (!sourcePoints || !targetPoints) {
+    throw new Error('Source and target points are required')
+  }
+
+  const N = sourcePoints.length
+
+  if (N !== targetPoints.length) {
+    throw new Error('Source and target point arrays must have same length')
+  }
+
+  if (N < 4) {
+    throw new Error('Minimum 4 point pairs required')
+  }
+
+  // Normalize both point sets for numerical stability
+  const src = getNormalization(sourcePoints)
+  const tgt = getNormalization(targetPoints)
+
+  // Build coefficient matrix A and target vector B (two rows per pair)
+  const A = []
+  const B = []
+
+  for (let i = 0; i < N; i++) {
+    const x = (sourcePoints[i].x - src.cx) * src.s
+    const y = (sourcePoints[i].y - src.cy) * src.s
+    const X = (targetPoints[i].x - tgt.cx) * tgt.s
+    const Y = (targetPoints[i].y - tgt.cy) * tgt.s
+
+    A.push([x, y, 1, 0, 0, 0, -x * X, -y * X])
+    B.push(X)
+    A.push([0, 0, 0, x, y, 1, -x * Y, -y * Y])
+    B.push(Y)
+  }
+
+  // Solve normal equations for the 8 parameters of the normalized homography
+  let p
+  try {
+    p = solveNormalEquations(A, B)
+  } catch (error) {
+    // Matrix is singular (e.g., three or more source points are collinear)
+    // Return identity matrix marked as degenerate
+    return {
+      matrix: { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0, g: 0, h: 0 },
+      determinant: 0,
+      isDegenerate: true
+    }
+  }
+
+  // Denormalize: H = Tt^-1 × Hn × Ts
+  // Hn × Ts
+  const [n11, n12, n13, n21, n22, n23, n31, n32] = p
+  const s = src.s
+  const m = [
+    [n11 * s, n12 * s, n13 - (n11 * src.cx + n12 * src.cy) * s],
+    [n21 * s, n22 * s, n23 - (n21 * src.cx + n22 * src.cy) * s],
+    [n31 * s, n32 * s, 1 - (n31 * src.cx + n32 * src.cy) * s]
+  ]
+
+  // Tt^-1 × (Hn × Ts)
+  const H = [
+    [m[0][0] / tgt.s + tgt.cx * m[2][0], m[0][1] / tgt.s + tgt.cx * m[2][1], m[0][2] / tgt.s + tgt.cx * m[2][2]],
+    [m[1][0] / tgt.s + tgt.cy * m[2][0], m[1][1] / tgt.s + tgt.cy * m[2][1], m[1][2] / tgt.s + tgt.cy * m[2][2]],
+    m[2]
+  ]
+
+  const scale = H[2][2]
+  if (Math.abs(scale) < 1e-12) {
+    return {
+      matrix: { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0, g: 0, h: 0 },
+      determinant: 0,
+      isDegenerate: true
+    }
+  }
+
+  // Build transformation matrix (scaled so the bottom-right element is 1)
+  const matrix = {
+    a: H[0][0] / scale,
+    b: H[0][1] / scale,
+    e: H[0][2] / scale,
+    c: H[1][0] / scale,
+    d: H[1][1] / scale,
+    f: H[1][2] / scale,
+    g: H[2][0] / scale,
+    h: H[2][1] / scale
+  }
+
+  const determinant = homographyDeterminant(matrix)
+
+  return {
+    matrix,
+    determinant,
+    isDegenerate: Math.abs(determinant) < 1e-10
+  }
+}
+
+/**
+ * Apply homography to a single point
+ *
+ * Points on the vanishing line (g*x + h*y + 1 = 0) have no finite image and
+ * transform to non-finite coordinates.
+ *
+ * @param {{x: number, y: number}} point - Point to transform
+ * @param {Object} matrix - Homography matrix {a,b,c,d,e,f,g,h}
+ * @returns {{x: number, y: number}} Transformed point
+ */
+export function applyHomography (point, matrix) {
+  const { a, b, c, d, e, f, g, h } = matrix
+  const w = g * point.x + h * point.y + 1
+
+  return {
+    x: (a * point.x + b * point.y + e) / w,
+    y: (c * point.x + d * point.y + f) / w
+  }
+}
+
+/**
+ * Apply homography to an array of points (optimized)
+ *
+ * @param {Array<{x: number, y: number}>} points - Points to transform
+ * @param {Object} matrix - Homography matrix {a,b,c,d,e,f,g,h}
+ * @returns {Array<{x: number, y: number}>} Transformed points
+ */
+export function batchHomography (points, matrix) {
+  const { a, b, c, d, e, f, g, h } = matrix
+
+  return points.map(p => {
+    const w = g * p.x + h * p.y + 1
+    return {
+      x: (a * p.x + b * p.y + e) / w,
+      y: (c * p.x + d * p.y + f) / w
+    }
+  })
+}
+
+/**
+ * Calculate inverse homography matrix
+ *
+ * Computes the inverse via the adjugate of the 3×3 matrix and rescales it
+ * so the bottom-right element is 1 again.
+ *
+ * @param {Object} matrix - Original homography matrix {a,b,c,d,e,f,g,h}
+ * @returns {Object} Inverse matrix {a,b,c,d,e,f,g,h}
+ * @throws {Error} If matrix is singular (not invertible)
+ */
+export function inverseHomography (matrix) {
+  const { a, b, c, d, e, f, g, h } = matrix
+
+  if (Math.abs(homographyDeterminant(matrix)) < 1e-10) {
+    throw new Error('Matrix is singular (not invertible)')
+  }
+
+  // Adjugate (the 1/det factor cancels out when rescaling)
+  const adj22 = a * d - b * c
+
+  if (Math.abs(adj22) < 1e-12) {
+    throw new Error('Inverse homography maps the origin to infinity')
+  }
+
+  return {
+    a: (d - f * h) / adj22,
+    b: (e * h - b) / adj22,
+    e: (b * f - e * d) / adj22,
+    c: (f * g - c) / adj22,
+    d: (a - e * g) / adj22,
+    f: (e * c - a * f) / adj22,
+    g: (c * h - d * g) / adj22,
+    h: (b * g - a * h) / adj22
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Robust Fit Module
+ *
+ * Outlier-resistant fitting of transformation models using RANSAC
+ * (RANdom SAmple Consensus). A single badly clicked reference pair can ruin
+ * a least-squares fit; RANSAC fits many minimal subsets, keeps the model
+ * most pairs agree with and refits on those inliers only.
+ *
+ * @module robust-fit
+ */
+
+import { getTransformModel, DEFAULT_TRANSFORM_MODEL } from './transform-models.js'
+import { calculateResiduals } from './transform-validator.js'
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Count combinations C(n, k), capped to avoid overflow
+ * @private
+ * @param {number} n
+ * @param {number} k
+ * @param {number} cap - Stop counting once this value is exceeded
+ * @returns {number}
+ */
+function countCombinations (n, k, cap) {
+  let result = 1
+  for (let i = 0; i < k; i++) {
+    result = result * (n - i) / (i + 1)
+    if (result > cap) return Infinity
+  }
+  return Math.round(result)
+}
+
+/**
+ * Enumerate all k-element index subsets of [0, n)
+ * @private
+ * @param {number} n
+ * @param {number} k
+ * @returns {Array<Array<number>>}
+ */
+function allSubsets (n, k) {
+  const subsets = []
+  const current = []
+
+  const recurse = (start) => {
+    if (current.length === k) {
+      subsets.push([...current])
+      return
+    }
+    for (let i = start; i < n; i++) {
+      current.push(i)
+      recurse(i + 1)
+      current.pop()
+    }
+  }
+
+  recurse(0)
+  return subsets
+}
+
+/**
+ * Draw a random k-element index subset of [0, n)
+ * @private
+ * @param {number} n
+ * @param {number} k
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array<number>}
+ */
+function randomSubset (n, k, random) {
+  const indices = Array.from({ length: n }, (_, i) => i)
+
+  // Partial Fisher-Yates shuffle
+  for (let i = 0; i < k; i++) {
+    const j = i + Math.floor(random() * (n - i))
+    ;[indices[i], indices[j]] = [indices[j], indices[i]]
+  }
+
+  return indices.slice(0, k)
+}
+
+// ============================================================================
+// Robust Fitting
+// ============================================================================
+
+/**
+ * Fit a transformation model with RANSAC outlier rejection
+ *
+ * Minimal subsets are enumerated exhaustively when there are few enough
+ * combinations (deterministic result), otherwise sampled randomly. The
+ * consensus set with the most inliers wins (ties broken by lower inlier
+ * error) and the final model is refit on all inliers.
+ *
+ * Local models (thin-plate spline) pass through any sample exactly, so
+ * consensus is found with the affine model and only the final fit uses
+ * the local model.
+ *
+ * @param {Array<{x: number, y: number}>} sourcePoints - Source coordinates
+ * @param {Array<{x: number, y: number}>} targetPoints - Target coordinates (same count)
+ * @param {Object} [options] - Fit options
+ * @param {string} [options.modelId='affine'] - Transformation model id
+ * @param {number} [options.threshold=10] - Max residual (pixels) for a pair to count as inlier
+ * @param {number} [options.maxIterations=500] - Max number of subsets to try
+ * @param {Function} [options.random=Math.random] - Random generator (inject for reproducible tests)
+ * @returns {{matrix: Object, determinant: number, isDegenerate: boolean,
+ *   residuals: Array<number>, inliers: Array<boolean>, inlierCount: number,
+ *   outlierIndices: Array<number>}}
+ * @throws {Error} If there are fewer pairs than the model requires
+ */
+export function ransacFit (sourcePoints, targetPoints, options = {}) {
+  const {
+    modelId = DEFAULT_TRANSFORM_MODEL,
+    threshold = 10,
+    maxIterations = 500,
+    random = Math.random
+  } = options
+
+  const model = getTransformModel(modelId)
+  const consensusModel = model.isLocal ? getTransformModel('affine') : model
+
+  if (!sourcePoints || !targetPoints) {
+    throw new Error('Source and target points are required')
+  }
+
+  const N = sourcePoints.length
+
+  if (N !== targetPoints.length) {
+    throw new Error('Source and target point arrays must have same length')
+  }
+
+  if (N < model.minPoints) {
+    throw new Error(`Minimum ${model.minPoints} point pairs required`)
+  }
+
+  const pairs = sourcePoints.map((source, i) => ({ source, target: targetPoints[i] }))
+  const k = consensusModel.minPoints
+  let bestInliers = null
+  let bestCount = -1
+  let bestError = Infinity
+
+  // No redundancy (N === k) means nothing can be rejected
+  if (N > k) {
+    const total = countCombinations(N, k, maxIterations)
+    const samples = total <= maxIterations
+      ? allSubsets(N, k)
+      : Array.from({ length: maxIterations }, () => randomSubset(N, k, random))
+
+    for (const sample of samples) {
+      const fit = consensusModel.calculate(
+        sample.map(i => sourcePoints[i]),
+        sample.map(i => targetPoints[i])
+      )
+
+      if (fit.isDegenerate) continue
+
+      const residuals = calculateResiduals(pairs, fit.matrix, consensusModel.apply)
+      const inliers = residuals.map(r => r <= threshold)
+      const count = inliers.filter(Boolean).length
+      const error = residuals.reduce((sum, r, i) => inliers[i] ? sum + r * r : sum, 0)
+
+      if (count > bestCount || (count === bestCount && error < bestError)) {
+        bestInliers = inliers
+        bestCount = count
+        bestError = error
+      }
+    }
+  }
+
+  // Fall back to all pairs if no consensus could be reached
+  if (!bestInliers || bestCount < model.minPoints) {
+    bestInliers = new Array(N).fill(true)
+  }
+
+  // Refit the requested model on the inliers
+  const inlierIndices = bestInliers.flatMap((isInlier, i) => isInlier ? [i] : [])
+  const result = model.calculate(
+    inlierIndices.map(i => sourcePoints[i]),
+    inlierIndices.map(i => targetPoints[i])
+  )
+
+  const residuals = calculateResiduals(pairs, result.matrix, model.apply)
+  const inliers = bestInliers.map((isInlier, i) => isInlier && residuals[i] <= threshold)
+  const outlierIndices = inliers.flatMap((isInlier, i) => isInlier ? [] : [i])
+
+  return {
+    matrix: result.matrix,
+    determinant: result.determinant,
+    isDegenerate: result.isDegenerate,
+    residuals,
+    inliers,
+    inlierCount: N - outlierIndices.length,
+    outlierIndices
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Transform Models Module
+ *
+ * Registry of the transformation models available to the migration tools.
+ * Each model bundles its solver with the matching apply/batch/inverse
+ * functions so callers can switch models by id. Local models (warps) bend
+ * differently in each region of the map instead of using one global matrix.
+ *
+ * @module transform-models
+ */
+
+import {
+  calculateAffineMatrix,
+  calculateSimilarityMatrix,
+  calculateRigidMatrix,
+  applyTransform,
+  batchTransform,
+  inverseTransform
+} from './affine-transform.js'
+import {
+  calculateHomographyMatrix,
+  applyHomography,
+  batchHomography,
+  inverseHomography
+} from './projective-transform.js'
+import {
+  calculateThinPlateSpline,
+  applyThinPlateSpline,
+  batchThinPlateSpline,
+  inverseThinPlateSpline
+} from './warp-transform.js'
+import { calculateResiduals } from './transform-validator.js'
+
+// ============================================================================
+// Model Registry
+// ============================================================================
+
+/**
+ * Matrix coefficients of the affine family (rigid and similarity are
+ * stored as affine matrices)
+ * @private
+ * @type {string[]}
+ */
+const AFFINE_COEFFICIENTS = ['a', 'b', 'c', 'd', 'e', 'f']
+
+/**
+ * Available transformation models, keyed by model id
+ *
+ * coefficients lists the numeric keys of a fitted matrix of the model.
+ * Local models additionally store controlPoints, weights and
+ * normalization (see warp-transform.js).
+ *
+ * @type {Object<string, {id: string, name: string, description: string,
+ *   minPoints: number, parameters: number|null, coefficients: string[], isLocal: boolean,
+ *   calculate: Function, apply: Function, batch: Function, inverse: Function}>}
+ */
+export const TRANSFORM_MODELS = {
+  rigid: {
+    id: 'rigid',
+    name: 'Rigid',
+    description: 'Rotation and translation only (same scale)',
+    minPoints: 2,
+    parameters: 3,
+    coefficients: AFFINE_COEFFICIENTS,
+    isLocal: false,
+    calculate: calculateRigidMatrix,
+    apply: applyTransform,
+    batch: batchTransform,
+    inverse: inverseTransform
+  },
+  similarity: {
+    id: 'similarity',
+    name: 'Similarity',
+    description: 'Uniform scale, rotation and translation',
+    minPoints: 2,
+    parameters: 4,
+    coefficients: AFFINE_COEFFICIENTS,
+    isLocal: false,
+    calculate: calculateSimilarityMatrix,
+    apply: applyTransform,
+    batch: batchTransform,
+    inverse: inverseTransform
+  },
+  affine: {
+    id: 'affine',
+    name: 'Affine',
+    description: 'Scale, rotation, shear and translation',
+    minPoints: 3,
+    parameters: 6,
+    coefficients: AFFINE_COEFFICIENTS,
+    isLocal: false,
+    calculate: calculateAffineMatrix,
+    apply: applyTransform,
+    batch: batchTransform,
+    inverse: inverseTransform
+  },
+  homography: {
+    id: 'homography',
+    name: 'Projective (Homography)',
+    description: 'Affine plus perspective distortion',
+    minPoints: 4,
+    parameters: 8,
+    coefficients: [...AFFINE_COEFFICIENTS, 'g', 'h'],
+    isLocal: false,
+    calculate: calculateHomographyMatrix,
+    apply: applyHomography,
+    batch: batchHomography,
+    inverse: inverseHomography
+  },
+  tps: {
+    id: 'tps',
+    name: 'Thin-Plate Spline',
+    description: 'Smooth local warping through every reference pair',
+    minPoints: 4,
+    parameters: null, // Grows with the number of reference pairs
+    coefficients: AFFINE_COEFFICIENTS, // Affine component
+    isLocal: true,
+    calculate: calculateThinPlateSpline,
+    apply: applyThinPlateSpline,
+    batch: batchThinPlateSpline,
+    inverse: inverseThinPlateSpline
+  }
+}
+
+/**
+ * Default model used when none is specified
+ * @type {string}
+ */
+export const DEFAULT_TRANSFORM_MODEL = 'affine'
+
+/**
+ * Pseudo model id that lets recommendTransformModel pick the model
+ * @type {string}
+ */
+export const AUTO_TRANSFORM_MODEL = 'auto'
+
+/**
+ * Assumed variance of point placement (0.5px click precision), used as a
+ * floor so exact fits don't score as infinitely good
+ * @private
+ */
+const MIN_VARIANCE = 0.25
+
+/**
+ * Get a transformation model by id
+ *
+ * @param {string} modelId - Model id (e.g. 'rigid', 'similarity', 'affine', 'homography', 'tps')
+ * @returns {Object} Model definition from TRANSFORM_MODELS
+ * @throws {Error} If model id is unknown
+ */
+export function getTransformModel (modelId) {
+  const model = TRANSFORM_MODELS[modelId]
+
+  if (!model) {
+    throw new Error(`Unknown transformation model: ${modelId}`)
+  }
+
+  return model
+}
+
+/**
+ * Get the minimum number of reference pairs for a model id
+ *
+ * @param {string} modelId - Model id or AUTO_TRANSFORM_MODEL
+ * @returns {number} Minimum pairs (for 'auto', the smallest global model)
+ */
+export function getMinimumPoints (modelId) {
+  if (modelId === AUTO_TRANSFORM_MODEL) {
+    return Math.min(...Object.values(TRANSFORM_MODELS)
+      .filter(model => !model.isLocal)
+      .map(model => model.minPoints))
+  }
+
+  return getTransformModel(modelId).minPoints
+}
+
+// ============================================================================
+// Model Selection
+// ============================================================================
+
+/**
+ * Recommend the model with the best balance of fit quality and complexity
+ *
+ * Fits every global model the point count allows and scores it with the
+ * corrected Akaike information criterion on the 2N coordinate residuals:
+ *
+ *   AICc = n·ln(RSS/n) + 2k + 2k(k+1)/(n-k-1),  n = 2N, k = parameters
+ *
+ * Extra parameters must reduce the error enough to pay for themselves, so
+ * floor plans that only differ by scale and rotation get the similarity
+ * model instead of an affine with spurious shear. When n-k-1 <= 0 the
+ * small-sample correction is undefined and plain AIC is used. Local models
+ * (thin-plate spline) interpolate every pair and are never recommended.
+ *
+ * @param {Array<{x: number, y: number}>} sourcePoints - Source coordinates
+ * @param {Array<{x: number, y: number}>} targetPoints - Target coordinates (same count)
+ * @returns {{recommended: string|null, candidates: Array<{modelId: string,
+ *   rmse: number, score: number, parameters: number, isDegenerate: boolean}>}}
+ *   Candidates sorted best first; recommended is null if no model fits
+ */
+export function recommendTransformModel (sourcePoints, targetPoints) {
+  const N = sourcePoints.length
+  const n = 2 * N
+  const pairs = sourcePoints.map((source, i) => ({ source, target: targetPoints[i] }))
+  const candidates = []
+
+  for (const model of Object.values(TRANSFORM_MODELS)) {
+    if (model.isLocal || N < model.minPoints) continue
+
+    const result = model.calculate(sourcePoints, targetPoints)
+    const residuals = calculateResiduals(pairs, result.matrix, model.apply)
+    const rss = residuals.reduce((sum, r) => sum + r * r, 0)
+    const k = model.parameters
+
+    let score = n * Math.log(Math.max(rss / n, MIN_VARIANCE)) + 2 * k
+    if (n - k - 1 > 0) {
+      score += 2 * k * (k + 1) / (n - k - 1)
+    }
+
+    candidates.push({
+      modelId: model.id,
+      rmse: Math.sqrt(rss / N),
+      score: result.isDegenerate || !Number.isFinite(rss) ? Infinity : score,
+      parameters: k,
+      isDegenerate: result.isDegenerate
+    })
+  }
+
+  // Best score first; on ties prefer the simpler model
+  candidates.sort((a, b) => (a.score - b.score) || (a.parameters - b.parameters))
+
+  const best = candidates.find(c => Number.isFinite(c.score))
+
+  return {
+    recommended: best ? best.modelId : null,
+    candidates
+  }
+}
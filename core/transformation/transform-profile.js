@@ -0,0 +1,304 @@
+/**
+ * Transform Profile Module
+ *
+ * Named, reusable transformations between two specific map images. A
+ * profile stores the fitted matrix together with the image hashes of the
+ * source and target map, so recurring migrations from the same old map to
+ * the same new map can skip reference point selection entirely.
+ *
+ * Matrices map source image pixels to target image pixels.
+ *
+ * @module transform-profile
+ */
+
+import { getTransformModel } from './transform-models.js'
+
+/**
+ * Profile collection file type identifier
+ * @type {string}
+ */
+export const PROFILE_FILE_TYPE = 'SnapSpotTransformProfiles'
+
+/**
+ * Current profile format version
+ * @type {string}
+ */
+export const PROFILE_VERSION = '1.0'
+
+// ============================================================================
+// Profile Creation and Validation
+// ============================================================================
+
+/**
+ * Generate a profile id
+ * @private
+ * @returns {string}
+ */
+function generateProfileId () {
+  return `profile_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`
+}
+
+/**
+ * Create a transform profile
+ *
+ * @param {Object} data - Profile contents
+ * @param {string} data.name - Display name (e.g. 'Building A: 2019 → 2024 plan')
+ * @param {string} data.sourceHash - Image hash of the source map
+ * @param {string|null} [data.targetHash] - Image hash of the target map (null if unknown)
+ * @param {string} data.modelId - Key of TRANSFORM_MODELS the matrix belongs to
+ * @param {Object} data.matrix - Fitted matrix (source pixels → target pixels)
+ * @param {{width: number, height: number}} data.sourceSize - Source map size in pixels
+ * @param {{width: number, height: number}} data.targetSize - Target map size in pixels
+ * @param {Object} [data.metrics] - Quality at creation time
+ * @param {number|null} [data.metrics.rmse] - RMSE in target pixels
+ * @param {number|null} [data.metrics.crossValidatedRmse] - Leave-one-out RMSE in target pixels
+ * @param {number} [data.metrics.pointCount] - Reference pairs the matrix was fitted to
+ * @returns {Object} Transform profile
+ * @throws {Error} If the profile is invalid
+ *
+ * @example
+ * const profile = createTransformProfile({
+ *   name: 'Warehouse old → new',
+ *   sourceHash: sourceMap.imageHash,
+ *   targetHash: targetMap.imageHash,
+ *   modelId: 'affine',
+ *   matrix,
+ *   sourceSize: { width: 2000, height: 1500 },
+ *   targetSize: { width: 2400, height: 1800 },
+ *   metrics: { rmse: 1.8, crossValidatedRmse: 2.4, pointCount: 6 }
+ * })
+ */
+export function createTransformProfile (data) {
+  const profile = {
+    id: data.id || generateProfileId(),
+    name: (data.name || '').trim(),
+    sourceHash: data.sourceHash,
+    targetHash: data.targetHash || null,
+    modelId: data.modelId,
+    matrix: data.matrix,
+    sourceSize: data.sourceSize && { width: data.sourceSize.width, height: data.sourceSize.height },
+    targetSize: data.targetSize && { width: data.targetSize.width, height: data.targetSize.height },
+    metrics: {
+      rmse: data.metrics?.rmse ?? null,
+      crossValidatedRmse: data.metrics?.crossValidatedRmse ?? null,
+      pointCount: data.metrics?.pointCount ?? 0
+    },
+    createdAt: data.createdAt || new Date().toISOString()
+  }
+
+  const validation = validateTransformProfile(profile)
+  if (!validation.isValid) {
+    throw new Error(`Invalid transform profile:\n  - ${validation.errors.join('\n  - ')}`)
+  }
+
+  return profile
+}
+
+/**
+ * Check that a value has numeric values under all keys
+ * @private
+ * @param {*} value - Value to check
+ * @param {string[]} keys - Keys that must be finite numbers
+ * @returns {boolean}
+ */
+function hasNumericKeys (value, keys) {
+  return !!value && keys.every(key => Number.isFinite(value[key]))
+}
+
+/**
+ * Validate a profile matrix against the shape of its model
+ *
+ * Global models need the coefficients listed in the registry; local
+ * models (TPS) also need their control points, one weight per control
+ * point and the normalization used when fitting.
+ * @private
+ * @param {Object} matrix - Profile matrix
+ * @param {Object} model - Entry of TRANSFORM_MODELS
+ * @returns {string[]} Validation errors
+ */
+function validateMatrix (matrix, model) {
+  const errors = []
+
+  if (!hasNumericKeys(matrix, model.coefficients)) {
+    errors.push(`Profile matrix for model ${model.id} must have numeric ${model.coefficients.join(', ')} coefficients`)
+  }
+
+  if (!model.isLocal) {
+    return errors
+  }
+
+  const { controlPoints, weights, normalization } = matrix
+  if (!Array.isArray(controlPoints) || controlPoints.length < model.minPoints ||
+    !controlPoints.every(point => hasNumericKeys(point, ['x', 'y']))) {
+    errors.push(`Profile matrix for model ${model.id} must have at least ${model.minPoints} numeric controlPoints`)
+  } else if (!Array.isArray(weights) || weights.length !== controlPoints.length ||
+    !weights.every(weight => hasNumericKeys(weight, ['x', 'y']))) {
+    errors.push(`Profile matrix for model ${model.id} must have one numeric weight per control point`)
+  }
+
+  if (!hasNumericKeys(normalization, ['cx', 'cy', 's']) || !(normalization.s > 0)) {
+    errors.push(`Profile matrix for model ${model.id} must have a normalization with numeric cx, cy and positive s`)
+  }
+
+  return errors
+}
+
+/**
+ * Validate a transform profile
+ *
+ * @param {Object} profile - Profile to validate
+ * @returns {{isValid: boolean, errors: string[]}} Validation result
+ */
+export function validateTransformProfile (profile) {
+  const errors = []
+
+  if (!profile || typeof profile !== 'object') {
+    return { isValid: false, errors: ['Profile must be an object'] }
+  }
+
+  if (!profile.id || typeof profile.id !== 'string') {
+    errors.push('Profile id is required')
+  }
+
+  if (!profile.name || typeof profile.name !== 'string') {
+    errors.push('Profile name is required')
+  }
+
+  if (!profile.sourceHash || typeof profile.sourceHash !== 'string') {
+    errors.push('Profile sourceHash is required')
+  }
+
+  if (profile.targetHash !== null && typeof profile.targetHash !== 'string') {
+    errors.push('Profile targetHash must be a string or null')
+  }
+
+  let model = null
+  try {
+    model = getTransformModel(profile.modelId)
+  } catch (error) {
+    errors.push(error.message)
+  }
+
+  if (!profile.matrix || typeof profile.matrix !== 'object') {
+    errors.push('Profile matrix is required')
+  } else if (model) {
+    errors.push(...validateMatrix(profile.matrix, model))
+  }
+
+  for (const key of ['sourceSize', 'targetSize']) {
+    const size = profile[key]
+    if (!size || !(size.width > 0) || !(size.height > 0)) {
+      errors.push(`Profile ${key} must have positive width and height`)
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+// ============================================================================
+// Matching and Applying
+// ============================================================================
+
+/**
+ * Find profiles that apply to a pair of maps
+ *
+ * A profile matches when its source hash equals the loaded source map's
+ * hash and, if both target hashes are known, the target hashes are equal.
+ *
+ * @param {Array<Object>} profiles - Available profiles
+ * @param {Object} hashes - Image hashes of the loaded maps
+ * @param {string} hashes.sourceHash - Source map hash
+ * @param {string|null} [hashes.targetHash] - Target map hash (null = match any target)
+ * @returns {Array<Object>} Matching profiles, exact target matches and
+ *   lowest RMSE first
+ *
+ * @example
+ * const [best] = findMatchingProfiles(profiles, { sourceHash: exportData.map.hash })
+ * if (best) console.log(`Using profile ${best.name}`)
+ */
+export function findMatchingProfiles (profiles, { sourceHash, targetHash = null }) {
+  if (!sourceHash) return []
+
+  const rank = (profile) => [
+    profile.targetHash && profile.targetHash === targetHash ? 0 : 1,
+    profile.metrics.rmse ?? Infinity
+  ]
+
+  return profiles
+    .filter(profile => profile.sourceHash === sourceHash)
+    .filter(profile => !profile.targetHash || !targetHash || profile.targetHash === targetHash)
+    .sort((p, q) => {
+      const [pTarget, pRmse] = rank(p)
+      const [qTarget, qRmse] = rank(q)
+      return (pTarget - qTarget) || (pRmse - qRmse)
+    })
+}
+
+/**
+ * Transform source pixel coordinates with a profile
+ *
+ * @param {Object} profile - Transform profile
+ * @param {Array<{x: number, y: number}>} points - Points in source map pixels
+ * @returns {Array<{x: number, y: number}>} Points in target map pixels
+ */
+export function applyTransformProfile (profile, points) {
+  return getTransformModel(profile.modelId).batch(points, profile.matrix)
+}
+
+// ============================================================================
+// Serialization
+// ============================================================================
+
+/**
+ * Serialize profiles to a profile collection file
+ *
+ * @param {Array<Object>} profiles - Profiles to save
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeTransformProfiles (profiles) {
+  return JSON.stringify({
+    type: PROFILE_FILE_TYPE,
+    version: PROFILE_VERSION,
+    profiles
+  }, null, 2)
+}
+
+/**
+ * Parse a profile collection file
+ *
+ * @param {string} jsonString - File content
+ * @returns {Array<Object>} Validated profiles
+ * @throws {Error} If JSON is invalid, not a profile file, or a profile is invalid
+ */
+export function parseTransformProfiles (jsonString) {
+  let data
+  try {
+    data = JSON.parse(jsonString)
+  } catch (error) {
+    throw new Error(`Failed to parse JSON: ${error.message}`)
+  }
+
+  if (!data || data.type !== PROFILE_FILE_TYPE) {
+    throw new Error(`Not a transform profile file (expected type ${PROFILE_FILE_TYPE})`)
+  }
+
+  if (data.version !== PROFILE_VERSION) {
+    throw new Error(`Unsupported profile file version: ${data.version}`)
+  }
+
+  if (!Array.isArray(data.profiles)) {
+    throw new Error('Profile file must contain a profiles array')
+  }
+
+  data.profiles.forEach((profile, index) => {
+    const validation = validateTransformProfile(profile)
+    if (!validation.isValid) {
+      throw new Error(`Profile ${index + 1} is invalid:\n  - ${validation.errors.join('\n  - ')}`)
+    }
+  })
+
+  return data.profiles
+}
@@ -1,7 +1,7 @@
 /**
  * Transform Validator Module
  *
- * Provides quality metrics and validation for affine transformations.
+ * Provides quality metrics and validation for affine and projective transformations.
  * Includes RMSE calculation, anomaly detection, and point distribution analysis.
  *
  * @module transform-validator
@@ -21,9 +21,11 @@ import { applyTransform } from './affine-transform.js'
  *
  * @param {Array<{source: {x,y}, target: {x,y}}>} referencePairs - Reference point pairs
  * @param {Object} matrix - Transformation matrix {a,b,c,d,e,f}
+ * @param {Function} [transformFn=applyTransform] - Point transform matching the
+ *   matrix type (e.g. applyHomography for {a,b,c,d,e,f,g,h})
  * @returns {number} RMSE in pixels
  */
-export function calculateRMSE (referencePairs, matrix) {
+export function calculateRMSE (referencePairs, matrix, transformFn = applyTransform) {
   if (!referencePairs || referencePairs.length === 0) {
     return 0
   }
@@ -31,7 +33,7 @@ export function calculateRMSE (referencePairs, matrix) {
   let sumSquaredError = 0
 
   for (const pair of referencePairs) {
-    const transformed = applyTransform(pair.source, matrix)
+    const transformed = transformFn(pair.source, matrix)
     const dx = transformed.x - pair.target.x
     const dy = transformed.y - pair.target.y
     sumSquaredError += dx * dx + dy * dy
@@ -40,6 +42,26 @@ export function calculateRMSE (referencePairs, matrix) {
   return Math.sqrt(sumSquaredError / referencePairs.length)
 }
 
+/**
+ * Calculate residual error of each reference pair
+ *
+ * Unlike calculateRMSE, which averages all errors, this reports how far
+ * each transformed source point lands from its target, so a single badly
+ * placed pair can be identified.
+ *
+ * @param {Array<{source: {x,y}, target: {x,y}}>} referencePairs - Reference point pairs
+ * @param {Object} matrix - Transformation matrix
+ * @param {Function} [transformFn=applyTransform] - Point transform matching the matrix type
+ * @returns {Array<number>} Residual per pair in pixels (Infinity if the point
+ *   has no finite image, e.g. on a homography's vanishing line)
+ */
+export function calculateResiduals (referencePairs, matrix, transformFn = applyTransform) {
+  return (referencePairs || []).map(pair => {
+    const residual = distance(transformFn(pair.source, matrix), pair.target)
+    return Number.isFinite(residual) ? residual : Infinity
+  })
+}
+
 /**
  * Detect transformation anomalies
  *
@@ -48,11 +70,17 @@ export function calculateRMSE (referencePairs, matrix) {
  * - Extreme scaling (>5× or <0.2×)
  * - Extreme shear (angle between axes > 60°)
  * - Degenerate matrix (singular/non-invertible)
+ * - Extreme perspective (homography matrices only, requires bounds)
  *
- * @param {Object} matrix - Transformation matrix {a,b,c,d,e,f}
+ * For homographies the scale, shear and rotation metrics describe the
+ * linear part at the origin.
+ *
+ * @param {Object} matrix - Transformation matrix {a,b,c,d,e,f} or {a,b,c,d,e,f,g,h}
+ * @param {{width: number, height: number}} [bounds] - Source map dimensions,
+ *   used to measure perspective distortion across the map
  * @returns {Object} Anomaly report with warnings and metrics
  */
-export function detectAnomalies (matrix) {
+export function detectAnomalies (matrix, bounds = null) {
   const { a, b, c, d } = matrix
   const det = a * d - b * c
 
@@ -67,18 +95,162 @@ export function detectAnomalies (matrix) {
   // Calculate rotation angle (from X-axis basis vector)
   const rotation = Math.atan2(c, a) * 180 / Math.PI
 
+  // Perspective distortion: largest deviation of the homogeneous divisor
+  // (g*x + h*y + 1) from 1 over the map corners. A divisor <= 0 means part
+  // of the map folds over the vanishing line.
+  let perspectiveDistortion = 0
+  let crossesVanishingLine = false
+
+  if (bounds && (matrix.g || matrix.h)) {
+    const corners = [
+      { x: 0, y: 0 },
+      { x: bounds.width, y: 0 },
+      { x: 0, y: bounds.height },
+      { x: bounds.width, y: bounds.height }
+    ]
+
+    for (const corner of corners) {
+      const w = matrix.g * corner.x + matrix.h * corner.y + 1
+      perspectiveDistortion = Math.max(perspectiveDistortion, Math.abs(w - 1))
+      if (w <= 0) crossesVanishingLine = true
+    }
+  }
+
   return {
     hasNegativeDeterminant: det < 0,
     hasExtremeScale: scaleX > 5 || scaleY > 5 || scaleX < 0.2 || scaleY < 0.2,
     hasExtremeShear: shear > 0.5,
     isDegenerate: Math.abs(det) < 1e-10,
+    hasExtremePerspective: crossesVanishingLine || perspectiveDistortion > 0.5,
     scaleFactors: {
       x: scaleX,
       y: scaleY
     },
     shearFactor: shear,
     determinant: det,
-    rotation
+    rotation,
+    perspectiveDistortion
+  }
+}
+
+/**
+ * Calculate residuals per map region
+ *
+ * Splits the source map into a grid and reports, for the reference pairs in
+ * each cell, the fit error and how far the transformation departs from its
+ * own affine component ("local warp"). Local warp is 0 for affine matrices,
+ * grows with perspective for homographies and shows where a thin-plate
+ * spline had to bend the map.
+ *
+ * @param {Array<{source: {x,y}, target: {x,y}}>} referencePairs - Reference point pairs
+ * @param {Object} matrix - Transformation matrix or model with affine component {a,b,c,d,e,f}
+ * @param {{width: number, height: number}} bounds - Source map dimensions
+ * @param {Object} [options] - Options
+ * @param {Function} [options.transformFn=applyTransform] - Point transform matching the matrix type
+ * @param {number} [options.rows=2] - Grid rows
+ * @param {number} [options.cols=2] - Grid columns
+ * @returns {Array<{name: string, row: number, col: number, pointCount: number,
+ *   rmse: number|null, maxError: number|null, localWarp: number|null}>}
+ *   One entry per region; error fields are null for regions without points
+ */
+export function calculateRegionalResiduals (referencePairs, matrix, bounds, options = {}) {
+  const {
+    transformFn = applyTransform,
+    rows = 2,
+    cols = 2
+  } = options
+
+  const regions = []
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      regions.push({
+        name: getRegionName(row, col, rows, cols),
+        row,
+        col,
+        pointCount: 0,
+        rmse: null,
+        maxError: null,
+        localWarp: null,
+        _sumSquared: 0,
+        _sumWarp: 0
+      })
+    }
+  }
+
+  for (const pair of referencePairs || []) {
+    const row = Math.min(rows - 1, Math.max(0, Math.floor(pair.source.y / bounds.height * rows)))
+    const col = Math.min(cols - 1, Math.max(0, Math.floor(pair.source.x / bounds.width * cols)))
+    const region = regions[row * cols + col]
+
+    const transformed = transformFn(pair.source, matrix)
+    const error = distance(transformed, pair.target)
+    const warp = distance(transformed, applyTransform(pair.source, matrix))
+
+    region.pointCount++
+    region._sumSquared += error * error
+    region._sumWarp += warp
+    region.maxError = Math.max(region.maxError || 0, error)
+  }
+
+  return regions.map(({ _sumSquared, _sumWarp, ...region }) => {
+    if (region.pointCount > 0) {
+      region.rmse = Math.sqrt(_sumSquared / region.pointCount)
+      region.localWarp = _sumWarp / region.pointCount
+    }
+    return region
+  })
+}
+
+/**
+ * Calculate leave-one-out cross-validation error
+ *
+ * RMSE on the fitted pairs is optimistic: with 3 pairs an affine fit is
+ * always exact. Here each pair is left out in turn, the model is refit on
+ * the others and the held-out pair is predicted, which estimates how well
+ * unseen markers will be placed.
+ *
+ * @param {Array<{source: {x,y}, target: {x,y}}>} referencePairs - Reference point pairs
+ * @param {Function} fitFn - Model solver (sourcePoints, targetPoints) =>
+ *   {matrix, isDegenerate}, e.g. calculateAffineMatrix
+ * @param {Function} [transformFn=applyTransform] - Point transform matching the matrix type
+ * @returns {{errors: Array<number|null>, rmse: number|null, maxError: number|null}}
+ *   Prediction error per pair (null if the remaining pairs are too few to
+ *   fit, Infinity if they are degenerate); rmse/maxError over the non-null
+ *   errors, null if no pair could be predicted
+ */
+export function calculateLeaveOneOut (referencePairs, fitFn, transformFn = applyTransform) {
+  const pairs = referencePairs || []
+
+  const errors = pairs.map((heldOut, i) => {
+    const others = pairs.filter((pair, j) => j !== i)
+    let result
+
+    try {
+      result = fitFn(others.map(p => p.source), others.map(p => p.target))
+    } catch (error) {
+      // Not enough pairs left for this model
+      return null
+    }
+
+    if (result.isDegenerate) {
+      return Infinity
+    }
+
+    const predicted = distance(transformFn(heldOut.source, result.matrix), heldOut.target)
+    return Number.isFinite(predicted) ? predicted : Infinity
+  })
+
+  const predicted = errors.filter(e => e !== null)
+
+  if (predicted.length === 0) {
+    return { errors, rmse: null, maxError: null }
+  }
+
+  return {
+    errors,
+    rmse: Math.sqrt(predicted.reduce((sum, e) => sum + e * e, 0) / predicted.length),
+    maxError: Math.max(...predicted)
   }
 }
 
@@ -210,6 +382,27 @@ export function suggestAdditionalPoints (currentPoints, bounds) {
 // Helper Functions
 // ============================================================================
 
+/**
+ * Get human-readable name for a grid region
+ * @private
+ * @param {number} row
+ * @param {number} col
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {string} e.g. 'top-left' for a 2×2 or 3×3 grid, otherwise 'row 1, col 2'
+ */
+function getRegionName (row, col, rows, cols) {
+  const vertical = { 2: ['top', 'bottom'], 3: ['top', 'middle', 'bottom'] }
+  const horizontal = { 2: ['left', 'right'], 3: ['left', 'center', 'right'] }
+
+  if (vertical[rows] && horizontal[cols]) {
+    const name = `${vertical[rows][row]}-${horizontal[cols][col]}`
+    return name === 'middle-center' ? 'center' : name
+  }
+
+  return `row ${row + 1}, col ${col + 1}`
+}
+
 /**
  * Get bounding box of points
  * @private
@@ -0,0 +1,303 @@
+/**
+ * Warp Transform Module
+ *
+ * Thin-plate spline (TPS) warping for maps that are not globally affine,
+ * such as hand-drawn site sketches or stitched scans. The spline passes
+ * exactly through every reference pair (or close to it when smoothing is
+ * used) and bends smoothly in between.
+ *
+ * A TPS model is stored as a plain object so it can be serialized:
+ * - a, b, c, d, e, f: affine component (same meaning as an affine matrix)
+ * - controlPoints: source control points in pixels
+ * - weights: non-linear kernel weights per control point
+ * - normalization: centroid/scale used for the kernel distances
+ *
+ * @module warp-transform
+ */
+
+import { solveLinearSystem } from './linear-algebra.js'
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Thin-plate spline radial basis function U(r) = r² ln r
+ * @private
+ * @param {number} r - Distance
+ * @returns {number} Kernel value (0 at r = 0)
+ */
+function kernel (r) {
+  return r > 0 ? r * r * Math.log(r) : 0
+}
+
+/**
+ * Build normalization parameters (centroid and inverse mean distance)
+ * @private
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{cx: number, cy: number, s: number}}
+ */
+function getNormalization (points) {
+  let cx = 0
+  let cy = 0
+
+  for (const p of points) {
+    cx += p.x
+    cy += p.y
+  }
+  cx /= points.length
+  cy /= points.length
+
+  let meanDistance = 0
+  for (const p of points) {
+    meanDistance += Math.sqrt((p.x - cx) ** 2 + (p.y - cy) ** 2)
+  }
+  meanDistance /= points.length
+
+  return { cx, cy, s: meanDistance > 0 ? 1 / meanDistance : 1 }
+}
+
+/**
+ * Degenerate (identity) TPS model
+ * @private
+ * @returns {Object}
+ */
+function identityModel () {
+  return {
+    a: 1,
+    b: 0,
+    c: 0,
+    d: 1,
+    e: 0,
+    f: 0,
+    controlPoints: [],
+    weights: [],
+    normalization: { cx: 0, cy: 0, s: 1 }
+  }
+}
+
+// ============================================================================
+// Thin-Plate Spline Functions
+// ============================================================================
+
+/**
+ * Calculate thin-plate spline warp from point correspondences
+ *
+ * Solves the TPS system [K + λI  P; Pᵀ  0] [w; a] = [v; 0] separately for
+ * X and Y. With smoothing = 0 the warp interpolates every pair exactly.
+ * Requires minimum 4 point pairs that are not all collinear (with exactly
+ * 3 pairs a TPS reduces to the affine fit).
+ *
+ * @param {Array<{x: number, y: number}>} sourcePoints - Source coordinates (4+ points)
+ * @param {Array<{x: number, y: number}>} targetPoints - Target coordinates (same count)
+ * @param {Object} [options] - Fit options
+ * @param {number} [options.smoothing=0] - Regularization λ (0 = exact interpolation)
+ * @returns {{matrix: Object, determinant: number, isDegenerate: boolean}}
+ *   matrix is the TPS model; determinant is that of its affine component
+ * @throws {Error} If point count < 4 or array lengths differ
+ */
+export function calculateThinPlateSpline (sourcePoints, targetPoints, options = {}) {
+  const { smoothing = 0 } = options
+
+  // Validate inputs
+  if (!sourcePoints || !targetPoints) {
+    throw new Error('Source and target points are required')
+  }
+
+  const N = sourcePoints.length
+
+  if (N !== targetPoints.length) {
+    throw new Error('Source and target point arrays must have same length')
+  }
+
+  if (N < 4) {
+    throw new Error('Minimum 4 point pairs required')
+  }
+
+  const normalization = getNormalization(sourcePoints)
+  const { cx, cy, s } = normalization
+  const normalized = sourcePoints.map(p => ({
+    x: (p.x - cx) * s,
+    y: (p.y - cy) * s
+  }))
+
+  // Build (N+3)×(N+3) system matrix
+  const size = N + 3
+  const L = []
+  for (let i = 0; i < size; i++) {
+    L.push(new Array(size).fill(0))
+  }
+
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      const dx = normalized[i].x - normalized[j].x
+      const dy = normalized[i].y - normalized[j].y
+      L[i][j] = kernel(Math.sqrt(dx * dx + dy * dy))
+    }
+    L[i][i] += smoothing
+
+    L[i][N] = 1
+    L[i][N + 1] = normalized[i].x
+    L[i][N + 2] = normalized[i].y
+    L[N][i] = 1
+    L[N + 1][i] = normalized[i].x
+    L[N + 2][i] = normalized[i].y
+  }
+
+  const Bx = [...targetPoints.map(p => p.x), 0, 0, 0]
+  const By = [...targetPoints.map(p => p.y), 0, 0, 0]
+
+  let paramsX, paramsY
+  try {
+    paramsX = solveLinearSystem(L, Bx)
+    paramsY = solveLinearSystem(L, By)
+  } catch (error) {
+    // Singular system (duplicate or collinear control points)
+    return {
+      matrix: identityModel(),
+      determinant: 0,
+      isDegenerate: true
+    }
+  }
+
+  // Convert affine component from normalized to pixel coordinates
+  const [x0, xx, xy] = paramsX.slice(N)
+  const [y0, yx, yy] = paramsY.slice(N)
+
+  const matrix = {
+    a: xx * s,
+    b: xy * s,
+    c: yx * s,
+    d: yy * s,
+    e: x0 - (xx * cx + xy * cy) * s,
+    f: y0 - (yx * cx + yy * cy) * s,
+    controlPoints: sourcePoints.map(p => ({ x: p.x, y: p.y })),
+    weights: paramsX.slice(0, N).map((wx, i) => ({ x: wx, y: paramsY[i] })),
+    normalization
+  }
+
+  const determinant = matrix.a * matrix.d - matrix.b * matrix.c
+
+  return {
+    matrix,
+    determinant,
+    isDegenerate: Math.abs(determinant) < 1e-10
+  }
+}
+
+/**
+ * Apply thin-plate spline warp to a single point
+ *
+ * @param {{x: number, y: number}} point - Point to transform
+ * @param {Object} matrix - TPS model from calculateThinPlateSpline
+ * @returns {{x: number, y: number}} Transformed point
+ */
+export function applyThinPlateSpline (point, matrix) {
+  const { a, b, c, d, e, f, controlPoints, weights } = matrix
+  const { s } = matrix.normalization
+
+  let x = a * point.x + b * point.y + e
+  let y = c * point.x + d * point.y + f
+
+  for (let i = 0; i < controlPoints.length; i++) {
+    const dx = point.x - controlPoints[i].x
+    const dy = point.y - controlPoints[i].y
+    const u = kernel(Math.sqrt(dx * dx + dy * dy) * s)
+    x += weights[i].x * u
+    y += weights[i].y * u
+  }
+
+  return { x, y }
+}
+
+/**
+ * Apply thin-plate spline warp to an array of points
+ *
+ * @param {Array<{x: number, y: number}>} points - Points to transform
+ * @param {Object} matrix - TPS model from calculateThinPlateSpline
+ * @returns {Array<{x: number, y: number}>} Transformed points
+ */
+export function batchThinPlateSpline (points, matrix) {
+  return points.map(p => applyThinPlateSpline(p, matrix))
+}
+
+/**
+ * Calculate approximate inverse thin-plate spline warp
+ *
+ * A TPS has no closed-form inverse; this fits a new spline from the warped
+ * control points back to the original ones. It is exact at the control
+ * points and approximate in between.
+ *
+ * @param {Object} matrix - TPS model from calculateThinPlateSpline
+ * @returns {Object} Inverse TPS model
+ * @throws {Error} If the inverse spline is degenerate
+ */
+export function inverseThinPlateSpline (matrix) {
+  const warped = batchThinPlateSpline(matrix.controlPoints, matrix)
+  const result = calculateThinPlateSpline(warped, matrix.controlPoints)
+
+  if (result.isDegenerate) {
+    throw new Error('Warp is not invertible')
+  }
+
+  return result.matrix
+}
+
+// ============================================================================
+// Visualization Helpers
+// ============================================================================
+
+/**
+ * Build a warped grid for previewing a transformation
+ *
+ * Returns polylines (rows and columns of a regular source grid) mapped
+ * through the given transform, ready to be drawn segment by segment.
+ *
+ * @param {Function} transformFn - Point transform (e.g. applyThinPlateSpline)
+ * @param {Object} matrix - Transformation matrix/model
+ * @param {{width: number, height: number}} bounds - Source map dimensions
+ * @param {number} [divisions=10] - Number of grid cells per axis
+ * @returns {Array<Array<{x: number, y: number}>>} Transformed polylines
+ */
+export function buildWarpGrid (transformFn, matrix, bounds, divisions = 10) {
+  const steps = divisions * 4 // Sample along each line so curves stay smooth
+  const lines = []
+
+  for (let i = 0; i <= divisions; i++) {
+    const row = []
+    const col = []
+
+    for (let j = 0; j <= steps; j++) {
+      row.push(transformFn({
+        x: bounds.width * j / steps,
+        y: bounds.height * i / divisions
+      }, matrix))
+      col.push(transformFn({
+        x: bounds.width * i / divisions,
+        y: bounds.height * j / steps
+      }, matrix))
+    }
+
+    lines.push(row, col)
+  }
+
+  return lines
+}
+
+/**
+ * Draw a warped grid segment by segment
+ *
+ * @param {{drawLine: Function}} renderer - Renderer with drawLine(x1, y1, x2, y2, style)
+ * @param {Array<Array<{x: number, y: number}>>} grid - Polylines from buildWarpGrid
+ * @param {Object} [style={ color: 'rgba(0, 120, 255, 0.35)', width: 1 }] - Line style
+ *
+ * @example
+ * drawWarpGrid(renderer, buildWarpGrid(applyThinPlateSpline, matrix, { width, height }))
+ */
+export function drawWarpGrid (renderer, grid, style = { color: 'rgba(0, 120, 255, 0.35)', width: 1 }) {
+  grid.forEach(line => {
+    for (let i = 1; i < line.length; i++) {
+      renderer.drawLine(line[i - 1].x, line[i - 1].y, line[i].x, line[i].y, style)
+    }
+  })
+}
@@ -0,0 +1,345 @@
+/**
+ * SnapSpot Marker CSV
+ *
+ * Flattens markers into CSV for review and editing in a spreadsheet, and
+ * applies edited rows back onto the export. Rows are matched to markers by
+ * id; x, y and description can be edited, the other columns are for
+ * reference only.
+ *
+ * @module snapspot-data/csv
+ */
+
+import { getMarkerPhotos } from './parser.js'
+import { updateMarkersInExport } from './writer.js'
+
+/**
+ * CSV columns written by buildMarkersCsv()
+ * @constant {string[]}
+ */
+export const CSV_COLUMNS = [
+  'id',
+  'x',
+  'y',
+  'description',
+  'createdDate',
+  'lastModified',
+  'photoCount',
+  'photoFileNames'
+]
+
+/**
+ * Columns applied by applyMarkersCsv() (all others are read-only)
+ * @constant {string[]}
+ */
+export const EDITABLE_COLUMNS = ['x', 'y', 'description']
+
+// Separator between file names in the photoFileNames column
+const FILE_NAME_SEPARATOR = '; '
+
+// Byte order mark, so spreadsheet applications detect UTF-8
+const BOM = '\uFEFF'
+
+// ============================================================================
+// CSV Text Handling
+// ============================================================================
+
+/**
+ * Quote a CSV value if needed (RFC 4180)
+ * @private
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Column delimiter
+ * @returns {string}
+ */
+function formatCsvValue (value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value)
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+/**
+ * Detect the delimiter from the header line (comma, semicolon or tab)
+ * @private
+ * @param {string} text - CSV text
+ * @returns {string}
+ */
+function detectDelimiter (text) {
+  const header = text.split(/\r?\n/, 1)[0]
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: header.split(delimiter).length - 1
+  }))
+
+  return counts.reduce((best, current) => current.count > best.count ? current : best).delimiter
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @private
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Column delimiter
+ * @returns {Array<{row: number, cells: string[]}>} Non-empty rows with their
+ *   1-based row number (counting empty rows, as a spreadsheet does)
+ * @throws {Error} If a quoted value is not closed
+ */
+function parseCsvRows (text, delimiter) {
+  const rows = []
+  let cells = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      cells.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      cells.push(cell)
+      rows.push({ row: rows.length + 1, cells })
+      cells = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unclosed quoted value in row ${rows.length + 1}`)
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell)
+    rows.push({ row: rows.length + 1, cells })
+  }
+
+  // Skip empty lines
+  return rows.filter(row => row.cells.some(value => value.trim() !== ''))
+}
+
+/**
+ * Parse CSV text into a header and data rows
+ *
+ * Strips a byte order mark and detects the delimiter (comma, semicolon or
+ * tab) from the header line.
+ *
+ * @param {string} csvText - CSV text with a header row
+ * @returns {{columns: string[], delimiter: string, rows: Array<{row: number, cells: string[]}>}}
+ *   Trimmed column names and data rows with spreadsheet row numbers (header = row 1)
+ * @throws {Error} If a quoted value is not closed
+ *
+ * @example
+ * const { columns, rows } = parseCsv('id,x,y\r\nm1,10,20\r\n')
+ * // columns => ['id', 'x', 'y'], rows => [{ row: 2, cells: ['m1', '10', '20'] }]
+ */
+export function parseCsv (csvText) {
+  const text = csvText.startsWith(BOM) ? csvText.slice(1) : csvText
+  const delimiter = detectDelimiter(text)
+  const [header, ...rows] = parseCsvRows(text, delimiter)
+
+  return {
+    columns: header ? header.cells.map(name => name.trim()) : [],
+    delimiter,
+    rows
+  }
+}
+
+/**
+ * Parse a numeric cell (accepts decimal commas from ';'/tab separated files)
+ *
+ * @param {string} value - Cell value
+ * @param {string} delimiter - Column delimiter of the file
+ * @returns {number} Parsed number or NaN
+ */
+export function parseCsvNumber (value, delimiter) {
+  const text = delimiter === ',' ? value.trim() : value.trim().replace(',', '.')
+  return text === '' ? NaN : Number(text)
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Build a CSV of the markers of a parsed export
+ *
+ * One row per marker with the columns of CSV_COLUMNS. Photo file names
+ * are joined with "; " in a single cell.
+ *
+ * @param {Object} exportData - Parsed export (from parseExport())
+ * @param {Object} [options={}] - CSV options
+ * @param {string} [options.delimiter=','] - Column delimiter (',', ';' or '\t')
+ * @param {boolean} [options.bom=false] - Start with a UTF-8 byte order mark (for Excel)
+ * @returns {string} CSV text (CRLF line endings)
+ *
+ * @example
+ * const parsed = await parseExport(jsonString)
+ * const csv = buildMarkersCsv(parsed, { bom: true })
+ */
+export function buildMarkersCsv (exportData, options = {}) {
+  const { delimiter = ',', bom = false } = options
+  const photos = exportData.photos || []
+
+  const rows = exportData.markers.map(marker => {
+    const markerPhotos = getMarkerPhotos(marker, photos)
+
+    return [
+      marker.id,
+      marker.x,
+      marker.y,
+      marker.description || '',
+      marker.createdDate || '',
+      marker.lastModified || '',
+      markerPhotos.length,
+      markerPhotos.map(photo => photo.fileName).join(FILE_NAME_SEPARATOR)
+    ]
+  })
+
+  const lines = [CSV_COLUMNS, ...rows]
+    .map(row => row.map(value => formatCsvValue(value, delimiter)).join(delimiter))
+
+  return (bom ? BOM : '') + lines.join('\r\n') + '\r\n'
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Read edited marker rows from CSV text
+ *
+ * Every row is validated on its own: a row with errors is reported and
+ * skipped, the other rows are still returned. Row numbers are the row
+ * numbers shown in a spreadsheet (the header is row 1).
+ *
+ * @param {string} csvText - CSV text (header row required, must include 'id')
+ * @param {Object} exportData - Parsed export the rows belong to
+ * @returns {{rows: Array<Object>, errors: Array<{row: number, id: string|null, message: string}>}}
+ *   rows are {row, id, changes} with the edited fields of the marker
+ * @throws {Error} If the CSV has no header with an id column
+ */
+export function parseMarkersCsv (csvText, exportData) {
+  const { columns, delimiter, rows: dataRows } = parseCsv(csvText)
+  const idColumn = columns.indexOf('id')
+  if (idColumn === -1) {
+    throw new Error('CSV must have a header row with an "id" column')
+  }
+
+  const markersById = new Map(exportData.markers.map(marker => [marker.id, marker]))
+  const { width, height } = exportData.map
+  const seenIds = new Set()
+
+  const rows = []
+  const errors = []
+
+  for (const { row, cells } of dataRows) {
+    const id = (cells[idColumn] || '').trim() || null
+    const rowErrors = []
+    const report = (message) => rowErrors.push({ row, id, message })
+
+    if (cells.length !== columns.length) {
+      report(`Expected ${columns.length} columns, found ${cells.length}`)
+    }
+
+    const marker = id ? markersById.get(id) : null
+    if (!id) {
+      report('Missing marker id')
+    } else if (!marker) {
+      report(`Unknown marker id "${id}"`)
+    } else if (seenIds.has(id)) {
+      report(`Marker "${id}" appears more than once`)
+    }
+    if (id) seenIds.add(id)
+
+    // Only columns present in the file are applied
+    const changes = {}
+    for (const field of EDITABLE_COLUMNS) {
+      const index = columns.indexOf(field)
+      if (index === -1 || cells[index] === undefined) continue
+
+      if (field === 'description') {
+        changes.description = cells[index]
+        continue
+      }
+
+      const value = parseCsvNumber(cells[index], delimiter)
+      const max = field === 'x' ? width : height
+      if (!Number.isFinite(value)) {
+        report(`${field} must be a number, got "${cells[index]}"`)
+      } else if (value < 0 || value > max) {
+        report(`${field} must be between 0 and ${max}, got ${value}`)
+      } else {
+        changes[field] = value
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors)
+    } else {
+      rows.push({ row, id, changes })
+    }
+  }
+
+  return { rows, errors }
+}
+
+/**
+ * Apply edited CSV rows to a parsed export
+ *
+ * Markers are matched by id. Valid rows update x, y and description (and
+ * lastModified when something changed); rows with validation errors are
+ * reported and left out. Markers without a row are kept unchanged - the
+ * CSV cannot add or delete markers.
+ *
+ * @param {Object} exportData - Parsed export (from parseExport())
+ * @param {string} csvText - Edited CSV (from buildMarkersCsv())
+ * @param {Object} [options={}] - Export options passed to updateMarkersInExport()
+ * @returns {Promise<Object>} Result
+ * @returns {Object} return.exportData - Updated export object (ready for JSON.stringify)
+ * @returns {number} return.updated - Markers changed
+ * @returns {number} return.unchanged - Valid rows without changes
+ * @returns {Array<{row: number, id: string|null, message: string}>} return.errors - Validation errors per row
+ * @throws {Error} If the CSV has no header with an id column
+ *
+ * @example
+ * const { exportData, updated, errors } = await applyMarkersCsv(parsed, csvText)
+ * errors.forEach(e => console.warn(`Row ${e.row}: ${e.message}`))
+ */
+export async function applyMarkersCsv (exportData, csvText, options = {}) {
+  const { rows, errors } = parseMarkersCsv(csvText, exportData)
+  const changesById = new Map(rows.map(row => [row.id, row.changes]))
+  const now = new Date().toISOString()
+
+  let updated = 0
+  const markers = exportData.markers.map(marker => {
+    const changes = changesById.get(marker.id)
+    if (!changes) return marker
+
+    const isChanged = Object.keys(changes).some(field => changes[field] !== (marker[field] ?? ''))
+    if (!isChanged) return marker
+
+    updated++
+    return { ...marker, ...changes, lastModified: now }
+  })
+
+  return {
+    exportData: await updateMarkersInExport(exportData, markers, options),
+    updated,
+    unchanged: rows.length - updated,
+    errors
+  }
+}
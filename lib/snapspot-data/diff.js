@@ -0,0 +1,256 @@
+/**
+ * SnapSpot Export Diff
+ *
+ * Compares two exports of the same map - for example a field team's first
+ * and second export - and reports which markers were added, removed,
+ * moved or re-described, and whose photos changed.
+ *
+ * Markers are matched by id first. Markers whose id changed (re-imported
+ * or merged exports get new ids) are matched with the duplicate detection
+ * heuristics of merger.js: photo file names, label/description and
+ * coordinates.
+ *
+ * Works on raw export JSON and on parsed exports.
+ *
+ * @module snapspot-data/diff
+ */
+
+import { findMatchingMarker } from './merger.js'
+import { getMarkerNumbers, getMarkerPhotos } from './parser.js'
+import { DUPLICATE_STRATEGIES } from './session.js'
+
+// ============================================================================
+// Marker Matching
+// ============================================================================
+
+/**
+ * Pair the markers of two exports
+ * @private
+ * @param {Object} oldExport - Old export
+ * @param {Object} newExport - New export
+ * @param {Object} options - Diff options
+ * @returns {{pairs: Array<Object>, added: Array<Object>, removed: Array<Object>}}
+ */
+function matchMarkers (oldExport, newExport, options) {
+  const oldById = new Map(oldExport.markers.map(marker => [marker.id, marker]))
+  const pairs = []
+  const unmatched = []
+
+  for (const marker of newExport.markers) {
+    const oldMarker = oldById.get(marker.id)
+    if (oldMarker) {
+      pairs.push({ oldMarker, newMarker: marker, matchedBy: 'id' })
+      oldById.delete(marker.id)
+    } else {
+      unmatched.push(marker)
+    }
+  }
+
+  // Each old marker can be matched only once
+  let candidates = [...oldById.values()]
+  const added = []
+
+  for (const marker of unmatched) {
+    const match = candidates.length > 0
+      ? findMatchingMarker(candidates, marker, newExport.photos || [], oldExport.photos || [], {
+        duplicateStrategy: options.matchStrategy,
+        coordinateTolerance: options.coordinateTolerance,
+        photoMatchThreshold: options.photoMatchThreshold
+      })
+      : null
+    if (match) {
+      pairs.push({ oldMarker: match.marker, newMarker: marker, matchedBy: match.matchedBy })
+      candidates = candidates.filter(candidate => candidate !== match.marker)
+    } else {
+      added.push(marker)
+    }
+  }
+
+  return { pairs, added, removed: candidates }
+}
+
+// ============================================================================
+// Marker Changes
+// ============================================================================
+
+/**
+ * Get the photo names of a marker (file name, or id for photos without one)
+ * @private
+ * @param {Object} marker - Marker
+ * @param {Array<Object>} photos - Photos of the export
+ * @returns {string[]}
+ */
+function getPhotoNames (marker, photos) {
+  return getMarkerPhotos(marker, photos).map(photo => (photo.fileName || photo.id || '').trim())
+}
+
+/**
+ * Compare the photos of two markers by file name (case-insensitive)
+ * @private
+ * @param {string[]} oldNames - Photo names of the old marker
+ * @param {string[]} newNames - Photo names of the new marker
+ * @returns {{added: string[], removed: string[]}|null} Changes, or null if the photos are the same
+ */
+function comparePhotos (oldNames, newNames) {
+  const oldSet = new Set(oldNames.map(name => name.toLowerCase()))
+  const newSet = new Set(newNames.map(name => name.toLowerCase()))
+
+  const added = newNames.filter(name => !oldSet.has(name.toLowerCase()))
+  const removed = oldNames.filter(name => !newSet.has(name.toLowerCase()))
+
+  return added.length > 0 || removed.length > 0 ? { added, removed } : null
+}
+
+/**
+ * Get the image hash of an export's map (raw exports: imageHash, parsed exports: hash)
+ * @private
+ * @param {Object} exportData - Export
+ * @returns {string|null}
+ */
+function getMapHash (exportData) {
+  return exportData.map?.imageHash || exportData.map?.hash || null
+}
+
+/**
+ * Compare two exports of the same map
+ *
+ * Markers are matched by id, then (for markers whose id changed) with the
+ * merger heuristics selected by matchStrategy. Matched markers are
+ * compared for position, description and photos (by file name).
+ *
+ * Markers are identified by their chronological number (createdDate) in
+ * each export, as in the other tools.
+ *
+ * @param {Object} oldExport - Earlier export (raw or parsed)
+ * @param {Object} newExport - Later export (raw or parsed)
+ * @param {Object} [options={}] - Diff options
+ * @param {string} [options.matchStrategy='smart'] - Heuristics for markers whose id changed:
+ *   'none' (ids only), 'smart', 'photos', 'label' or 'coordinates' (as duplicateStrategy in mergeExports)
+ * @param {number} [options.coordinateTolerance=5] - Pixel tolerance for coordinate matching
+ * @param {number} [options.photoMatchThreshold=0.7] - Fraction of photo file names that must match
+ * @param {number} [options.moveTolerance=0] - Distance in pixels a marker must move to count as moved
+ * @returns {Object} Diff
+ * @returns {Object} return.summary - Counts: oldMarkers, newMarkers, added, removed, moved,
+ *   redescribed, photosChanged, unchanged, matchedById, matchedByHeuristics
+ * @returns {boolean} return.sameMap - False if both exports have a map hash and they differ
+ * @returns {Array<Object>} return.added - { marker, number } of markers only in the new export
+ * @returns {Array<Object>} return.removed - { marker, number } of markers only in the old export
+ * @returns {Array<Object>} return.changed - { oldMarker, newMarker, oldNumber, newNumber, matchedBy,
+ *   moved: { dx, dy, distance } | null, description: { from, to } | null,
+ *   photos: { added, removed } | null }
+ * @returns {Array<Object>} return.unchanged - { oldMarker, newMarker, oldNumber, newNumber, matchedBy }
+ *   of matched markers without changes
+ * @throws {Error} If an export has no markers array or the match strategy is unknown
+ *
+ * @example
+ * const diff = diffExports(firstExport, secondExport)
+ * diff.changed
+ *   .filter(change => change.moved)
+ *   .forEach(change => console.log(`Marker ${change.newNumber} moved ${change.moved.distance.toFixed(1)} px`))
+ */
+export function diffExports (oldExport, newExport, options = {}) {
+  const {
+    matchStrategy = 'smart',
+    coordinateTolerance = 5,
+    photoMatchThreshold = 0.7,
+    moveTolerance = 0
+  } = options
+
+  if (!oldExport || !Array.isArray(oldExport.markers)) {
+    throw new Error('Invalid old export: missing markers array')
+  }
+  if (!newExport || !Array.isArray(newExport.markers)) {
+    throw new Error('Invalid new export: missing markers array')
+  }
+  if (!DUPLICATE_STRATEGIES.includes(matchStrategy)) {
+    throw new Error(`Unknown match strategy: ${matchStrategy} (expected ${DUPLICATE_STRATEGIES.join(', ')})`)
+  }
+
+  const { pairs, added, removed } = matchMarkers(oldExport, newExport, { matchStrategy, coordinateTolerance, photoMatchThreshold })
+  const oldNumbers = getMarkerNumbers(oldExport.markers)
+  const newNumbers = getMarkerNumbers(newExport.markers)
+
+  const changed = []
+  const unchanged = []
+
+  for (const { oldMarker, newMarker, matchedBy } of pairs) {
+    const dx = newMarker.x - oldMarker.x
+    const dy = newMarker.y - oldMarker.y
+    const distance = Math.hypot(dx, dy)
+    const oldDescription = (oldMarker.description || '').trim()
+    const newDescription = (newMarker.description || '').trim()
+
+    const change = {
+      oldMarker,
+      newMarker,
+      oldNumber: oldNumbers.get(oldMarker.id),
+      newNumber: newNumbers.get(newMarker.id),
+      matchedBy,
+      moved: distance > moveTolerance ? { dx, dy, distance } : null,
+      description: oldDescription !== newDescription ? { from: oldDescription, to: newDescription } : null,
+      photos: comparePhotos(getPhotoNames(oldMarker, oldExport.photos || []), getPhotoNames(newMarker, newExport.photos || []))
+    }
+
+    if (change.moved || change.description || change.photos) {
+      changed.push(change)
+    } else {
+      unchanged.push({ oldMarker, newMarker, oldNumber: change.oldNumber, newNumber: change.newNumber, matchedBy })
+    }
+  }
+
+  changed.sort((a, b) => a.newNumber - b.newNumber)
+  unchanged.sort((a, b) => a.newNumber - b.newNumber)
+  const byNumber = (numbers) => (a, b) => numbers.get(a.id) - numbers.get(b.id)
+  const oldHash = getMapHash(oldExport)
+  const newHash = getMapHash(newExport)
+
+  return {
+    summary: {
+      oldMarkers: oldExport.markers.length,
+      newMarkers: newExport.markers.length,
+      added: added.length,
+      removed: removed.length,
+      moved: changed.filter(change => change.moved).length,
+      redescribed: changed.filter(change => change.description).length,
+      photosChanged: changed.filter(change => change.photos).length,
+      unchanged: unchanged.length,
+      matchedById: pairs.filter(pair => pair.matchedBy === 'id').length,
+      matchedByHeuristics: pairs.filter(pair => pair.matchedBy !== 'id').length
+    },
+    sameMap: !oldHash || !newHash || oldHash === newHash,
+    added: added.sort(byNumber(newNumbers)).map(marker => ({ marker, number: newNumbers.get(marker.id) })),
+    removed: removed.sort(byNumber(oldNumbers)).map(marker => ({ marker, number: oldNumbers.get(marker.id) })),
+    changed,
+    unchanged
+  }
+}
+
+/**
+ * Describe a marker change in one line
+ *
+ * @param {Object} change - Entry of diffExports().changed
+ * @returns {string}
+ *
+ * @example
+ * diff.changed.forEach(change => console.log(describeMarkerChange(change)))
+ * // 'moved 12.0 px; description "Gate" → "Main gate"; photos +IMG_2.jpg'
+ */
+export function describeMarkerChange (change) {
+  const parts = []
+
+  if (change.moved) {
+    parts.push(`moved ${change.moved.distance.toFixed(1)} px`)
+  }
+  if (change.description) {
+    parts.push(`description "${change.description.from}" → "${change.description.to}"`)
+  }
+  if (change.photos) {
+    const photos = [
+      ...change.photos.added.map(name => `+${name}`),
+      ...change.photos.removed.map(name => `-${name}`)
+    ]
+    parts.push(`photos ${photos.join(', ')}`)
+  }
+
+  return parts.join('; ')
+}
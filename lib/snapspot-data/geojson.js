@@ -0,0 +1,96 @@
+/**
+ * SnapSpot GeoJSON Writer
+ *
+ * Converts a parsed SnapSpot export into a GeoJSON FeatureCollection of
+ * marker points. Coordinates are map pixels unless the map is georeferenced
+ * (see georeference.js), in which case they can be real-world coordinates.
+ *
+ * @module snapspot-data/geojson
+ */
+
+import { getGeoreference, pixelToWorld } from './georeference.js'
+import { getMarkerPhotos } from './parser.js'
+
+/**
+ * Coordinate spaces supported by buildGeoJSON()
+ * @constant {string[]}
+ */
+export const COORDINATE_SPACES = ['auto', 'pixel', 'world']
+
+/**
+ * Build a GeoJSON FeatureCollection from a parsed export
+ *
+ * Each marker becomes a Point feature with description, createdDate and
+ * photo file names as properties. With world coordinates, the marker's
+ * pixel position is kept in the `pixel` property.
+ *
+ * Pixel coordinates are written as-is ([x, y], y pointing down), which
+ * is not a geographic CRS; GIS tools should treat them as a local grid.
+ *
+ * @param {Object} exportData - Parsed export (from parseExport())
+ * @param {Object} [options={}] - Conversion options
+ * @param {string} [options.coordinates='auto'] - 'pixel', 'world', or 'auto'
+ *   (world if the map is georeferenced, pixel otherwise)
+ * @returns {Object} GeoJSON FeatureCollection
+ * @throws {Error} If the coordinate space is unknown, or 'world' is requested
+ *   for a map that is not georeferenced
+ *
+ * @example
+ * const parsed = await parseExport(jsonString)
+ * const geojson = buildGeoJSON(parsed, { coordinates: 'world' })
+ * const json = JSON.stringify(geojson, null, 2)
+ */
+export function buildGeoJSON (exportData, options = {}) {
+  const { coordinates = 'auto' } = options
+
+  if (!COORDINATE_SPACES.includes(coordinates)) {
+    throw new Error(`Unknown coordinate space: ${coordinates}`)
+  }
+
+  const georeference = getGeoreference(exportData.map)
+  if (coordinates === 'world' && !georeference) {
+    throw new Error('Map is not georeferenced; world coordinates are not available')
+  }
+
+  const useWorld = coordinates !== 'pixel' && georeference !== null
+  const photos = exportData.photos || []
+
+  const features = exportData.markers.map(marker => {
+    const pixel = { x: marker.x, y: marker.y }
+    const point = useWorld ? pixelToWorld(pixel, georeference) : pixel
+
+    const properties = {
+      description: marker.description || '',
+      createdDate: marker.createdDate || null,
+      photos: getMarkerPhotos(marker, photos).map(photo => photo.fileName)
+    }
+    if (useWorld) {
+      properties.pixel = pixel
+    }
+
+    return {
+      type: 'Feature',
+      id: marker.id,
+      geometry: {
+        type: 'Point',
+        coordinates: [point.x, point.y]
+      },
+      properties
+    }
+  })
+
+  return {
+    type: 'FeatureCollection',
+    // Foreign member describing where the coordinates come from
+    snapspot: {
+      coordinateSpace: useWorld ? 'world' : 'pixel',
+      ...(useWorld ? { crs: georeference.crs } : {}),
+      map: {
+        name: exportData.map.name,
+        width: exportData.map.width,
+        height: exportData.map.height
+      }
+    },
+    features
+  }
+}
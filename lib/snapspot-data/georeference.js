@@ -0,0 +1,124 @@
+/**
+ * Map Georeference
+ *
+ * A georeferenced map carries a geotransform from image pixels to
+ * real-world coordinates, fitted to ground control points:
+ *
+ *   X = a·x + b·y + e
+ *   Y = c·x + d·y + f
+ *
+ * (same coefficient layout as core/transformation affine matrices). X is
+ * east (longitude), Y is north (latitude) for the default CRS EPSG:4326.
+ *
+ * The georeference is stored in the export as map.georeference.
+ *
+ * @module snapspot-data/georeference
+ */
+
+/**
+ * Default coordinate reference system (WGS 84 longitude/latitude)
+ * @constant {string}
+ */
+export const DEFAULT_CRS = 'EPSG:4326'
+
+/**
+ * Validate a map georeference
+ *
+ * @param {Object} georeference - Georeference to validate
+ * @param {string} georeference.crs - Coordinate reference system (e.g. 'EPSG:4326')
+ * @param {Object} georeference.transform - Pixel → world coefficients {a,b,c,d,e,f}
+ * @param {Array<{pixel: {x, y}, world: {x, y}}>} [georeference.controlPoints] - Control points the transform was fitted to
+ * @returns {{isValid: boolean, errors: string[]}} Validation result
+ */
+export function validateGeoreference (georeference) {
+  const errors = []
+
+  if (!georeference || typeof georeference !== 'object') {
+    return { isValid: false, errors: ['Georeference must be an object'] }
+  }
+
+  if (!georeference.crs || typeof georeference.crs !== 'string') {
+    errors.push('Georeference crs is required')
+  }
+
+  const transform = georeference.transform
+  if (!transform || !['a', 'b', 'c', 'd', 'e', 'f'].every(key => Number.isFinite(transform[key]))) {
+    errors.push('Georeference transform must have numeric a-f coefficients')
+  } else if (Math.abs(transform.a * transform.d - transform.b * transform.c) < 1e-20) {
+    errors.push('Georeference transform is degenerate')
+  }
+
+  if (georeference.controlPoints !== undefined) {
+    if (!Array.isArray(georeference.controlPoints)) {
+      errors.push('Georeference controlPoints must be an array')
+    } else {
+      const isPoint = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y)
+      georeference.controlPoints.forEach((point, index) => {
+        if (!isPoint(point?.pixel) || !isPoint(point?.world)) {
+          errors.push(`Control point ${index + 1} must have numeric pixel and world x/y`)
+        }
+      })
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+/**
+ * Get the georeference of a map, if it has a valid one
+ *
+ * @param {Object} map - Map object (from parseExport() or an export file)
+ * @returns {Object|null} Georeference or null if the map is not georeferenced
+ *
+ * @example
+ * const georeference = getGeoreference(exportData.map)
+ * if (georeference) console.log(`Map is georeferenced in ${georeference.crs}`)
+ */
+export function getGeoreference (map) {
+  const georeference = map?.georeference
+  if (!georeference || !validateGeoreference(georeference).isValid) {
+    return null
+  }
+  return georeference
+}
+
+/**
+ * Convert map pixel coordinates to world coordinates
+ *
+ * @param {{x: number, y: number}} point - Point in map pixels
+ * @param {Object} georeference - Map georeference
+ * @returns {{x: number, y: number}} Point in world coordinates (x = east/lon, y = north/lat)
+ */
+export function pixelToWorld (point, georeference) {
+  const { a, b, c, d, e, f } = georeference.transform
+
+  return {
+    x: a * point.x + b * point.y + e,
+    y: c * point.x + d * point.y + f
+  }
+}
+
+/**
+ * Convert world coordinates to map pixel coordinates (inverse of pixelToWorld)
+ *
+ * @param {{x: number, y: number}} point - Point in world coordinates (x = east/lon, y = north/lat)
+ * @param {Object} georeference - Map georeference
+ * @returns {{x: number, y: number}} Point in map pixels
+ *
+ * @example
+ * const pixel = worldToPixel({ x: 10.1, y: 49.8 }, georeference)
+ */
+export function worldToPixel (point, georeference) {
+  const { a, b, c, d, e, f } = georeference.transform
+  const det = a * d - b * c
+  const dx = point.x - e
+  const dy = point.y - f
+
+  return {
+    x: (d * dx - b * dy) / det,
+    y: (a * dy - c * dx) / det
+  }
+}
@@ -0,0 +1,455 @@
+/**
+ * SnapSpot HTML Viewer Writer
+ *
+ * Builds a single, self-contained HTML file from a parsed export, for
+ * people who do not have SnapSpot. The page embeds the map image, the
+ * markers and their photo thumbnails as data URIs and needs no server or
+ * network access: it opens from disk in any modern browser.
+ *
+ * The viewer draws the map on a canvas with the same pan/zoom model as
+ * CanvasRenderer (shared/utils/canvas-helpers.js): drag to pan, mouse
+ * wheel to zoom around the cursor, and a button to fit the map. Clicking
+ * a marker (or its entry in the list) shows its description, date and
+ * photos.
+ *
+ * Markers are numbered chronologically by createdDate, starting at 1.
+ *
+ * @module snapspot-data/html-viewer
+ */
+
+/* global document, window, Image */
+
+import { getMarkerNumbers, getMarkerPhotos } from './parser.js'
+import { blobToBase64 } from '../snapspot-image/converter.js'
+
+/**
+ * MIME type of the viewer page
+ * @constant {string}
+ */
+export const HTML_VIEWER_MIME_TYPE = 'text/html'
+
+// ============================================================================
+// Viewer Data
+// ============================================================================
+
+/**
+ * Escape text for HTML content and attributes
+ * @private
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeHtml (value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Serialize data for an inline script element
+ *
+ * "<" is escaped so descriptions containing "</script>" cannot end the
+ * element early; U+2028/U+2029 are escaped for older JavaScript parsers.
+ *
+ * @private
+ * @param {*} data - JSON-serializable data
+ * @returns {string}
+ */
+function toInlineJson (data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+}
+
+/**
+ * Convert image data to a data URI (exports store data URIs, parsed exports and storage store Blobs)
+ * @private
+ * @param {string|Blob} data - Image data
+ * @returns {Promise<string>}
+ */
+async function toDataUri (data) {
+  return typeof data === 'string' ? data : blobToBase64(data)
+}
+
+/**
+ * Collect the data the viewer script renders
+ * @private
+ * @param {Object} exportData - Parsed export
+ * @param {boolean} includePhotos - Embed photo thumbnails
+ * @returns {Promise<Object>} Viewer data
+ */
+async function buildViewerData (exportData, includePhotos) {
+  const { map } = exportData
+  const photos = includePhotos ? exportData.photos || [] : []
+
+  const numbers = getMarkerNumbers(exportData.markers)
+  const sorted = [...exportData.markers].sort((a, b) => numbers.get(a.id) - numbers.get(b.id))
+
+  const markers = []
+  for (const marker of sorted) {
+    const markerPhotos = []
+    for (const photo of getMarkerPhotos(marker, photos)) {
+      const data = photo.thumbnailData || photo.imageData
+      if (data) {
+        markerPhotos.push({ name: photo.fileName || '', src: await toDataUri(data) })
+      }
+    }
+
+    markers.push({
+      number: numbers.get(marker.id),
+      x: marker.x,
+      y: marker.y,
+      description: marker.description || '',
+      createdDate: marker.createdDate || '',
+      photos: markerPhotos
+    })
+  }
+
+  return {
+    map: { name: map.name, width: map.width, height: map.height },
+    image: await toDataUri(exportData.mapImage || map.imageData),
+    markers
+  }
+}
+
+// ============================================================================
+// Viewer Page
+// ============================================================================
+
+// Styles of the viewer page
+const VIEWER_STYLES = `
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2933; }
+body { display: flex; flex-direction: column; }
+header { display: flex; align-items: center; gap: 12px; padding: 8px 16px; background: #2c3e50; color: #fff; }
+header h1 { flex: 1; margin: 0; font-size: 18px; font-weight: 600; }
+header button { padding: 4px 12px; border: 1px solid rgba(255, 255, 255, 0.4); border-radius: 4px; background: transparent; color: #fff; font-size: 14px; cursor: pointer; }
+header button:hover { background: rgba(255, 255, 255, 0.15); }
+main { display: flex; flex: 1; min-height: 0; }
+#viewer { position: relative; flex: 1; min-width: 0; background: #e5e7eb; }
+#map-canvas { display: block; width: 100%; height: 100%; cursor: grab; touch-action: none; }
+#map-canvas.panning { cursor: grabbing; }
+aside { display: flex; flex-direction: column; width: 320px; border-left: 1px solid #d1d5db; background: #fff; }
+#details { padding: 16px; border-bottom: 1px solid #d1d5db; max-height: 60%; overflow-y: auto; }
+#details h2 { margin: 0 0 8px; font-size: 16px; }
+#details .description { white-space: pre-wrap; margin: 0 0 8px; }
+#details .date { color: #6b7280; font-size: 13px; margin: 0 0 12px; }
+#details .hint { color: #6b7280; margin: 0; }
+.photos { display: grid; grid-template-columns: repeat(2, 1fr); gap: 8px; }
+.photos figure { margin: 0; }
+.photos img { display: block; width: 100%; border-radius: 4px; background: #f3f4f6; }
+.photos figcaption { font-size: 11px; color: #6b7280; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+#marker-list { flex: 1; margin: 0; padding: 0; list-style: none; overflow-y: auto; }
+#marker-list button { display: block; width: 100%; padding: 8px 16px; border: 0; border-bottom: 1px solid #f3f4f6; background: none; text-align: left; font: inherit; font-size: 14px; cursor: pointer; }
+#marker-list button:hover { background: #f3f4f6; }
+#marker-list button.selected { background: #fef3c7; }
+footer { padding: 4px 16px; background: #f9fafb; border-top: 1px solid #d1d5db; color: #6b7280; font-size: 12px; }
+@media (max-width: 700px) {
+  main { flex-direction: column; }
+  aside { width: auto; height: 40%; border-left: 0; border-top: 1px solid #d1d5db; }
+}
+`
+
+/**
+ * Viewer script, inlined into the page as source text
+ *
+ * Runs in the generated page, not in this module: it may only use the
+ * viewer data embedded in the page and browser globals. Kept as a real
+ * function so it is linted with the rest of the library.
+ *
+ * @private
+ */
+function viewerScript () {
+  const MARKER_SIZE = 24 // Marker diameter on screen (pixels)
+  const CLICK_TOLERANCE = 4 // Pointer movement that still counts as a click (pixels)
+
+  const data = JSON.parse(document.getElementById('viewer-data').textContent)
+  const canvas = document.getElementById('map-canvas')
+  const ctx = canvas.getContext('2d')
+  const details = document.getElementById('details')
+  const list = document.getElementById('marker-list')
+
+  const state = { zoom: 1, panX: 0, panY: 0, minZoom: 0.1, maxZoom: 10 }
+  const image = new Image()
+  let selected = null
+  let drag = null
+
+  function escapeHtml (text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+  }
+
+  function formatDate (value) {
+    const date = new Date(value)
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString()
+  }
+
+  function markerTitle (marker) {
+    const firstLine = marker.description.split(/\r?\n/)[0].trim()
+    return firstLine ? `${marker.number}. ${firstLine}` : `Marker ${marker.number}`
+  }
+
+  function resize () {
+    canvas.width = canvas.clientWidth
+    canvas.height = canvas.clientHeight
+    draw()
+  }
+
+  // Fit the whole map (CanvasRenderer 'contain')
+  function fit () {
+    if (!image.width) return
+    state.zoom = Math.min(canvas.width / image.width, canvas.height / image.height)
+    state.minZoom = Math.min(0.1, state.zoom)
+    state.panX = (canvas.width - image.width * state.zoom) / 2
+    state.panY = (canvas.height - image.height * state.zoom) / 2
+    draw()
+  }
+
+  // Zoom around a point in canvas pixels, keeping that point in place
+  function setZoom (level, centerX, centerY) {
+    const oldZoom = state.zoom
+    state.zoom = Math.max(state.minZoom, Math.min(state.maxZoom, level))
+    state.panX = centerX - (centerX - state.panX) * (state.zoom / oldZoom)
+    state.panY = centerY - (centerY - state.panY) * (state.zoom / oldZoom)
+    draw()
+  }
+
+  function toScreen (marker) {
+    return { x: marker.x * state.zoom + state.panX, y: marker.y * state.zoom + state.panY }
+  }
+
+  function draw () {
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    if (!image.width) return
+
+    ctx.save()
+    ctx.translate(state.panX, state.panY)
+    ctx.scale(state.zoom, state.zoom)
+    ctx.drawImage(image, 0, 0)
+    ctx.restore()
+
+    for (const marker of data.markers) {
+      const { x, y } = toScreen(marker)
+
+      ctx.beginPath()
+      ctx.arc(x, y, MARKER_SIZE / 2, 0, Math.PI * 2)
+      ctx.fillStyle = marker.photos.length > 0 ? '#dc2626' : '#2563eb'
+      ctx.fill()
+      ctx.strokeStyle = '#ffffff'
+      ctx.lineWidth = 2
+      ctx.stroke()
+
+      ctx.fillStyle = '#ffffff'
+      ctx.font = `bold ${marker.number > 99 ? 9 : 12}px sans-serif`
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(String(marker.number), x, y)
+
+      if (marker === selected) {
+        ctx.beginPath()
+        ctx.arc(x, y, MARKER_SIZE / 2 + 4, 0, Math.PI * 2)
+        ctx.strokeStyle = '#ffff00'
+        ctx.lineWidth = 3
+        ctx.stroke()
+      }
+    }
+  }
+
+  // Topmost marker under a point in canvas pixels
+  function markerAt (x, y) {
+    for (let i = data.markers.length - 1; i >= 0; i--) {
+      const screen = toScreen(data.markers[i])
+      if (Math.hypot(screen.x - x, screen.y - y) <= MARKER_SIZE / 2 + 2) {
+        return data.markers[i]
+      }
+    }
+    return null
+  }
+
+  function showDetails (marker) {
+    if (!marker) {
+      details.innerHTML = '<p class="hint">Click a marker to see its description and photos.</p>'
+      return
+    }
+
+    // Built as elements: descriptions, file names and image data come from the export
+    const element = (tag, className, text) => {
+      const node = document.createElement(tag)
+      if (className) node.className = className
+      if (text !== undefined) node.textContent = text
+      return node
+    }
+
+    details.replaceChildren(element('h2', '', markerTitle(marker)))
+    if (marker.description) {
+      details.append(element('p', 'description', marker.description))
+    }
+    if (marker.createdDate) {
+      details.append(element('p', 'date', formatDate(marker.createdDate)))
+    }
+
+    if (marker.photos.length === 0) {
+      details.append(element('p', 'hint', 'No photos'))
+      return
+    }
+
+    const photos = element('div', 'photos')
+    marker.photos.forEach(photo => {
+      const figure = element('figure')
+      const img = element('img')
+      img.src = photo.src
+      img.alt = photo.name
+      figure.append(img, element('figcaption', '', photo.name))
+      photos.append(figure)
+    })
+    details.append(photos)
+  }
+
+  function select (marker, center) {
+    selected = marker
+    showDetails(marker)
+
+    list.querySelectorAll('button').forEach(button => {
+      button.classList.toggle('selected', marker !== null && Number(button.dataset.number) === marker.number)
+    })
+
+    if (marker && center) {
+      state.panX = canvas.width / 2 - marker.x * state.zoom
+      state.panY = canvas.height / 2 - marker.y * state.zoom
+    }
+    draw()
+  }
+
+  function canvasPoint (e) {
+    const rect = canvas.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+
+  canvas.addEventListener('wheel', e => {
+    e.preventDefault()
+    const point = canvasPoint(e)
+    setZoom(state.zoom * (e.deltaY < 0 ? 1.1 : 0.9), point.x, point.y)
+  }, { passive: false })
+
+  canvas.addEventListener('pointerdown', e => {
+    canvas.setPointerCapture(e.pointerId)
+    drag = { startX: e.clientX, startY: e.clientY, lastX: e.clientX, lastY: e.clientY, moved: false }
+  })
+
+  canvas.addEventListener('pointermove', e => {
+    if (!drag) return
+    if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > CLICK_TOLERANCE) {
+      drag.moved = true
+      canvas.classList.add('panning')
+    }
+    state.panX += e.clientX - drag.lastX
+    state.panY += e.clientY - drag.lastY
+    drag.lastX = e.clientX
+    drag.lastY = e.clientY
+    draw()
+  })
+
+  canvas.addEventListener('pointerup', e => {
+    if (drag && !drag.moved) {
+      const point = canvasPoint(e)
+      select(markerAt(point.x, point.y), false)
+    }
+    drag = null
+    canvas.classList.remove('panning')
+  })
+
+  document.getElementById('zoom-in').addEventListener('click', () => setZoom(state.zoom * 1.25, canvas.width / 2, canvas.height / 2))
+  document.getElementById('zoom-out').addEventListener('click', () => setZoom(state.zoom * 0.8, canvas.width / 2, canvas.height / 2))
+  document.getElementById('fit').addEventListener('click', fit)
+
+  list.innerHTML = data.markers.map(marker =>
+    `<li><button type="button" data-number="${marker.number}">${escapeHtml(markerTitle(marker))}${marker.photos.length > 0 ? ` (${marker.photos.length} 📷)` : ''}</button></li>`
+  ).join('')
+  list.addEventListener('click', e => {
+    const button = e.target.closest('button')
+    if (button) {
+      select(data.markers.find(marker => marker.number === Number(button.dataset.number)), true)
+    }
+  })
+
+  window.addEventListener('resize', resize)
+  image.onload = () => {
+    resize()
+    fit()
+  }
+  image.src = data.image
+  showDetails(null)
+}
+
+/**
+ * Build a self-contained HTML viewer of a map and its markers
+ *
+ * The result is one HTML file with the map image, markers and photo
+ * thumbnails embedded (photos without a thumbnail embed the full image),
+ * so it can be e-mailed or put on a file share and opened without
+ * SnapSpot. Large maps and many photos make large files; use
+ * includePhotos: false to leave the photos out.
+ *
+ * @param {Object} exportData - Parsed export (from parseExport()); the map
+ *   image is taken from exportData.mapImage or exportData.map.imageData
+ * @param {Object} [options={}] - Viewer options
+ * @param {string} [options.title] - Page title (default: map name)
+ * @param {boolean} [options.includePhotos=true] - Embed photo thumbnails
+ * @returns {Promise<string>} HTML document
+ * @throws {Error} If the export has no map image
+ *
+ * @example
+ * const parsed = await parseExport(jsonString)
+ * const html = await buildHtmlViewer(parsed, { title: 'Site survey - Floor 1' })
+ * downloadFile(new Blob([html], { type: HTML_VIEWER_MIME_TYPE }), 'floor-1.html')
+ */
+export async function buildHtmlViewer (exportData, options = {}) {
+  const { map } = exportData
+  const { title = map.name, includePhotos = true } = options
+
+  if (!exportData.mapImage && !map.imageData) {
+    throw new Error('Map image is required for the HTML viewer')
+  }
+
+  const data = await buildViewerData(exportData, includePhotos)
+  const photoCount = data.markers.reduce((sum, marker) => sum + marker.photos.length, 0)
+  const generated = new Date().toISOString().slice(0, 10)
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="UTF-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <style>${VIEWER_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    '  <header>',
+    `    <h1>${escapeHtml(title)}</h1>`,
+    '    <button type="button" id="zoom-out" title="Zoom out">−</button>',
+    '    <button type="button" id="zoom-in" title="Zoom in">+</button>',
+    '    <button type="button" id="fit" title="Show the whole map">Fit</button>',
+    '  </header>',
+    '  <main>',
+    '    <div id="viewer"><canvas id="map-canvas"></canvas></div>',
+    '    <aside>',
+    '      <div id="details"></div>',
+    '      <ul id="marker-list"></ul>',
+    '    </aside>',
+    '  </main>',
+    `  <footer>${data.markers.length} markers, ${photoCount} photos · Drag to pan, scroll to zoom · Generated ${generated} by SnapSpot Utilities</footer>`,
+    `  <script type="application/json" id="viewer-data">${toInlineJson(data)}</script>`,
+    `  <script>(${viewerScript.toString()})()</script>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n')
+}
@@ -0,0 +1,449 @@
+/**
+ * SnapSpot KML/KMZ Writer
+ *
+ * Converts a parsed export of a georeferenced map into KML for Google
+ * Earth: one placemark per marker, with the description and photo
+ * thumbnails in the balloon. The KMZ variant is a zip archive that also
+ * contains the map image as a GroundOverlay and the full-size photos.
+ *
+ * KML coordinates are WGS 84 longitude/latitude, so the map must be
+ * georeferenced in EPSG:4326 (see georeference.js).
+ *
+ * @module snapspot-data/kml
+ */
+
+/* global Blob, TextEncoder */
+
+import { DEFAULT_CRS, getGeoreference, pixelToWorld } from './georeference.js'
+import { getMarkerPhotos } from './parser.js'
+import { blobToBase64, base64ToBlob } from '../snapspot-image/converter.js'
+
+/**
+ * MIME type of KML documents
+ * @constant {string}
+ */
+export const KML_MIME_TYPE = 'application/vnd.google-earth.kml+xml'
+
+/**
+ * MIME type of KMZ archives
+ * @constant {string}
+ */
+export const KMZ_MIME_TYPE = 'application/vnd.google-earth.kmz'
+
+// Width of photos in placemark balloons (pixels)
+const BALLOON_IMAGE_WIDTH = 240
+
+// File extensions of map images in a KMZ archive
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/bmp': 'bmp'
+}
+
+// ============================================================================
+// KML Document
+// ============================================================================
+
+/**
+ * Escape text for XML content and attributes
+ * @private
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+function escapeXml (value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Wrap HTML in a CDATA section (splitting any "]]>" it contains)
+ * @private
+ * @param {string} html - Balloon HTML
+ * @returns {string}
+ */
+function toCdata (html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+}
+
+/**
+ * Format a world position as a KML coordinate tuple (lon,lat,altitude)
+ * @private
+ * @param {{x: number, y: number}} world - Longitude/latitude
+ * @returns {string}
+ */
+function formatCoordinate (world) {
+  return `${Number(world.x.toFixed(8))},${Number(world.y.toFixed(8))},0`
+}
+
+/**
+ * Get the georeference of a map, requiring WGS 84 longitude/latitude
+ * @private
+ * @param {Object} map - Map object
+ * @returns {Object} Georeference
+ * @throws {Error} If the map is not georeferenced in EPSG:4326
+ */
+function getKmlGeoreference (map) {
+  const georeference = getGeoreference(map)
+
+  if (!georeference) {
+    throw new Error('Map is not georeferenced; KML needs real-world coordinates')
+  }
+  if (georeference.crs !== DEFAULT_CRS) {
+    throw new Error(`KML requires ${DEFAULT_CRS} coordinates, map is georeferenced in ${georeference.crs}`)
+  }
+  return georeference
+}
+
+/**
+ * Build the balloon HTML of a marker
+ * @private
+ * @param {Object} marker - Marker
+ * @param {Array<{href: string, link: string|null}>} images - Photos to show
+ * @returns {string}
+ */
+function buildBalloon (marker, images) {
+  const parts = []
+
+  if (marker.description) {
+    parts.push(`<p>${escapeXml(marker.description).replace(/\r?\n/g, '<br>')}</p>`)
+  }
+  if (marker.createdDate) {
+    parts.push(`<p><small>${escapeXml(marker.createdDate)}</small></p>`)
+  }
+
+  for (const { href, link } of images) {
+    const img = `<img src="${escapeXml(href)}" width="${BALLOON_IMAGE_WIDTH}">`
+    parts.push(link ? `<a href="${escapeXml(link)}">${img}</a>` : img)
+  }
+
+  return parts.join('\n')
+}
+
+/**
+ * Build a marker placemark
+ * @private
+ * @param {Object} marker - Marker
+ * @param {number} index - Marker index (for unnamed markers)
+ * @param {Object} georeference - Map georeference
+ * @param {Array<{href: string, link: string|null}>} images - Balloon photos
+ * @returns {string} Placemark element
+ */
+function buildPlacemark (marker, index, georeference, images) {
+  const name = (marker.description || '').split(/\r?\n/)[0].trim() || `Marker ${index + 1}`
+  const world = pixelToWorld(marker, georeference)
+
+  return [
+    `    <Placemark id="${escapeXml(marker.id)}">`,
+    `      <name>${escapeXml(name)}</name>`,
+    `      <description>${toCdata(buildBalloon(marker, images))}</description>`,
+    '      <ExtendedData>',
+    `        <Data name="pixelX"><value>${marker.x}</value></Data>`,
+    `        <Data name="pixelY"><value>${marker.y}</value></Data>`,
+    '      </ExtendedData>',
+    `      <Point><coordinates>${formatCoordinate(world)}</coordinates></Point>`,
+    '    </Placemark>'
+  ].join('\n')
+}
+
+/**
+ * Build a GroundOverlay that drapes the map image over its georeferenced corners
+ * @private
+ * @param {Object} map - Map object
+ * @param {Object} georeference - Map georeference
+ * @param {string} href - Map image path in the KMZ archive
+ * @returns {string} GroundOverlay element
+ */
+function buildGroundOverlay (map, georeference, href) {
+  // gx:LatLonQuad corners are counter-clockwise from the lower left, which
+  // also handles rotated and sheared georeferences
+  const corners = [
+    { x: 0, y: map.height },
+    { x: map.width, y: map.height },
+    { x: map.width, y: 0 },
+    { x: 0, y: 0 }
+  ].map(corner => formatCoordinate(pixelToWorld(corner, georeference)))
+
+  return [
+    '  <GroundOverlay>',
+    `    <name>${escapeXml(map.name)}</name>`,
+    `    <Icon><href>${escapeXml(href)}</href></Icon>`,
+    `    <gx:LatLonQuad><coordinates>${corners.join(' ')}</coordinates></gx:LatLonQuad>`,
+    '  </GroundOverlay>'
+  ].join('\n')
+}
+
+/**
+ * Assemble the KML document
+ * @private
+ * @param {Object} map - Map object
+ * @param {string[]} placemarks - Placemark elements
+ * @param {string|null} overlay - GroundOverlay element
+ * @returns {string}
+ */
+function buildDocument (map, placemarks, overlay) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '<Document>',
+    `  <name>${escapeXml(map.name)}</name>`,
+    ...(overlay ? [overlay] : []),
+    '  <Folder>',
+    '    <name>Markers</name>',
+    ...placemarks,
+    '  </Folder>',
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Convert photo image data to a data URI (exports store data URIs, storage stores Blobs)
+ * @private
+ * @param {string|Blob} data - Image data
+ * @returns {Promise<string>}
+ */
+async function toDataUri (data) {
+  return typeof data === 'string' ? data : blobToBase64(data)
+}
+
+/**
+ * Convert photo image data to a Blob
+ * @private
+ * @param {string|Blob} data - Image data
+ * @param {string} [mimeType] - MIME type of the image
+ * @returns {Blob}
+ */
+function toBlob (data, mimeType) {
+  return typeof data === 'string' ? base64ToBlob(data, mimeType || null) : data
+}
+
+/**
+ * Build a KML document of the markers of a georeferenced map
+ *
+ * Each marker becomes a placemark with its description, creation date and
+ * photo thumbnails embedded as data URIs in the balloon (photos without a
+ * thumbnail embed the full image). The marker's pixel position is kept in
+ * ExtendedData.
+ *
+ * @param {Object} exportData - Parsed export (from parseExport())
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.includeThumbnails=true] - Embed photo thumbnails in balloons
+ * @returns {Promise<string>} KML document
+ * @throws {Error} If the map is not georeferenced in EPSG:4326
+ *
+ * @example
+ * const parsed = await parseExport(jsonString)
+ * const kml = await buildKML(parsed)
+ * downloadFile(new Blob([kml], { type: KML_MIME_TYPE }), 'site.kml')
+ */
+export async function buildKML (exportData, options = {}) {
+  const { includeThumbnails = true } = options
+  const georeference = getKmlGeoreference(exportData.map)
+  const photos = exportData.photos || []
+
+  const placemarks = []
+  for (const [index, marker] of exportData.markers.entries()) {
+    const images = []
+    if (includeThumbnails) {
+      for (const photo of getMarkerPhotos(marker, photos)) {
+        const data = photo.thumbnailData || photo.imageData
+        if (data) {
+          images.push({ href: await toDataUri(data), link: null })
+        }
+      }
+    }
+    placemarks.push(buildPlacemark(marker, index, georeference, images))
+  }
+
+  return buildDocument(exportData.map, placemarks, null)
+}
+
+// ============================================================================
+// KMZ Archive
+// ============================================================================
+
+/**
+ * Make a file name unique within an archive folder
+ * @private
+ * @param {string} fileName - Original file name
+ * @param {Set<string>} usedNames - Names already in the folder (updated)
+ * @returns {string}
+ */
+function getUniqueFileName (fileName, usedNames) {
+  const safeName = (fileName || 'photo.jpg').replace(/[\\/:*?"<>|]/g, '_')
+  const dot = safeName.lastIndexOf('.')
+  const base = dot > 0 ? safeName.slice(0, dot) : safeName
+  const extension = dot > 0 ? safeName.slice(dot) : ''
+
+  let name = safeName
+  for (let counter = 2; usedNames.has(name.toLowerCase()); counter++) {
+    name = `${base}-${counter}${extension}`
+  }
+  usedNames.add(name.toLowerCase())
+  return name
+}
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320)
+ * @private
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * Calculate the CRC-32 checksum of bytes
+ * @private
+ * @param {Uint8Array} bytes - Data
+ * @returns {number}
+ */
+function crc32 (bytes) {
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * Create a zip archive with uncompressed (stored) entries
+ *
+ * Images are already compressed, so storing them keeps the archive small
+ * enough without a deflate implementation.
+ *
+ * @private
+ * @param {Array<{name: string, data: Uint8Array}>} entries - Files (first entry is the KML)
+ * @param {Date} [date=new Date()] - Modification date of the entries
+ * @returns {Uint8Array} Zip archive
+ */
+function createZip (entries, date = new Date()) {
+  const encoder = new TextEncoder()
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name)
+    const crc = crc32(entry.data)
+    const size = entry.data.length
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true) // Local file header signature
+    local.setUint16(4, 20, true) // Version needed
+    local.setUint16(6, 0x0800, true) // UTF-8 file names
+    local.setUint16(8, 0, true) // Stored
+    local.setUint16(10, dosTime, true)
+    local.setUint16(12, dosDate, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, size, true)
+    local.setUint32(22, size, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true) // Central directory signature
+    central.setUint16(4, 20, true) // Version made by
+    central.setUint16(6, 20, true) // Version needed
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, dosTime, true)
+    central.setUint16(14, dosDate, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, size, true)
+    central.setUint32(24, size, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true) // Offset of local header
+
+    localParts.push(new Uint8Array(local.buffer), name, entry.data)
+    centralParts.push(new Uint8Array(central.buffer), name)
+    offset += 30 + name.length + size
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true) // End of central directory signature
+  end.setUint16(8, entries.length, true)
+  end.setUint16(10, entries.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const zip = new Uint8Array(offset + centralSize + 22)
+  let position = 0
+  for (const part of parts) {
+    zip.set(part, position)
+    position += part.length
+  }
+  return zip
+}
+
+/**
+ * Build a KMZ archive of a georeferenced map
+ *
+ * The archive contains doc.kml, the map image (files/map.<ext>) draped as
+ * a GroundOverlay, and the full-size photos (photos/) extracted from the
+ * export. Balloons show the packaged photos, linked to the full image.
+ *
+ * @param {Object} exportData - Parsed export (from parseExport()); the map
+ *   image is taken from exportData.mapImage or exportData.map.imageData
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.includePhotos=true] - Package photos and show them in balloons
+ * @returns {Promise<Blob>} KMZ archive
+ * @throws {Error} If the map is not georeferenced in EPSG:4326 or has no image
+ *
+ * @example
+ * const parsed = await parseExport(jsonString)
+ * const kmz = await buildKMZ(parsed)
+ * downloadFile(kmz, 'site.kmz')
+ */
+export async function buildKMZ (exportData, options = {}) {
+  const { includePhotos = true } = options
+  const { map } = exportData
+  const georeference = getKmlGeoreference(map)
+
+  const mapImageData = exportData.mapImage || map.imageData
+  if (!mapImageData) {
+    throw new Error('Map image is required for KMZ export')
+  }
+  const mapImage = toBlob(mapImageData)
+  const mapHref = `files/map.${IMAGE_EXTENSIONS[mapImage.type] || 'png'}`
+
+  const files = [{ name: mapHref, blob: mapImage }]
+  const usedNames = new Set()
+  const photos = includePhotos ? exportData.photos || [] : []
+
+  const placemarks = exportData.markers.map((marker, index) => {
+    const images = getMarkerPhotos(marker, photos)
+      .filter(photo => photo.imageData)
+      .map(photo => {
+        const href = `photos/${getUniqueFileName(photo.fileName, usedNames)}`
+        files.push({ name: href, blob: toBlob(photo.imageData, photo.fileType) })
+        return { href, link: href }
+      })
+    return buildPlacemark(marker, index, georeference, images)
+  })
+
+  const kml = buildDocument(map, placemarks, buildGroundOverlay(map, georeference, mapHref))
+
+  // Google Earth reads the first .kml entry, so doc.kml goes first
+  const entries = [{ name: 'doc.kml', data: new TextEncoder().encode(kml) }]
+  for (const file of files) {
+    entries.push({ name: file.name, data: new Uint8Array(await file.blob.arrayBuffer()) })
+  }
+
+  return new Blob([createZip(entries)], { type: KMZ_MIME_TYPE })
+}
@@ -8,6 +8,7 @@
  */
 
 import { generateId } from './writer.js'
+import { getExportOrigin, stampProvenance } from './provenance.js'
 
 /**
  * Find duplicate marker by coordinates
@@ -189,6 +190,103 @@ export function mergePhotoIds (existingPhotoIds, newPhotoIds) {
   return Array.from(photoIdSet)
 }
 
+/**
+ * Find the marker a source marker duplicates, using a duplicate strategy
+ *
+ * 'smart' tries photo file names, then label/description, then
+ * coordinates; 'none' (or an unknown strategy) never matches. Used by
+ * mergeExports and diffExports.
+ *
+ * @param {Array<Object>} existingMarkers - Markers to search
+ * @param {Object} candidateMarker - Source marker
+ * @param {Array<Object>} candidatePhotos - Photos of the source export
+ * @param {Array<Object>} existingPhotos - Photos of the existing markers
+ * @param {Object} options - Matching options
+ * @param {string} options.duplicateStrategy - 'smart', 'photos', 'label', 'coordinates' or 'none'
+ * @param {number} options.coordinateTolerance - Max distance in pixels for 'coordinates'
+ * @param {number} options.photoMatchThreshold - Min fraction of matching photo names for 'photos'
+ * @returns {{marker: Object, matchedBy: string}|null} Match and the heuristic that found it
+ *
+ * @example
+ * const match = findMatchingMarker(target.markers, marker, source.photos, target.photos, {
+ *   duplicateStrategy: 'smart', coordinateTolerance: 10, photoMatchThreshold: 0.5
+ * })
+ * if (match) console.log(`Duplicate of ${match.marker.id} (by ${match.matchedBy})`)
+ */
+export function findMatchingMarker (existingMarkers, candidateMarker, candidatePhotos, existingPhotos, options) {
+  const { duplicateStrategy, coordinateTolerance, photoMatchThreshold } = options
+  const heuristics = {
+    photos: () => findDuplicateMarkerByPhotos(existingMarkers, candidateMarker, candidatePhotos, existingPhotos, 1, photoMatchThreshold),
+    label: () => findDuplicateMarkerByLabel(existingMarkers, candidateMarker),
+    coordinates: () => findDuplicateMarker(existingMarkers, candidateMarker, coordinateTolerance)
+  }
+
+  // 'smart' tries multiple strategies in order of reliability:
+  // 1. Photos (most reliable if markers have photos)
+  // 2. Labels (reliable for labeled markers)
+  // 3. Coordinates (fallback)
+  // 'none' (or an unknown strategy) never matches
+  const order = duplicateStrategy === 'smart' ? ['photos', 'label', 'coordinates'] : [duplicateStrategy]
+
+  for (const name of order) {
+    const match = heuristics[name]?.()
+    if (match) {
+      return { marker: match, matchedBy: name }
+    }
+  }
+  return null
+}
+
+/**
+ * Find the candidate duplicate pairs of a merge, for review before merging
+ *
+ * Lists every source marker that mergeExports would merge into a target
+ * marker with the given duplicate strategy. Review decisions are passed
+ * back to mergeExports as options.matchDecisions.
+ *
+ * @param {Object} targetExport - Base export to merge into
+ * @param {Object} sourceExport - Export to merge from
+ * @param {Object} [options={}] - Merge options (duplicateStrategy, coordinateTolerance, photoMatchThreshold)
+ * @returns {Array<Object>} Pairs { sourceMarker, targetMarker, matchedBy, distance }, in source marker order;
+ *   matchedBy is 'photos', 'label' or 'coordinates', distance in pixels
+ *
+ * @example
+ * const candidates = findMergeCandidates(existingExport, importedExport, { duplicateStrategy: 'smart' })
+ * candidates.forEach(({ sourceMarker, targetMarker, matchedBy }) => {
+ *   console.log(`${sourceMarker.description} → ${targetMarker.description} (${matchedBy})`)
+ * })
+ */
+export function findMergeCandidates (targetExport, sourceExport, options = {}) {
+  const {
+    duplicateStrategy = 'coordinates',
+    coordinateTolerance = 5,
+    photoMatchThreshold = 0.7
+  } = options
+
+  const candidates = []
+
+  for (const sourceMarker of sourceExport.markers) {
+    const match = findMatchingMarker(
+      targetExport.markers,
+      sourceMarker,
+      sourceExport.photos || [],
+      targetExport.photos || [],
+      { duplicateStrategy, coordinateTolerance, photoMatchThreshold }
+    )
+
+    if (match) {
+      candidates.push({
+        sourceMarker,
+        targetMarker: match.marker,
+        matchedBy: match.matchedBy,
+        distance: Math.hypot(sourceMarker.x - match.marker.x, sourceMarker.y - match.marker.y)
+      })
+    }
+  }
+
+  return candidates
+}
+
 /**
  * Merge two SnapSpot exports intelligently
  *
@@ -197,6 +295,10 @@ export function mergePhotoIds (existingPhotoIds, newPhotoIds) {
  * - New markers: added to target
  * - Duplicate photos: handled per strategy (skip or rename)
  *
+ * Markers and photos taken over from sourceExport are stamped with their
+ * provenance (source export sourceApp and timestamp, original id; see
+ * provenance.js). Items that already carry provenance keep it.
+ *
  * @param {Object} targetExport - Base export to merge into
  * @param {Object} sourceExport - Export to merge from
  * @param {Object} [options={}] - Merge options
@@ -206,6 +308,9 @@ export function mergePhotoIds (existingPhotoIds, newPhotoIds) {
  * @param {string} options.duplicatePhotoStrategy - 'skip' or 'rename' (default: 'skip')
  * @param {boolean} options.preserveTimestamps - Keep original creation dates (default: true)
  * @param {Function} options.idGenerator - Custom ID generator function (default: generateId)
+ * @param {Object<string, Object>} options.matchDecisions - Review decisions per source marker id
+ *   (see findMergeCandidates): { accept: false } adds the marker as new instead of merging it,
+ *   { description: 'source' } gives the merged marker the source description (default: keep target's)
  * @returns {Object} New merged export object
  *
  * @example
@@ -222,7 +327,8 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
     photoMatchThreshold = 0.7,
     duplicatePhotoStrategy = 'skip', // eslint-disable-line no-unused-vars
     preserveTimestamps = true,
-    idGenerator = generateId
+    idGenerator = generateId,
+    matchDecisions = {}
   } = options
 
   // Validate inputs
@@ -242,18 +348,21 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
     console.warn('Merger: Target and source have different imageHash. Proceeding anyway.')
   }
 
+  const origin = getExportOrigin(sourceExport)
+
   // Clone target export to avoid mutation
   const mergedExport = {
     ...targetExport,
-    markers: [...targetExport.markers],
+    map: targetExport.map && { ...targetExport.map },
+    markers: targetExport.markers.map(marker => ({ ...marker })),
     photos: [...targetExport.photos],
     metadata: {
       ...targetExport.metadata,
       mergedFrom: [
         ...(targetExport.metadata?.mergedFrom || []),
         {
-          sourceApp: sourceExport.sourceApp || sourceExport.metadata?.sourceApp,
-          timestamp: sourceExport.timestamp || sourceExport.metadata?.exportDate,
+          sourceApp: origin.sourceApp,
+          timestamp: origin.sourceTimestamp,
           markerCount: sourceExport.markers.length,
           photoCount: sourceExport.photos.length
         }
@@ -272,59 +381,17 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
   // Process each source marker
   for (const sourceMarker of sourceExport.markers) {
     // Find matching marker in target using specified strategy
-    let matchingMarker = null
-
-    if (duplicateStrategy === 'coordinates') {
-      // Coordinate-based matching only
-      matchingMarker = findDuplicateMarker(
-        mergedExport.markers,
-        sourceMarker,
-        coordinateTolerance
-      )
-    } else if (duplicateStrategy === 'label') {
-      // Label/description matching only
-      matchingMarker = findDuplicateMarkerByLabel(
-        mergedExport.markers,
-        sourceMarker
-      )
-    } else if (duplicateStrategy === 'photos') {
-      // Photo filename matching only
-      matchingMarker = findDuplicateMarkerByPhotos(
-        mergedExport.markers,
-        sourceMarker,
-        sourceExport.photos,
-        mergedExport.photos,
-        1,
-        photoMatchThreshold
-      )
-    } else if (duplicateStrategy === 'smart') {
-      // Try multiple strategies in order of reliability:
-      // 1. Photos (most reliable if markers have photos)
-      // 2. Labels (reliable for labeled markers)
-      // 3. Coordinates (fallback)
-      matchingMarker = findDuplicateMarkerByPhotos(
-        mergedExport.markers,
-        sourceMarker,
-        sourceExport.photos,
-        mergedExport.photos,
-        1,
-        photoMatchThreshold
-      )
-      if (!matchingMarker) {
-        matchingMarker = findDuplicateMarkerByLabel(
-          mergedExport.markers,
-          sourceMarker
-        )
-      }
-      if (!matchingMarker) {
-        matchingMarker = findDuplicateMarker(
-          mergedExport.markers,
-          sourceMarker,
-          coordinateTolerance
-        )
-      }
-    }
-    // If duplicateStrategy === 'none', matchingMarker stays null
+    const match = findMatchingMarker(
+      mergedExport.markers,
+      sourceMarker,
+      sourceExport.photos,
+      mergedExport.photos,
+      { duplicateStrategy, coordinateTolerance, photoMatchThreshold }
+    )
+    const decision = matchDecisions[sourceMarker.id]
+
+    // Matches rejected in review are added as new markers
+    const matchingMarker = match && decision?.accept !== false ? match.marker : null
 
     if (matchingMarker) {
       // Marker exists - merge photos
@@ -332,6 +399,12 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
 
       markerIdMap.set(sourceMarker.id, matchingMarker.id)
 
+      if (decision?.description === 'source' && sourceMarker.description !== matchingMarker.description) {
+        matchingMarker.description = sourceMarker.description
+        matchingMarker.lastModified = new Date().toISOString()
+        updatedMarkers.push(matchingMarker)
+      }
+
       // Process photos for this source marker
       const sourcePhotosForMarker = sourceExport.photos.filter(
         p => p.markerId === sourceMarker.id
@@ -352,14 +425,14 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
           const newPhotoId = idGenerator('photo')
           photoIdMap.set(sourcePhoto.id, newPhotoId)
 
-          const newPhoto = {
+          const newPhoto = stampProvenance({
             ...sourcePhoto,
             id: newPhotoId,
             markerId: matchingMarker.id,
             createdDate: preserveTimestamps
               ? sourcePhoto.createdDate
               : new Date().toISOString()
-          }
+          }, origin, sourcePhoto.id)
 
           newPhotosAdded.push(newPhoto)
           newPhotoIdsForMarker.push(newPhotoId)
@@ -397,20 +470,20 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
         const newPhotoId = idGenerator('photo')
         photoIdMap.set(sourcePhoto.id, newPhotoId)
 
-        const newPhoto = {
+        const newPhoto = stampProvenance({
           ...sourcePhoto,
           id: newPhotoId,
           markerId: newMarkerId,
           createdDate: preserveTimestamps
             ? sourcePhoto.createdDate
             : new Date().toISOString()
-        }
+        }, origin, sourcePhoto.id)
 
         newPhotosAdded.push(newPhoto)
         newPhotoIdsForMarker.push(newPhotoId)
       }
 
-      const newMarker = {
+      const newMarker = stampProvenance({
         ...sourceMarker,
         id: newMarkerId,
         photoIds: newPhotoIdsForMarker,
@@ -418,7 +491,7 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
           ? sourceMarker.createdDate
           : new Date().toISOString(),
         lastModified: new Date().toISOString()
-      }
+      }, origin, sourceMarker.id)
 
       newMarkersAdded.push(newMarker)
     }
@@ -444,7 +517,7 @@ export function mergeExports (targetExport, sourceExport, options = {}) {
  *
  * @param {Object} targetExport - Base export
  * @param {Object} sourceExport - Export to merge
- * @param {Object} [options={}] - Merge options
+ * @param {Object} [options={}] - Merge options (as mergeExports, including matchDecisions)
  * @returns {Object} Merge statistics
  * @returns {number} return.duplicateMarkers - Number of duplicate markers
  * @returns {number} return.newMarkers - Number of new markers
@@ -459,7 +532,8 @@ export function getMergeStatistics (targetExport, sourceExport, options = {}) {
   const {
     duplicateStrategy = 'coordinates',
     coordinateTolerance = 0,
-    photoMatchThreshold = 0.7
+    photoMatchThreshold = 0.7,
+    matchDecisions = {}
   } = options
 
   let duplicateMarkers = 0
@@ -469,51 +543,14 @@ export function getMergeStatistics (targetExport, sourceExport, options = {}) {
 
   for (const sourceMarker of sourceExport.markers) {
     // Use same strategy as merge
-    let matchingMarker = null
-
-    if (duplicateStrategy === 'coordinates') {
-      matchingMarker = findDuplicateMarker(
-        targetExport.markers,
-        sourceMarker,
-        coordinateTolerance
-      )
-    } else if (duplicateStrategy === 'label') {
-      matchingMarker = findDuplicateMarkerByLabel(
-        targetExport.markers,
-        sourceMarker
-      )
-    } else if (duplicateStrategy === 'photos') {
-      matchingMarker = findDuplicateMarkerByPhotos(
-        targetExport.markers,
-        sourceMarker,
-        sourceExport.photos,
-        targetExport.photos,
-        1,
-        photoMatchThreshold
-      )
-    } else if (duplicateStrategy === 'smart') {
-      matchingMarker = findDuplicateMarkerByPhotos(
-        targetExport.markers,
-        sourceMarker,
-        sourceExport.photos,
-        targetExport.photos,
-        1,
-        photoMatchThreshold
-      )
-      if (!matchingMarker) {
-        matchingMarker = findDuplicateMarkerByLabel(
-          targetExport.markers,
-          sourceMarker
-        )
-      }
-      if (!matchingMarker) {
-        matchingMarker = findDuplicateMarker(
-          targetExport.markers,
-          sourceMarker,
-          coordinateTolerance
-        )
-      }
-    }
+    const match = findMatchingMarker(
+      targetExport.markers,
+      sourceMarker,
+      sourceExport.photos,
+      targetExport.photos,
+      { duplicateStrategy, coordinateTolerance, photoMatchThreshold }
+    )
+    const matchingMarker = match && matchDecisions[sourceMarker.id]?.accept !== false ? match.marker : null
 
     if (matchingMarker) {
       duplicateMarkers++
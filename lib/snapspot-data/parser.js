@@ -117,6 +117,52 @@ export function clampMarkerToBounds (marker, mapWidth, mapHeight) {
   }
 }
 
+/**
+ * Get the photos attached to a marker
+ *
+ * Photos are linked by photo.markerId; marker.photoIds is also honored
+ * for exports where only the marker side is filled in.
+ *
+ * @param {Object} marker - Marker object
+ * @param {Array<Object>} photos - Photo objects of the export
+ * @returns {Array<Object>} Photos of the marker
+ *
+ * @example
+ * const fileNames = getMarkerPhotos(marker, parsed.photos).map(p => p.fileName)
+ */
+export function getMarkerPhotos (marker, photos) {
+  const photoIds = marker.photoIds || []
+
+  return photos.filter(photo => photo.markerId === marker.id || photoIds.includes(photo.id))
+}
+
+/**
+ * Number markers chronologically
+ *
+ * Exports do not store marker numbers; tools number markers by
+ * createdDate, earliest = 1. Markers without a valid date follow in
+ * export order.
+ *
+ * @param {Array<Object>} markers - Marker objects
+ * @returns {Map<string, number>} Marker id → 1-based number
+ *
+ * @example
+ * const numbers = getMarkerNumbers(exportData.markers)
+ * console.log(`Marker ${numbers.get(marker.id)}: ${marker.description}`)
+ */
+export function getMarkerNumbers (markers) {
+  const time = marker => {
+    const value = new Date(marker.createdDate).getTime()
+    return Number.isNaN(value) ? Infinity : value
+  }
+
+  const sorted = markers
+    .map((marker, index) => ({ marker, index }))
+    .sort((a, b) => (time(a.marker) - time(b.marker)) || (a.index - b.index))
+
+  return new Map(sorted.map(({ marker }, index) => [marker.id, index + 1]))
+}
+
 /**
  * Parse SnapSpot export JSON string
  *
@@ -131,7 +177,8 @@ export function clampMarkerToBounds (marker, mapWidth, mapHeight) {
  *
  * @param {string} jsonString - SnapSpot export JSON string
  * @returns {Promise<Object>} Parsed export data
- * @returns {Object} return.map - Map metadata (id, name, width, height, hash)
+ * @returns {Object} return.map - Map metadata (id, name, width, height, hash,
+ *   georeference if the map is georeferenced)
  * @returns {Blob} return.mapImage - Map image Blob
  * @returns {Array<Object>} return.markers - Array of marker objects
  * @returns {Array<Object>} return.photos - Array of photo objects (if present)
@@ -194,7 +241,9 @@ export async function parseExport (jsonString) {
       height: exportData.map.height,
       hash: exportData.map.imageHash || exportData.map.hash, // Support both field names
       created: exportData.map.createdDate || exportData.map.created,
-      modified: exportData.map.lastModified || exportData.map.modified
+      modified: exportData.map.lastModified || exportData.map.modified,
+      // Optional real-world georeference (see georeference.js)
+      ...(exportData.map.georeference ? { georeference: exportData.map.georeference } : {})
     },
 
     // Map image as Blob
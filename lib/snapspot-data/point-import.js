@@ -0,0 +1,303 @@
+/**
+ * SnapSpot Point Import
+ *
+ * Creates a new SnapSpot export from a map image and a point file
+ * (GeoJSON or CSV), e.g. legacy survey points. Point properties are mapped
+ * to marker description and createdDate. Points in georeferenced (world)
+ * coordinates are converted to map pixels with the map's georeference.
+ *
+ * @module snapspot-data/point-import
+ */
+
+import { parseCsv, parseCsvNumber } from './csv.js'
+import { validateGeoreference, worldToPixel } from './georeference.js'
+import { buildExport } from './writer.js'
+import { getImageInfo } from '../snapspot-image/image-info.js'
+
+/**
+ * Point file formats by file extension
+ * @constant {Object<string, string>}
+ */
+export const POINT_FILE_EXTENSIONS = {
+  geojson: 'geojson',
+  json: 'geojson',
+  csv: 'csv',
+  tsv: 'csv',
+  txt: 'csv'
+}
+
+// Column names recognized as point coordinates in CSV files (lowercase)
+const X_COLUMNS = ['x', 'lon', 'lng', 'long', 'longitude', 'easting']
+const Y_COLUMNS = ['y', 'lat', 'latitude', 'northing']
+
+/**
+ * Default property → marker field mapping
+ * @constant {{description: string, createdDate: string}}
+ */
+export const DEFAULT_FIELD_MAPPING = {
+  description: 'description',
+  createdDate: 'createdDate'
+}
+
+// ============================================================================
+// Point Files
+// ============================================================================
+
+/**
+ * Collect the property names used by points
+ * @private
+ * @param {Array<{properties: Object}>} points - Points
+ * @returns {string[]} Property names in order of first appearance
+ */
+function collectFields (points) {
+  const fields = new Set()
+  points.forEach(point => Object.keys(point.properties).forEach(key => fields.add(key)))
+  return [...fields]
+}
+
+/**
+ * Read points from GeoJSON text
+ *
+ * Accepts a FeatureCollection or a single Feature. Features without a
+ * Point geometry are reported and skipped. For GeoJSON written by
+ * buildGeoJSON(), the coordinate space it was written in is returned.
+ *
+ * @param {string} text - GeoJSON text
+ * @returns {{points: Array<{row: number, x: number, y: number, properties: Object}>, fields: string[], errors: Array<{row: number, message: string}>, coordinateSpace: string|null}}
+ *   row is the 1-based feature number
+ * @throws {Error} If the text is not GeoJSON
+ */
+export function parseGeoJSONPoints (text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Failed to parse GeoJSON: ${error.message}`)
+  }
+
+  let features
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features
+  } else if (data?.type === 'Feature') {
+    features = [data]
+  } else {
+    throw new Error('GeoJSON must be a FeatureCollection or a Feature')
+  }
+
+  const points = []
+  const errors = []
+
+  features.forEach((feature, index) => {
+    const row = index + 1
+    const geometry = feature?.geometry
+    const [x, y] = geometry?.coordinates || []
+
+    if (geometry?.type !== 'Point') {
+      errors.push({ row, message: `Feature ${row} is a ${geometry?.type || 'feature without geometry'}, not a Point` })
+    } else if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      errors.push({ row, message: `Feature ${row} has invalid coordinates` })
+    } else {
+      points.push({ row, x, y, properties: { ...feature.properties } })
+    }
+  })
+
+  return {
+    points,
+    fields: collectFields(points),
+    errors,
+    coordinateSpace: data.snapspot?.coordinateSpace || null
+  }
+}
+
+/**
+ * Read points from CSV text
+ *
+ * The coordinate columns are detected by name (x/y, lon/lat, longitude/
+ * latitude, easting/northing) unless given. All other columns become
+ * point properties.
+ *
+ * @param {string} text - CSV text with a header row
+ * @param {Object} [options={}] - Column options
+ * @param {string} [options.xField] - Column with x/longitude values
+ * @param {string} [options.yField] - Column with y/latitude values
+ * @returns {{points: Array<{row: number, x: number, y: number, properties: Object}>, fields: string[], errors: Array<{row: number, message: string}>, coordinateSpace: null}}
+ *   row is the spreadsheet row number (header = row 1)
+ * @throws {Error} If the coordinate columns are not found
+ */
+export function parseCsvPoints (text, options = {}) {
+  const { columns, delimiter, rows } = parseCsv(text)
+  const findColumn = (names) => columns.find(column => names.includes(column.toLowerCase()))
+
+  const xField = options.xField || findColumn(X_COLUMNS)
+  const yField = options.yField || findColumn(Y_COLUMNS)
+  if (!columns.includes(xField) || !columns.includes(yField)) {
+    throw new Error(`CSV must have coordinate columns (found: ${columns.join(', ') || 'none'})`)
+  }
+
+  const xIndex = columns.indexOf(xField)
+  const yIndex = columns.indexOf(yField)
+  const points = []
+  const errors = []
+
+  for (const { row, cells } of rows) {
+    const x = parseCsvNumber(cells[xIndex] ?? '', delimiter)
+    const y = parseCsvNumber(cells[yIndex] ?? '', delimiter)
+
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      errors.push({ row, message: `Row ${row} has invalid coordinates "${cells[xIndex] ?? ''}", "${cells[yIndex] ?? ''}"` })
+      continue
+    }
+
+    const properties = {}
+    columns.forEach((column, index) => {
+      if (index !== xIndex && index !== yIndex) {
+        properties[column] = cells[index] ?? ''
+      }
+    })
+    points.push({ row, x, y, properties })
+  }
+
+  return {
+    points,
+    fields: columns.filter((_, index) => index !== xIndex && index !== yIndex),
+    errors,
+    coordinateSpace: null
+  }
+}
+
+/**
+ * Read points from a GeoJSON or CSV file, chosen by file extension
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name (.geojson, .json, .csv, .tsv or .txt)
+ * @param {Object} [options={}] - CSV column options (see parseCsvPoints())
+ * @returns {Object} Result of parseGeoJSONPoints() or parseCsvPoints()
+ * @throws {Error} If the file type is not supported or the file cannot be read
+ *
+ * @example
+ * const { points, fields, errors } = parsePointFile(await file.text(), file.name)
+ */
+export function parsePointFile (text, fileName, options = {}) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase()
+  const format = POINT_FILE_EXTENSIONS[extension]
+
+  if (format === 'geojson') {
+    return parseGeoJSONPoints(text)
+  }
+  if (format === 'csv') {
+    return parseCsvPoints(text, options)
+  }
+  throw new Error(`Unsupported point file: ${fileName} (expected ${Object.keys(POINT_FILE_EXTENSIONS).map(ext => '.' + ext).join(', ')})`)
+}
+
+// ============================================================================
+// Export Creation
+// ============================================================================
+
+/**
+ * Convert a property value to an ISO date
+ * @private
+ * @param {*} value - Property value
+ * @returns {string|null|undefined} ISO date, undefined if empty, null if invalid
+ */
+function toIsoDate (value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined
+  }
+  const date = new Date(typeof value === 'number' ? value : String(value).trim())
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Create a new SnapSpot export from a map image and points
+ *
+ * Each point becomes a marker. Points that fall outside the map or have an
+ * invalid date are reported and left out. With world coordinates, the
+ * georeference is stored in the export so the map stays georeferenced.
+ *
+ * @param {Array<{row: number, x: number, y: number, properties: Object}>} points - Points (from parsePointFile())
+ * @param {Blob} mapImage - Map image
+ * @param {Object} options - Import options
+ * @param {string} options.name - Map name
+ * @param {number} [options.width] - Map width (read from the image header by default)
+ * @param {number} [options.height] - Map height (read from the image header by default)
+ * @param {Object} [options.fields] - Property names for description and createdDate
+ *   (see DEFAULT_FIELD_MAPPING); null leaves the marker field empty
+ * @param {string} [options.coordinates='pixel'] - 'pixel' or 'world'
+ * @param {Object} [options.georeference] - Map georeference, required for world coordinates
+ * @param {string} [options.sourceApp='SnapSpot Point Import'] - Source application of the export
+ * @returns {Promise<Object>} Result
+ * @returns {Object} return.exportData - SnapSpot v1.1 export (ready for JSON.stringify)
+ * @returns {number} return.imported - Markers created
+ * @returns {Array<{row: number, message: string}>} return.errors - Points left out
+ * @throws {Error} If the options are invalid or the image size cannot be read
+ *
+ * @example
+ * const { points } = parsePointFile(csvText, 'survey.csv')
+ * const { exportData, errors } = await buildExportFromPoints(points, mapBlob, {
+ *   name: 'Survey 2019',
+ *   fields: { description: 'label', createdDate: 'surveyed' },
+ *   coordinates: 'world',
+ *   georeference
+ * })
+ */
+export async function buildExportFromPoints (points, mapImage, options = {}) {
+  const { name, coordinates = 'pixel', georeference = null, sourceApp = 'SnapSpot Point Import' } = options
+  const fields = { ...DEFAULT_FIELD_MAPPING, ...options.fields }
+
+  if (!['pixel', 'world'].includes(coordinates)) {
+    throw new Error(`Unknown coordinate space: ${coordinates}`)
+  }
+  if (coordinates === 'world') {
+    const validation = validateGeoreference(georeference)
+    if (!validation.isValid) {
+      throw new Error(`World coordinates need a valid georeference: ${validation.errors.join(', ')}`)
+    }
+  }
+
+  let { width, height } = options
+  if (!width || !height) {
+    const info = getImageInfo(await mapImage.arrayBuffer())
+    width = width || info.width
+    height = height || info.height
+  }
+
+  const markers = []
+  const errors = []
+
+  for (const point of points) {
+    const pixel = coordinates === 'world' ? worldToPixel(point, georeference) : { x: point.x, y: point.y }
+
+    if (pixel.x < 0 || pixel.x > width || pixel.y < 0 || pixel.y > height) {
+      errors.push({ row: point.row, message: `Point ${point.row} is outside the map (${Math.round(pixel.x)}, ${Math.round(pixel.y)})` })
+      continue
+    }
+
+    const createdDate = fields.createdDate ? toIsoDate(point.properties[fields.createdDate]) : undefined
+    if (createdDate === null) {
+      errors.push({ row: point.row, message: `Point ${point.row} has an invalid date "${point.properties[fields.createdDate]}"` })
+      continue
+    }
+
+    const description = fields.description ? point.properties[fields.description] : ''
+    markers.push({
+      x: pixel.x,
+      y: pixel.y,
+      description: description === undefined || description === null ? '' : String(description),
+      ...(createdDate ? { createdDate } : {})
+    })
+  }
+
+  const map = {
+    name,
+    width,
+    height,
+    ...(coordinates === 'world' ? { georeference } : {})
+  }
+
+  return {
+    exportData: await buildExport(map, mapImage, markers, [], { sourceApp }),
+    imported: markers.length,
+    errors
+  }
+}
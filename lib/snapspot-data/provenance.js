@@ -0,0 +1,154 @@
+/**
+ * Marker and Photo Provenance
+ *
+ * Markers and photos taken over from another export (by mergeExports) or
+ * created from another marker (by splitMarkersWithMultiplePhotos) carry
+ * where they came from:
+ *
+ *   provenance: { sourceApp, sourceTimestamp, originalId }
+ *
+ * sourceApp and sourceTimestamp identify the source export (its sourceApp
+ * and export timestamp), originalId is the id the item had there.
+ * Provenance is stamped once: items merged again keep their first origin.
+ * Markers and photos without provenance were created in the export itself.
+ *
+ * metadata.mergedFrom records the same origins per merge, with counts.
+ *
+ * @module snapspot-data/provenance
+ */
+
+/**
+ * Get the origin of an export (raw or parsed)
+ *
+ * @param {Object} exportData - Export data
+ * @returns {{sourceApp: string|null, sourceTimestamp: string|null}} Source app and export timestamp
+ *
+ * @example
+ * getExportOrigin({ sourceApp: 'SnapSpot', timestamp: '2026-01-15T10:00:00.000Z' })
+ * // => { sourceApp: 'SnapSpot', sourceTimestamp: '2026-01-15T10:00:00.000Z' }
+ */
+export function getExportOrigin (exportData) {
+  return {
+    sourceApp: exportData?.sourceApp || exportData?.metadata?.sourceApp || null,
+    sourceTimestamp: exportData?.timestamp || exportData?.metadata?.exportDate || null
+  }
+}
+
+/**
+ * Stamp a marker or photo with its origin
+ *
+ * Items that already have provenance keep it.
+ *
+ * @param {Object} item - Marker or photo (copy taken over from the source export)
+ * @param {{sourceApp: string|null, sourceTimestamp: string|null}} origin - Origin from getExportOrigin()
+ * @param {string} originalId - Id of the item in the source export
+ * @returns {Object} The item with provenance (new object if stamped)
+ *
+ * @example
+ * const newMarker = stampProvenance({ ...sourceMarker, id: newId }, getExportOrigin(sourceExport), sourceMarker.id)
+ */
+export function stampProvenance (item, origin, originalId) {
+  if (item.provenance) {
+    return item
+  }
+
+  return {
+    ...item,
+    provenance: {
+      sourceApp: origin.sourceApp,
+      sourceTimestamp: origin.sourceTimestamp,
+      originalId
+    }
+  }
+}
+
+/**
+ * Get the provenance of a marker or photo
+ *
+ * @param {Object} item - Marker or photo
+ * @returns {{sourceApp: string|null, sourceTimestamp: string|null, originalId: string}|null}
+ *   Provenance, or null if the item was created in the export itself
+ */
+export function getProvenance (item) {
+  return item?.provenance || null
+}
+
+/**
+ * Check whether a provenance matches a query
+ * @private
+ * @param {Object|null} provenance - Provenance of an item
+ * @param {Object|null} query - Fields to match, or null for items without provenance
+ * @returns {boolean}
+ */
+function matchesOrigin (provenance, query) {
+  if (query === null) {
+    return provenance === null
+  }
+
+  return provenance !== null &&
+    ['sourceApp', 'sourceTimestamp', 'originalId'].every(key => query[key] === undefined || query[key] === provenance[key])
+}
+
+/**
+ * Find the markers that came from a source export
+ *
+ * @param {Object} exportData - Export data (markers with photoIds, photos with markerId)
+ * @param {Object|null} query - Provenance fields to match (sourceApp, sourceTimestamp, originalId;
+ *   omitted fields match anything), or null for markers created in the export itself
+ * @returns {Array<Object>} Matching markers in export order
+ * @throws {Error} If the export has no markers array
+ *
+ * @example
+ * const fieldMarkers = findMarkersByOrigin(merged, { sourceTimestamp: fieldExport.timestamp })
+ * const [marker] = findMarkersByOrigin(merged, { originalId: 'a1b2c3' })
+ */
+export function findMarkersByOrigin (exportData, query) {
+  if (!exportData || !Array.isArray(exportData.markers)) {
+    throw new Error('Invalid export data: missing markers')
+  }
+
+  return exportData.markers.filter(marker => matchesOrigin(getProvenance(marker), query))
+}
+
+/**
+ * Group the markers and photos of an export by origin
+ *
+ * Photos are grouped by their own provenance, so photos merged into an
+ * existing marker are listed under the export they came from.
+ *
+ * @param {Object} exportData - Export data (markers with photoIds, photos with markerId)
+ * @returns {Array<{origin: Object|null, markers: Array<Object>, photos: Array<Object>}>}
+ *   One group per source export ({ sourceApp, sourceTimestamp }), in order of
+ *   first appearance; origin null groups the items created in the export itself
+ * @throws {Error} If the export has no markers array
+ *
+ * @example
+ * groupMarkersByOrigin(merged).forEach(({ origin, markers, photos }) => {
+ *   console.log(`${origin ? origin.sourceTimestamp : 'own'}: ${markers.length} markers, ${photos.length} photos`)
+ * })
+ */
+export function groupMarkersByOrigin (exportData) {
+  if (!exportData || !Array.isArray(exportData.markers)) {
+    throw new Error('Invalid export data: missing markers')
+  }
+
+  const groups = new Map()
+  const groupFor = (item) => {
+    const provenance = getProvenance(item)
+    const key = provenance ? JSON.stringify([provenance.sourceApp, provenance.sourceTimestamp]) : ''
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        origin: provenance ? { sourceApp: provenance.sourceApp, sourceTimestamp: provenance.sourceTimestamp } : null,
+        markers: [],
+        photos: []
+      })
+    }
+    return groups.get(key)
+  }
+
+  exportData.markers.forEach(marker => groupFor(marker).markers.push(marker))
+  ;(exportData.photos || []).forEach(photo => groupFor(photo).photos.push(photo))
+
+  return Array.from(groups.values())
+}
@@ -0,0 +1,271 @@
+/**
+ * Migration Session Format
+ *
+ * Saves the work done in a map migration (reference pairs, transformation
+ * model and merge options) so it can be resumed later or re-run against a
+ * refreshed export of the same maps. Maps are identified by their image
+ * hash rather than embedded, which keeps session files small.
+ *
+ * Reference pairs are stored in image pixels of the source and target map.
+ *
+ * @module snapspot-data/session
+ */
+
+/**
+ * Session file type identifier
+ * @constant {string}
+ */
+export const SESSION_TYPE = 'SnapSpotMigrationSession'
+
+/**
+ * Current session format version
+ * @constant {string}
+ */
+export const SESSION_VERSION = '1.0'
+
+/**
+ * Duplicate strategies understood by mergeExports
+ * @constant {string[]}
+ */
+export const DUPLICATE_STRATEGIES = ['none', 'smart', 'photos', 'label', 'coordinates']
+
+/**
+ * Merge options used when a session does not specify any
+ * (coordinateTolerance null = derive from the transformation RMSE)
+ * @constant {Object}
+ */
+export const DEFAULT_MERGE_OPTIONS = {
+  duplicateStrategy: 'none',
+  coordinateTolerance: null
+}
+
+/**
+ * Create a migration session
+ *
+ * @param {Object} data - Session contents
+ * @param {Object} data.source - Source map { imageHash, name, width, height }
+ * @param {Object} data.target - Target map { imageHash, name, width, height, isExport }
+ * @param {Array<{source: {x: number, y: number}, target: {x: number, y: number}}>} [data.referencePairs=[]] - Pairs in image pixels
+ * @param {Object} [data.transform] - { model, robustFit, outlierThreshold }
+ * @param {Object} [data.mergeOptions] - { duplicateStrategy, coordinateTolerance }
+ * @param {Object} [data.targetMetadata] - { name, description } for the migrated map
+ * @param {string} [data.createdAt] - Creation date to keep when updating a session
+ * @returns {Object} Session object ready for serializeSession()
+ * @throws {Error} If the resulting session is invalid
+ *
+ * @example
+ * const session = createSession({
+ *   source: { imageHash: 'abc...', name: 'Floor 1', width: 2000, height: 1500 },
+ *   target: { imageHash: 'def...', name: 'floor1-new.png', width: 2400, height: 1800 },
+ *   referencePairs: [{ source: { x: 10, y: 20 }, target: { x: 15, y: 30 } }],
+ *   transform: { model: 'affine' }
+ * })
+ */
+export function createSession (data) {
+  const now = new Date().toISOString()
+  const { source = {}, target = {}, transform = {} } = data || {}
+
+  const session = {
+    type: SESSION_TYPE,
+    version: SESSION_VERSION,
+    createdAt: data?.createdAt || now,
+    updatedAt: now,
+    source: describeMap(source),
+    target: {
+      ...describeMap(target),
+      isExport: Boolean(target.isExport)
+    },
+    referencePairs: (data?.referencePairs || []).map(pair => ({
+      source: { x: pair.source.x, y: pair.source.y },
+      target: { x: pair.target.x, y: pair.target.y }
+    })),
+    transform: {
+      model: transform.model || 'affine',
+      robustFit: Boolean(transform.robustFit),
+      outlierThreshold: transform.outlierThreshold ?? 10
+    },
+    mergeOptions: {
+      ...DEFAULT_MERGE_OPTIONS,
+      ...(data?.mergeOptions || {})
+    },
+    targetMetadata: {
+      name: data?.targetMetadata?.name || '',
+      description: data?.targetMetadata?.description || ''
+    }
+  }
+
+  const validation = validateSession(session)
+  if (!validation.isValid) {
+    throw new Error(`Invalid session:\n  - ${validation.errors.join('\n  - ')}`)
+  }
+
+  return session
+}
+
+/**
+ * Pick the identifying fields of a map
+ * @private
+ * @param {Object} map - Map description
+ * @returns {{imageHash: string|null, name: string, width: number, height: number}}
+ */
+function describeMap (map) {
+  return {
+    imageHash: map.imageHash || null,
+    name: map.name || '',
+    width: map.width,
+    height: map.height
+  }
+}
+
+/**
+ * Check whether a value is a point with finite coordinates
+ * @private
+ * @param {*} point - Value to check
+ * @returns {boolean}
+ */
+function isPoint (point) {
+  return Boolean(point) && Number.isFinite(point.x) && Number.isFinite(point.y)
+}
+
+/**
+ * Validate a session object
+ *
+ * @param {Object} session - Session to validate
+ * @returns {{isValid: boolean, errors: string[]}} Validation result
+ *
+ * @example
+ * const result = validateSession(session)
+ * if (!result.isValid) {
+ *   console.error('Session errors:', result.errors)
+ * }
+ */
+export function validateSession (session) {
+  const errors = []
+
+  if (!session || typeof session !== 'object') {
+    return { isValid: false, errors: ['Session must be an object'] }
+  }
+
+  if (session.type !== SESSION_TYPE) {
+    errors.push(`Invalid session type: ${session.type} (expected ${SESSION_TYPE})`)
+  }
+
+  if (session.version !== SESSION_VERSION) {
+    errors.push(`Unsupported session version: ${session.version}`)
+  }
+
+  for (const side of ['source', 'target']) {
+    const map = session[side]
+    if (!map || typeof map !== 'object') {
+      errors.push(`Session missing ${side} map`)
+      continue
+    }
+    if (!(map.width > 0) || !(map.height > 0)) {
+      errors.push(`${side} map must have positive width and height`)
+    }
+    if (map.imageHash !== null && typeof map.imageHash !== 'string') {
+      errors.push(`${side} map imageHash must be a string or null`)
+    }
+  }
+
+  if (!Array.isArray(session.referencePairs)) {
+    errors.push('referencePairs must be an array')
+  } else {
+    session.referencePairs.forEach((pair, index) => {
+      if (!pair || !isPoint(pair.source) || !isPoint(pair.target)) {
+        errors.push(`Reference pair ${index + 1} must have numeric source and target points`)
+      }
+    })
+  }
+
+  const transform = session.transform
+  if (!transform || typeof transform.model !== 'string' || !transform.model) {
+    errors.push('transform.model must be a model id')
+  } else if (!(transform.outlierThreshold > 0)) {
+    errors.push('transform.outlierThreshold must be positive')
+  }
+
+  const mergeOptions = session.mergeOptions
+  if (!mergeOptions || !DUPLICATE_STRATEGIES.includes(mergeOptions.duplicateStrategy)) {
+    errors.push(`mergeOptions.duplicateStrategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`)
+  } else if (mergeOptions.coordinateTolerance !== null && !(mergeOptions.coordinateTolerance >= 0)) {
+    errors.push('mergeOptions.coordinateTolerance must be a non-negative number or null')
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+/**
+ * Parse a session file
+ *
+ * @param {string} jsonString - Session file content
+ * @returns {Object} Validated session
+ * @throws {Error} If JSON is invalid or validation fails
+ *
+ * @example
+ * const session = parseSession(await file.text())
+ * console.log(`${session.referencePairs.length} reference pairs`)
+ */
+export function parseSession (jsonString) {
+  let session
+  try {
+    session = JSON.parse(jsonString)
+  } catch (error) {
+    throw new Error(`Failed to parse JSON: ${error.message}`)
+  }
+
+  const validation = validateSession(session)
+  if (!validation.isValid) {
+    throw new Error(`Session validation failed:\n  - ${validation.errors.join('\n  - ')}`)
+  }
+
+  // Sessions written before a field existed get its default
+  session.mergeOptions = { ...DEFAULT_MERGE_OPTIONS, ...session.mergeOptions }
+  session.targetMetadata = { name: '', description: '', ...session.targetMetadata }
+
+  return session
+}
+
+/**
+ * Serialize a session to a JSON string
+ *
+ * @param {Object} session - Session object
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeSession (session) {
+  return JSON.stringify(session, null, 2)
+}
+
+/**
+ * Check whether loaded maps are the ones a session was created for
+ *
+ * A side is null when either hash is unknown and the match cannot be told.
+ *
+ * @param {Object} session - Session object
+ * @param {Object} hashes - Image hashes of the loaded maps
+ * @param {string|null} [hashes.sourceHash] - Loaded source map hash
+ * @param {string|null} [hashes.targetHash] - Loaded target map hash
+ * @returns {{source: boolean|null, target: boolean|null, isMatch: boolean}}
+ *   isMatch is false only if a known hash differs
+ *
+ * @example
+ * const match = compareSessionMaps(session, { sourceHash: parsed.map.hash })
+ * if (match.source === false) {
+ *   console.warn('Session belongs to a different source map')
+ * }
+ */
+export function compareSessionMaps (session, { sourceHash = null, targetHash = null } = {}) {
+  const compare = (expected, actual) => expected && actual ? expected === actual : null
+
+  const source = compare(session.source.imageHash, sourceHash)
+  const target = compare(session.target.imageHash, targetHash)
+
+  return {
+    source,
+    target,
+    isMatch: source !== false && target !== false
+  }
+}
@@ -6,6 +6,16 @@
  * @module snapspot-data/splitter
  */
 
+import { getMarkerPhotos } from './parser.js'
+import { generateId } from './writer.js'
+import { getExportOrigin, stampProvenance } from './provenance.js'
+
+/**
+ * Default description template for markers created by splitting
+ * @constant {string}
+ */
+export const DEFAULT_SPLIT_DESCRIPTION_TEMPLATE = '{original} - Photo {number}'
+
 /**
  * Group markers by creation date (day)
  *
@@ -273,3 +283,134 @@ export function filterExportByDateRange (exportData, startDate, endDate) {
     }
   }
 }
+
+/**
+ * Get the photos of a marker in marker order
+ * @private
+ * @param {Object} marker - Marker object
+ * @param {Array<Object>} photos - Photo objects of the export
+ * @returns {Array<Object>} Photos in photoIds order, then photos only linked by markerId
+ */
+function getOrderedMarkerPhotos (marker, photos) {
+  const photoIds = marker.photoIds || []
+  const position = (photo) => {
+    const index = photoIds.indexOf(photo.id)
+    return index === -1 ? photoIds.length : index
+  }
+
+  return getMarkerPhotos(marker, photos)
+    .map((photo, index) => ({ photo, index }))
+    .sort((a, b) => position(a.photo) - position(b.photo) || a.index - b.index)
+    .map(({ photo }) => photo)
+}
+
+/**
+ * Split markers with multiple photos into one marker per photo
+ *
+ * The original marker keeps its first photo; a new marker with a new id is
+ * created for every further photo at the same position, directly after the
+ * original. New markers copy all other marker properties and get a
+ * createdDate a millisecond apart, so chronological numbering keeps the
+ * photos in order. Descriptions come from the template, where {original}
+ * is the original description, {number} the photo number and {total} the
+ * photo count of the marker; markers without description get
+ * "Photo {number}".
+ *
+ * New markers are stamped with provenance (this export's sourceApp and
+ * timestamp, the original marker id; see provenance.js) unless the
+ * original marker already carries provenance, which they inherit. Photos
+ * moved to a new marker are stamped the same way with their own id.
+ *
+ * @param {Object} exportData - Raw export data (markers with photoIds, photos with markerId)
+ * @param {Object} [options={}] - Split options
+ * @param {string} [options.descriptionTemplate='{original} - Photo {number}'] - Description template
+ * @returns {{exportData: Object, splits: Array<{markerId: string, newMarkerIds: string[], photoCount: number}>, createdCount: number}}
+ *   New export data, the markers that were split and the number of markers created
+ * @throws {Error} If the export data is invalid
+ *
+ * @example
+ * const { exportData: split, createdCount } = splitMarkersWithMultiplePhotos(exportData, {
+ *   descriptionTemplate: '{original} ({number}/{total})'
+ * })
+ * console.log(`${createdCount} markers created`)
+ */
+export function splitMarkersWithMultiplePhotos (exportData, options = {}) {
+  if (!exportData || !Array.isArray(exportData.markers)) {
+    throw new Error('Invalid export data: missing markers')
+  }
+
+  const { descriptionTemplate = DEFAULT_SPLIT_DESCRIPTION_TEMPLATE } = options
+  const photos = exportData.photos || []
+  const describe = (original, number, total) => {
+    if (!original || !String(original).trim()) {
+      return `Photo ${number}`
+    }
+    return descriptionTemplate
+      .replace(/\{original\}/g, () => original)
+      .replace(/\{number\}/g, number)
+      .replace(/\{total\}/g, total)
+  }
+
+  const origin = getExportOrigin(exportData)
+  const markers = []
+  const photoMarkerIds = new Map() // Photo id -> new marker id
+  const splits = []
+
+  for (const marker of exportData.markers) {
+    const markerPhotos = getOrderedMarkerPhotos(marker, photos)
+
+    if (markerPhotos.length < 2) {
+      markers.push(marker)
+      continue
+    }
+
+    const total = markerPhotos.length
+    const createdTime = new Date(marker.createdDate).getTime()
+    const newMarkerIds = []
+
+    markerPhotos.forEach((photo, index) => {
+      const isOriginal = index === 0
+      const id = isOriginal ? marker.id : generateId('marker')
+
+      const splitMarker = {
+        ...marker,
+        id,
+        description: describe(marker.description, index + 1, total),
+        photoIds: [photo.id],
+        ...(isOriginal || Number.isNaN(createdTime) ? {} : { createdDate: new Date(createdTime + index).toISOString() })
+      }
+      markers.push(isOriginal ? splitMarker : stampProvenance(splitMarker, origin, marker.id))
+
+      photoMarkerIds.set(photo.id, id)
+      if (!isOriginal) newMarkerIds.push(id)
+    })
+
+    splits.push({ markerId: marker.id, newMarkerIds, photoCount: total })
+  }
+
+  if (splits.length === 0) {
+    return { exportData, splits, createdCount: 0 }
+  }
+
+  return {
+    exportData: {
+      ...exportData,
+      markers,
+      photos: photos.map(photo => {
+        const markerId = photoMarkerIds.get(photo.id)
+        // Photos moved to a split marker are stamped like the split marker
+        return markerId === undefined || markerId === photo.markerId
+          ? photo
+          : stampProvenance({ ...photo, markerId }, origin, photo.id)
+      }),
+      timestamp: new Date().toISOString(),
+      metadata: {
+        ...exportData.metadata,
+        splitMarkers: splits.length,
+        originalTimestamp: exportData.timestamp
+      }
+    },
+    splits,
+    createdCount: splits.reduce((sum, split) => sum + split.newMarkerIds.length, 0)
+  }
+}
@@ -0,0 +1,465 @@
+/**
+ * SnapSpot Three-Way Merge
+ *
+ * Merges two edited copies of the same original export ("ours" and
+ * "theirs") using the original as common ancestor ("base"), so concurrent
+ * edits are not silently collapsed as in the two-way mergeExports.
+ *
+ * Changes of each copy are found with diffExports(base, copy). Changes
+ * made on one side only are applied automatically; edits of the same
+ * marker that contradict each other are returned as conflicts, which can
+ * be resolved one by one with resolveMergeConflicts.
+ *
+ * @module snapspot-data/three-way-merge
+ */
+
+import { diffExports } from './diff.js'
+import { getMarkerNumbers, getMarkerPhotos } from './parser.js'
+import { generateId } from './writer.js'
+
+/**
+ * Kinds of merge conflicts
+ * - description: both sides changed the description to different texts
+ * - move: both sides moved the marker to different positions
+ * - delete: one side deleted the marker, the other side changed it
+ * @constant {string[]}
+ */
+export const MERGE_CONFLICT_TYPES = ['description', 'move', 'delete']
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Photo name used to compare photos (file name, or id for photos without one)
+ * @private
+ * @param {Object} photo - Photo
+ * @returns {string}
+ */
+function getPhotoKey (photo) {
+  return (photo.fileName || photo.id || '').trim().toLowerCase()
+}
+
+/**
+ * Index a diff by base marker id
+ * @private
+ * @param {Object} diff - Result of diffExports(base, copy)
+ * @returns {Map<string, {state: string, marker: Object|null, change: Object|null}>}
+ *   state 'removed', 'changed' or 'unchanged'; marker is the version of the copy
+ */
+function indexDiffByBaseMarker (diff) {
+  const index = new Map()
+
+  diff.removed.forEach(({ marker }) => index.set(marker.id, { state: 'removed', marker: null, change: null }))
+  diff.changed.forEach(change => index.set(change.oldMarker.id, { state: 'changed', marker: change.newMarker, change }))
+  diff.unchanged.forEach(pair => index.set(pair.oldMarker.id, { state: 'unchanged', marker: pair.newMarker, change: null }))
+
+  return index
+}
+
+/**
+ * Merge state: the merged export being built, with id lookups
+ * @private
+ */
+class MergeState {
+  /**
+   * @param {Object} exportData - Export to start from (ours); copied, never mutated
+   * @param {Function} idGenerator - ID generator for colliding ids
+   */
+  constructor (exportData, idGenerator) {
+    this.exportData = {
+      ...exportData,
+      markers: exportData.markers.map(marker => ({
+        ...marker,
+        ...(Array.isArray(marker.photoIds) ? { photoIds: [...marker.photoIds] } : {})
+      })),
+      photos: [...exportData.photos]
+    }
+    this.idGenerator = idGenerator
+    this.usedIds = new Set([
+      ...this.exportData.markers.map(marker => marker.id),
+      ...this.exportData.photos.map(photo => photo.id)
+    ])
+  }
+
+  /**
+   * Find a marker of the merged export by id
+   * @param {string} id - Marker id
+   * @returns {Object|undefined}
+   */
+  getMarker (id) {
+    return this.exportData.markers.find(marker => marker.id === id)
+  }
+
+  /**
+   * Keep an id, or generate a new one if it is already used
+   * @param {string} id - Preferred id
+   * @param {string} prefix - Prefix for generated ids ('marker' or 'photo')
+   * @returns {string}
+   */
+  claimId (id, prefix) {
+    const claimed = id && !this.usedIds.has(id) ? id : this.idGenerator(prefix)
+    this.usedIds.add(claimed)
+    return claimed
+  }
+
+  /**
+   * Copy a photo of another export to a marker of the merged export
+   * @param {Object} photo - Photo of the other export
+   * @param {Object} marker - Marker of the merged export
+   */
+  addPhoto (photo, marker) {
+    const id = this.claimId(photo.id, 'photo')
+    this.exportData.photos.push({ ...photo, id, markerId: marker.id })
+    marker.photoIds = [...(marker.photoIds || []), id]
+  }
+
+  /**
+   * Remove photos from a marker of the merged export
+   * @param {Object} marker - Marker of the merged export
+   * @param {Set<string>} keys - Photo names to remove (see getPhotoKey)
+   * @returns {number} Number of removed photos
+   */
+  removePhotos (marker, keys) {
+    const removed = getMarkerPhotos(marker, this.exportData.photos).filter(photo => keys.has(getPhotoKey(photo)))
+    const removedIds = new Set(removed.map(photo => photo.id))
+
+    this.exportData.photos = this.exportData.photos.filter(photo => !removedIds.has(photo.id))
+    if (Array.isArray(marker.photoIds)) {
+      marker.photoIds = marker.photoIds.filter(id => !removedIds.has(id))
+    }
+    return removed.length
+  }
+
+  /**
+   * Copy a marker with its photos from another export
+   * @param {Object} marker - Marker of the other export
+   * @param {Array<Object>} photos - Photos of the other export
+   * @returns {Object} The new marker of the merged export
+   */
+  addMarker (marker, photos) {
+    const newMarker = { ...marker, id: this.claimId(marker.id, 'marker'), photoIds: [] }
+    this.exportData.markers.push(newMarker)
+    getMarkerPhotos(marker, photos).forEach(photo => this.addPhoto(photo, newMarker))
+    return newMarker
+  }
+
+  /**
+   * Remove a marker and its photos from the merged export
+   * @param {string} id - Marker id
+   */
+  removeMarker (id) {
+    const marker = this.getMarker(id)
+    if (!marker) return
+
+    const photoIds = new Set(getMarkerPhotos(marker, this.exportData.photos).map(photo => photo.id))
+    this.exportData.markers = this.exportData.markers.filter(candidate => candidate !== marker)
+    this.exportData.photos = this.exportData.photos.filter(photo => !photoIds.has(photo.id))
+  }
+}
+
+// ============================================================================
+// Three-Way Merge
+// ============================================================================
+
+/**
+ * Apply the changes "theirs" made to a marker that still exists in "ours"
+ * @private
+ * @param {MergeState} state - Merge state
+ * @param {Object} target - Marker of the merged export (our version)
+ * @param {Object} base - Base marker
+ * @param {Object} ours - Our diff entry for the base marker
+ * @param {Object} theirs - Their diff entry for the base marker
+ * @param {Object} theirsExport - Their export
+ * @param {Object} context - Conflict list, summary and base marker numbers
+ */
+function applyTheirChanges (state, target, base, ours, theirs, theirsExport, context) {
+  const { conflicts, summary, baseNumbers } = context
+  const theirChange = theirs.change
+  const ourChange = ours.change
+  let modified = false
+
+  const addConflict = (type, values) => {
+    conflicts.push({
+      id: `${type}-${base.id}`,
+      type,
+      markerId: target.id,
+      baseNumber: baseNumbers.get(base.id),
+      baseMarker: base,
+      oursMarker: ours.marker,
+      theirsMarker: theirs.marker,
+      ...values
+    })
+  }
+
+  if (theirChange.moved) {
+    const position = { x: theirs.marker.x, y: theirs.marker.y }
+
+    if (!ourChange?.moved) {
+      target.x = position.x
+      target.y = position.y
+      summary.moved++
+      modified = true
+    } else if (ours.marker.x !== position.x || ours.marker.y !== position.y) {
+      addConflict('move', {
+        base: { x: base.x, y: base.y },
+        ours: { x: ours.marker.x, y: ours.marker.y },
+        theirs: position
+      })
+    }
+  }
+
+  if (theirChange.description) {
+    const description = theirChange.description.to
+
+    if (!ourChange?.description) {
+      target.description = theirs.marker.description
+      summary.redescribed++
+      modified = true
+    } else if (ourChange.description.to !== description) {
+      // Conflicts are detected on trimmed descriptions but keep the full text
+      addConflict('description', {
+        base: base.description || '',
+        ours: ours.marker.description || '',
+        theirs: theirs.marker.description || ''
+      })
+    }
+  }
+
+  // Photos merge as sets: additions and removals of both sides are kept
+  if (theirChange.photos) {
+    const existing = new Set(getMarkerPhotos(target, state.exportData.photos).map(getPhotoKey))
+    const added = new Set(theirChange.photos.added.map(name => name.toLowerCase()))
+
+    getMarkerPhotos(theirs.marker, theirsExport.photos)
+      .filter(photo => added.has(getPhotoKey(photo)) && !existing.has(getPhotoKey(photo)))
+      .forEach(photo => {
+        state.addPhoto(photo, target)
+        summary.photosAdded++
+      })
+
+    const removed = new Set(theirChange.photos.removed.map(name => name.toLowerCase()))
+    summary.photosRemoved += state.removePhotos(target, removed)
+    modified = true
+  }
+
+  if (modified) {
+    target.lastModified = new Date().toISOString()
+  }
+}
+
+/**
+ * Three-way merge of two edited copies of the same export
+ *
+ * The merged export starts from "ours"; the changes "theirs" made since
+ * "base" are applied to it:
+ * - Markers added by theirs are added (with new ids if their ids are taken)
+ * - Markers deleted by theirs and unchanged by us are deleted
+ * - Moves and description edits of theirs are applied to markers we didn't
+ *   move or re-describe; the same edit on both sides is applied once
+ * - Photos merge as sets: photos added on either side are kept, photos
+ *   removed on either side are removed (compared by file name)
+ *
+ * Contradicting edits become conflicts. Until they are resolved the merged
+ * export keeps our value, and keeps markers that one side deleted and the
+ * other side changed (in the changed version).
+ *
+ * Markers are matched with diffExports(), by id and (for markers whose id
+ * changed) by the merger heuristics of matchStrategy.
+ *
+ * @param {Object} baseExport - Common ancestor (raw export)
+ * @param {Object} oursExport - Our edited copy (raw export)
+ * @param {Object} theirsExport - Their edited copy (raw export)
+ * @param {Object} [options={}] - Merge options
+ * @param {string} [options.matchStrategy='smart'] - Marker matching, as in diffExports()
+ * @param {number} [options.coordinateTolerance=5] - Pixel tolerance for coordinate matching
+ * @param {number} [options.photoMatchThreshold=0.7] - Fraction of photo file names that must match
+ * @param {Function} [options.idGenerator=generateId] - ID generator for ids that are already taken
+ * @returns {Object} Merge result
+ * @returns {Object} return.exportData - Merged export (new object; inputs are not modified)
+ * @returns {Array<Object>} return.conflicts - { id, type, markerId, baseNumber, baseMarker,
+ *   oursMarker, theirsMarker, base, ours, theirs }; see MERGE_CONFLICT_TYPES. For 'move' the
+ *   values are { x, y }, for 'description' strings, for 'delete' the marker of each side
+ *   (null on the side that deleted it)
+ * @returns {Object} return.summary - Changes applied from theirs: added, removed, moved,
+ *   redescribed, photosAdded, photosRemoved, and the number of conflicts
+ * @throws {Error} If an export has no markers or photos array
+ *
+ * @example
+ * const { exportData, conflicts } = mergeExportsThreeWay(original, officeCopy, fieldCopy)
+ * conflicts.forEach(conflict => console.log(`#${conflict.baseNumber}: ${conflict.type} conflict`))
+ */
+export function mergeExportsThreeWay (baseExport, oursExport, theirsExport, options = {}) {
+  const {
+    matchStrategy = 'smart',
+    coordinateTolerance = 5,
+    photoMatchThreshold = 0.7,
+    idGenerator = generateId
+  } = options
+
+  // Validate inputs
+  const inputs = { base: baseExport, ours: oursExport, theirs: theirsExport }
+  for (const [name, exportData] of Object.entries(inputs)) {
+    if (!exportData || !Array.isArray(exportData.markers) || !Array.isArray(exportData.photos)) {
+      throw new Error(`Invalid ${name} export: missing markers or photos array`)
+    }
+  }
+
+  const oursHash = oursExport.map?.imageHash
+  const theirsHash = theirsExport.map?.imageHash
+
+  if (oursHash && theirsHash && oursHash !== theirsHash) {
+    console.warn('Three-way merge: Ours and theirs have different imageHash. Proceeding anyway.')
+  }
+
+  const diffOptions = { matchStrategy, coordinateTolerance, photoMatchThreshold }
+  const oursDiff = diffExports(baseExport, oursExport, diffOptions)
+  const theirsDiff = diffExports(baseExport, theirsExport, diffOptions)
+  const oursByBase = indexDiffByBaseMarker(oursDiff)
+  const theirsByBase = indexDiffByBaseMarker(theirsDiff)
+
+  const state = new MergeState(oursExport, idGenerator)
+  const conflicts = []
+  const summary = { added: 0, removed: 0, moved: 0, redescribed: 0, photosAdded: 0, photosRemoved: 0, conflicts: 0 }
+  const context = { conflicts, summary, baseNumbers: getMarkerNumbers(baseExport.markers) }
+
+  for (const base of baseExport.markers) {
+    const ours = oursByBase.get(base.id)
+    const theirs = theirsByBase.get(base.id)
+
+    if (theirs.state === 'unchanged') continue
+
+    if (theirs.state === 'removed') {
+      if (ours.state === 'unchanged') {
+        state.removeMarker(ours.marker.id)
+        summary.removed++
+      } else if (ours.state === 'changed') {
+        conflicts.push({
+          id: `delete-${base.id}`,
+          type: 'delete',
+          markerId: ours.marker.id,
+          baseNumber: context.baseNumbers.get(base.id),
+          baseMarker: base,
+          oursMarker: ours.marker,
+          theirsMarker: null,
+          base,
+          ours: ours.marker,
+          theirs: null
+        })
+      }
+      continue
+    }
+
+    // Their side changed the marker
+    if (ours.state === 'removed') {
+      const restored = state.addMarker(theirs.marker, theirsExport.photos)
+      conflicts.push({
+        id: `delete-${base.id}`,
+        type: 'delete',
+        markerId: restored.id,
+        baseNumber: context.baseNumbers.get(base.id),
+        baseMarker: base,
+        oursMarker: null,
+        theirsMarker: theirs.marker,
+        base,
+        ours: null,
+        theirs: theirs.marker
+      })
+      continue
+    }
+
+    const target = state.getMarker(ours.marker.id)
+    applyTheirChanges(state, target, base, ours, theirs, theirsExport, context)
+  }
+
+  // Markers only theirs added
+  theirsDiff.added.forEach(({ marker }) => {
+    state.addMarker(marker, theirsExport.photos)
+    summary.added++
+  })
+
+  summary.conflicts = conflicts.length
+
+  const mergedExport = state.exportData
+  mergedExport.metadata = {
+    ...oursExport.metadata,
+    mergedFrom: [
+      ...(oursExport.metadata?.mergedFrom || []),
+      {
+        sourceApp: theirsExport.sourceApp || theirsExport.metadata?.sourceApp,
+        timestamp: theirsExport.timestamp || theirsExport.metadata?.exportDate,
+        baseTimestamp: baseExport.timestamp || baseExport.metadata?.exportDate,
+        markerCount: theirsExport.markers.length,
+        photoCount: theirsExport.photos.length
+      }
+    ]
+  }
+
+  // Update timestamp
+  mergedExport.timestamp = new Date().toISOString()
+  if (mergedExport.map) {
+    mergedExport.map = { ...mergedExport.map, lastModified: new Date().toISOString() }
+  }
+
+  return { exportData: mergedExport, conflicts, summary }
+}
+
+/**
+ * Resolve the conflicts of a three-way merge
+ *
+ * Each resolution picks the 'ours' or 'theirs' side of a conflict:
+ * - description, move: the description or position of that side
+ * - delete: the side that deleted the marker deletes it (with its photos),
+ *   the other side keeps its version
+ *
+ * Markers whose position or description changes get a new lastModified.
+ * Conflicts without a resolution keep the state of the merged export.
+ *
+ * @param {Object} mergeResult - Result of mergeExportsThreeWay()
+ * @param {Object<string, string>} resolutions - Conflict id → 'ours' or 'theirs'
+ * @returns {Object} Merged export with the resolutions applied (new object)
+ * @throws {Error} If a resolution names an unknown conflict or side
+ *
+ * @example
+ * const result = mergeExportsThreeWay(original, officeCopy, fieldCopy)
+ * const merged = resolveMergeConflicts(result, { 'description-marker_1': 'theirs' })
+ */
+export function resolveMergeConflicts (mergeResult, resolutions = {}) {
+  const conflictsById = new Map(mergeResult.conflicts.map(conflict => [conflict.id, conflict]))
+  const state = new MergeState(mergeResult.exportData, generateId)
+
+  for (const [id, side] of Object.entries(resolutions)) {
+    const conflict = conflictsById.get(id)
+
+    if (!conflict) {
+      throw new Error(`Unknown merge conflict: ${id}`)
+    }
+    if (side !== 'ours' && side !== 'theirs') {
+      throw new Error(`Invalid resolution for ${id}: ${side} (expected ours or theirs)`)
+    }
+
+    const value = conflict[side]
+
+    if (conflict.type === 'delete') {
+      if (value === null) {
+        state.removeMarker(conflict.markerId)
+      }
+      continue
+    }
+
+    const marker = state.getMarker(conflict.markerId)
+    if (!marker) continue
+
+    if (conflict.type === 'move') {
+      if (marker.x === value.x && marker.y === value.y) continue
+      marker.x = value.x
+      marker.y = value.y
+    } else {
+      if (marker.description === value) continue
+      marker.description = value
+    }
+    marker.lastModified = new Date().toISOString()
+  }
+
+  return state.exportData
+}
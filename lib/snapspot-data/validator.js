@@ -7,6 +7,8 @@
  * @module snapspot-data/validator
  */
 
+import { validateGeoreference } from './georeference.js'
+
 /**
  * Supported SnapSpot export versions
  * @constant {string[]}
@@ -22,7 +24,7 @@ export const SCHEMA = {
   root: ['version', 'type', 'sourceApp', 'timestamp', 'map', 'markers'],
   map: ['id', 'name', 'imageData', 'width', 'height', 'imageHash', 'createdDate', 'lastModified'],
   marker: ['id', 'x', 'y', 'description', 'createdDate'],
-  photo: ['id', 'markerId', 'imageData', 'fileName', 'fileType', 'fileSize', 'createdDate']
+  photo: ['id', 'markerId', 'fileName', 'fileType', 'fileSize', 'createdDate']
 }
 
 /**
@@ -89,6 +91,11 @@ function validateMapObject (map) {
     errors.push('map.imageData must be a valid data URI')
   }
 
+  // Optional georeference (see georeference.js)
+  if (map.georeference !== undefined) {
+    errors.push(...validateGeoreference(map.georeference).errors.map(e => `map.georeference: ${e}`))
+  }
+
   return errors
 }
 
@@ -128,8 +135,9 @@ function validatePhoto (photo, index) {
 
   if (errors.length > 0) return errors
 
-  // Validate imageData is a data URI
-  if (typeof photo.imageData !== 'string' || !photo.imageData.startsWith('data:image/')) {
+  // imageData is optional (metadata-only photos, served from a local
+  // directory), but must be a data URI when present
+  if (photo.imageData !== undefined && (typeof photo.imageData !== 'string' || !photo.imageData.startsWith('data:image/'))) {
     errors.push(`photos[${index}].imageData must be a valid data URI`)
   }
 
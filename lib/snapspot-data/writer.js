@@ -57,6 +57,7 @@ function getCurrentTimestamp () {
  * @param {string} map.name - Map name
  * @param {number} map.width - Map width in pixels
  * @param {number} map.height - Map height in pixels
+ * @param {Object} [map.georeference] - Real-world georeference (see georeference.js)
  * @param {Blob} mapImage - Map image Blob
  * @param {Array<Object>} markers - Array of marker objects
  * @param {Array<Object>} [photos=[]] - Array of photo objects (optional)
@@ -145,7 +146,8 @@ export async function buildExport (map, mapImage, markers, photos = [], options
       height: map.height,
       imageHash: mapHash,
       createdDate: created,
-      lastModified: modified
+      lastModified: modified,
+      ...(map.georeference ? { georeference: map.georeference } : {})
     },
 
     markers: markers.map(marker => {
@@ -157,6 +159,9 @@ export async function buildExport (map, mapImage, markers, photos = [], options
         description: marker.description || marker.label || '',
         photoIds: marker.photoIds || [],
         createdDate: marker.createdDate || marker.created || now,
+        ...(marker.lastModified ? { lastModified: marker.lastModified } : {}),
+        // Origin of merged and split markers (see provenance.js)
+        ...(marker.provenance ? { provenance: marker.provenance } : {}),
         // Preserve any additional fields
         ...(marker.label && !marker.description ? {} : { label: marker.label })
       }
@@ -172,6 +177,8 @@ export async function buildExport (map, mapImage, markers, photos = [], options
           fileType: photo.fileType || 'image/jpeg',
           fileSize: photo.fileSize || 0,
           createdDate: photo.createdDate || photo.created || now,
+          // Origin of merged photos (see provenance.js)
+          ...(photo.provenance ? { provenance: photo.provenance } : {}),
           // Preserve any additional fields
           ...(photo.caption ? { caption: photo.caption } : {})
         }
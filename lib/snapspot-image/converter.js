@@ -26,6 +26,19 @@ export async function blobToBase64 (blob) {
     throw new Error('Invalid input: expected Blob object')
   }
 
+  // Node.js (CLI tools) has Blob but no FileReader
+  if (typeof FileReader === 'undefined') {
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    let binaryString = ''
+
+    // Convert in chunks to stay below the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binaryString += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    }
+
+    return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binaryString)}`
+  }
+
   return new Promise((resolve, reject) => {
     const reader = new FileReader()
 
@@ -0,0 +1,136 @@
+/**
+ * Image Header Parsing
+ *
+ * Reads the format and pixel size of an image from its file header,
+ * without decoding it. Works where no Image element is available
+ * (CLI tools in Node.js).
+ *
+ * @module snapspot-image/image-info
+ */
+
+/**
+ * Check whether bytes start with a signature
+ * @private
+ * @param {Uint8Array} bytes - Image bytes
+ * @param {number[]} signature - Expected leading bytes
+ * @param {number} [offset=0] - Position of the signature
+ * @returns {boolean}
+ */
+function hasSignature (bytes, signature, offset = 0) {
+  return signature.every((value, i) => bytes[offset + i] === value)
+}
+
+/**
+ * Find the frame size in a JPEG by walking its segments
+ * @private
+ * @param {DataView} view - Image bytes
+ * @returns {{width: number, height: number}}
+ */
+function readJpegSize (view) {
+  let offset = 2
+
+  while (offset + 9 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) {
+      throw new Error('Invalid JPEG: corrupt segment marker')
+    }
+
+    const marker = view.getUint8(offset + 1)
+
+    // Padding bytes before a marker
+    if (marker === 0xFF) {
+      offset++
+      continue
+    }
+
+    // Start-of-frame markers (SOF0-SOF15, except DHT, JPG and DAC) hold the size
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        height: view.getUint16(offset + 5),
+        width: view.getUint16(offset + 7)
+      }
+    }
+
+    offset += 2 + view.getUint16(offset + 2)
+  }
+
+  throw new Error('Invalid JPEG: no frame header found')
+}
+
+/**
+ * Read the size of a WebP image (lossy, lossless or extended)
+ * @private
+ * @param {DataView} view - Image bytes
+ * @returns {{width: number, height: number}}
+ */
+function readWebpSize (view) {
+  const chunk = String.fromCharCode(view.getUint8(12), view.getUint8(13), view.getUint8(14), view.getUint8(15))
+
+  if (chunk === 'VP8 ') {
+    return {
+      width: view.getUint16(26, true) & 0x3FFF,
+      height: view.getUint16(28, true) & 0x3FFF
+    }
+  }
+
+  if (chunk === 'VP8L') {
+    const bits = view.getUint32(21, true)
+    return {
+      width: (bits & 0x3FFF) + 1,
+      height: ((bits >> 14) & 0x3FFF) + 1
+    }
+  }
+
+  if (chunk === 'VP8X') {
+    const read24 = (offset) => view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16)
+    return {
+      width: read24(24) + 1,
+      height: read24(27) + 1
+    }
+  }
+
+  throw new Error(`Unsupported WebP chunk: ${chunk}`)
+}
+
+/**
+ * Get the format and pixel size of an image
+ *
+ * Supports PNG, JPEG, GIF and WebP.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Image file bytes
+ * @returns {{type: string, width: number, height: number}} MIME type and size in pixels
+ * @throws {Error} If the format is not recognized or the header is truncated
+ *
+ * @example
+ * const info = getImageInfo(await fs.readFile('floor-plan.png'))
+ * // => { type: 'image/png', width: 2400, height: 1800 }
+ */
+export function getImageInfo (data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  try {
+    if (hasSignature(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+      // IHDR is always the first chunk
+      return { type: 'image/png', width: view.getUint32(16), height: view.getUint32(20) }
+    }
+
+    if (hasSignature(bytes, [0xFF, 0xD8])) {
+      return { type: 'image/jpeg', ...readJpegSize(view) }
+    }
+
+    if (hasSignature(bytes, [0x47, 0x49, 0x46, 0x38])) {
+      return { type: 'image/gif', width: view.getUint16(6, true), height: view.getUint16(8, true) }
+    }
+
+    if (hasSignature(bytes, [0x52, 0x49, 0x46, 0x46]) && hasSignature(bytes, [0x57, 0x45, 0x42, 0x50], 8)) {
+      return { type: 'image/webp', ...readWebpSize(view) }
+    }
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new Error('Image header is truncated')
+    }
+    throw error
+  }
+
+  throw new Error('Unsupported image format (expected PNG, JPEG, GIF or WebP)')
+}
@@ -79,6 +79,27 @@ export class CanvasRenderer {
     this._draw()
   }
 
+  /**
+   * Get the pixels of the loaded image (independent of pan/zoom)
+   * @param {number} [maxDimension] - Downscale so the longest side is at most this size
+   * @returns {ImageData|null} Image pixels, or null if no image is loaded
+   */
+  getImageData (maxDimension = null) {
+    if (!this.image) return null
+
+    const longest = Math.max(this.imageWidth, this.imageHeight)
+    const scale = maxDimension ? Math.min(1, maxDimension / longest) : 1
+
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.round(this.imageWidth * scale))
+    canvas.height = Math.max(1, Math.round(this.imageHeight * scale))
+
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(this.image, 0, 0, canvas.width, canvas.height)
+
+    return ctx.getImageData(0, 0, canvas.width, canvas.height)
+  }
+
   /**
    * Load an image from blob or data URL
    * @private
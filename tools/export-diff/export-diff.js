@@ -0,0 +1,806 @@
+/**
+ * Export Diff
+ *
+ * Shows two exports of the same map on one canvas: added, removed, moved
+ * and changed markers in their own colors, with an arrow from the old to
+ * the new position of moved markers. Clicking a marker shows the old and
+ * new version of its description and photos side by side.
+ *
+ * The comparison is diffExports() from lib/snapspot-data/diff.js, the same
+ * as the export-diff CLI. Uses the Map Migrator layout.
+ */
+
+/* global alert */
+
+import { CanvasRenderer } from '../../shared/utils/canvas-helpers.js'
+import { FileLoader } from '../../shared/utils/file-loader.js'
+import { parseExport, getMarkerPhotos } from '../../lib/snapspot-data/parser.js'
+import { diffExports, describeMarkerChange } from '../../lib/snapspot-data/diff.js'
+import { DUPLICATE_STRATEGIES } from '../../lib/snapspot-data/session.js'
+
+// Marker colors per kind of change (also used in the legend)
+const KIND_COLORS = {
+  added: '#4CAF50',
+  removed: '#F44336',
+  moved: '#FF9800',
+  changed: '#2196F3',
+  unchanged: 'rgba(100, 100, 100, 0.6)'
+}
+
+const KIND_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  changed: 'Changed',
+  unchanged: 'Unchanged'
+}
+
+// Marker diameter on screen in pixels, independent of zoom
+const MARKER_SIZE = 18
+const UNCHANGED_MARKER_SIZE = 8
+
+// Clicks within this many screen pixels of a marker select it
+const HIT_RADIUS = 12
+
+/**
+ * Export Diff - Main controller class
+ */
+export class ExportDiff {
+  /**
+   * Create a new export diff view
+   * @param {string} canvasId - ID of the map canvas element
+   */
+  constructor (canvasId) {
+    this.canvas = document.getElementById(canvasId)
+
+    if (!this.canvas) {
+      throw new Error('Canvas element not found')
+    }
+
+    this.renderer = new CanvasRenderer(this.canvas)
+    this.renderer.enablePanZoom()
+
+    // Redraw the diff after pan/zoom
+    this.renderer.onRedraw = () => this._drawOverlays()
+
+    // Application state
+    this.state = {
+      oldExport: null, // Parsed earlier export
+      newExport: null, // Parsed later export
+      oldFileName: null,
+      newFileName: null,
+      diff: null, // Result of diffExports()
+      items: [], // One entry per marker or marker pair, see _buildItems()
+      selected: null, // Selected item
+      visibleKinds: new Set(Object.keys(KIND_COLORS))
+    }
+
+    this._initializeUIElements()
+    this._setupEventListeners()
+    this._resizeCanvas()
+  }
+
+  /**
+   * Initialize DOM element references
+   * @private
+   */
+  _initializeUIElements () {
+    // Export loading
+    this.loadPanel = document.getElementById('load-panel')
+    this.oldDrop = document.getElementById('old-drop')
+    this.oldFileInput = document.getElementById('old-file-input')
+    this.oldFileBtn = document.getElementById('old-file-btn')
+    this.oldFileLabel = document.getElementById('old-file-label')
+    this.newDrop = document.getElementById('new-drop')
+    this.newFileInput = document.getElementById('new-file-input')
+    this.newFileBtn = document.getElementById('new-file-btn')
+    this.newFileLabel = document.getElementById('new-file-label')
+
+    // Map info
+    this.mapInfo = document.getElementById('map-info')
+    this.mapName = document.getElementById('map-name')
+    this.oldInfo = document.getElementById('old-info')
+    this.newInfo = document.getElementById('new-info')
+    this.changeExportsBtn = document.getElementById('change-exports-btn')
+
+    // Marker details
+    this.detailsContent = document.getElementById('details-content')
+
+    // Changes
+    this.changeCount = document.getElementById('change-count')
+    this.filterInputs = document.querySelectorAll('.kind-filter input')
+    this.strategySelect = document.getElementById('strategy-select')
+    this.moveToleranceInput = document.getElementById('move-tolerance-input')
+    this.summary = document.getElementById('summary')
+    this.changesTbody = document.getElementById('changes-tbody')
+
+    // Help modal
+    this.helpBtn = document.getElementById('help-btn')
+    this.helpModal = document.getElementById('help-modal')
+    this.closeHelpBtn = document.getElementById('close-help')
+  }
+
+  /**
+   * Set up all event listeners
+   * @private
+   */
+  _setupEventListeners () {
+    // Export loading
+    FileLoader.createDropZone(this.oldDrop, (files) => this.loadExport(files[0], 'old'))
+    FileLoader.createDropZone(this.newDrop, (files) => this.loadExport(files[0], 'new'))
+    this.oldFileBtn.addEventListener('click', () => this.oldFileInput.click())
+    this.newFileBtn.addEventListener('click', () => this.newFileInput.click())
+    this.oldFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.loadExport(e.target.files[0], 'old')
+      }
+    })
+    this.newFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.loadExport(e.target.files[0], 'new')
+      }
+    })
+    this.changeExportsBtn.addEventListener('click', () => this._onChangeExports())
+
+    // Marker selection
+    this.canvas.addEventListener('click', (e) => this._onCanvasClick(e))
+    this.changesTbody.addEventListener('click', (e) => {
+      const row = e.target.closest('tr[data-index]')
+      if (row) {
+        this.selectItem(this.state.items[parseInt(row.dataset.index)], true)
+      }
+    })
+
+    // Filters and matching options
+    this.filterInputs.forEach(input => {
+      input.addEventListener('change', () => this._onFilterChange())
+    })
+    this.strategySelect.addEventListener('change', () => this.compare())
+    this.moveToleranceInput.addEventListener('change', () => this.compare())
+
+    // Help modal
+    this.helpBtn.addEventListener('click', () => this.helpModal.classList.remove('hidden'))
+    this.closeHelpBtn.addEventListener('click', () => this.helpModal.classList.add('hidden'))
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => this._onKeyDown(e))
+  }
+
+  /**
+   * Size the canvas like the Map Migrator canvases
+   * @private
+   */
+  _resizeCanvas () {
+    this.canvas.width = 600
+    this.canvas.height = 500
+  }
+
+  // ==========================================================================
+  // Export Loading
+  // ==========================================================================
+
+  /**
+   * Load the earlier or later export
+   * @param {File} file - Export JSON file
+   * @param {string} which - 'old' or 'new'
+   */
+  async loadExport (file, which) {
+    try {
+      if (!file.name.endsWith('.json')) {
+        throw new Error('File must be a SnapSpot export (.json)')
+      }
+
+      const text = await FileLoader.loadAsText(file)
+      const exportData = await parseExport(text)
+
+      const other = which === 'old' ? this.state.newExport : this.state.oldExport
+      if (other?.map.hash && exportData.map.hash && other.map.hash !== exportData.map.hash) {
+        throw new Error(
+          `"${exportData.map.name}" is not the same map image as the other export. ` +
+          'Only exports of the same map can be compared; migrate one of them with the Map Migrator first.'
+        )
+      }
+
+      if (which === 'old') {
+        this.state.oldExport = exportData
+        this.state.oldFileName = file.name
+      } else {
+        this.state.newExport = exportData
+        this.state.newFileName = file.name
+      }
+
+      this._updateLoadPanel()
+
+      if (this.state.oldExport && this.state.newExport) {
+        await this.renderer.renderImage(this.state.newExport.mapImage, 'contain')
+        this.loadPanel.style.display = 'none'
+        this.mapInfo.classList.remove('hidden')
+        this.compare()
+      }
+    } catch (error) {
+      console.error('Error loading export:', error)
+      this._showError('Failed to load export', error.message)
+    }
+  }
+
+  /**
+   * Show the loaded file names in the drop areas
+   * @private
+   */
+  _updateLoadPanel () {
+    const describe = (exportData, fileName) => exportData
+      ? `✓ ${fileName} (${exportData.markers.length} markers)`
+      : 'Not loaded'
+
+    this.oldFileLabel.textContent = describe(this.state.oldExport, this.state.oldFileName)
+    this.newFileLabel.textContent = describe(this.state.newExport, this.state.newFileName)
+    this.oldDrop.classList.toggle('loaded', Boolean(this.state.oldExport))
+    this.newDrop.classList.toggle('loaded', Boolean(this.state.newExport))
+  }
+
+  /**
+   * Start over with two other exports
+   * @private
+   */
+  _onChangeExports () {
+    this.state.oldExport = null
+    this.state.newExport = null
+    this.state.oldFileName = null
+    this.state.newFileName = null
+    this.state.diff = null
+    this.state.items = []
+    this.state.selected = null
+
+    this.oldFileInput.value = ''
+    this.newFileInput.value = ''
+    this.loadPanel.style.display = ''
+    this.mapInfo.classList.add('hidden')
+
+    this._updateLoadPanel()
+    this._updateChangesTable()
+    this._updateDetails()
+    this.renderer.clear()
+  }
+
+  // ==========================================================================
+  // Comparison
+  // ==========================================================================
+
+  /**
+   * Compare the loaded exports with the current matching options
+   */
+  compare () {
+    const { oldExport, newExport } = this.state
+    if (!oldExport || !newExport) return
+
+    try {
+      const moveTolerance = parseFloat(this.moveToleranceInput.value)
+      const diff = diffExports(oldExport, newExport, {
+        matchStrategy: this.strategySelect.value,
+        moveTolerance: Number.isFinite(moveTolerance) && moveTolerance > 0 ? moveTolerance : 0
+      })
+
+      this.state.diff = diff
+      this.state.items = this._buildItems(diff)
+
+      // Keep the selection if the marker is still there
+      const selected = this.state.selected
+      this.state.selected = selected
+        ? this.state.items.find(item => item.newMarker === selected.newMarker && item.oldMarker === selected.oldMarker) || null
+        : null
+
+      this.mapName.textContent = newExport.map.name
+      this.oldInfo.textContent = `${this.state.oldFileName} (${oldExport.markers.length} markers)`
+      this.newInfo.textContent = `${this.state.newFileName} (${newExport.markers.length} markers)`
+
+      this._updateSummary()
+      this._updateChangesTable()
+      this._updateDetails()
+      this.renderer.redraw()
+    } catch (error) {
+      console.error('Comparison error:', error)
+      this._showError('Comparison failed', error.message)
+    }
+  }
+
+  /**
+   * Flatten a diff into one item per marker (added, removed) or marker pair
+   * @private
+   * @param {Object} diff - Result of diffExports()
+   * @returns {Array<Object>} Items { kind, oldMarker, newMarker, oldNumber, newNumber, change }
+   */
+  _buildItems (diff) {
+    return [
+      ...diff.added.map(({ marker, number }) => ({
+        kind: 'added', oldMarker: null, newMarker: marker, oldNumber: null, newNumber: number, change: null
+      })),
+      ...diff.removed.map(({ marker, number }) => ({
+        kind: 'removed', oldMarker: marker, newMarker: null, oldNumber: number, newNumber: null, change: null
+      })),
+      ...diff.changed.map(change => ({
+        kind: change.moved ? 'moved' : 'changed',
+        oldMarker: change.oldMarker,
+        newMarker: change.newMarker,
+        oldNumber: change.oldNumber,
+        newNumber: change.newNumber,
+        change
+      })),
+      ...diff.unchanged.map(pair => ({
+        kind: 'unchanged', ...pair, change: null
+      }))
+    ]
+  }
+
+  /**
+   * Show the counts of the diff
+   * @private
+   */
+  _updateSummary () {
+    const { summary, sameMap } = this.state.diff
+    const counts = {
+      added: summary.added,
+      removed: summary.removed,
+      moved: summary.moved,
+      changed: summary.redescribed + summary.photosChanged,
+      unchanged: summary.unchanged
+    }
+
+    Object.entries(counts).forEach(([kind, count]) => {
+      document.getElementById(`count-${kind}`).textContent = count
+    })
+
+    this.summary.innerHTML = `
+      <span>${summary.moved} moved</span>
+      <span>${summary.redescribed} re-described</span>
+      <span>${summary.photosChanged} with photo changes</span>
+      <span>${summary.matchedByHeuristics} matched despite a new id</span>
+      ${sameMap ? '' : '<span class="warning">⚠ Different map images</span>'}
+    `
+  }
+
+  // ==========================================================================
+  // Drawing
+  // ==========================================================================
+
+  /**
+   * Scale between canvas image pixels and export map pixels
+   * (SVG maps may render at a different size than the export metadata)
+   * @private
+   * @returns {{x: number, y: number}}
+   */
+  _getMapScale () {
+    const map = this.state.newExport.map
+    return {
+      x: map.width / this.renderer.imageWidth,
+      y: map.height / this.renderer.imageHeight
+    }
+  }
+
+  /**
+   * Convert a marker position to canvas image pixels
+   * @private
+   * @param {Object} marker - Marker
+   * @returns {{x: number, y: number}}
+   */
+  _toImage (marker) {
+    const scale = this._getMapScale()
+    return { x: marker.x / scale.x, y: marker.y / scale.y }
+  }
+
+  /**
+   * Convert a size in screen pixels to image pixels
+   * (drawMarker scales sizes with zoom; diff markers keep their size)
+   * @private
+   * @param {number} pixels - Size on screen
+   * @returns {number}
+   */
+  _screenSize (pixels) {
+    return pixels / this.renderer.state.zoom
+  }
+
+  /**
+   * Position of an item on the map: the new position, or the old one for
+   * removed markers
+   * @private
+   * @param {Object} item - Diff item
+   * @returns {{x: number, y: number}}
+   */
+  _getItemPosition (item) {
+    return this._toImage(item.newMarker || item.oldMarker)
+  }
+
+  /**
+   * Check whether an item is shown with the current filters
+   * @private
+   * @param {Object} item - Diff item
+   * @returns {boolean}
+   */
+  _isVisible (item) {
+    return this.state.visibleKinds.has(item.kind)
+  }
+
+  /**
+   * Draw the diff over the map
+   * @private
+   */
+  _drawOverlays () {
+    if (!this.state.diff) return
+
+    // Unchanged markers first, so changes are drawn on top
+    const items = [...this.state.items]
+      .filter(item => this._isVisible(item))
+      .sort((a, b) => (a.kind === 'unchanged' ? 0 : 1) - (b.kind === 'unchanged' ? 0 : 1))
+
+    items.forEach(item => this._drawItem(item))
+
+    const selected = this.state.selected
+    if (selected && this._isVisible(selected)) {
+      const position = this._getItemPosition(selected)
+      this.renderer.highlightMarker(position.x, position.y, this._screenSize(MARKER_SIZE))
+    }
+  }
+
+  /**
+   * Draw one marker or marker pair
+   * @private
+   * @param {Object} item - Diff item
+   */
+  _drawItem (item) {
+    const color = KIND_COLORS[item.kind]
+    const size = this._screenSize(MARKER_SIZE)
+
+    if (item.kind === 'unchanged') {
+      const position = this._toImage(item.newMarker)
+      this.renderer.drawMarker(position.x, position.y, {
+        color,
+        size: this._screenSize(UNCHANGED_MARKER_SIZE),
+        opacity: 0.6
+      })
+      return
+    }
+
+    if (item.kind === 'moved') {
+      const from = this._toImage(item.oldMarker)
+      const to = this._toImage(item.newMarker)
+
+      // Old position faded, arrow to the new position
+      this.renderer.drawMarker(from.x, from.y, { color, size: size * 0.7, opacity: 0.35 })
+      this._drawArrow(from, to, color)
+    }
+
+    const position = this._getItemPosition(item)
+    const number = item.newNumber ?? item.oldNumber
+
+    this.renderer.drawMarker(position.x, position.y, {
+      color,
+      size,
+      label: String(number),
+      opacity: item.kind === 'removed' ? 0.8 : 1.0
+    })
+  }
+
+  /**
+   * Draw an arrow from the old to the new position of a moved marker
+   * @private
+   * @param {{x: number, y: number}} from - Old position (image pixels)
+   * @param {{x: number, y: number}} to - New position (image pixels)
+   * @param {string} color - Arrow color
+   */
+  _drawArrow (from, to, color) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x)
+    const length = Math.hypot(to.x - from.x, to.y - from.y)
+
+    // Stop at the edge of the new marker so the arrow head stays visible
+    const tipOffset = Math.min(length, this._screenSize(MARKER_SIZE / 2))
+    const tip = {
+      x: to.x - Math.cos(angle) * tipOffset,
+      y: to.y - Math.sin(angle) * tipOffset
+    }
+    const headLength = this._screenSize(8)
+    const options = { color, width: 2 }
+
+    this.renderer.drawLine(from.x, from.y, tip.x, tip.y, options)
+
+    for (const side of [-1, 1]) {
+      const headAngle = angle + side * Math.PI * 0.8
+      this.renderer.drawLine(
+        tip.x,
+        tip.y,
+        tip.x + Math.cos(headAngle) * headLength,
+        tip.y + Math.sin(headAngle) * headLength,
+        options
+      )
+    }
+  }
+
+  // ==========================================================================
+  // Selection
+  // ==========================================================================
+
+  /**
+   * Select the marker under the mouse
+   * @private
+   */
+  _onCanvasClick (e) {
+    if (!this.state.diff) return
+
+    // Don't select while panning (Ctrl+click or middle button)
+    if (e.ctrlKey || e.button === 1 || this.renderer.isPanning) {
+      return
+    }
+
+    const point = this.renderer.screenToCanvas(e.clientX, e.clientY)
+    const maxDistance = this._screenSize(HIT_RADIUS)
+
+    let nearest = null
+    let nearestDistance = Infinity
+
+    this.state.items.filter(item => this._isVisible(item)).forEach(item => {
+      // Moved markers can also be picked at their old position
+      const positions = [this._getItemPosition(item)]
+      if (item.kind === 'moved') {
+        positions.push(this._toImage(item.oldMarker))
+      }
+
+      positions.forEach(position => {
+        const distance = Math.hypot(position.x - point.x, position.y - point.y)
+        // Prefer changes over unchanged markers at the same spot
+        const weighted = item.kind === 'unchanged' ? distance + maxDistance / 2 : distance
+        if (distance <= maxDistance && weighted < nearestDistance) {
+          nearest = item
+          nearestDistance = weighted
+        }
+      })
+    })
+
+    this.selectItem(nearest)
+  }
+
+  /**
+   * Select a marker and show its old and new version
+   * @param {Object|null} item - Diff item, or null to clear the selection
+   * @param {boolean} [center=false] - Pan the map to the marker
+   */
+  selectItem (item, center = false) {
+    this.state.selected = item
+
+    if (item && center) {
+      const position = this._getItemPosition(item)
+      const { zoom } = this.renderer.state
+      this.renderer.setPan(
+        this.canvas.width / 2 - position.x * zoom,
+        this.canvas.height / 2 - position.y * zoom
+      )
+    }
+
+    this._updateChangesTable()
+    this._updateDetails()
+    this.renderer.redraw()
+  }
+
+  /**
+   * Show or hide a kind of change
+   * @private
+   */
+  _onFilterChange () {
+    this.state.visibleKinds = new Set(
+      Array.from(this.filterInputs)
+        .filter(input => input.checked)
+        .map(input => input.value)
+    )
+
+    this._updateChangesTable()
+    this.renderer.redraw()
+  }
+
+  // ==========================================================================
+  // Changes Table
+  // ==========================================================================
+
+  /**
+   * List the changes (unchanged markers only on the map)
+   * @private
+   */
+  _updateChangesTable () {
+    const rows = this.state.items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.kind !== 'unchanged' && this._isVisible(item))
+
+    this.changeCount.textContent = this.state.diff ? `(${rows.length})` : ''
+
+    if (rows.length === 0) {
+      const message = this.state.diff ? 'No changes to show' : 'Load two exports of the same map'
+      const hint = this.state.diff
+        ? 'The exports have the same markers, or the changes are hidden by the filters'
+        : 'The earlier export and the later export, e.g. two exports of a field team'
+      this.changesTbody.innerHTML = `
+        <tr class="empty-state">
+          <td colspan="4">
+            <div class="empty-message">
+              <p>${message}</p>
+              <p class="empty-hint">${hint}</p>
+            </div>
+          </td>
+        </tr>
+      `
+      return
+    }
+
+    this.changesTbody.innerHTML = rows.map(({ item, index }) => `
+      <tr data-index="${index}" class="${item === this.state.selected ? 'selected' : ''}">
+        <td>${this._formatNumbers(item)}</td>
+        <td><span class="kind-badge kind-${item.kind}">${KIND_LABELS[item.kind]}</span></td>
+        <td>${this._escape((item.newMarker || item.oldMarker).description || '')}</td>
+        <td>${this._escape(this._describeItem(item))}</td>
+      </tr>
+    `).join('')
+  }
+
+  /**
+   * Marker number in the old and new export, e.g. "#3 → #4"
+   * @private
+   * @param {Object} item - Diff item
+   * @returns {string}
+   */
+  _formatNumbers (item) {
+    if (item.oldNumber == null) return `#${item.newNumber}`
+    if (item.newNumber == null) return `#${item.oldNumber}`
+    return item.oldNumber === item.newNumber ? `#${item.newNumber}` : `#${item.oldNumber} → #${item.newNumber}`
+  }
+
+  /**
+   * One-line description of an item
+   * @private
+   * @param {Object} item - Diff item
+   * @returns {string}
+   */
+  _describeItem (item) {
+    if (item.change) return describeMarkerChange(item.change)
+
+    const marker = item.newMarker || item.oldMarker
+    const where = `(${Math.round(marker.x)}, ${Math.round(marker.y)})`
+    if (item.kind === 'added') return `new marker at ${where}`
+    if (item.kind === 'removed') return `removed from ${where}`
+    return 'no changes'
+  }
+
+  // ==========================================================================
+  // Marker Details
+  // ==========================================================================
+
+  /**
+   * Show the old and new version of the selected marker
+   * @private
+   */
+  _updateDetails () {
+    const item = this.state.selected
+
+    if (!item) {
+      this.detailsContent.innerHTML = `
+        <div class="empty-message">
+          <p>No marker selected</p>
+          <p class="empty-hint">Click a marker on the map or a row in the changes table</p>
+        </div>
+      `
+      return
+    }
+
+    const matchedBy = item.oldMarker && item.newMarker && (item.change?.matchedBy || item.matchedBy)
+
+    this.detailsContent.innerHTML = `
+      <div class="details-header">
+        <span class="kind-badge kind-${item.kind}">${KIND_LABELS[item.kind]}</span>
+        <strong>${this._formatNumbers(item)}</strong>
+        ${matchedBy && matchedBy !== 'id' ? `<span class="details-hint">matched by ${matchedBy}</span>` : ''}
+      </div>
+      ${item.change ? `<p class="details-change">${this._escape(describeMarkerChange(item.change))}</p>` : ''}
+      <div class="version-columns">
+        ${this._renderVersion('Old', item.oldMarker, this.state.oldExport, item.change?.photos?.removed)}
+        ${this._renderVersion('New', item.newMarker, this.state.newExport, item.change?.photos?.added)}
+      </div>
+    `
+  }
+
+  /**
+   * Render one version of a marker
+   * @private
+   * @param {string} title - Column title
+   * @param {Object|null} marker - Marker, or null if it is not in this export
+   * @param {Object} exportData - Export of the marker
+   * @param {string[]} [changedPhotos=[]] - Photo names added or removed in this version
+   * @returns {string} HTML
+   */
+  _renderVersion (title, marker, exportData, changedPhotos = []) {
+    if (!marker) {
+      return `
+        <div class="version">
+          <h3>${title}</h3>
+          <p class="details-hint">Not in this export</p>
+        </div>
+      `
+    }
+
+    const changed = new Set(changedPhotos.map(name => name.toLowerCase()))
+    const photos = getMarkerPhotos(marker, exportData.photos).map(photo => {
+      const name = photo.fileName || photo.id || ''
+      const src = photo.thumbnailData || photo.imageData
+      const className = changed.has(name.trim().toLowerCase()) ? 'photo photo-changed' : 'photo'
+
+      return `
+        <figure class="${className}">
+          ${src ? `<img src="${this._escape(src)}" alt="${this._escape(name)}">` : '<div class="photo-missing">No image</div>'}
+          <figcaption>${this._escape(name)}</figcaption>
+        </figure>
+      `
+    }).join('')
+
+    const date = marker.createdDate ? new Date(marker.createdDate) : null
+
+    return `
+      <div class="version">
+        <h3>${title}</h3>
+        <dl>
+          <dt>Description</dt>
+          <dd>${this._escape(marker.description || '') || '<span class="details-hint">(none)</span>'}</dd>
+          <dt>Position</dt>
+          <dd>(${Math.round(marker.x)}, ${Math.round(marker.y)})</dd>
+          <dt>Created</dt>
+          <dd>${date && !isNaN(date) ? date.toLocaleString() : '-'}</dd>
+        </dl>
+        <div class="photo-grid">
+          ${photos || '<span class="details-hint">No photos</span>'}
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Escape text for HTML
+   * @private
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  _escape (text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+
+  // ==========================================================================
+  // UI State
+  // ==========================================================================
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError (title, message) {
+    alert(`${title}\n\n${message}`)
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   * @private
+   */
+  _onKeyDown (e) {
+    // Escape: Clear selection
+    if (e.key === 'Escape' && this.state.selected) {
+      this.selectItem(null)
+    }
+  }
+
+  /**
+   * Initialize the export diff view
+   */
+  init () {
+    this.strategySelect.innerHTML = DUPLICATE_STRATEGIES
+      .map(strategy => `<option value="${strategy}"${strategy === 'smart' ? ' selected' : ''}>${strategy}</option>`)
+      .join('')
+
+    this._updateChangesTable()
+    this._updateDetails()
+    console.log('Export Diff initialized')
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Export Transformer UI Controller
+ * Builds Export Transformer CLI commands, previews marker splitting and
+ * splits markers of a loaded export directly in the browser
+ */
+
+/* global alert */
+
+import { getPaths } from '../../shared/utils/config-manager.js'
+import { FileLoader } from '../../shared/utils/file-loader.js'
+import { validateExportFile } from '../../lib/snapspot-data/validator.js'
+import { splitMarkersWithMultiplePhotos, DEFAULT_SPLIT_DESCRIPTION_TEMPLATE } from '../../lib/snapspot-data/splitter.js'
+
+// Number of split markers listed in the preview
+const PREVIEW_LIMIT = 10
+
+class ExportTransformerUI {
+  constructor () {
+    this.exportFilePath = ''
+    this.exportFileName = ''
+    this.exportData = null // Raw export JSON loaded with Browse
+    this.splitResult = null // Result of splitMarkersWithMultiplePhotos for the preview
+
+    this.initElements()
+    this.loadSavedPaths()
+    this.attachEventListeners()
+  }
+
+  initElements () {
+    // Export selection
+    this.exportFilePathInput = document.getElementById('export-file-path')
+    this.exportFileInput = document.getElementById('export-file')
+    this.browseExportBtn = document.getElementById('browse-export-btn')
+    this.exportFileInfo = document.getElementById('export-file-info')
+
+    // Transformations
+    this.splitMarkersCheckbox = document.getElementById('split-markers')
+    this.splitOptions = document.getElementById('split-options')
+    this.splitTemplateInput = document.getElementById('split-template')
+    this.splitPreview = document.getElementById('split-preview')
+
+    this.extractPhotosCheckbox = document.getElementById('extract-photos')
+    this.extractOptions = document.getElementById('extract-options')
+    this.extractDirInput = document.getElementById('extract-dir')
+    this.extractSchemeSelect = document.getElementById('extract-scheme')
+
+    this.removePhotoDataCheckbox = document.getElementById('remove-photo-data')
+
+    // Options
+    this.outputDirInput = document.getElementById('output-dir')
+    this.backupCheckbox = document.getElementById('backup')
+    this.dryRunCheckbox = document.getElementById('dry-run')
+
+    // Command
+    this.generatedCommand = document.getElementById('generated-command')
+    this.copyCommandBtn = document.getElementById('copy-command-btn')
+    this.downloadSplitBtn = document.getElementById('download-split-btn')
+  }
+
+  attachEventListeners () {
+    this.exportFilePathInput.addEventListener('input', () => this.handleExportPathInput())
+    this.browseExportBtn.addEventListener('click', () => this.exportFileInput.click())
+    this.exportFileInput.addEventListener('change', () => this.handleExportFileBrowse())
+
+    this.splitMarkersCheckbox.addEventListener('change', () => this.updateAll())
+    this.splitTemplateInput.addEventListener('input', () => this.updateAll())
+    this.extractPhotosCheckbox.addEventListener('change', () => this.updateAll())
+    this.extractDirInput.addEventListener('input', () => this.updateCommand())
+    this.extractSchemeSelect.addEventListener('change', () => this.updateCommand())
+    this.removePhotoDataCheckbox.addEventListener('change', () => this.updateCommand())
+
+    this.outputDirInput.addEventListener('input', () => this.updateCommand())
+    this.backupCheckbox.addEventListener('change', () => this.updateCommand())
+    this.dryRunCheckbox.addEventListener('change', () => this.updateCommand())
+
+    this.copyCommandBtn.addEventListener('click', () => this.copyCommand())
+    this.downloadSplitBtn.addEventListener('click', () => this.downloadSplitExport())
+  }
+
+  loadSavedPaths () {
+    const paths = getPaths()
+
+    if (paths.exportsDir) {
+      this.exportFilePathInput.value = paths.exportsDir
+      this.exportFilePath = paths.exportsDir
+      this.exportFileInfo.innerHTML = 'Configured base path loaded. <a href="../config/index.html" class="config-link">Change in Configuration →</a>'
+    }
+
+    // Extracted photos go to the photos directory by default
+    if (paths.photosDir) {
+      this.extractDirInput.value = paths.photosDir
+    }
+
+    this.updateAll()
+  }
+
+  handleExportPathInput () {
+    this.exportFilePath = this.exportFilePathInput.value.trim()
+    this.updateCommand()
+  }
+
+  async handleExportFileBrowse () {
+    const file = this.exportFileInput.files[0]
+    if (!file) return
+
+    // Append file name to the configured base path, as in the Photo Finder
+    const basePath = getPaths().exportsDir || ''
+    if (basePath) {
+      const separator = basePath.includes('/') ? '/' : '\\'
+      this.exportFilePath = basePath.endsWith(separator) ? basePath + file.name : basePath + separator + file.name
+    } else {
+      this.exportFilePath = file.name
+    }
+    this.exportFilePathInput.value = this.exportFilePath
+    this.exportFileName = file.name
+
+    try {
+      const exportData = JSON.parse(await FileLoader.loadAsText(file))
+      const validation = validateExportFile(exportData)
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '))
+      }
+
+      this.exportData = exportData
+      this.exportFileInfo.textContent = `✓ ${file.name} - ${exportData.map.name}: ${exportData.markers.length} markers, ${(exportData.photos || []).length} photos`
+      this.exportFileInfo.classList.add('file-selected')
+    } catch (err) {
+      console.error('Error loading export:', err)
+      this.exportData = null
+      this.exportFileInfo.textContent = `Could not load ${file.name} for preview: ${err.message}`
+      this.exportFileInfo.classList.remove('file-selected')
+    }
+
+    this.updateAll()
+  }
+
+  updateAll () {
+    this.splitOptions.classList.toggle('hidden', !this.splitMarkersCheckbox.checked)
+    this.extractOptions.classList.toggle('hidden', !this.extractPhotosCheckbox.checked)
+
+    this.updateSplitPreview()
+    this.updateCommand()
+  }
+
+  getSplitTemplate () {
+    return this.splitTemplateInput.value.trim() || DEFAULT_SPLIT_DESCRIPTION_TEMPLATE
+  }
+
+  updateSplitPreview () {
+    this.splitResult = null
+
+    if (!this.exportData) {
+      this.splitPreview.textContent = 'Load an export to preview the markers that will be split'
+    } else if (this.splitMarkersCheckbox.checked) {
+      this.splitResult = splitMarkersWithMultiplePhotos(this.exportData, { descriptionTemplate: this.getSplitTemplate() })
+      const { exportData, splits, createdCount } = this.splitResult
+
+      if (splits.length === 0) {
+        this.splitPreview.textContent = 'No markers with multiple photos - nothing to split'
+      } else {
+        const markersById = new Map(exportData.markers.map(marker => [marker.id, marker]))
+        const items = splits.slice(0, PREVIEW_LIMIT).map(split => {
+          const descriptions = [split.markerId, ...split.newMarkerIds].map(id => markersById.get(id).description)
+          return `<li>${this.escapeHtml(descriptions.join(', '))}</li>`
+        })
+        const more = splits.length > PREVIEW_LIMIT ? `<li>... and ${splits.length - PREVIEW_LIMIT} more</li>` : ''
+
+        this.splitPreview.innerHTML = `<strong>${splits.length} marker(s) will be split into ${splits.length + createdCount} markers (${exportData.markers.length} in total)</strong><ul>${items.join('')}${more}</ul>`
+      }
+    }
+
+    this.downloadSplitBtn.disabled = !this.splitResult || this.splitResult.createdCount === 0
+  }
+
+  updateCommand () {
+    const transformations = []
+    if (this.splitMarkersCheckbox.checked) transformations.push('split')
+    if (this.extractPhotosCheckbox.checked) transformations.push('extract')
+    if (this.removePhotoDataCheckbox.checked) transformations.push('remove')
+
+    const extractDir = this.extractDirInput.value.trim()
+    const outputDir = this.outputDirInput.value.trim()
+
+    if (!this.exportFilePath || transformations.length === 0) {
+      this.generatedCommand.textContent = 'Enter the export file path and choose at least one transformation to generate command...'
+      this.copyCommandBtn.disabled = true
+      return
+    }
+    if (transformations.includes('extract') && !extractDir) {
+      this.generatedCommand.textContent = 'Enter the photo directory to extract photos to...'
+      this.copyCommandBtn.disabled = true
+      return
+    }
+
+    const parts = ['node tools/export-transformer/export-transformer.js']
+    parts.push(`--export "${this.exportFilePath}"`)
+
+    if (transformations.includes('split')) {
+      parts.push('--split-markers')
+      if (this.getSplitTemplate() !== DEFAULT_SPLIT_DESCRIPTION_TEMPLATE) {
+        parts.push(`--split-description-template "${this.getSplitTemplate().replace(/"/g, '\\"')}"`)
+      }
+    }
+
+    if (transformations.includes('extract')) {
+      parts.push(`--extract-photos "${extractDir}"`)
+      parts.push(`--extract-scheme ${this.extractSchemeSelect.value}`)
+    }
+
+    if (transformations.includes('remove')) {
+      parts.push('--remove-photos')
+    }
+
+    if (outputDir) {
+      parts.push(`--output-dir "${outputDir}"`)
+    }
+    if (!this.backupCheckbox.checked) {
+      parts.push('--no-backup')
+    }
+    if (this.dryRunCheckbox.checked) {
+      parts.push('--dry-run')
+    }
+
+    // Detect Windows paths (backslashes) and use PowerShell syntax
+    const isWindows = [this.exportFilePath, extractDir, outputDir].some(p => p.includes('\\'))
+    const lineContinuation = isWindows ? ' `\n  ' : ' \\\n  '
+
+    this.generatedCommand.textContent = parts.join(lineContinuation)
+    this.copyCommandBtn.disabled = false
+  }
+
+  async copyCommand () {
+    try {
+      await navigator.clipboard.writeText(this.generatedCommand.textContent)
+
+      // Visual feedback
+      const originalText = this.copyCommandBtn.textContent
+      this.copyCommandBtn.textContent = '✓ Copied!'
+      setTimeout(() => {
+        this.copyCommandBtn.textContent = originalText
+      }, 2000)
+    } catch (err) {
+      console.error('Failed to copy command:', err)
+      alert('Failed to copy command. Please copy manually.')
+    }
+  }
+
+  downloadSplitExport () {
+    if (!this.splitResult || this.splitResult.createdCount === 0) return
+
+    const baseName = this.exportFileName.replace(/\.json$/i, '') || 'export'
+    const blob = new Blob([JSON.stringify(this.splitResult.exportData, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `${baseName}_split.json`
+    document.body.appendChild(a)
+    a.click()
+
+    // Cleanup
+    setTimeout(() => {
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+    }, 100)
+  }
+
+  escapeHtml (text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
+
+// Initialize UI when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  const ui = new ExportTransformerUI()
+  // Keep reference to avoid unused variable warning
+  return ui
+})
@@ -0,0 +1,688 @@
+/**
+ * Georeferencer
+ *
+ * Pairs map pixels with latitude/longitude (ground control points), fits a
+ * geotransform with calculateAffineMatrix and stores it in the export's map
+ * metadata. Also downloads the map image with a world file for GIS tools.
+ *
+ * Uses the Map Migrator layout: the map canvas on the left, coordinate
+ * entry on the right, control points table and metrics below.
+ */
+
+/* global confirm, alert */
+
+import { CanvasRenderer } from '../../shared/utils/canvas-helpers.js'
+import { FileLoader } from '../../shared/utils/file-loader.js'
+import { parseExport } from '../../lib/snapspot-data/parser.js'
+import { buildExport } from '../../lib/snapspot-data/writer.js'
+import { getGeoreference } from '../../lib/snapspot-data/georeference.js'
+import {
+  parseLatLon,
+  parseControlPoints,
+  fitGeoTransform,
+  applyGeoTransform,
+  getPixelSize,
+  createWorldFile,
+  getWorldFileExtension
+} from '../../core/transformation/geo-transform.js'
+
+// Control points needed for an affine geotransform
+const MIN_CONTROL_POINTS = 3
+
+// RMSE above this many pixels suggests a misplaced control point
+const RMSE_WARNING_PIXELS = 3
+
+/**
+ * Georeferencer - Main controller class
+ */
+export class Georeferencer {
+  /**
+   * Create a new georeferencer
+   * @param {string} canvasId - ID of the map canvas element
+   */
+  constructor (canvasId) {
+    this.canvas = document.getElementById(canvasId)
+
+    if (!this.canvas) {
+      throw new Error('Canvas element not found')
+    }
+
+    this.renderer = new CanvasRenderer(this.canvas)
+    this.renderer.enablePanZoom()
+
+    // Redraw control points after pan/zoom
+    this.renderer.onRedraw = () => this._drawOverlays()
+
+    // Application state
+    this.state = {
+      exportData: null, // Parsed export (from parseExport)
+      controlPoints: [], // [{ pixel: {x, y}, world: {x, y} }] in map pixels / lon, lat
+      pendingPoint: null, // Clicked map pixel awaiting coordinates
+      georeference: null, // Fitted or loaded georeference
+      residuals: null // Residual in metres per control point, after calculation
+    }
+
+    this._initializeUIElements()
+    this._setupEventListeners()
+    this._resizeCanvas()
+  }
+
+  /**
+   * Initialize DOM element references
+   * @private
+   */
+  _initializeUIElements () {
+    // Map loading
+    this.mapDrop = document.getElementById('map-drop')
+    this.mapFileInput = document.getElementById('map-file-input')
+    this.mapFileBtn = document.getElementById('map-file-btn')
+    this.mapInfo = document.getElementById('map-info')
+    this.mapName = document.getElementById('map-name')
+    this.mapSize = document.getElementById('map-size')
+    this.mapMarkers = document.getElementById('map-markers')
+    this.changeMapBtn = document.getElementById('change-map-btn')
+
+    // Coordinate entry
+    this.pendingPointLabel = document.getElementById('pending-point')
+    this.latLonInput = document.getElementById('latlon-input')
+    this.addPointBtn = document.getElementById('add-point-btn')
+    this.pasteInput = document.getElementById('paste-input')
+    this.addPastedBtn = document.getElementById('add-pasted-btn')
+
+    // Control points table
+    this.pointsTbody = document.getElementById('points-tbody')
+    this.pointCount = document.getElementById('point-count')
+    this.clearPointsBtn = document.getElementById('clear-points')
+
+    // Metrics panel
+    this.metricsPanel = document.getElementById('metrics')
+    this.crsValue = document.getElementById('crs-value')
+    this.rmseValue = document.getElementById('rmse-value')
+    this.pixelSizeValue = document.getElementById('pixel-size-value')
+    this.centerValue = document.getElementById('center-value')
+    this.warningsSection = document.getElementById('warnings')
+    this.warningsList = document.getElementById('warnings-list')
+    this.worldFileDisplay = document.getElementById('world-file-display')
+
+    // Action buttons
+    this.calculateBtn = document.getElementById('calculate-btn')
+    this.exportBtn = document.getElementById('export-btn')
+    this.imageBtn = document.getElementById('image-btn')
+
+    // Help modal
+    this.helpBtn = document.getElementById('help-btn')
+    this.helpModal = document.getElementById('help-modal')
+    this.closeHelpBtn = document.getElementById('close-help')
+  }
+
+  /**
+   * Set up all event listeners
+   * @private
+   */
+  _setupEventListeners () {
+    // Map loading
+    FileLoader.createDropZone(this.mapDrop, (files) => this.loadExport(files[0]))
+    this.mapFileBtn.addEventListener('click', () => this.mapFileInput.click())
+    this.mapFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.loadExport(e.target.files[0])
+      }
+    })
+    this.changeMapBtn.addEventListener('click', () => this._onChangeMap())
+
+    // Control point entry
+    this.canvas.addEventListener('click', (e) => this._onCanvasClick(e))
+    this.addPointBtn.addEventListener('click', () => this._onAddPoint())
+    this.latLonInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        this._onAddPoint()
+      }
+    })
+    this.addPastedBtn.addEventListener('click', () => this._onAddPastedPoints())
+    this.clearPointsBtn.addEventListener('click', () => this._onClearPoints())
+
+    // Delete buttons are created dynamically
+    this.pointsTbody.addEventListener('click', (e) => {
+      if (e.target.classList.contains('btn-delete')) {
+        this._removePoint(parseInt(e.target.dataset.index))
+      }
+    })
+
+    // Actions
+    this.calculateBtn.addEventListener('click', () => this.calculateGeoreference())
+    this.exportBtn.addEventListener('click', () => this.downloadExport())
+    this.imageBtn.addEventListener('click', () => this.downloadImageWithWorldFile())
+
+    // Help modal
+    this.helpBtn.addEventListener('click', () => this.helpModal.classList.remove('hidden'))
+    this.closeHelpBtn.addEventListener('click', () => this.helpModal.classList.add('hidden'))
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => this._onKeyDown(e))
+  }
+
+  /**
+   * Size the canvas like the Map Migrator canvases
+   * @private
+   */
+  _resizeCanvas () {
+    this.canvas.width = 600
+    this.canvas.height = 500
+  }
+
+  // ==========================================================================
+  // Map Loading
+  // ==========================================================================
+
+  /**
+   * Load a SnapSpot export
+   * @param {File} file - Export JSON file
+   */
+  async loadExport (file) {
+    try {
+      if (!file.name.endsWith('.json')) {
+        throw new Error('Map file must be a SnapSpot export (.json)')
+      }
+
+      const text = await FileLoader.loadAsText(file)
+      const exportData = await parseExport(text)
+
+      await this.renderer.renderImage(exportData.mapImage, 'contain')
+
+      // Continue from an earlier georeference
+      const georeference = getGeoreference(exportData.map)
+
+      this.state.exportData = exportData
+      this.state.controlPoints = georeference?.controlPoints ? [...georeference.controlPoints] : []
+      this.state.pendingPoint = null
+      this.state.georeference = georeference
+      this.state.residuals = null
+
+      // Update UI
+      this.mapDrop.style.display = 'none'
+      this.mapInfo.classList.remove('hidden')
+      this.mapName.textContent = exportData.map.name
+      this.mapSize.textContent = `${exportData.map.width} × ${exportData.map.height}px`
+      this.mapMarkers.textContent = exportData.markers.length
+      this.pasteInput.disabled = false
+      this.addPastedBtn.disabled = false
+
+      this._updatePendingPoint()
+      this._updatePointsTable()
+      this.renderer.redraw()
+
+      if (georeference) {
+        this._displayMetrics()
+      } else {
+        this.metricsPanel.classList.add('hidden')
+      }
+      this._updateButtonStates()
+    } catch (error) {
+      console.error('Error loading export:', error)
+      this._showError('Failed to load export', error.message)
+    }
+  }
+
+  /**
+   * Load a different map
+   * @private
+   */
+  _onChangeMap () {
+    if (this.state.controlPoints.length > 0 && !confirm('Load a different map? Control points will be cleared.')) {
+      return
+    }
+
+    this.mapFileInput.value = ''
+    this.mapFileInput.click()
+  }
+
+  // ==========================================================================
+  // Control Points
+  // ==========================================================================
+
+  /**
+   * Scale between canvas image pixels and export map pixels
+   * (SVG maps may render at a different size than the export metadata)
+   * @private
+   * @returns {{x: number, y: number}}
+   */
+  _getMapScale () {
+    const map = this.state.exportData.map
+    return {
+      x: map.width / this.renderer.imageWidth,
+      y: map.height / this.renderer.imageHeight
+    }
+  }
+
+  /**
+   * Pick a map pixel for the next control point
+   * @private
+   */
+  _onCanvasClick (e) {
+    if (!this.state.exportData) return
+
+    // Don't place a point while panning (Ctrl+click or middle button)
+    if (e.ctrlKey || e.button === 1 || this.renderer.isPanning) {
+      return
+    }
+
+    const canvasPoint = this.renderer.screenToCanvas(e.clientX, e.clientY)
+    const scale = this._getMapScale()
+
+    this.state.pendingPoint = {
+      x: Math.max(0, Math.min(this.renderer.imageWidth, canvasPoint.x)) * scale.x,
+      y: Math.max(0, Math.min(this.renderer.imageHeight, canvasPoint.y)) * scale.y
+    }
+
+    this._updatePendingPoint()
+    this.renderer.redraw()
+    this.latLonInput.focus()
+  }
+
+  /**
+   * Show the pending point in the coordinate entry
+   * @private
+   */
+  _updatePendingPoint () {
+    const point = this.state.pendingPoint
+
+    if (point) {
+      this.pendingPointLabel.innerHTML = `<span class="pending">point ? at (${Math.round(point.x)}, ${Math.round(point.y)})</span>`
+    } else {
+      this.pendingPointLabel.textContent = 'the point you click on the map'
+    }
+
+    this.latLonInput.disabled = !point
+    this.addPointBtn.disabled = !point
+  }
+
+  /**
+   * Add the pending point with the entered coordinates
+   * @private
+   */
+  _onAddPoint () {
+    if (!this.state.pendingPoint) return
+
+    let coordinates
+    try {
+      coordinates = parseLatLon(this.latLonInput.value)
+    } catch (error) {
+      this._showError('Invalid coordinates', error.message)
+      return
+    }
+
+    this._addControlPoints([{
+      pixel: this.state.pendingPoint,
+      world: { x: coordinates.lon, y: coordinates.lat }
+    }])
+
+    this.state.pendingPoint = null
+    this.latLonInput.value = ''
+    this._updatePendingPoint()
+  }
+
+  /**
+   * Add pasted control points
+   * @private
+   */
+  _onAddPastedPoints () {
+    const { points, errors } = parseControlPoints(this.pasteInput.value)
+    const { width, height } = this.state.exportData.map
+
+    // Points must lie on the map
+    const onMap = points.filter(point =>
+      point.pixel.x >= 0 && point.pixel.x <= width && point.pixel.y >= 0 && point.pixel.y <= height
+    )
+    if (onMap.length < points.length) {
+      errors.push(`${points.length - onMap.length} point(s) outside the map (${width} × ${height}px) skipped`)
+    }
+
+    if (onMap.length > 0) {
+      this._addControlPoints(onMap)
+      this.pasteInput.value = ''
+    }
+
+    if (errors.length > 0) {
+      this._showError(`Added ${onMap.length} point(s)`, errors.join('\n'))
+    }
+  }
+
+  /**
+   * Add control points and invalidate the georeference
+   * @private
+   */
+  _addControlPoints (points) {
+    this.state.controlPoints.push(...points)
+    this._invalidateGeoreference()
+  }
+
+  /**
+   * Remove a control point
+   * @private
+   */
+  _removePoint (index) {
+    this.state.controlPoints.splice(index, 1)
+    this._invalidateGeoreference()
+  }
+
+  /**
+   * Clear all control points
+   * @private
+   */
+  _onClearPoints () {
+    if (this.state.controlPoints.length === 0) return
+
+    if (confirm('Clear all control points?')) {
+      this.state.controlPoints = []
+      this.state.pendingPoint = null
+      this._updatePendingPoint()
+      this._invalidateGeoreference()
+    }
+  }
+
+  /**
+   * Drop the georeference after control points change
+   * @private
+   */
+  _invalidateGeoreference () {
+    this.state.georeference = null
+    this.state.residuals = null
+
+    this.metricsPanel.classList.add('hidden')
+    this._updatePointsTable()
+    this.renderer.redraw()
+    this._updateButtonStates()
+  }
+
+  /**
+   * Update control points table
+   * @private
+   */
+  _updatePointsTable () {
+    const points = this.state.controlPoints
+
+    if (points.length === 0) {
+      this.pointsTbody.innerHTML = `
+        <tr class="empty-state">
+          <td colspan="6">
+            <div class="empty-message">
+              <p>No control points added yet</p>
+              <p class="empty-hint">Click a recognizable location on the map and enter its latitude and longitude</p>
+            </div>
+          </td>
+        </tr>
+      `
+    } else {
+      this.pointsTbody.innerHTML = points.map((point, index) => {
+        const color = `hsl(${(index * 137.5) % 360}, 70%, 50%)`
+        const residual = this.state.residuals?.[index]
+
+        return `
+          <tr>
+            <td><span class="point-number" style="color: ${color}">●</span> ${index + 1}</td>
+            <td>(${Math.round(point.pixel.x)}, ${Math.round(point.pixel.y)})</td>
+            <td>${point.world.y.toFixed(6)}</td>
+            <td>${point.world.x.toFixed(6)}</td>
+            <td>${residual === undefined ? '-' : `${residual.toFixed(1)}m`}</td>
+            <td>
+              <button class="btn-delete" data-index="${index}" title="Delete this control point">×</button>
+            </td>
+          </tr>
+        `
+      }).join('')
+    }
+
+    this.pointCount.textContent = `(${points.length}/${MIN_CONTROL_POINTS} minimum)`
+    this.clearPointsBtn.disabled = points.length === 0
+  }
+
+  /**
+   * Draw control points and markers over the map
+   * @private
+   */
+  _drawOverlays () {
+    if (!this.state.exportData) return
+
+    const scale = this._getMapScale()
+
+    // Existing markers as small grey dots
+    this.state.exportData.markers.forEach(marker => {
+      this.renderer.drawMarker(marker.x / scale.x, marker.y / scale.y, {
+        color: 'rgba(100, 100, 100, 0.5)',
+        size: 6,
+        opacity: 0.5
+      })
+    })
+
+    this.state.controlPoints.forEach((point, index) => {
+      this.renderer.drawMarker(point.pixel.x / scale.x, point.pixel.y / scale.y, {
+        color: `hsl(${(index * 137.5) % 360}, 70%, 50%)`,
+        size: 20,
+        label: String(index + 1),
+        style: 'crosshair'
+      })
+    })
+
+    if (this.state.pendingPoint) {
+      this.renderer.drawMarker(this.state.pendingPoint.x / scale.x, this.state.pendingPoint.y / scale.y, {
+        color: '#ff9800',
+        size: 20,
+        label: '?',
+        style: 'crosshair'
+      })
+    }
+  }
+
+  // ==========================================================================
+  // Georeference
+  // ==========================================================================
+
+  /**
+   * Fit the geotransform to the control points
+   */
+  calculateGeoreference () {
+    try {
+      const { georeference, residuals, isDegenerate } = fitGeoTransform(this.state.controlPoints)
+
+      if (isDegenerate) {
+        this._showError(
+          'Cannot georeference',
+          'The control points are on a line (on the map or on the ground). Add points spread across the map.'
+        )
+        return
+      }
+
+      this.state.georeference = georeference
+      this.state.residuals = residuals
+
+      this._updatePointsTable()
+      this._displayMetrics()
+      this._updateButtonStates()
+    } catch (error) {
+      console.error('Georeferencing error:', error)
+      this._showError('Georeferencing failed', error.message)
+    }
+  }
+
+  /**
+   * Display georeference metrics and the world file
+   * @private
+   */
+  _displayMetrics () {
+    const { georeference } = this.state
+    const { width, height } = this.state.exportData.map
+
+    const pixelSize = getPixelSize(georeference.transform, { x: width / 2, y: height / 2 }, georeference.crs)
+    const center = applyGeoTransform({ x: width / 2, y: height / 2 }, georeference.transform)
+
+    this.crsValue.textContent = georeference.crs
+    this.pixelSizeValue.textContent = `${pixelSize.x.toFixed(3)} × ${pixelSize.y.toFixed(3)} m`
+    this.centerValue.textContent = `${center.y.toFixed(6)}, ${center.x.toFixed(6)}`
+
+    const warnings = []
+    if (Number.isFinite(georeference.rmse)) {
+      const rmsePixels = georeference.rmse / Math.max(pixelSize.x, pixelSize.y)
+      const rmseClass = rmsePixels < 1 ? 'good' : rmsePixels < RMSE_WARNING_PIXELS ? 'warning' : 'error'
+      this.rmseValue.innerHTML = `<span class="${rmseClass}">${georeference.rmse.toFixed(2)}m</span> (${rmsePixels.toFixed(1)}px)`
+
+      if (rmsePixels >= RMSE_WARNING_PIXELS) {
+        warnings.push('Control points disagree by several pixels - check the points with the largest residuals')
+      }
+    } else {
+      this.rmseValue.textContent = '-'
+    }
+
+    if (georeference.controlPoints?.length === MIN_CONTROL_POINTS) {
+      warnings.push('With exactly 3 control points the fit is always exact - add more points to detect mistakes')
+    }
+
+    this.warningsList.innerHTML = warnings.map(warning => `<li>${warning}</li>`).join('')
+    this.warningsSection.classList.toggle('hidden', warnings.length === 0)
+    this.worldFileDisplay.textContent = createWorldFile(georeference.transform)
+
+    this.metricsPanel.classList.remove('hidden')
+  }
+
+  // ==========================================================================
+  // Downloads
+  // ==========================================================================
+
+  /**
+   * File name for downloads, based on the map name
+   * @private
+   * @returns {string}
+   */
+  _getBaseFilename () {
+    return this.state.exportData.map.name.replace(/[^a-z0-9]/gi, '_')
+  }
+
+  /**
+   * Download the export with the georeference in its map metadata
+   */
+  async downloadExport () {
+    const { exportData, georeference } = this.state
+    if (!georeference) return
+
+    try {
+      this.exportBtn.disabled = true
+
+      const exportObj = await buildExport(
+        { ...exportData.map, georeference },
+        exportData.mapImage,
+        exportData.markers,
+        exportData.photos,
+        {
+          sourceApp: 'SnapSpot Georeferencer',
+          preserveMapId: true
+        }
+      )
+
+      this._downloadFile(JSON.stringify(exportObj, null, 2), `${this._getBaseFilename()}_georeferenced.json`, 'application/json')
+    } catch (error) {
+      console.error('Export error:', error)
+      this._showError('Export failed', error.message)
+    } finally {
+      this._updateButtonStates()
+    }
+  }
+
+  /**
+   * Download the map image with a matching world file
+   */
+  downloadImageWithWorldFile () {
+    const { exportData, georeference } = this.state
+    if (!georeference) return
+
+    const mimeType = exportData.mapImage.type
+    const imageExtension = { 'image/jpeg': 'jpg', 'image/svg+xml': 'svg' }[mimeType] || mimeType.split('/')[1]
+    const baseFilename = this._getBaseFilename()
+
+    this._downloadFile(exportData.mapImage, `${baseFilename}.${imageExtension}`)
+    this._downloadFile(
+      createWorldFile(georeference.transform),
+      `${baseFilename}.${getWorldFileExtension(mimeType)}`,
+      'text/plain'
+    )
+  }
+
+  /**
+   * Download data to user's computer
+   * @private
+   */
+  _downloadFile (data, filename, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type })
+    const url = URL.createObjectURL(blob)
+
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+
+    // Cleanup
+    setTimeout(() => {
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+    }, 100)
+  }
+
+  // ==========================================================================
+  // UI State
+  // ==========================================================================
+
+  /**
+   * Update button states
+   * @private
+   */
+  _updateButtonStates () {
+    const hasGeoreference = this.state.georeference !== null
+
+    this.calculateBtn.disabled = this.state.controlPoints.length < MIN_CONTROL_POINTS
+    this.exportBtn.disabled = !hasGeoreference
+    this.imageBtn.disabled = !hasGeoreference
+  }
+
+  /**
+   * Show error message
+   * @private
+   */
+  _showError (title, message) {
+    alert(`${title}\n\n${message}`)
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   * @private
+   */
+  _onKeyDown (e) {
+    // Ctrl+O: Open export
+    if (e.ctrlKey && e.key === 'o') {
+      e.preventDefault()
+      this.mapFileInput.click()
+    }
+
+    // Ctrl+S: Download georeferenced export
+    if (e.ctrlKey && e.key === 's') {
+      e.preventDefault()
+      if (!this.exportBtn.disabled) {
+        this.downloadExport()
+      }
+    }
+
+    // Escape: Cancel pending point
+    if (e.key === 'Escape' && this.state.pendingPoint) {
+      this.state.pendingPoint = null
+      this._updatePendingPoint()
+      this.renderer.redraw()
+    }
+  }
+
+  /**
+   * Initialize the georeferencer
+   */
+  init () {
+    this._updateButtonStates()
+    console.log('Georeferencer initialized')
+  }
+}
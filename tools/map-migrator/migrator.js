@@ -4,12 +4,62 @@
  * Handles transformation calculation, preview rendering, and export generation.
  */
 
-/* global FileReader, confirm, alert, prompt */
-
-import { calculateAffineMatrix, applyTransform } from '../../core/transformation/affine-transform.js'
-import { calculateRMSE, detectAnomalies } from '../../core/transformation/transform-validator.js'
+/* global FileReader, Option, confirm, alert, prompt */
+
+import {
+  AUTO_TRANSFORM_MODEL,
+  DEFAULT_TRANSFORM_MODEL,
+  getTransformModel,
+  getMinimumPoints,
+  recommendTransformModel
+} from '../../core/transformation/transform-models.js'
+import {
+  calculateRMSE,
+  calculateResiduals,
+  calculateRegionalResiduals,
+  calculateLeaveOneOut,
+  detectAnomalies
+} from '../../core/transformation/transform-validator.js'
+import { buildWarpGrid, drawWarpGrid } from '../../core/transformation/warp-transform.js'
+import { ransacFit } from '../../core/transformation/robust-fit.js'
+import {
+  createTransformProfile,
+  findMatchingProfiles
+} from '../../core/transformation/transform-profile.js'
 import { buildExport } from '../../lib/snapspot-data/writer.js'
-import { mergeExports, getMergeStatistics } from '../../lib/snapspot-data/merger.js'
+import { mergeExports, getMergeStatistics, findMergeCandidates } from '../../lib/snapspot-data/merger.js'
+import { getMarkerPhotos } from '../../lib/snapspot-data/parser.js'
+import {
+  DUPLICATE_STRATEGIES,
+  createSession,
+  parseSession,
+  serializeSession,
+  compareSessionMaps
+} from '../../lib/snapspot-data/session.js'
+import { FileLoader } from '../../shared/utils/file-loader.js'
+import { SessionStore } from './session-store.js'
+import {
+  getProfiles,
+  saveProfile,
+  deleteProfile,
+  importProfiles,
+  exportProfiles
+} from './profile-store.js'
+
+// Delay before autosaving, so bursts of edits are written once
+const AUTOSAVE_DELAY = 1000
+
+// Duplicate strategies offered in the merge review
+const MERGE_STRATEGY_LABELS = {
+  none: 'Add all as new markers (no duplicate detection)',
+  smart: 'Smart (photos → labels → coordinates)',
+  photos: 'Photo filenames (70% match)',
+  label: 'Label/description (case-insensitive)',
+  coordinates: 'Coordinates (within tolerance)'
+}
+
+// Photo thumbnails shown per marker in the merge review
+const MERGE_REVIEW_THUMBNAILS = 3
 
 /**
  * Map Migrator - Main orchestration class
@@ -30,6 +80,20 @@ export class MapMigrator {
 
     // Store last calculated RMSE for smart tolerance calculation
     this.lastCalculatedRMSE = null
+
+    // Quality of the current transformation, saved with profiles
+    this.lastMetrics = null
+
+    // Maps (source|target hash) that matching profiles were already offered for
+    this.profilesOfferedFor = null
+
+    // Session persistence
+    this.sessionStore = new SessionStore()
+    this.pendingSession = null // Loaded session waiting for both maps
+    this.autosaveTimer = null
+
+    // Merge under review (merge mode), see _openMergeReview()
+    this.mergeReview = null
   }
 
   /**
@@ -40,15 +104,40 @@ export class MapMigrator {
     this.calculateBtn = document.getElementById('calculate-btn')
     this.previewBtn = document.getElementById('preview-btn')
     this.exportBtn = document.getElementById('export-btn')
+    this.saveSessionBtn = document.getElementById('save-session-btn')
+    this.loadSessionBtn = document.getElementById('load-session-btn')
+    this.sessionFileInput = document.getElementById('session-file-input')
+    this.profileSelect = document.getElementById('profile-select')
+    this.applyProfileBtn = document.getElementById('apply-profile-btn')
+    this.deleteProfileBtn = document.getElementById('delete-profile-btn')
+    this.saveProfileBtn = document.getElementById('save-profile-btn')
+    this.importProfilesBtn = document.getElementById('import-profiles-btn')
+    this.profilesFileInput = document.getElementById('profiles-file-input')
+    this.exportProfilesBtn = document.getElementById('export-profiles-btn')
 
     this.metricsPanel = document.getElementById('metrics')
+    this.modelValue = document.getElementById('model-value')
     this.rmseValue = document.getElementById('rmse-value')
+    this.cvRmseValue = document.getElementById('cv-rmse-value')
     this.scaleX = document.getElementById('scale-x')
     this.scaleY = document.getElementById('scale-y')
     this.rotation = document.getElementById('rotation')
     this.warningsSection = document.getElementById('warnings')
     this.warningsList = document.getElementById('warnings-list')
     this.matrixDisplay = document.getElementById('matrix-display')
+    this.regionalTbody = document.getElementById('regional-tbody')
+
+    this.mergeReviewSection = document.getElementById('merge-review')
+    this.mergeReviewCount = document.getElementById('merge-review-count')
+    this.mergeStrategySelect = document.getElementById('merge-strategy-select')
+    this.mergeToleranceInput = document.getElementById('merge-tolerance-input')
+    this.mergeReviewHint = document.getElementById('merge-review-hint')
+    this.mergeReviewTbody = document.getElementById('merge-review-tbody')
+    this.mergeReviewSummary = document.getElementById('merge-review-summary')
+    this.mergeAcceptAllBtn = document.getElementById('merge-accept-all')
+    this.mergeRejectAllBtn = document.getElementById('merge-reject-all')
+    this.mergeCancelBtn = document.getElementById('merge-cancel-btn')
+    this.mergeConfirmBtn = document.getElementById('merge-confirm-btn')
   }
 
   /**
@@ -59,12 +148,50 @@ export class MapMigrator {
     this.calculateBtn.addEventListener('click', () => this.calculateTransformation())
     this.previewBtn.addEventListener('click', () => this.togglePreview())
     this.exportBtn.addEventListener('click', () => this.generateMigratedExport())
+    this.saveSessionBtn.addEventListener('click', () => this.saveSession())
+    this.loadSessionBtn.addEventListener('click', () => this.sessionFileInput.click())
+    this.sessionFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.loadSession(e.target.files[0])
+      }
+      e.target.value = '' // Allow loading the same file again
+    })
+    this.applyProfileBtn.addEventListener('click', () => this._onApplyProfile())
+    this.deleteProfileBtn.addEventListener('click', () => this._onDeleteProfile())
+    this.saveProfileBtn.addEventListener('click', () => this.saveAsProfile())
+    this.importProfilesBtn.addEventListener('click', () => this.profilesFileInput.click())
+    this.profilesFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.importProfileFile(e.target.files[0])
+      }
+      e.target.value = ''
+    })
+    this.exportProfilesBtn.addEventListener('click', () => this.exportProfileFile())
+
+    // Merge review
+    DUPLICATE_STRATEGIES.forEach(strategy => {
+      this.mergeStrategySelect.add(new Option(MERGE_STRATEGY_LABELS[strategy], strategy))
+    })
+    this.mergeStrategySelect.addEventListener('change', () => this._updateMergeCandidates())
+    this.mergeToleranceInput.addEventListener('change', () => this._updateMergeCandidates())
+    this.mergeAcceptAllBtn.addEventListener('click', () => this._setAllMergeDecisions(true))
+    this.mergeRejectAllBtn.addEventListener('click', () => this._setAllMergeDecisions(false))
+    this.mergeCancelBtn.addEventListener('click', () => this._closeMergeReview())
+    this.mergeConfirmBtn.addEventListener('click', () => this.completeMerge())
+    this.mergeReviewTbody.addEventListener('change', (e) => this._onMergeDecisionChange(e))
+    this.mergeReviewTbody.addEventListener('click', (e) => {
+      const row = e.target.closest('tr[data-index]')
+      if (row && !e.target.closest('input, select')) {
+        this._selectMergeCandidate(parseInt(row.dataset.index))
+      }
+    })
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => this._onKeyDown(e))
 
     // Listen for state changes from UI controller
     this.ui.onStateReset = () => this._onStateReset()
+    this.ui.onStateChange = () => this._onStateChange()
   }
 
   /**
@@ -74,6 +201,35 @@ export class MapMigrator {
   _onStateReset () {
     // Reset preview button text
     this.previewBtn.textContent = 'Preview Transformed Markers'
+    this.lastMetrics = null
+    this._closeMergeReview()
+    this._updateProfileControls()
+  }
+
+  /**
+   * Handle session-relevant changes from UI controller
+   * @private
+   */
+  _onStateChange () {
+    const state = this.ui.getState()
+    const hasMaps = state.sourceMap !== null && state.targetMap !== null
+
+    this.saveSessionBtn.disabled = !hasMaps
+    this._updateProfileControls()
+
+    // A loaded session is applied as soon as both maps are available
+    if (hasMaps && this.pendingSession) {
+      const session = this.pendingSession
+      this.pendingSession = null
+      this._applySession(session)
+      return
+    }
+
+    if (hasMaps) {
+      this._offerMatchingProfile()
+    }
+
+    this._scheduleAutosave()
   }
 
   /**
@@ -82,10 +238,13 @@ export class MapMigrator {
   async calculateTransformation () {
     try {
       const state = this.ui.getState()
+      const isAuto = state.transformModel === AUTO_TRANSFORM_MODEL
+      const minPoints = getMinimumPoints(state.transformModel)
 
-      // Validate we have enough points
-      if (state.referencePairs.length < 3) {
-        this._showError('Not enough points', 'Please add at least 3 reference point pairs.')
+      // Validate we have enough points for the selected model
+      if (state.referencePairs.length < minPoints) {
+        const modelName = isAuto ? 'Auto' : getTransformModel(state.transformModel).name
+        this._showError('Not enough points', `Please add at least ${minPoints} reference point pairs for the ${modelName} model.`)
         return
       }
 
@@ -105,39 +264,92 @@ export class MapMigrator {
         y: pair.target.y * targetMapHeight
       }))
 
+      // Recommend the model with the best fit vs. complexity trade-off;
+      // in Auto mode it is used, otherwise it is shown next to the choice
+      const { recommended } = recommendTransformModel(sourcePoints, targetPoints)
+      const model = getTransformModel(isAuto ? (recommended || DEFAULT_TRANSFORM_MODEL) : state.transformModel)
+
       // Calculate transformation matrix (in pixel space)
-      const result = calculateAffineMatrix(sourcePoints, targetPoints)
+      // Robust fit excludes outlier pairs from the final solution
+      const result = state.robustFit
+        ? ransacFit(sourcePoints, targetPoints, {
+          modelId: model.id,
+          threshold: state.outlierThreshold
+        })
+        : model.calculate(sourcePoints, targetPoints)
       const matrix = result.matrix
 
-      // Calculate RMSE (convert pairs to pixel space for validation)
-      const pixelPairs = state.referencePairs.map((pair, i) => ({
+      // Convert pairs to pixel space for validation
+      const allPixelPairs = state.referencePairs.map((pair, i) => ({
         source: sourcePoints[i],
         target: targetPoints[i]
       }))
-      const rmse = calculateRMSE(pixelPairs, matrix)
+
+      // Per-pair residuals for the points table
+      const residuals = result.residuals || calculateResiduals(allPixelPairs, matrix, model.apply)
+      const inliers = result.inliers || residuals.map(() => true)
+      this.ui.setPairResiduals(residuals.map((residual, i) => ({
+        residual,
+        isInlier: inliers[i]
+      })))
+
+      // Quality metrics are computed on the pairs used for the fit
+      const pixelPairs = allPixelPairs.filter((pair, i) => inliers[i])
+      const rmse = calculateRMSE(pixelPairs, matrix, model.apply)
+
+      // Prediction error of each fitted pair when left out of the fit
+      const crossValidation = calculateLeaveOneOut(pixelPairs, model.calculate, model.apply)
+      crossValidation.pairIndices = inliers.flatMap((isInlier, i) => isInlier ? [i] : [])
 
       // Store RMSE for smart tolerance calculation in merge mode
       this.lastCalculatedRMSE = rmse
+      this.lastMetrics = {
+        rmse,
+        crossValidatedRmse: Number.isFinite(crossValidation.rmse) ? crossValidation.rmse : null,
+        pointCount: pixelPairs.length
+      }
 
       // Detect anomalies
-      const anomalies = detectAnomalies(matrix)
+      const sourceBounds = { width: sourceMapWidth, height: sourceMapHeight }
+      const anomalies = detectAnomalies(matrix, sourceBounds)
+
+      // Residuals per map quadrant
+      const regions = calculateRegionalResiduals(pixelPairs, matrix, sourceBounds, {
+        transformFn: model.apply
+      })
 
       // Store matrix in state
-      this.ui.setTransformMatrix(matrix)
+      this.ui.setTransformMatrix(matrix, model.id)
 
       // Display metrics
-      this._displayMetrics(matrix, rmse, anomalies, result.determinant)
+      this._displayModel(model, isAuto, recommended)
+      this._displayMetrics(matrix, rmse, anomalies, result.determinant, regions, result.outlierIndices || [], crossValidation)
+      this._updateProfileControls()
     } catch (error) {
       console.error('Error calculating transformation:', error)
       this._showError('Transformation Failed', error.message)
     }
   }
 
+  /**
+   * Display the fitted model and the recommended one
+   * @private
+   */
+  _displayModel (model, isAuto, recommended) {
+    if (isAuto) {
+      this.modelValue.textContent = `${model.name} (auto)`
+    } else if (recommended && recommended !== model.id) {
+      this.modelValue.textContent = `${model.name} (recommended: ${getTransformModel(recommended).name})`
+    } else {
+      this.modelValue.textContent = model.name
+    }
+  }
+
   /**
    * Display transformation metrics
    * @private
    */
-  _displayMetrics (matrix, rmseData, anomalies, determinant) {
+  _displayMetrics (matrix, rmseData, anomalies, determinant, regions = [], outlierIndices = [], crossValidation = null) {
     // Show metrics panel
     this.metricsPanel.classList.remove('hidden')
 
@@ -150,6 +362,9 @@ export class MapMigrator {
     const rmseClass = rmseData < 5 ? 'good' : rmseData < 15 ? 'warning' : 'error'
     this.rmseValue.innerHTML = `<span class="${rmseClass}">${rmseData.toFixed(2)}px</span>`
 
+    // Display cross-validated RMSE with the worst predicted pair
+    this._displayCrossValidation(crossValidation)
+
     // Display scale
     this.scaleX.textContent = scaleX.toFixed(4)
     this.scaleY.textContent = scaleY.toFixed(4)
@@ -167,6 +382,15 @@ export class MapMigrator {
       warnings.push('High RMSE error - point placement may be inaccurate')
     }
 
+    if (crossValidation && crossValidation.rmse !== null && crossValidation.rmse > 15 && crossValidation.rmse > rmseData * 2) {
+      warnings.push('Cross-validated error is much higher than RMSE - the fit depends on individual pairs, add more reference points')
+    }
+
+    if (outlierIndices.length > 0) {
+      const pairNumbers = outlierIndices.map(i => `#${i + 1}`).join(', ')
+      warnings.push(`Outlier pair(s) ${pairNumbers} excluded from the fit - check or remove them in the points table`)
+    }
+
     if (Math.abs(scaleX - scaleY) / Math.max(scaleX, scaleY) > 0.1) {
       warnings.push('Unequal scaling detected - maps may have different aspect ratios')
     }
@@ -192,6 +416,25 @@ export class MapMigrator {
       warnings.push('Degenerate transformation - points may be collinear')
     }
 
+    if (anomalies.hasExtremePerspective) {
+      warnings.push('Extreme perspective detected - check point order or use the Affine model')
+    }
+
+    const { isLocal } = getTransformModel(this.ui.getState().fittedModel)
+
+    for (const region of regions) {
+      if (region.pointCount === 0) {
+        // Local warps only follow the map where there are points to bend through
+        if (isLocal) {
+          warnings.push(`No reference points in ${region.name} region - the warp there is extrapolated`)
+        }
+      } else if (region.rmse > 15) {
+        warnings.push(`High residuals in ${region.name} region (${region.rmse.toFixed(1)}px) - consider a local warp model or check those points`)
+      }
+    }
+
+    this._displayRegionalResiduals(regions)
+
     if (warnings.length > 0) {
       this.warningsSection.style.display = 'block'
       this.warningsList.innerHTML = warnings.map(w => `<li>${w}</li>`).join('')
@@ -200,6 +443,49 @@ export class MapMigrator {
     }
   }
 
+  /**
+   * Display leave-one-out RMSE and the pair that is predicted worst
+   * @private
+   */
+  _displayCrossValidation (crossValidation) {
+    if (!crossValidation || crossValidation.rmse === null) {
+      this.cvRmseValue.textContent = 'n/a (add more points)'
+      return
+    }
+
+    const { rmse, maxError, errors, pairIndices } = crossValidation
+
+    if (!Number.isFinite(rmse)) {
+      this.cvRmseValue.innerHTML = '<span class="error">unstable (degenerate without some pairs)</span>'
+      return
+    }
+
+    const cvClass = rmse < 5 ? 'good' : rmse < 15 ? 'warning' : 'error'
+    const worst = pairIndices[errors.indexOf(maxError)]
+    this.cvRmseValue.innerHTML = `<span class="${cvClass}">${rmse.toFixed(2)}px</span> (worst: #${worst + 1}, ${maxError.toFixed(2)}px)`
+  }
+
+  /**
+   * Display per-region residuals table
+   * @private
+   */
+  _displayRegionalResiduals (regions) {
+    const format = (value) => value === null ? '-' : `${value.toFixed(2)}px`
+
+    this.regionalTbody.innerHTML = regions.map(region => {
+      const rmseClass = region.rmse === null ? '' : region.rmse < 5 ? 'good' : region.rmse < 15 ? 'warning' : 'error'
+      return `
+        <tr>
+          <td>${region.name}</td>
+          <td>${region.pointCount}</td>
+          <td><span class="${rmseClass}">${format(region.rmse)}</span></td>
+          <td>${format(region.maxError)}</td>
+          <td>${format(region.localWarp)}</td>
+        </tr>
+      `
+    }).join('')
+  }
+
   /**
    * Format matrix for display
    * @private
@@ -209,10 +495,17 @@ export class MapMigrator {
     // [a  b  e]
     // [c  d  f]
     // [0  0  1]
+    // Homography matrices {a, ..., h} use [g  h  1] as the last row;
+    // thin-plate splines show their affine component plus the warp size
+    const lastRow = 'g' in matrix
+      ? `[${matrix.g.toExponential(6).padStart(12)}, ${matrix.h.toExponential(6).padStart(12)},            1]`
+      : '[           0,            0,            1]'
+
     return [
       `[${matrix.a.toFixed(6).padStart(12)}, ${matrix.b.toFixed(6).padStart(12)}, ${matrix.e.toFixed(6).padStart(12)}]`,
       `[${matrix.c.toFixed(6).padStart(12)}, ${matrix.d.toFixed(6).padStart(12)}, ${matrix.f.toFixed(6).padStart(12)}]`,
-      '[           0,            0,            1]'
+      lastRow,
+      ...(matrix.controlPoints ? ['', `+ thin-plate spline warp through ${matrix.controlPoints.length} control points`] : [])
     ].join('\n')
   }
 
@@ -256,11 +549,21 @@ export class MapMigrator {
     // Transform and draw all markers
     const markers = state.sourceMap.markers
     const matrix = state.transformMatrix
+    const model = getTransformModel(state.fittedModel)
+    const applyTransform = model.apply
     const sourceMapWidth = state.sourceMap.width
     const sourceMapHeight = state.sourceMap.height
     const targetImageWidth = state.targetMap.width
     const targetImageHeight = state.targetMap.height
 
+    // Local warps: show how the source map grid bends onto the target
+    if (model.isLocal) {
+      drawWarpGrid(renderer, buildWarpGrid(applyTransform, matrix, {
+        width: sourceMapWidth,
+        height: sourceMapHeight
+      }))
+    }
+
     markers.forEach(marker => {
       // Convert from normalized (0-1) to source pixel coordinates
       const sourcePixel = {
@@ -329,6 +632,7 @@ export class MapMigrator {
       // Clone source export
       const sourceExport = state.sourceExport
       const matrix = state.transformMatrix
+      const { apply: applyTransform } = getTransformModel(state.fittedModel)
 
       // Transform all markers
       // Note: markers in state are normalized (0-1), need to convert to pixels for transformation
@@ -390,144 +694,21 @@ export class MapMigrator {
 
       // Check if target is an export (merge mode) or just an image (replace mode)
       if (state.targetMap.isExport && state.targetExport) {
-        // MERGE MODE: Target is an export, merge transformed markers with existing markers
-        console.log('Target is an export - using merge mode')
+        // MERGE MODE: Target is an export, review candidate duplicates before merging
+        console.log('Target is an export - opening merge review')
 
-        // Create a temporary export with transformed markers
+        // Create a temporary export with transformed markers; the source
+        // metadata makes merged markers record the source export as origin
         const transformedExport = {
           map: sourceExport.map,
           markers: transformedMarkers,
           photos: sourceExport.photos || [],
-          metadata: {
-            sourceApp: 'SnapSpot Map Migrator',
-            exportDate: new Date().toISOString()
-          }
-        }
-
-        // Calculate smart tolerance based on transformation RMSE
-        const rmseValue = this.lastCalculatedRMSE || 5
-        const recommendedTolerance = Math.max(5, Math.ceil(rmseValue * 2.5))
-
-        // Ask user for merge strategy
-        const strategyChoice = prompt(
-          'Choose merge strategy:\n\n' +
-          '1 - Add all as new markers (no duplicate detection) [DEFAULT]\n' +
-          '2 - Smart duplicate detection (photos → labels → coordinates)\n' +
-          '3 - Detect by photo filenames (70% match threshold)\n' +
-          '4 - Detect by label/description (case-insensitive)\n' +
-          '5 - Detect by coordinates (uses calculated tolerance)\n\n' +
-          `Note: Transformation RMSE = ${rmseValue.toFixed(2)}px\n` +
-          `Recommended coordinate tolerance = ${recommendedTolerance}px\n\n` +
-          'Enter 1-5 (default is 1):',
-          '1'
-        )
-
-        let duplicateStrategy = 'none'
-        let coordinateTolerance = recommendedTolerance
-        let strategyName = 'Add all as new'
-
-        if (strategyChoice === '2') {
-          duplicateStrategy = 'smart'
-          strategyName = 'Smart (photos → labels → coordinates)'
-        } else if (strategyChoice === '3') {
-          duplicateStrategy = 'photos'
-          strategyName = 'Detect by photo filenames (70% match)'
-        } else if (strategyChoice === '4') {
-          duplicateStrategy = 'label'
-          strategyName = 'Detect by label/description'
-        } else if (strategyChoice === '5') {
-          duplicateStrategy = 'coordinates'
-          const customTolerance = prompt(
-            `Enter coordinate tolerance in pixels:\n(Recommended: ${recommendedTolerance}px based on RMSE)`,
-            recommendedTolerance.toString()
-          )
-          coordinateTolerance = parseInt(customTolerance) || recommendedTolerance
-          strategyName = `Detect by coordinates (${coordinateTolerance}px tolerance)`
-        }
-
-        // Get merge statistics with chosen strategy
-        const stats = getMergeStatistics(state.targetExport, transformedExport, {
-          duplicateStrategy,
-          coordinateTolerance
-        })
-
-        // Show merge preview to user
-        const mergeMessage = `Merge Preview (${strategyName}):\n\n` +
-          `Transformed markers: ${transformedMarkers.length}\n` +
-          `Target markers: ${state.targetExport.markers.length}\n\n` +
-          `Will add ${stats.newMarkers} new marker(s)\n` +
-          `Will merge ${stats.duplicateMarkers} duplicate marker(s)\n` +
-          `Will add ${stats.newPhotos} new photo(s)\n\n` +
-          'Continue with merge?'
-
-        const proceedWithMerge = confirm(mergeMessage)
-        if (!proceedWithMerge) {
-          this.exportBtn.disabled = false
-          this.exportBtn.textContent = 'Generate Export File'
-          return
+          metadata: sourceExport.metadata
         }
 
-        // Perform merge with chosen strategy (returns merged markers/photos, but map still needs proper structure)
-        const mergedData = mergeExports(state.targetExport, transformedExport, {
-          duplicateStrategy,
-          coordinateTolerance,
-          duplicatePhotoStrategy: 'skip',
-          preserveTimestamps: true
-        })
-
-        // Get user-entered metadata
-        const targetMetadata = this.ui.getTargetMetadata()
-
-        // Create map metadata object for buildExport
-        const mergedMapMetadata = {
-          id: state.targetExport.map.id,
-          name: targetMetadata.name,
-          width: state.targetMap.width,
-          height: state.targetMap.height,
-          description: targetMetadata.description || `Merged with ${sourceExport.map.name}`,
-          created: state.targetExport.map.created || state.targetExport.map.createdDate,
-          fileName: state.targetMap.name
-        }
-
-        // Rebuild the export using buildExport to ensure proper JSON format with imageData
-        exportData = await buildExport(
-          mergedMapMetadata,
-          state.targetMap.blob, // Use target map image
-          mergedData.markers,
-          mergedData.photos,
-          {
-            sourceApp: 'SnapSpot Map Migrator',
-            preserveMapId: true
-          }
-        )
-
-        // Add metadata fields that buildExport doesn't handle
-        exportData.map.description = mergedMapMetadata.description
-        exportData.map.fileName = mergedMapMetadata.fileName
-        exportData.map.fileSize = state.targetMap.blob.size
-        exportData.map.fileType = state.targetMap.blob.type
-        exportData.map.isActive = true
-
-        // Convert to JSON string for download
-        const exportJson = JSON.stringify(exportData, null, 2)
-
-        // Generate filename for merged export
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
-        const targetMapName = targetMetadata.name.replace(/[^a-z0-9]/gi, '_')
-        filename = `Snapspot_Migrator_Export_${targetMapName}_${timestamp}.json`
-
-        // Download file
-        this._downloadFile(exportJson, filename)
-
-        // Show success message with merge statistics
-        const successMessage = 'Merge completed successfully!\n\n' +
-          `File: ${filename}\n\n` +
-          `Total markers: ${exportData.markers.length}\n` +
-          `Added: ${stats.newMarkers} new markers\n` +
-          `Merged: ${stats.duplicateMarkers} duplicate markers\n` +
-          `Added: ${stats.newPhotos} new photos`
-
-        alert(successMessage)
+        // The merge runs when the review is confirmed
+        this._openMergeReview(transformedExport)
+        return
       } else {
         // REPLACE MODE: Target is just an image, create new export
         console.log('Target is an image - using replace mode')
@@ -596,6 +777,790 @@ export class MapMigrator {
     }
   }
 
+  // ============================================================================
+  // Merge Review
+  // ============================================================================
+
+  /**
+   * Show the candidate duplicate pairs of a merge for review
+   * @private
+   * @param {Object} transformedExport - Source export with markers in target pixels
+   */
+  _openMergeReview (transformedExport) {
+    // Tolerance for coordinate matching based on transformation RMSE
+    const rmseValue = this.lastCalculatedRMSE || 5
+    const recommendedTolerance = Math.max(5, Math.ceil(rmseValue * 2.5))
+
+    // Offer the options chosen last time (or restored from a session) as defaults
+    const savedOptions = this.ui.getMergeOptions()
+
+    this.mergeReview = {
+      transformedExport,
+      candidates: [],
+      decisions: {}, // Source marker id -> { accept, description: 'target' | 'source' }
+      selectedIndex: null
+    }
+
+    this.mergeStrategySelect.value = savedOptions.duplicateStrategy
+    this.mergeToleranceInput.value = savedOptions.coordinateTolerance ?? recommendedTolerance
+    this.mergeReviewHint.textContent =
+      `Transformation RMSE = ${rmseValue.toFixed(2)}px, recommended coordinate tolerance = ${recommendedTolerance}px. ` +
+      'Click a pair to show it on the target map.'
+
+    this.exportBtn.textContent = 'Generate Export File'
+    this.mergeReviewSection.classList.remove('hidden')
+    this._updateMergeCandidates()
+    this.mergeReviewSection.scrollIntoView({ behavior: 'smooth' })
+  }
+
+  /**
+   * Merge options chosen in the review
+   * @private
+   * @returns {{duplicateStrategy: string, coordinateTolerance: number}}
+   */
+  _getReviewMergeOptions () {
+    const duplicateStrategy = this.mergeStrategySelect.value
+    const coordinateTolerance = parseInt(this.mergeToleranceInput.value) || this.ui.getMergeOptions().coordinateTolerance || 5
+
+    return { duplicateStrategy, coordinateTolerance }
+  }
+
+  /**
+   * Find the candidate pairs for the chosen duplicate strategy
+   * @private
+   */
+  _updateMergeCandidates () {
+    if (!this.mergeReview) return
+
+    const state = this.ui.getState()
+    const options = this._getReviewMergeOptions()
+    const usesCoordinates = options.duplicateStrategy === 'coordinates' || options.duplicateStrategy === 'smart'
+
+    this.mergeToleranceInput.disabled = !usesCoordinates
+    this.mergeReview.candidates = findMergeCandidates(state.targetExport, this.mergeReview.transformedExport, options)
+    this.mergeReview.selectedIndex = null
+
+    // Earlier decisions are kept for pairs found again
+    this.mergeReview.candidates.forEach(({ sourceMarker }) => {
+      if (!this.mergeReview.decisions[sourceMarker.id]) {
+        this.mergeReview.decisions[sourceMarker.id] = { accept: true, description: 'target' }
+      }
+    })
+
+    this._renderMergeReview()
+  }
+
+  /**
+   * Render the candidate pairs, merge preview and canvas overlay
+   * @private
+   */
+  _renderMergeReview () {
+    const state = this.ui.getState()
+    const { candidates, decisions, selectedIndex, transformedExport } = this.mergeReview
+
+    this.mergeReviewCount.textContent = `(${candidates.length} candidate duplicate${candidates.length === 1 ? '' : 's'})`
+
+    // Rows are built as elements since descriptions are user input
+    this.mergeReviewTbody.replaceChildren()
+
+    if (candidates.length === 0) {
+      const row = this.mergeReviewTbody.insertRow()
+      row.className = 'empty-state'
+      const cell = row.insertCell()
+      cell.colSpan = 6
+      cell.innerHTML = `
+        <div class="empty-message">
+          <p>No candidate duplicates</p>
+          <p class="empty-hint">All migrated markers will be added as new markers</p>
+        </div>
+      `
+    }
+
+    candidates.forEach((candidate, index) => {
+      const decision = decisions[candidate.sourceMarker.id]
+      const sameDescription = (candidate.sourceMarker.description || '') === (candidate.targetMarker.description || '')
+
+      const row = this.mergeReviewTbody.insertRow()
+      row.dataset.index = index
+      row.classList.toggle('selected', index === selectedIndex)
+      row.classList.toggle('rejected', !decision.accept)
+
+      const number = row.insertCell()
+      number.className = 'point-number'
+      number.textContent = index + 1
+
+      row.insertCell().append(this._createMergeMarkerCell(candidate.sourceMarker, transformedExport.photos))
+      row.insertCell().append(this._createMergeMarkerCell(candidate.targetMarker, state.targetExport.photos))
+      row.insertCell().textContent = `${candidate.matchedBy} (${candidate.distance.toFixed(1)}px apart)`
+
+      const accept = document.createElement('input')
+      accept.type = 'checkbox'
+      accept.checked = decision.accept
+      accept.dataset.action = 'accept'
+      accept.title = 'Merge the migrated marker into the existing marker (unchecked: add it as a new marker)'
+      row.insertCell().append(accept)
+
+      const description = document.createElement('select')
+      description.className = 'model-select'
+      description.dataset.action = 'description'
+      description.add(new Option('Keep existing', 'target'))
+      description.add(new Option('Use migrated', 'source'))
+      description.value = decision.description
+      description.disabled = !decision.accept || sameDescription
+      description.title = sameDescription ? 'Both markers have the same description' : 'Description of the merged marker'
+      row.insertCell().append(description)
+    })
+
+    // Preview of the merge with the current decisions
+    const stats = getMergeStatistics(state.targetExport, transformedExport, {
+      ...this._getReviewMergeOptions(),
+      matchDecisions: decisions
+    })
+    this.mergeReviewSummary.textContent =
+      `Transformed markers: ${transformedExport.markers.length}, target markers: ${state.targetExport.markers.length}. ` +
+      `Will add ${stats.newMarkers} new marker(s), merge ${stats.duplicateMarkers} duplicate marker(s) ` +
+      `and add ${stats.newPhotos} new photo(s).`
+
+    // Show the pairs on the target canvas (normalized coordinates)
+    const { width, height } = state.targetMap
+    this.ui.setMergeReview({
+      pairs: candidates.map(({ sourceMarker, targetMarker }) => ({
+        source: { x: sourceMarker.x / width, y: sourceMarker.y / height },
+        target: { x: targetMarker.x / width, y: targetMarker.y / height },
+        accepted: decisions[sourceMarker.id].accept
+      })),
+      selectedIndex
+    })
+  }
+
+  /**
+   * Create the description and photo thumbnails of a marker for the review table
+   * @private
+   * @param {Object} marker - Marker
+   * @param {Array<Object>} photos - Photos of the marker's export
+   * @returns {HTMLElement}
+   */
+  _createMergeMarkerCell (marker, photos) {
+    const container = document.createElement('div')
+    container.className = 'merge-marker'
+
+    const description = document.createElement('div')
+    description.className = 'merge-marker-description'
+    description.textContent = marker.description || '(no description)'
+    container.append(description)
+
+    const markerPhotos = getMarkerPhotos(marker, photos)
+    const thumbnails = document.createElement('div')
+    thumbnails.className = 'merge-marker-photos'
+
+    markerPhotos.slice(0, MERGE_REVIEW_THUMBNAILS).forEach(photo => {
+      const src = photo.thumbnailData || photo.imageData
+      if (typeof src !== 'string') return
+
+      const img = document.createElement('img')
+      img.src = src
+      img.alt = photo.fileName || ''
+      img.title = photo.fileName || ''
+      thumbnails.append(img)
+    })
+
+    if (markerPhotos.length > 0) {
+      const count = document.createElement('span')
+      count.className = 'merge-marker-photo-count'
+      count.textContent = `${markerPhotos.length} photo${markerPhotos.length === 1 ? '' : 's'}`
+      thumbnails.append(count)
+    }
+
+    container.append(thumbnails)
+    return container
+  }
+
+  /**
+   * Accept/reject a pair or choose its description
+   * @private
+   */
+  _onMergeDecisionChange (e) {
+    const row = e.target.closest('tr[data-index]')
+    const action = e.target.dataset.action
+    if (!row || !action) return
+
+    const index = parseInt(row.dataset.index)
+    const { sourceMarker } = this.mergeReview.candidates[index]
+    const decision = this.mergeReview.decisions[sourceMarker.id]
+
+    if (action === 'accept') {
+      decision.accept = e.target.checked
+    } else {
+      decision.description = e.target.value
+    }
+
+    this.mergeReview.selectedIndex = index
+    this._renderMergeReview()
+  }
+
+  /**
+   * Accept or reject all pairs
+   * @private
+   * @param {boolean} accept - Accept (merge) all pairs
+   */
+  _setAllMergeDecisions (accept) {
+    if (!this.mergeReview) return
+
+    this.mergeReview.candidates.forEach(({ sourceMarker }) => {
+      this.mergeReview.decisions[sourceMarker.id].accept = accept
+    })
+    this._renderMergeReview()
+  }
+
+  /**
+   * Select a pair and center the target map on it
+   * @private
+   * @param {number} index - Index of the candidate pair
+   */
+  _selectMergeCandidate (index) {
+    const { sourceMarker, targetMarker } = this.mergeReview.candidates[index]
+    const state = this.ui.getState()
+    const renderer = this.ui.getTargetRenderer()
+
+    // Markers are in target map pixels; the canvas image may differ in size
+    const scaleX = renderer.imageWidth / state.targetMap.width
+    const scaleY = renderer.imageHeight / state.targetMap.height
+    const centerX = (sourceMarker.x + targetMarker.x) / 2 * scaleX
+    const centerY = (sourceMarker.y + targetMarker.y) / 2 * scaleY
+    const { zoom } = renderer.state
+
+    renderer.setPan(
+      renderer.canvas.width / 2 - centerX * zoom,
+      renderer.canvas.height / 2 - centerY * zoom
+    )
+
+    this.mergeReview.selectedIndex = index
+    this._renderMergeReview()
+  }
+
+  /**
+   * Close the merge review without merging
+   * @private
+   */
+  _closeMergeReview () {
+    if (!this.mergeReview) return
+
+    this.mergeReview = null
+    this.mergeReviewSection.classList.add('hidden')
+    this.ui.setMergeReview(null)
+
+    this.exportBtn.disabled = !this.ui.getState().transformMatrix
+    this.exportBtn.textContent = 'Generate Export File'
+  }
+
+  /**
+   * Merge with the reviewed decisions and download the merged export
+   */
+  async completeMerge () {
+    if (!this.mergeReview) return
+
+    try {
+      const state = this.ui.getState()
+      const sourceExport = state.sourceExport
+      const { transformedExport, decisions } = this.mergeReview
+      const { duplicateStrategy, coordinateTolerance } = this._getReviewMergeOptions()
+
+      this.mergeConfirmBtn.disabled = true
+      this.mergeConfirmBtn.textContent = 'Merging...'
+
+      // Remember the choice for the next export and the session
+      const savedOptions = this.ui.getMergeOptions()
+      const usesCoordinates = duplicateStrategy === 'coordinates' || duplicateStrategy === 'smart'
+      this.ui.setMergeOptions({
+        duplicateStrategy,
+        coordinateTolerance: usesCoordinates ? coordinateTolerance : savedOptions.coordinateTolerance
+      })
+
+      const mergeOptions = {
+        duplicateStrategy,
+        coordinateTolerance,
+        matchDecisions: decisions
+      }
+      const stats = getMergeStatistics(state.targetExport, transformedExport, mergeOptions)
+
+      // Perform merge with the reviewed decisions (returns merged markers/photos, but map still needs proper structure)
+      const mergedData = mergeExports(state.targetExport, transformedExport, {
+        ...mergeOptions,
+        duplicatePhotoStrategy: 'skip',
+        preserveTimestamps: true
+      })
+
+      // Get user-entered metadata
+      const targetMetadata = this.ui.getTargetMetadata()
+
+      // Create map metadata object for buildExport
+      const mergedMapMetadata = {
+        id: state.targetExport.map.id,
+        name: targetMetadata.name,
+        width: state.targetMap.width,
+        height: state.targetMap.height,
+        description: targetMetadata.description || `Merged with ${sourceExport.map.name}`,
+        created: state.targetExport.map.created || state.targetExport.map.createdDate,
+        fileName: state.targetMap.name
+      }
+
+      // Rebuild the export using buildExport to ensure proper JSON format with imageData
+      const exportData = await buildExport(
+        mergedMapMetadata,
+        state.targetMap.blob, // Use target map image
+        mergedData.markers,
+        mergedData.photos,
+        {
+          sourceApp: 'SnapSpot Map Migrator',
+          preserveMapId: true
+        }
+      )
+
+      // Add metadata fields that buildExport doesn't handle
+      exportData.map.description = mergedMapMetadata.description
+      exportData.map.fileName = mergedMapMetadata.fileName
+      exportData.map.fileSize = state.targetMap.blob.size
+      exportData.map.fileType = state.targetMap.blob.type
+      exportData.map.isActive = true
+
+      // Convert to JSON string for download
+      const exportJson = JSON.stringify(exportData, null, 2)
+
+      // Generate filename for merged export
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
+      const targetMapName = targetMetadata.name.replace(/[^a-z0-9]/gi, '_')
+      const filename = `Snapspot_Migrator_Export_${targetMapName}_${timestamp}.json`
+
+      // Download file
+      this._downloadFile(exportJson, filename)
+      this._closeMergeReview()
+
+      // Show success message with merge statistics
+      const successMessage = 'Merge completed successfully!\n\n' +
+        `File: ${filename}\n\n` +
+        `Total markers: ${exportData.markers.length}\n` +
+        `Added: ${stats.newMarkers} new markers\n` +
+        `Merged: ${stats.duplicateMarkers} duplicate markers\n` +
+        `Added: ${stats.newPhotos} new photos`
+
+      alert(successMessage)
+    } catch (error) {
+      console.error('Error merging exports:', error)
+      this._showError('Merge Failed', error.message)
+    } finally {
+      this.mergeConfirmBtn.disabled = false
+      this.mergeConfirmBtn.textContent = 'Merge & Download'
+    }
+  }
+
+  // ============================================================================
+  // Transform Profiles
+  // ============================================================================
+
+  /**
+   * Profiles that apply to the loaded maps
+   * @private
+   * @returns {Array<Object>} Matching profiles, best first (empty until both maps are loaded)
+   */
+  _getMatchingProfiles () {
+    const state = this.ui.getState()
+    if (!state.sourceMap || !state.targetMap) return []
+
+    return findMatchingProfiles(getProfiles(), {
+      sourceHash: state.sourceMap.imageHash,
+      targetHash: state.targetMap.imageHash
+    })
+  }
+
+  /**
+   * Refresh the profile selector and buttons
+   * @private
+   */
+  _updateProfileControls () {
+    const state = this.ui.getState()
+    const profiles = this._getMatchingProfiles()
+    const selected = this.profileSelect.value
+
+    // Options are built as elements since profile names are user input
+    this.profileSelect.replaceChildren()
+    if (profiles.length === 0) {
+      const hint = state.sourceMap && state.targetMap ? 'No profiles for these maps' : 'Load both maps'
+      this.profileSelect.append(new Option(hint, ''))
+    } else {
+      for (const p of profiles) {
+        const rmse = p.metrics.rmse === null ? '' : `, RMSE ${p.metrics.rmse.toFixed(2)}px`
+        this.profileSelect.append(new Option(`${p.name} (${getTransformModel(p.modelId).name}${rmse})`, p.id))
+      }
+      if (profiles.some(p => p.id === selected)) {
+        this.profileSelect.value = selected
+      }
+    }
+
+    this.profileSelect.disabled = profiles.length === 0
+    this.applyProfileBtn.disabled = profiles.length === 0
+    this.deleteProfileBtn.disabled = profiles.length === 0
+    this.saveProfileBtn.disabled = !state.transformMatrix || !this.lastMetrics || !state.sourceMap?.imageHash
+  }
+
+  /**
+   * Offer the best matching profile once per pair of maps, unless the user
+   * already started placing reference points
+   * @private
+   */
+  _offerMatchingProfile () {
+    const state = this.ui.getState()
+    const mapsKey = `${state.sourceMap.imageHash}|${state.targetMap.imageHash}`
+    if (this.profilesOfferedFor === mapsKey) return
+    this.profilesOfferedFor = mapsKey
+
+    if (state.referencePairs.length > 0 || state.transformMatrix) return
+
+    const [best] = this._getMatchingProfiles()
+    if (!best) return
+
+    const rmse = best.metrics.rmse === null ? 'unknown' : `${best.metrics.rmse.toFixed(2)}px`
+    const apply = confirm(
+      'A saved transform profile matches these maps:\n\n' +
+      `${best.name}\n` +
+      `Model: ${getTransformModel(best.modelId).name}, RMSE: ${rmse}, created ${new Date(best.createdAt).toLocaleDateString()}\n\n` +
+      'Apply it and skip reference point selection?'
+    )
+
+    if (apply) {
+      this.applyProfile(best)
+    }
+  }
+
+  /**
+   * Use a saved profile as the current transformation
+   * @param {Object} profile - Transform profile
+   */
+  applyProfile (profile) {
+    const state = this.ui.getState()
+    const sizeMatches = (size, map) => size.width === map.width && size.height === map.height
+
+    if (!sizeMatches(profile.sourceSize, state.sourceMap) || !sizeMatches(profile.targetSize, state.targetMap)) {
+      this._showError(
+        'Profile does not fit',
+        `Profile "${profile.name}" was saved for a ${profile.sourceSize.width} × ${profile.sourceSize.height}px source and ` +
+        `${profile.targetSize.width} × ${profile.targetSize.height}px target map.`
+      )
+      return
+    }
+
+    const model = getTransformModel(profile.modelId)
+    const { rmse, crossValidatedRmse } = profile.metrics
+
+    this.ui.setTransformMatrix(profile.matrix, profile.modelId)
+    this.ui.setPairResiduals(null)
+    this.lastCalculatedRMSE = rmse
+    this.lastMetrics = { ...profile.metrics }
+
+    // Show the quality recorded when the profile was saved
+    const anomalies = detectAnomalies(profile.matrix, { width: state.sourceMap.width, height: state.sourceMap.height })
+    this.modelValue.textContent = `${model.name} (profile: ${profile.name})`
+    this._displayMetrics(profile.matrix, rmse ?? 0, anomalies, null)
+    if (rmse === null) {
+      this.rmseValue.textContent = 'n/a'
+    }
+    this.cvRmseValue.textContent = crossValidatedRmse === null
+      ? 'n/a'
+      : `${crossValidatedRmse.toFixed(2)}px (when saved)`
+
+    this._updateProfileControls()
+  }
+
+  /**
+   * Save the current transformation as a named profile
+   */
+  saveAsProfile () {
+    try {
+      const state = this.ui.getState()
+      if (!state.transformMatrix || !this.lastMetrics) {
+        this._showError('No transformation', 'Calculate transformation first.')
+        return
+      }
+
+      const name = prompt(
+        'Profile name:',
+        `${state.sourceMap.name} → ${this.ui.getTargetMetadata().name}`
+      )
+      if (name === null || !name.trim()) return
+
+      const profile = createTransformProfile({
+        name,
+        sourceHash: state.sourceMap.imageHash,
+        targetHash: state.targetMap.imageHash,
+        modelId: state.fittedModel,
+        matrix: state.transformMatrix,
+        sourceSize: { width: state.sourceMap.width, height: state.sourceMap.height },
+        targetSize: { width: state.targetMap.width, height: state.targetMap.height },
+        metrics: this.lastMetrics
+      })
+
+      if (getProfiles().some(p => p.name === profile.name) &&
+        !confirm(`A profile named "${profile.name}" already exists. Replace it?`)) {
+        return
+      }
+
+      if (!saveProfile(profile)) {
+        throw new Error('Browser storage is full or unavailable')
+      }
+
+      this._updateProfileControls()
+      this.profileSelect.value = profile.id
+      alert(`Profile "${profile.name}" saved.\n\nIt will be offered whenever this source map is loaded with this target map.`)
+    } catch (error) {
+      console.error('Error saving profile:', error)
+      this._showError('Failed to save profile', error.message)
+    }
+  }
+
+  /**
+   * Apply the profile chosen in the selector
+   * @private
+   */
+  _onApplyProfile () {
+    const profile = this._getMatchingProfiles().find(p => p.id === this.profileSelect.value)
+    if (profile) {
+      this.applyProfile(profile)
+    }
+  }
+
+  /**
+   * Delete the profile chosen in the selector
+   * @private
+   */
+  _onDeleteProfile () {
+    const profile = this._getMatchingProfiles().find(p => p.id === this.profileSelect.value)
+    if (profile && confirm(`Delete profile "${profile.name}"?`)) {
+      deleteProfile(profile.id)
+      this._updateProfileControls()
+    }
+  }
+
+  /**
+   * Import profiles from a profile file
+   * @param {File} file - Profile JSON file
+   */
+  async importProfileFile (file) {
+    try {
+      const count = importProfiles(await FileLoader.loadAsText(file))
+      this._updateProfileControls()
+      alert(`Imported ${count} profile(s).`)
+
+      // Newly imported profiles may match the loaded maps
+      const state = this.ui.getState()
+      if (state.sourceMap && state.targetMap) {
+        this.profilesOfferedFor = null
+        this._offerMatchingProfile()
+      }
+    } catch (error) {
+      console.error('Error importing profiles:', error)
+      this._showError('Failed to import profiles', error.message)
+    }
+  }
+
+  /**
+   * Download all profiles as a profile file
+   */
+  exportProfileFile () {
+    const count = getProfiles().length
+    if (count === 0) {
+      this._showError('No profiles', 'Save a transformation as profile first.')
+      return
+    }
+
+    this._downloadFile(exportProfiles(), 'snapspot-transform-profiles.json')
+  }
+
+  // ============================================================================
+  // Sessions
+  // ============================================================================
+
+  /**
+   * Build a session from the current state
+   * @private
+   * @returns {Object|null} Session, or null until both maps are loaded
+   */
+  _buildSession () {
+    const state = this.ui.getState()
+    if (!state.sourceMap || !state.targetMap) return null
+
+    const { sourceMap, targetMap } = state
+
+    return createSession({
+      source: {
+        imageHash: sourceMap.imageHash,
+        name: sourceMap.name,
+        width: sourceMap.width,
+        height: sourceMap.height
+      },
+      target: {
+        imageHash: targetMap.imageHash,
+        name: targetMap.name,
+        width: targetMap.width,
+        height: targetMap.height,
+        isExport: targetMap.isExport
+      },
+      // Sessions store pixels, state stores normalized (0-1) coordinates
+      referencePairs: state.referencePairs.map(pair => ({
+        source: { x: pair.source.x * sourceMap.width, y: pair.source.y * sourceMap.height },
+        target: { x: pair.target.x * targetMap.width, y: pair.target.y * targetMap.height }
+      })),
+      transform: {
+        model: state.transformModel,
+        robustFit: state.robustFit,
+        outlierThreshold: state.outlierThreshold
+      },
+      mergeOptions: state.mergeOptions,
+      targetMetadata: {
+        name: this.ui.targetNameInput.value.trim(),
+        description: this.ui.targetDescriptionInput.value.trim()
+      }
+    })
+  }
+
+  /**
+   * Download the current session as a JSON file
+   */
+  saveSession () {
+    try {
+      const session = this._buildSession()
+      if (!session) {
+        this._showError('Nothing to save', 'Load the source export and target map first.')
+        return
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
+      const mapName = (session.source.name || 'map').replace(/[^a-z0-9]/gi, '_')
+      this._downloadFile(serializeSession(session), `Snapspot_Migrator_Session_${mapName}_${timestamp}.json`)
+    } catch (error) {
+      console.error('Error saving session:', error)
+      this._showError('Failed to save session', error.message)
+    }
+  }
+
+  /**
+   * Load a session file
+   *
+   * If both maps are loaded the session is applied right away, otherwise
+   * it is applied once they are.
+   *
+   * @param {File} file - Session JSON file
+   */
+  async loadSession (file) {
+    try {
+      const session = parseSession(await FileLoader.loadAsText(file))
+      const state = this.ui.getState()
+
+      if (state.sourceMap && state.targetMap) {
+        this._applySession(session)
+        return
+      }
+
+      this.pendingSession = session
+      alert(
+        'Session loaded.\n\n' +
+        `Now load the source export (${session.source.name || 'unnamed'}) and ` +
+        `the target map (${session.target.name || 'unnamed'}) to resume. ` +
+        `The ${session.referencePairs.length} reference pair(s) will be restored once both are loaded.`
+      )
+    } catch (error) {
+      console.error('Error loading session:', error)
+      this._showError('Failed to load session', error.message)
+    }
+  }
+
+  /**
+   * Apply a session to the loaded maps and recalculate
+   * @private
+   * @param {Object} session - Parsed session
+   */
+  async _applySession (session) {
+    const state = this.ui.getState()
+    const match = compareSessionMaps(session, {
+      sourceHash: state.sourceMap.imageHash,
+      targetHash: state.targetMap.imageHash
+    })
+
+    if (!match.isMatch) {
+      const differing = [
+        match.source === false ? `source (session: ${session.source.name || 'unnamed'})` : null,
+        match.target === false ? `target (session: ${session.target.name || 'unnamed'})` : null
+      ].filter(Boolean).join(' and ')
+
+      const proceed = confirm(
+        `The loaded ${differing} map differs from the one this session was created for.\n\n` +
+        'Reference pairs may not line up. Apply the session anyway?'
+      )
+      if (!proceed) return
+    }
+
+    this.ui.applySession(session)
+
+    if (state.referencePairs.length >= getMinimumPoints(state.transformModel)) {
+      await this.calculateTransformation()
+    }
+  }
+
+  /**
+   * Autosave shortly after the last change
+   * @private
+   */
+  _scheduleAutosave () {
+    clearTimeout(this.autosaveTimer)
+    this.autosaveTimer = setTimeout(() => this._autosave(), AUTOSAVE_DELAY)
+  }
+
+  /**
+   * Save session and loaded files to IndexedDB
+   * @private
+   */
+  async _autosave () {
+    try {
+      const session = this._buildSession()
+      if (!session) return
+
+      const state = this.ui.getState()
+      await this.sessionStore.saveAutosave({
+        session,
+        sourceFile: state.sourceFile,
+        targetFile: state.targetFile
+      })
+    } catch (error) {
+      console.warn('Autosave failed:', error)
+    }
+  }
+
+  /**
+   * Offer to resume the autosaved session from a previous visit
+   * @private
+   */
+  async _offerResume () {
+    const record = await this.sessionStore.loadAutosave()
+    if (!record || !record.session || !record.sourceFile || !record.targetFile) return
+
+    const { session } = record
+    const resume = confirm(
+      'Resume your previous migration session?\n\n' +
+      `Source: ${session.source.name || 'unnamed'}\n` +
+      `Target: ${session.target.name || 'unnamed'}\n` +
+      `Reference pairs: ${session.referencePairs.length}\n` +
+      `Last saved: ${new Date(record.savedAt).toLocaleString()}`
+    )
+
+    if (!resume) {
+      await this.sessionStore.clearAutosave()
+      return
+    }
+
+    // Session is applied by _onStateChange once both maps have loaded
+    this.pendingSession = session
+    await this.ui.handleSourceFileDrop(record.sourceFile)
+    await this.ui.handleTargetFileDrop(record.targetFile)
+  }
+
   /**
    * Convert blob to data URL
    * @private
@@ -679,6 +1644,8 @@ export class MapMigrator {
    * Initialize the migrator
    */
   init () {
+    this._updateProfileControls()
+    this._offerResume()
     console.log('Map Migrator initialized')
   }
 }
@@ -0,0 +1,85 @@
+/**
+ * Transform Profile Store
+ * Keeps saved transform profiles in browser localStorage
+ */
+
+/* global localStorage */
+
+import {
+  parseTransformProfiles,
+  serializeTransformProfiles
+} from '../../core/transformation/transform-profile.js'
+
+const PROFILES_KEY = 'snapspot-transform-profiles'
+
+/**
+ * Get all saved profiles
+ * @returns {Array<Object>} Profiles (empty if none or storage is unreadable)
+ */
+export function getProfiles () {
+  try {
+    const stored = localStorage.getItem(PROFILES_KEY)
+    if (stored) {
+      return parseTransformProfiles(stored)
+    }
+  } catch (err) {
+    console.error('Error reading transform profiles from localStorage:', err)
+  }
+  return []
+}
+
+/**
+ * Replace all saved profiles
+ * @param {Array<Object>} profiles - Profiles to store
+ * @returns {boolean} True if saved
+ */
+function saveProfiles (profiles) {
+  try {
+    localStorage.setItem(PROFILES_KEY, serializeTransformProfiles(profiles))
+    return true
+  } catch (err) {
+    console.error('Error saving transform profiles to localStorage:', err)
+    return false
+  }
+}
+
+/**
+ * Save a profile, replacing an existing profile with the same name
+ * @param {Object} profile - Profile from createTransformProfile()
+ * @returns {boolean} True if saved
+ */
+export function saveProfile (profile) {
+  const profiles = getProfiles().filter(p => p.name !== profile.name)
+  return saveProfiles([...profiles, profile])
+}
+
+/**
+ * Delete a profile
+ * @param {string} profileId - Profile id
+ * @returns {boolean} True if saved
+ */
+export function deleteProfile (profileId) {
+  return saveProfiles(getProfiles().filter(p => p.id !== profileId))
+}
+
+/**
+ * Add profiles from a profile file, replacing profiles with the same id
+ * @param {string} jsonString - Profile file content
+ * @returns {number} Number of imported profiles
+ * @throws {Error} If the file is not a valid profile file
+ */
+export function importProfiles (jsonString) {
+  const imported = parseTransformProfiles(jsonString)
+  const ids = new Set(imported.map(p => p.id))
+
+  saveProfiles([...getProfiles().filter(p => !ids.has(p.id)), ...imported])
+  return imported.length
+}
+
+/**
+ * Export all profiles as a profile file (for sharing or the CLI)
+ * @returns {string} Profile file content
+ */
+export function exportProfiles () {
+  return serializeTransformProfiles(getProfiles())
+}
@@ -0,0 +1,119 @@
+/**
+ * Map Migrator Session Store
+ *
+ * Autosaves the current migration session to IndexedDB, together with the
+ * loaded map files, so work survives closing the browser tab.
+ * Storage is best-effort: if IndexedDB is unavailable, saving silently
+ * does nothing and loading returns null.
+ */
+
+/* global indexedDB */
+
+const DB_NAME = 'snapspot-map-migrator'
+const DB_VERSION = 1
+const STORE_NAME = 'sessions'
+const AUTOSAVE_KEY = 'autosave'
+
+/**
+ * IndexedDB-backed storage for the autosaved session
+ */
+export class SessionStore {
+  constructor () {
+    this.dbPromise = null
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open () {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'))
+          return
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME)
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => { this.dbPromise = null })
+    }
+
+    return this.dbPromise
+  }
+
+  /**
+   * Run a single request against the store
+   * @private
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async _request (mode, operation) {
+    const db = await this._open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = operation(transaction.objectStore(STORE_NAME))
+
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Save the autosave record
+   * @param {Object} record - Autosave record
+   * @param {Object} record.session - Session from createSession()
+   * @param {File|null} record.sourceFile - Loaded source export file
+   * @param {File|null} record.targetFile - Loaded target map or export file
+   * @returns {Promise<boolean>} True if saved
+   */
+  async saveAutosave (record) {
+    try {
+      await this._request('readwrite', store => store.put({
+        ...record,
+        savedAt: new Date().toISOString()
+      }, AUTOSAVE_KEY))
+      return true
+    } catch (error) {
+      console.warn('Could not autosave session:', error)
+      return false
+    }
+  }
+
+  /**
+   * Load the autosave record
+   * @returns {Promise<Object|null>} Record with savedAt, or null if none
+   */
+  async loadAutosave () {
+    try {
+      return (await this._request('readonly', store => store.get(AUTOSAVE_KEY))) || null
+    } catch (error) {
+      console.warn('Could not load autosaved session:', error)
+      return null
+    }
+  }
+
+  /**
+   * Delete the autosave record
+   * @returns {Promise<void>}
+   */
+  async clearAutosave () {
+    try {
+      await this._request('readwrite', store => store.delete(AUTOSAVE_KEY))
+    } catch (error) {
+      console.warn('Could not clear autosaved session:', error)
+    }
+  }
+}
@@ -10,6 +10,20 @@
 import { CanvasRenderer } from '../../shared/utils/canvas-helpers.js'
 import { FileLoader } from '../../shared/utils/file-loader.js'
 import { parseExport } from '../../lib/snapspot-data/parser.js'
+import { DEFAULT_MERGE_OPTIONS } from '../../lib/snapspot-data/session.js'
+import { generateImageHash } from '../../lib/snapspot-image/hasher.js'
+import {
+  TRANSFORM_MODELS,
+  DEFAULT_TRANSFORM_MODEL,
+  AUTO_TRANSFORM_MODEL,
+  getTransformModel,
+  getMinimumPoints
+} from '../../core/transformation/transform-models.js'
+import { buildWarpGrid, drawWarpGrid } from '../../core/transformation/warp-transform.js'
+import { suggestReferencePairs } from '../../core/transformation/feature-matcher.js'
+
+// Longest side of the images used for feature matching (keeps detection fast)
+const MATCHING_MAX_DIMENSION = 1024
 
 /**
  * UI Controller for Map Migrator
@@ -44,14 +58,27 @@ export class UIController {
     // Callback for state reset (notify other components like migrator)
     this.onStateReset = null
 
+    // Callback for changes worth saving in a session (maps, pairs, settings)
+    this.onStateChange = null
+
     // Application state
     this.state = {
       sourceExport: null,
-      sourceMap: null, // { blob, width, height }
-      targetMap: null, // { blob, width, height, name }
+      sourceFile: null, // Loaded file, kept for session autosave
+      sourceMap: null, // { blob, width, height, imageHash }
+      targetFile: null,
+      targetMap: null, // { blob, width, height, name, imageHash }
       referencePairs: [], // [{ source: {x, y}, target: {x, y} }]
+      suggestedPairs: [], // [{ source: {x, y}, target: {x, y}, confidence }] from feature matching, awaiting review
       transformMatrix: null,
+      transformModel: DEFAULT_TRANSFORM_MODEL, // Key of TRANSFORM_MODELS or AUTO_TRANSFORM_MODEL
+      fittedModel: null, // Model id transformMatrix was calculated with (resolves 'auto')
+      robustFit: false, // Use RANSAC outlier rejection
+      outlierThreshold: 10, // RANSAC inlier threshold in target pixels
+      pairResiduals: null, // [{ residual, isInlier }] per reference pair, after calculation
+      mergeOptions: { ...DEFAULT_MERGE_OPTIONS }, // Last merge choices, offered again on export
       previewActive: false,
+      mergeReview: null, // { pairs: [{ source: {x, y}, target: {x, y}, accepted }], selectedIndex } while reviewing a merge
       nextClickTarget: 'source', // 'source' or 'target'
       pendingSourcePoint: null // Store incomplete pair
     }
@@ -100,6 +127,20 @@ export class UIController {
     this.pointsTbody = document.getElementById('points-tbody')
     this.pointCount = document.getElementById('point-count')
     this.clearPointsBtn = document.getElementById('clear-points')
+    this.suggestPointsBtn = document.getElementById('suggest-points')
+    this.modelSelect = document.getElementById('model-select')
+
+    // Populate model selector from the transformation model registry
+    this.modelSelect.innerHTML =
+      `<option value="${AUTO_TRANSFORM_MODEL}" title="Pick the simplest model that fits the reference pairs">Auto (${getMinimumPoints(AUTO_TRANSFORM_MODEL)}+ points)</option>` +
+      Object.values(TRANSFORM_MODELS)
+        .map(model => `<option value="${model.id}" title="${model.description}">${model.name} (${model.minPoints}+ points)</option>`)
+        .join('')
+    this.modelSelect.value = this.state.transformModel
+
+    // Robust fitting options
+    this.robustFitCheckbox = document.getElementById('robust-fit')
+    this.outlierThresholdInput = document.getElementById('outlier-threshold')
 
     // Metrics panel
     this.metricsPanel = document.getElementById('metrics')
@@ -142,12 +183,22 @@ export class UIController {
 
     // Point management
     this.clearPointsBtn.addEventListener('click', () => this._onClearPoints())
+    this.suggestPointsBtn.addEventListener('click', () => this._onSuggestPoints())
+    this.modelSelect.addEventListener('change', () => this._onModelChange())
+    this.robustFitCheckbox.addEventListener('change', () => this._onRobustFitChange())
+    this.outlierThresholdInput.addEventListener('change', () => this._onRobustFitChange())
+    this.targetNameInput.addEventListener('change', () => this._notifyStateChange())
+    this.targetDescriptionInput.addEventListener('change', () => this._notifyStateChange())
 
     // Use event delegation for delete buttons since they're dynamically created
     this.pointsTbody.addEventListener('click', (e) => {
       if (e.target.classList.contains('btn-delete')) {
         const index = parseInt(e.target.dataset.index)
         this._removePoint(index)
+      } else if (e.target.classList.contains('btn-accept')) {
+        this._acceptSuggestion(parseInt(e.target.dataset.index))
+      } else if (e.target.classList.contains('btn-reject')) {
+        this._rejectSuggestion(parseInt(e.target.dataset.index))
       }
     })
 
@@ -284,11 +335,13 @@ export class UIController {
 
       // Store in state
       this.state.sourceExport = exportData
+      this.state.sourceFile = file
       this.state.sourceMap = {
         blob: mapImage,
         width: actualWidth,
         height: actualHeight,
         name: exportData.map.name,
+        imageHash: exportData.map.hash || null,
         markers: normalizedMarkers
       }
 
@@ -317,6 +370,8 @@ export class UIController {
 
       // Update canvas cursor
       this._updateCanvasCursors()
+      this._updateButtonStates()
+      this._notifyStateChange()
     } catch (error) {
       console.error('Error loading source file:', error)
       this._showError('Failed to load source file', error.message)
@@ -341,8 +396,12 @@ export class UIController {
         throw new Error('Target file must be an image or a SnapSpot export (.json)')
       }
 
+      this.state.targetFile = file
+
       // Update canvas cursor
       this._updateCanvasCursors()
+      this._updateButtonStates()
+      this._notifyStateChange()
     } catch (error) {
       console.error('Error loading target file:', error)
       this._showError('Failed to load target file', error.message)
@@ -386,6 +445,7 @@ export class UIController {
       width: actualWidth,
       height: actualHeight,
       name: exportData.map.name,
+      imageHash: exportData.map.hash || null,
       markers: normalizedMarkers,
       isExport: true // Flag to indicate this is an export, not just an image
     }
@@ -419,6 +479,14 @@ export class UIController {
     // Get image dimensions
     const dimensions = await this._getImageDimensions(blob)
 
+    // Hash identifies the map in saved sessions (needs a secure context)
+    let imageHash = null
+    try {
+      imageHash = await generateImageHash(blob)
+    } catch (error) {
+      console.warn('Could not hash target image:', error)
+    }
+
     // Store in state
     this.state.targetExport = null // Clear any previous export
     this.state.targetMap = {
@@ -426,6 +494,7 @@ export class UIController {
       width: dimensions.width,
       height: dimensions.height,
       name: file.name,
+      imageHash,
       markers: [], // No markers for plain image
       isExport: false
     }
@@ -556,6 +625,53 @@ export class UIController {
     if (this.state.previewActive) {
       this._drawPreviewMarkers()
     }
+
+    // Candidate duplicate pairs while reviewing a merge
+    if (this.state.mergeReview) {
+      this._drawMergeReview()
+    }
+  }
+
+  /**
+   * Draw candidate duplicate pairs of the merge review on target canvas
+   * @private
+   */
+  _drawMergeReview () {
+    const renderer = this.targetRenderer
+    const { pairs, selectedIndex } = this.state.mergeReview
+
+    pairs.forEach((pair, index) => {
+      const source = { x: pair.source.x * renderer.imageWidth, y: pair.source.y * renderer.imageHeight }
+      const target = { x: pair.target.x * renderer.imageWidth, y: pair.target.y * renderer.imageHeight }
+      const isSelected = index === selectedIndex
+      const opacity = isSelected ? 1.0 : 0.6
+
+      // Accepted pairs are joined, rejected pairs crossed out in grey
+      renderer.drawLine(source.x, source.y, target.x, target.y, {
+        color: pair.accepted ? '#4CAF50' : '#9e9e9e',
+        width: isSelected ? 3 : 1.5,
+        opacity
+      })
+
+      // Existing marker (blue) and migrated marker (orange)
+      renderer.drawMarker(target.x, target.y, {
+        color: 'rgba(50, 100, 200, 1)',
+        size: 14,
+        label: String(index + 1),
+        opacity
+      })
+      renderer.drawMarker(source.x, source.y, {
+        color: pair.accepted ? '#ff9800' : '#9e9e9e',
+        size: 14,
+        label: String(index + 1),
+        opacity
+      })
+
+      if (isSelected) {
+        renderer.highlightMarker(target.x, target.y, 14)
+        renderer.highlightMarker(source.x, source.y, 14)
+      }
+    })
   }
 
   /**
@@ -572,55 +688,63 @@ export class UIController {
     const targetImageWidth = this.state.targetMap.width
     const targetImageHeight = this.state.targetMap.height
 
-    // Import applyTransform
-    import('../../core/transformation/affine-transform.js').then(({ applyTransform }) => {
-      markers.forEach(marker => {
-        // Convert from normalized (0-1) to source pixel coordinates
-        const sourcePixel = {
-          x: marker.x * sourceMapWidth,
-          y: marker.y * sourceMapHeight
-        }
+    const model = getTransformModel(this.state.fittedModel)
+    const applyTransform = model.apply
 
-        // Transform marker position (result is in target pixel coordinates)
-        // drawMarker expects image pixel coordinates, not canvas coordinates
-        const transformed = applyTransform(sourcePixel, matrix)
+    // Draw warped grid for local models (drawn first so markers stay on top)
+    if (model.isLocal) {
+      drawWarpGrid(this.targetRenderer, buildWarpGrid(applyTransform, matrix, {
+        width: sourceMapWidth,
+        height: sourceMapHeight
+      }))
+    }
 
-        // Draw transformed marker (pass image pixels directly)
-        this.targetRenderer.drawMarker(transformed.x, transformed.y, {
-          color: 'rgba(255, 0, 0, 0.5)',
-          size: 6,
-          opacity: 0.5
-        })
-      })
+    markers.forEach(marker => {
+      // Convert from normalized (0-1) to source pixel coordinates
+      const sourcePixel = {
+        x: marker.x * sourceMapWidth,
+        y: marker.y * sourceMapHeight
+      }
 
-      // Draw error vectors for reference points
-      this.state.referencePairs.forEach((pair, index) => {
-        // Convert source from normalized to pixels
-        const sourcePixel = {
-          x: pair.source.x * sourceMapWidth,
-          y: pair.source.y * sourceMapHeight
-        }
+      // Transform marker position (result is in target pixel coordinates)
+      // drawMarker expects image pixel coordinates, not canvas coordinates
+      const transformed = applyTransform(sourcePixel, matrix)
 
-        // Transform source point (result is in target pixel coordinates)
-        const transformed = applyTransform(sourcePixel, matrix)
-
-        // Convert target from normalized to image pixels
-        const targetPixelX = pair.target.x * targetImageWidth
-        const targetPixelY = pair.target.y * targetImageHeight
-
-        // Draw error line (drawLine also expects image pixel coordinates)
-        this.targetRenderer.drawLine(
-          transformed.x,
-          transformed.y,
-          targetPixelX,
-          targetPixelY,
-          {
-            color: 'rgba(255, 0, 0, 0.7)',
-            width: 1.5
-          }
-        )
+      // Draw transformed marker (pass image pixels directly)
+      this.targetRenderer.drawMarker(transformed.x, transformed.y, {
+        color: 'rgba(255, 0, 0, 0.5)',
+        size: 6,
+        opacity: 0.5
       })
     })
+
+    // Draw error vectors for reference points
+    this.state.referencePairs.forEach((pair, index) => {
+      // Convert source from normalized to pixels
+      const sourcePixel = {
+        x: pair.source.x * sourceMapWidth,
+        y: pair.source.y * sourceMapHeight
+      }
+
+      // Transform source point (result is in target pixel coordinates)
+      const transformed = applyTransform(sourcePixel, matrix)
+
+      // Convert target from normalized to image pixels
+      const targetPixelX = pair.target.x * targetImageWidth
+      const targetPixelY = pair.target.y * targetImageHeight
+
+      // Draw error line (drawLine also expects image pixel coordinates)
+      this.targetRenderer.drawLine(
+        transformed.x,
+        transformed.y,
+        targetPixelX,
+        targetPixelY,
+        {
+          color: 'rgba(255, 0, 0, 0.7)',
+          width: 1.5
+        }
+      )
+    })
   }
 
   /**
@@ -696,6 +820,18 @@ export class UIController {
       })
     })
 
+    // Draw suggested pairs awaiting review
+    this.state.suggestedPairs.forEach((pair, index) => {
+      const point = canvasType === 'source' ? pair.source : pair.target
+
+      renderer.drawMarker(point.x * renderer.imageWidth, point.y * renderer.imageHeight, {
+        color: '#ff9800',
+        size: 14,
+        label: `S${index + 1}`,
+        opacity: 0.8
+      })
+    })
+
     // Draw pending source point if exists
     if (canvasType === 'source' && this.state.pendingSourcePoint) {
       const canvasX = this.state.pendingSourcePoint.x * renderer.imageWidth
@@ -720,8 +856,8 @@ export class UIController {
       return
     }
 
-    if (this.state.previewActive) {
-      return // Disable during preview
+    if (this.state.previewActive || this.state.mergeReview) {
+      return // Disable during preview and merge review
     }
 
     // Don't place marker if user is panning (Ctrl+click or middle button)
@@ -769,8 +905,8 @@ export class UIController {
       return
     }
 
-    if (this.state.previewActive) {
-      return // Disable during preview
+    if (this.state.previewActive || this.state.mergeReview) {
+      return // Disable during preview and merge review
     }
 
     // Don't place marker if user is panning (Ctrl+click or middle button)
@@ -810,6 +946,7 @@ export class UIController {
 
     // Add to pairs
     this.state.referencePairs.push(pair)
+    this.state.pairResiduals = null
     this.state.pendingSourcePoint = null
     this.state.nextClickTarget = 'source'
 
@@ -819,6 +956,7 @@ export class UIController {
     this._renderTargetMap()
     this._updateCanvasCursors()
     this._updateButtonStates()
+    this._notifyStateChange()
   }
 
   /**
@@ -831,14 +969,14 @@ export class UIController {
     // Clear table
     tbody.innerHTML = ''
 
-    if (this.state.referencePairs.length === 0) {
+    if (this.state.referencePairs.length === 0 && this.state.suggestedPairs.length === 0) {
       // Show empty state
       tbody.innerHTML = `
         <tr class="empty-state">
-          <td colspan="4">
+          <td colspan="5">
             <div class="empty-message">
               <p>No reference points added yet</p>
-              <p class="empty-hint">Click on matching locations in both maps to create point pairs</p>
+              <p class="empty-hint">Click on matching locations in both maps to create point pairs, or use Suggest Points</p>
             </div>
           </td>
         </tr>
@@ -851,10 +989,22 @@ export class UIController {
         const hue = (index * 137.5) % 360
         const color = `hsl(${hue}, 70%, 50%)`
 
+        // Residual after calculation; outliers are highlighted so they can be removed
+        const fit = this.state.pairResiduals?.[index]
+        let residualCell = '-'
+        if (fit) {
+          residualCell = Number.isFinite(fit.residual) ? `${fit.residual.toFixed(1)}px` : '∞'
+          if (!fit.isInlier) {
+            row.classList.add('outlier')
+            residualCell += ' <span class="outlier-badge" title="Likely misplaced - consider removing this pair">outlier</span>'
+          }
+        }
+
         row.innerHTML = `
           <td><span class="point-number" style="color: ${color}">●</span> ${index + 1}</td>
           <td>(${Math.round(pair.source.x * (this.state.sourceMap?.width || 1))}, ${Math.round(pair.source.y * (this.state.sourceMap?.height || 1))})</td>
           <td>(${Math.round(pair.target.x * (this.state.targetMap?.width || 1))}, ${Math.round(pair.target.y * (this.state.targetMap?.height || 1))})</td>
+          <td>${residualCell}</td>
           <td>
             <button class="btn-delete" data-index="${index}" title="Delete this point pair">×</button>
           </td>
@@ -862,14 +1012,34 @@ export class UIController {
 
         tbody.appendChild(row)
       })
+
+      // Suggestions from feature matching, reviewed one by one
+      this.state.suggestedPairs.forEach((pair, index) => {
+        const row = document.createElement('tr')
+        row.classList.add('suggested')
+
+        row.innerHTML = `
+          <td><span class="point-number suggestion-number">○</span> S${index + 1}</td>
+          <td>(${Math.round(pair.source.x * (this.state.sourceMap?.width || 1))}, ${Math.round(pair.source.y * (this.state.sourceMap?.height || 1))})</td>
+          <td>(${Math.round(pair.target.x * (this.state.targetMap?.width || 1))}, ${Math.round(pair.target.y * (this.state.targetMap?.height || 1))})</td>
+          <td><span class="confidence-badge" title="Match confidence">${Math.round(pair.confidence * 100)}%</span></td>
+          <td>
+            <button class="btn-accept" data-index="${index}" title="Accept this suggested pair">✓</button>
+            <button class="btn-reject" data-index="${index}" title="Reject this suggested pair">×</button>
+          </td>
+        `
+
+        tbody.appendChild(row)
+      })
     }
 
     // Update count
     const count = this.state.referencePairs.length
-    this.pointCount.textContent = `(${count}/3 minimum)`
+    const minPoints = getMinimumPoints(this.state.transformModel)
+    this.pointCount.textContent = `(${count}/${minPoints} minimum)`
 
     // Update clear button
-    this.clearPointsBtn.disabled = count === 0
+    this.clearPointsBtn.disabled = count === 0 && this.state.suggestedPairs.length === 0
   }
 
   /**
@@ -878,12 +1048,14 @@ export class UIController {
    */
   _removePoint (index) {
     this.state.referencePairs.splice(index, 1)
+    this.state.pairResiduals = null
 
     // Update UI
     this._updatePointsTable()
     this._renderSourceMap()
     this._renderTargetMap()
     this._updateButtonStates()
+    this._notifyStateChange()
   }
 
   /**
@@ -891,13 +1063,16 @@ export class UIController {
    * @private
    */
   _onClearPoints () {
-    if (this.state.referencePairs.length === 0) return
+    if (this.state.referencePairs.length === 0 && this.state.suggestedPairs.length === 0) return
 
     if (confirm('Clear all reference points?')) {
       this.state.referencePairs = []
+      this.state.suggestedPairs = []
+      this.state.pairResiduals = null
       this.state.pendingSourcePoint = null
       this.state.nextClickTarget = 'source'
       this.state.transformMatrix = null
+      this.state.fittedModel = null
       this.state.previewActive = false
 
       // Update UI
@@ -912,6 +1087,145 @@ export class UIController {
       if (this.onStateReset) {
         this.onStateReset()
       }
+      this._notifyStateChange()
+    }
+  }
+
+  /**
+   * Detect and match features in both maps to suggest reference pairs
+   * @private
+   */
+  async _onSuggestPoints () {
+    if (!this.state.sourceMap || !this.state.targetMap) return
+
+    const label = this.suggestPointsBtn.textContent
+    this.suggestPointsBtn.disabled = true
+    this.suggestPointsBtn.textContent = 'Matching...'
+
+    try {
+      // Let the button repaint before the (blocking) matching starts
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      const sourceImage = this.sourceRenderer.getImageData(MATCHING_MAX_DIMENSION)
+      const targetImage = this.targetRenderer.getImageData(MATCHING_MAX_DIMENSION)
+
+      // Verify matches with the selected model ('auto' has no model of its own yet)
+      const modelId = this.state.transformModel === AUTO_TRANSFORM_MODEL
+        ? DEFAULT_TRANSFORM_MODEL
+        : this.state.transformModel
+
+      const suggestions = suggestReferencePairs(sourceImage, targetImage, { modelId })
+
+      // Store normalized (0-1) like the reference pairs
+      this.state.suggestedPairs = suggestions.map(s => ({
+        source: { x: s.source.x / sourceImage.width, y: s.source.y / sourceImage.height },
+        target: { x: s.target.x / targetImage.width, y: s.target.y / targetImage.height },
+        confidence: s.confidence
+      }))
+
+      if (suggestions.length === 0) {
+        this._showError('No matches found', 'Could not find matching features in both maps. Please place reference points manually.')
+      }
+
+      this._updatePointsTable()
+      this._renderSourceMap()
+      this._renderTargetMap()
+    } catch (error) {
+      console.error('Error suggesting points:', error)
+      this._showError('Point suggestion failed', error.message)
+    } finally {
+      this.suggestPointsBtn.textContent = label
+      this._updateButtonStates()
+    }
+  }
+
+  /**
+   * Accept a suggested pair as reference pair
+   * @private
+   */
+  _acceptSuggestion (index) {
+    const [pair] = this.state.suggestedPairs.splice(index, 1)
+    if (!pair) return
+
+    this.state.referencePairs.push({ source: pair.source, target: pair.target })
+    this.state.pairResiduals = null
+
+    // Update UI
+    this._updatePointsTable()
+    this._renderSourceMap()
+    this._renderTargetMap()
+    this._updateButtonStates()
+    this._notifyStateChange()
+  }
+
+  /**
+   * Discard a suggested pair
+   * @private
+   */
+  _rejectSuggestion (index) {
+    this.state.suggestedPairs.splice(index, 1)
+
+    // Update UI
+    this._updatePointsTable()
+    this._renderSourceMap()
+    this._renderTargetMap()
+  }
+
+  /**
+   * Handle transformation model change
+   * @private
+   */
+  _onModelChange () {
+    this.state.transformModel = this.modelSelect.value
+    this._invalidateTransform()
+  }
+
+  /**
+   * Handle robust fit option changes
+   * @private
+   */
+  _onRobustFitChange () {
+    const threshold = parseFloat(this.outlierThresholdInput.value)
+
+    this.state.robustFit = this.robustFitCheckbox.checked
+    this.state.outlierThreshold = threshold > 0 ? threshold : 10
+    this.outlierThresholdInput.value = this.state.outlierThreshold
+    this.outlierThresholdInput.disabled = !this.state.robustFit
+    this._invalidateTransform()
+  }
+
+  /**
+   * Discard the calculated transformation after fit settings change
+   * Any calculated transformation belongs to the previous settings.
+   * @private
+   */
+  _invalidateTransform () {
+    this.state.transformMatrix = null
+    this.state.fittedModel = null
+    this.state.pairResiduals = null
+    this.state.previewActive = false
+
+    // Update UI
+    this._updatePointsTable()
+    this._renderTargetMap()
+    this._updateCanvasCursors()
+    this._updateButtonStates()
+    this._hideMetrics()
+
+    // Notify other components of state reset
+    if (this.onStateReset) {
+      this.onStateReset()
+    }
+    this._notifyStateChange()
+  }
+
+  /**
+   * Notify listeners of a change that belongs in the saved session
+   * @private
+   */
+  _notifyStateChange () {
+    if (this.onStateChange) {
+      this.onStateChange()
     }
   }
 
@@ -942,9 +1256,12 @@ export class UIController {
    * @private
    */
   _updateButtonStates () {
-    const hasEnoughPoints = this.state.referencePairs.length >= 3
+    const minPoints = getMinimumPoints(this.state.transformModel)
+    const hasEnoughPoints = this.state.referencePairs.length >= minPoints
     const hasTransform = this.state.transformMatrix !== null
+    const hasMaps = this.state.sourceMap !== null && this.state.targetMap !== null
 
+    this.suggestPointsBtn.disabled = !hasMaps
     this.calculateBtn.disabled = !hasEnoughPoints
     this.previewBtn.disabled = !hasTransform
     this.exportBtn.disabled = !hasTransform
@@ -1034,11 +1351,15 @@ export class UIController {
 
     // Clear all state
     this.state.sourceExport = null
+    this.state.sourceFile = null
     this.state.sourceMap = null
     this.state.referencePairs = []
+    this.state.suggestedPairs = []
+    this.state.pairResiduals = null
     this.state.pendingSourcePoint = null
     this.state.nextClickTarget = 'source'
     this.state.transformMatrix = null
+    this.state.fittedModel = null
     this.state.previewActive = false
 
     // Reset UI
@@ -1056,6 +1377,7 @@ export class UIController {
     if (this.onStateReset) {
       this.onStateReset()
     }
+    this._notifyStateChange()
   }
 
   /**
@@ -1072,11 +1394,15 @@ export class UIController {
 
     // Clear target state
     this.state.targetExport = null
+    this.state.targetFile = null
     this.state.targetMap = null
     this.state.referencePairs = []
+    this.state.suggestedPairs = []
+    this.state.pairResiduals = null
     this.state.pendingSourcePoint = null
     this.state.nextClickTarget = 'source'
     this.state.transformMatrix = null
+    this.state.fittedModel = null
     this.state.previewActive = false
 
     // Reset UI
@@ -1094,6 +1420,7 @@ export class UIController {
 
     // Clear canvas
     this.targetRenderer.clear()
+    this._notifyStateChange()
   }
 
   /**
@@ -1210,13 +1537,24 @@ export class UIController {
 
   /**
    * Set transformation matrix
-   * @param {Array} matrix - 3x3 transformation matrix
+   * @param {Object} matrix - Matrix calculated with the given model ({a,b,c,d,e,f} or {a,b,c,d,e,f,g,h})
+   * @param {string} modelId - Key of TRANSFORM_MODELS the matrix belongs to
    */
-  setTransformMatrix (matrix) {
+  setTransformMatrix (matrix, modelId) {
     this.state.transformMatrix = matrix
+    this.state.fittedModel = modelId
     this._updateButtonStates()
   }
 
+  /**
+   * Set per-pair residuals from the last calculation and refresh the points table
+   * @param {Array<{residual: number, isInlier: boolean}>|null} residuals - One entry per reference pair
+   */
+  setPairResiduals (residuals) {
+    this.state.pairResiduals = residuals
+    this._updatePointsTable()
+  }
+
   /**
    * Set preview active state
    * @param {boolean} active - Preview active
@@ -1226,6 +1564,16 @@ export class UIController {
     this._updateCanvasCursors()
   }
 
+  /**
+   * Show candidate duplicate pairs of a merge review on the target canvas
+   * @param {Object|null} review - { pairs: [{ source: {x, y}, target: {x, y}, accepted }], selectedIndex }
+   *   with normalized (0-1) coordinates, or null to end the review
+   */
+  setMergeReview (review) {
+    this.state.mergeReview = review
+    this.targetRenderer.redraw()
+  }
+
   /**
    * Get target renderer (for preview drawing)
    * @returns {CanvasRenderer} Target canvas renderer
@@ -1245,6 +1593,64 @@ export class UIController {
     }
   }
 
+  /**
+   * Get merge options chosen for the last export
+   * @returns {{duplicateStrategy: string, coordinateTolerance: number|null}}
+   */
+  getMergeOptions () {
+    return this.state.mergeOptions
+  }
+
+  /**
+   * Remember merge options for the next export and the saved session
+   * @param {{duplicateStrategy: string, coordinateTolerance: number|null}} options
+   */
+  setMergeOptions (options) {
+    this.state.mergeOptions = { ...this.state.mergeOptions, ...options }
+    this._notifyStateChange()
+  }
+
+  /**
+   * Restore reference pairs and settings from a migration session
+   *
+   * Session pairs are in pixels of the session's maps; they are normalized
+   * with those dimensions so they land on the same spots of the loaded maps.
+   * Any calculated transformation is discarded.
+   *
+   * @param {Object} session - Session from lib/snapspot-data/session.js
+   */
+  applySession (session) {
+    const { source, target, transform } = session
+
+    this.state.referencePairs = session.referencePairs.map(pair => ({
+      source: { x: pair.source.x / source.width, y: pair.source.y / source.height },
+      target: { x: pair.target.x / target.width, y: pair.target.y / target.height }
+    }))
+    this.state.suggestedPairs = []
+    this.state.pendingSourcePoint = null
+    this.state.nextClickTarget = 'source'
+
+    // Unknown models (e.g. from a newer version) fall back to the default
+    const isKnownModel = transform.model === AUTO_TRANSFORM_MODEL || TRANSFORM_MODELS[transform.model]
+    this.state.transformModel = isKnownModel ? transform.model : DEFAULT_TRANSFORM_MODEL
+    this.state.robustFit = transform.robustFit
+    this.state.outlierThreshold = transform.outlierThreshold
+    this.state.mergeOptions = { ...DEFAULT_MERGE_OPTIONS, ...session.mergeOptions }
+
+    // Sync controls
+    this.modelSelect.value = this.state.transformModel
+    this.robustFitCheckbox.checked = this.state.robustFit
+    this.outlierThresholdInput.value = this.state.outlierThreshold
+    this.outlierThresholdInput.disabled = !this.state.robustFit
+    if (session.targetMetadata.name) {
+      this.targetNameInput.value = session.targetMetadata.name
+      this.targetDescriptionInput.value = session.targetMetadata.description
+    }
+
+    this._renderSourceMap()
+    this._invalidateTransform()
+  }
+
   /**
    * Redraw target canvas (for preview updates)
    */